@@ -1,9 +1,77 @@
-// config/cache.js - Simple mock cache service (no external dependencies)
-class MockCacheService {
+// config/cache.js - Cache service with pluggable drivers (lru, redis, none)
+const logger = require('../utils/logger');
+const LruCacheDriver = require('../services/cache/lruCacheDriver');
+const RedisCacheDriver = require('../services/cache/redisCacheDriver');
+const NoopCacheDriver = require('../services/cache/noopCacheDriver');
+const RedisClient = require('../services/cache/redisClient');
+const InvalidationBus = require('../services/cache/invalidationBus');
+
+const getRedisOptions = () => ({
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: process.env.REDIS_PORT || 6379,
+  password: process.env.REDIS_PASSWORD || null,
+  db: process.env.REDIS_DB || 0
+});
+
+class CacheService {
   constructor() {
-    this.cache = new Map();
-    this.enabled = false; // Disable caching for now
-    console.log('📦 Mock cache service initialized (caching disabled)');
+    this.driverFactories = {
+      lru: () => new LruCacheDriver({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 10000 }),
+      redis: () => new RedisCacheDriver({
+        client: new RedisClient(getRedisOptions()),
+        keyPrefix: process.env.CACHE_KEY_PREFIX || 'cms:'
+      }),
+      none: () => new NoopCacheDriver()
+    };
+
+    // Caching stays off unless a driver is configured
+    let driverName = process.env.CACHE_DRIVER || 'none';
+    if (!this.driverFactories[driverName]) {
+      logger.warn(`Unknown cache driver "${driverName}", caching disabled`);
+      driverName = 'none';
+    }
+
+    this.driver = this.driverFactories[driverName]();
+    this.bus = null;
+    this.lastErrorLoggedAt = 0;
+
+    // tenantId -> counters of this process since startup
+    this.tenantStats = new Map();
+
+    // Process-local caches need to hear about invalidations of other processes
+    if (this.driver.name === 'lru' && process.env.CACHE_PUBSUB === 'true') {
+      this.setInvalidationBus(new InvalidationBus({
+        publisher: new RedisClient(getRedisOptions()),
+        subscriber: new RedisClient(getRedisOptions())
+      }));
+    }
+
+    console.log(`📦 Cache service initialized (${this.driver.name} driver${this.bus ? ' with pub/sub invalidation' : ''})`);
+  }
+
+  get enabled() {
+    return this.driver.name !== 'none';
+  }
+
+  /**
+   * Replace the driver, e.g. with a driver on a FakeRedisClient in tests
+   * @param {CacheDriver} driver - Instance of a CacheDriver subclass
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Broadcast invalidations to (and apply those of) other processes
+   * @param {InvalidationBus|null} bus
+   */
+  setInvalidationBus(bus) {
+    this.bus = bus;
+    if (!bus) return;
+
+    bus.start(message => this.applyInvalidation(message)).catch((error) => {
+      this.logError('subscribe', error);
+    });
   }
 
   // Generate cache key with tenant isolation
@@ -11,56 +79,93 @@ class MockCacheService {
     return `tenant:${tenantId}:${key}`;
   }
 
+  // Tags are isolated per tenant like keys
+  generateTag(tenantId, tag) {
+    return `tenant:${tenantId}:${tag}`;
+  }
+
   async get(tenantId, key) {
-    if (!this.enabled) return null;
-    
     const cacheKey = this.generateKey(tenantId, key);
-    return this.cache.get(cacheKey) || null;
+    const value = await this.run('get', null, () => this.driver.get(cacheKey));
+
+    this.recordStats(tenantId, value !== null ? { hits: 1 } : { misses: 1 });
+    return value;
   }
 
-  async set(tenantId, key, value, ttl = 600) {
-    if (!this.enabled) return true;
-    
+  /**
+   * @param {Array} tags - Tags to invalidate the entry by, e.g. ['article:<id>', 'list:published']
+   */
+  async set(tenantId, key, value, ttl = 600, tags = []) {
     const cacheKey = this.generateKey(tenantId, key);
-    this.cache.set(cacheKey, value);
-    
-    // Simple TTL cleanup (optional)
-    if (ttl > 0) {
-      setTimeout(() => {
-        this.cache.delete(cacheKey);
-      }, ttl * 1000);
-    }
-    
+    const cacheTags = tags.map(tag => this.generateTag(tenantId, tag));
+    await this.run('set', false, () => this.driver.set(cacheKey, value, ttl, cacheTags));
+    this.recordStats(tenantId, { sets: 1 });
+
+    // Other processes may still hold the previous value
+    await this.publish({ op: 'del', key: cacheKey });
     return true;
   }
 
   async del(tenantId, key) {
-    if (!this.enabled) return true;
-    
     const cacheKey = this.generateKey(tenantId, key);
-    this.cache.delete(cacheKey);
+    await this.run('del', false, () => this.driver.del(cacheKey));
+    await this.publish({ op: 'del', key: cacheKey });
     return true;
   }
 
-  async invalidatePattern(tenantId, pattern) {
-    if (!this.enabled) return true;
-    
+  async delPattern(tenantId, pattern) {
     const fullPattern = this.generateKey(tenantId, pattern);
-    const keysToDelete = [];
-    
-    for (const key of this.cache.keys()) {
-      if (key.includes(fullPattern.replace('*', ''))) {
-        keysToDelete.push(key);
-      }
-    }
-    
-    keysToDelete.forEach(key => this.cache.delete(key));
+    await this.run('delPattern', 0, () => this.driver.delPattern(fullPattern));
+    await this.publish({ op: 'delPattern', pattern: fullPattern });
     return true;
   }
 
+  async invalidatePattern(tenantId, pattern) {
+    return await this.delPattern(tenantId, pattern);
+  }
+
+  /**
+   * Delete every entry of the tenant carrying one of the tags
+   * @returns {number} Number of deleted entries in this process or the shared store
+   */
+  async invalidateTags(tenantId, tags) {
+    const cacheTags = [...new Set(tags)].map(tag => this.generateTag(tenantId, tag));
+    if (cacheTags.length === 0) return 0;
+
+    const deleted = await this.run('invalidateTags', 0, () => this.driver.invalidateTags(cacheTags));
+    await this.publish({ op: 'invalidateTags', tags: cacheTags });
+
+    const byTag = {};
+    tags.forEach((tag) => {
+      const type = tag.split(':')[0];
+      byTag[type] = (byTag[type] || 0) + 1;
+    });
+    this.recordStats(tenantId, { invalidations: 1, invalidated_keys: deleted }, byTag);
+
+    return deleted;
+  }
+
+  /**
+   * Tags of the records a cached article response was built from
+   * @param {Array} articles - Plain article objects with category_id and tags
+   */
+  getArticleTags(articles) {
+    const tags = new Set();
+
+    articles.forEach((article) => {
+      tags.add(`article:${article.id}`);
+      if (article.category_id) {
+        tags.add(`category:${article.category_id}`);
+      }
+      (article.tags || []).forEach(tag => tags.add(`tag:${tag.id}`));
+    });
+
+    return [...tags];
+  }
+
   // Cache news articles
-  async cacheArticle(tenantId, articleId, article) {
-    return await this.set(tenantId, `article:${articleId}`, article, 1800);
+  async cacheArticle(tenantId, identifier, article, tags = []) {
+    return await this.set(tenantId, `article:${identifier}`, article, 1800, tags);
   }
 
   async getCachedArticle(tenantId, articleId) {
@@ -68,23 +173,51 @@ class MockCacheService {
   }
 
   // Cache article lists
-  async cacheArticleList(tenantId, key, articles, ttl = 300) {
-    return await this.set(tenantId, `articles:${key}`, articles, ttl);
+  async cacheArticleList(tenantId, key, articles, ttl = 300, tags = []) {
+    return await this.set(tenantId, `articles:${key}`, articles, ttl, tags);
   }
 
   async getCachedArticleList(tenantId, key) {
     return await this.get(tenantId, `articles:${key}`);
   }
 
-  // Invalidate article caches
-  async invalidateArticleCache(tenantId, articleId = null) {
+  /**
+   * Invalidate the cached responses built from an article (all articles without an id)
+   * @param {Object} options - lists: whether the change can add the article to or
+   *   remove it from lists (publishing, deleting, flags), tags: additional tags to drop
+   */
+  async invalidateArticleCache(tenantId, articleId = null, { lists = true, tags = [] } = {}) {
+    const cacheTags = [...tags];
+
     if (articleId) {
-      await this.del(tenantId, `article:${articleId}`);
+      cacheTags.push(`article:${articleId}`);
+    }
+    if (lists || !articleId) {
+      cacheTags.push('list:published', 'list:all');
+    }
+
+    await this.invalidateTags(tenantId, cacheTags);
+
+    // Without an id any article may have changed
+    if (!articleId) {
+      await this.invalidatePattern(tenantId, 'article:*');
     }
-    await this.invalidatePattern(tenantId, 'articles:*');
     return true;
   }
 
+  // Cache rendered feeds
+  async cacheFeed(tenantId, key, feed, ttl = 900, tags = []) {
+    return await this.set(tenantId, `feeds:${key}`, feed, ttl, tags);
+  }
+
+  async getCachedFeed(tenantId, key) {
+    return await this.get(tenantId, `feeds:${key}`);
+  }
+
+  async invalidateFeedCache(tenantId) {
+    return await this.invalidatePattern(tenantId, 'feeds:*');
+  }
+
   // Cache categories
   async cacheCategories(tenantId, categories, ttl = 900) {
     return await this.set(tenantId, 'categories:all', categories, ttl);
@@ -113,35 +246,147 @@ class MockCacheService {
 
   // Health check
   async healthCheck() {
-    return { 
-      status: 'healthy', 
-      type: 'mock',
+    const reachable = await this.run('ping', false, () => this.driver.ping());
+    const stats = await this.run('stats', {}, () => this.driver.getStats());
+
+    return {
+      status: reachable ? 'healthy' : 'unhealthy',
+      type: this.driver.name,
       enabled: this.enabled,
-      keys: this.cache.size 
+      pubsub: Boolean(this.bus),
+      ...stats
     };
   }
 
   // Get cache statistics
   async getStats() {
+    const stats = await this.run('stats', {}, () => this.driver.getStats());
+
     return {
-      type: 'mock',
+      type: this.driver.name,
       enabled: this.enabled,
-      keys: this.cache.size,
+      pubsub: Boolean(this.bus),
+      ...stats,
       memory_usage: process.memoryUsage()
     };
   }
 
+  /**
+   * Hit, miss and invalidation counters of one tenant in this process
+   */
+  getTenantStats(tenantId) {
+    const stats = this.tenantStats.get(tenantId) || this.createTenantStats();
+    const lookups = stats.hits + stats.misses;
+
+    return {
+      type: this.driver.name,
+      enabled: this.enabled,
+      since: stats.since,
+      hits: stats.hits,
+      misses: stats.misses,
+      hit_rate: lookups > 0 ? Math.round((stats.hits / lookups) * 10000) / 100 : 0,
+      sets: stats.sets,
+      invalidations: stats.invalidations,
+      invalidated_keys: stats.invalidated_keys,
+      invalidations_by_tag: { ...stats.invalidations_by_tag }
+    };
+  }
+
+  resetTenantStats(tenantId) {
+    this.tenantStats.delete(tenantId);
+  }
+
+  recordStats(tenantId, counters, byTag = {}) {
+    if (!this.tenantStats.has(tenantId)) {
+      this.tenantStats.set(tenantId, this.createTenantStats());
+    }
+
+    const stats = this.tenantStats.get(tenantId);
+    Object.entries(counters).forEach(([name, value]) => {
+      stats[name] += value;
+    });
+    Object.entries(byTag).forEach(([type, value]) => {
+      stats.invalidations_by_tag[type] = (stats.invalidations_by_tag[type] || 0) + value;
+    });
+  }
+
+  createTenantStats() {
+    return {
+      since: new Date().toISOString(),
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      invalidations: 0,
+      invalidated_keys: 0,
+      invalidations_by_tag: {}
+    };
+  }
+
   // Enable/disable caching
   enable() {
-    this.enabled = true;
-    console.log('📦 Mock cache enabled');
+    if (!this.enabled) {
+      this.driver = this.driverFactories.lru();
+    }
+    console.log(`📦 Cache enabled (${this.driver.name} driver)`);
   }
 
   disable() {
-    this.enabled = false;
-    this.cache.clear();
-    console.log('📦 Mock cache disabled and cleared');
+    const driver = this.driver;
+    this.driver = this.driverFactories.none();
+    driver.clear().catch(error => this.logError('clear', error));
+    console.log('📦 Cache disabled and cleared');
+  }
+
+  async close() {
+    if (this.bus) {
+      await this.bus.close();
+    }
+    await this.driver.close();
+  }
+
+  /**
+   * Apply an invalidation received from another process
+   */
+  async applyInvalidation(message) {
+    switch (message.op) {
+      case 'del':
+        return await this.driver.del(message.key);
+      case 'delPattern':
+        return await this.driver.delPattern(message.pattern);
+      case 'invalidateTags':
+        return await this.driver.invalidateTags(message.tags);
+      case 'clear':
+        return await this.driver.clear();
+      default:
+        logger.warn(`Unknown cache invalidation "${message.op}"`);
+    }
+  }
+
+  async publish(message) {
+    if (!this.bus) return;
+    await this.run('publish', null, () => this.bus.publish(message));
+  }
+
+  /**
+   * Run a driver operation; a failing cache behaves like an empty one
+   */
+  async run(operation, fallback, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      this.logError(operation, error);
+      return fallback;
+    }
+  }
+
+  // Log at most every 30 seconds while the backend is down
+  logError(operation, error) {
+    const now = Date.now();
+    if (now - this.lastErrorLoggedAt < 30000) return;
+
+    this.lastErrorLoggedAt = now;
+    logger.warn(`Cache ${operation} failed (${this.driver.name} driver): ${error.message}`);
   }
 }
 
-module.exports = new MockCacheService();
\ No newline at end of file
+module.exports = new CacheService();
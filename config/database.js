@@ -165,9 +165,10 @@ const initializeTenantModels = async (tenantDB) => {
         }
       },
       role: {
-        type: tenantDB.Sequelize.DataTypes.ENUM('super_admin', 'admin', 'editor', 'contributor'),
+        type: tenantDB.Sequelize.DataTypes.STRING(50),
         defaultValue: 'contributor',
-        allowNull: false
+        allowNull: false,
+        comment: 'Slug of a role in the roles table'
       },
       status: {
         type: tenantDB.Sequelize.DataTypes.ENUM('active', 'inactive', 'suspended'),
@@ -209,6 +210,15 @@ const initializeTenantModels = async (tenantDB) => {
         defaultValue: 0,
         allowNull: false
       },
+      failed_login_attempts: {
+        type: tenantDB.Sequelize.DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      locked_until: {
+        type: tenantDB.Sequelize.DataTypes.DATE,
+        allowNull: true
+      },
       email_verified: {
         type: tenantDB.Sequelize.DataTypes.BOOLEAN,
         defaultValue: false,
@@ -226,6 +236,26 @@ const initializeTenantModels = async (tenantDB) => {
         type: tenantDB.Sequelize.DataTypes.DATE,
         allowNull: true
       },
+      two_factor_enabled: {
+        type: tenantDB.Sequelize.DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+      },
+      two_factor_secret: {
+        type: tenantDB.Sequelize.DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Encrypted TOTP secret, set during enrollment before it is enabled'
+      },
+      two_factor_recovery_codes: {
+        type: tenantDB.Sequelize.DataTypes.JSON,
+        allowNull: true,
+        comment: 'SHA-256 hashes of the unused recovery codes'
+      },
+      two_factor_last_step: {
+        type: tenantDB.Sequelize.DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Time step of the last accepted code, so codes are single use'
+      },
       preferences: {
         type: tenantDB.Sequelize.DataTypes.JSON,
         defaultValue: {
@@ -316,6 +346,10 @@ const initializeTenantModels = async (tenantDB) => {
           is: /^#[0-9A-F]{6}$/i
         }
       },
+      image: {
+        type: tenantDB.Sequelize.DataTypes.STRING(255),
+        allowNull: true
+      },
       is_featured: {
         type: tenantDB.Sequelize.DataTypes.BOOLEAN,
         defaultValue: false,
@@ -486,6 +520,11 @@ const initializeTenantModels = async (tenantDB) => {
         type: tenantDB.Sequelize.DataTypes.STRING(255),
         allowNull: true
       },
+      featured_image_data: {
+        type: tenantDB.Sequelize.DataTypes.JSON,
+        allowNull: true,
+        comment: 'Processed image sizes from uploadService'
+      },
       status: {
         type: tenantDB.Sequelize.DataTypes.ENUM('draft', 'review', 'published', 'archived'),
         defaultValue: 'draft',
@@ -516,6 +555,20 @@ const initializeTenantModels = async (tenantDB) => {
         type: tenantDB.Sequelize.DataTypes.DATE,
         allowNull: true
       },
+      scheduled_at: {
+        type: tenantDB.Sequelize.DataTypes.DATE,
+        allowNull: true
+      },
+      publish_attempts: {
+        type: tenantDB.Sequelize.DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false,
+        comment: 'Failed scheduled publishing attempts'
+      },
+      publish_error: {
+        type: tenantDB.Sequelize.DataTypes.STRING(500),
+        allowNull: true
+      },
       views_count: {
         type: tenantDB.Sequelize.DataTypes.INTEGER,
         defaultValue: 0,
@@ -554,6 +607,27 @@ const initializeTenantModels = async (tenantDB) => {
         type: tenantDB.Sequelize.DataTypes.STRING(500),
         allowNull: true
       },
+      meta_keywords: {
+        type: tenantDB.Sequelize.DataTypes.STRING(500),
+        allowNull: true
+      },
+      version: {
+        type: tenantDB.Sequelize.DataTypes.INTEGER,
+        defaultValue: 1,
+        allowNull: false
+      },
+      seo_score: {
+        type: tenantDB.Sequelize.DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: true,
+        comment: 'SEO score 0-100'
+      },
+      readability_score: {
+        type: tenantDB.Sequelize.DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: true,
+        comment: 'Readability score 0-100'
+      },
       created_at: {
         type: tenantDB.Sequelize.DataTypes.DATE,
         defaultValue: tenantDB.Sequelize.DataTypes.NOW,
@@ -586,6 +660,14 @@ const initializeTenantModels = async (tenantDB) => {
         {
           fields: ['published_at']
         },
+        {
+          fields: ['status', 'scheduled_at']
+        },
+        {
+          type: 'FULLTEXT',
+          name: 'news_fulltext',
+          fields: ['title', 'excerpt', 'content']
+        },
         {
           fields: ['is_featured']
         },
@@ -627,6 +709,12 @@ const initializeTenantModels = async (tenantDB) => {
             news.published_at = null;
           }
           
+          // Bump version when revisioned content changes
+          const revisionedFields = ['title', 'content', 'excerpt', 'meta_title', 'meta_description', 'meta_keywords', 'category_id'];
+          if (revisionedFields.some(field => news.changed(field))) {
+            news.version = (news.version || 1) + 1;
+          }
+          
           news.updated_at = new Date();
         }
       }
@@ -693,32 +781,19 @@ const initializeTenantModels = async (tenantDB) => {
       return this.status === 'active';
     };
 
-    User.prototype.canEdit = function(resource) {
-      const permissions = {
-        super_admin: ['all'],
-        admin: ['users', 'news', 'categories', 'tags', 'settings'],
-        editor: ['news', 'categories', 'tags'],
-        contributor: ['news']
-      };
-      
-      return permissions[this.role].includes('all') || 
-             permissions[this.role].includes(resource);
-    };
-
-    User.prototype.canDelete = function(resource) {
-      const permissions = {
-        super_admin: ['all'],
-        admin: ['users', 'news', 'categories', 'tags'],
-        editor: ['news', 'tags'],
-        contributor: []
-      };
-      
-      return permissions[this.role].includes('all') || 
-             permissions[this.role].includes(resource);
+    /**
+     * Load the grants of the user's role, hasPermission needs them
+     */
+    User.prototype.loadPermissions = async function() {
+      this.grants = await tenantDB.models.Role.getGrantSet(this.role);
+      return this.grants;
     };
 
-    User.prototype.canPublish = function() {
-      return ['super_admin', 'admin', 'editor'].includes(this.role);
+    User.prototype.hasPermission = function(resource, action) {
+      if (!this.grants) {
+        throw new Error('Permissions of the user are not loaded');
+      }
+      return tenantDB.models.Permission.allows(this.grants, resource, action);
     };
 
     User.prototype.toJSON = function() {
@@ -728,6 +803,9 @@ const initializeTenantModels = async (tenantDB) => {
       delete values.password;
       delete values.email_verification_token;
       delete values.password_reset_token;
+      delete values.two_factor_secret;
+      delete values.two_factor_recovery_codes;
+      delete values.two_factor_last_step;
       
       return values;
     };
@@ -758,6 +836,71 @@ const initializeTenantModels = async (tenantDB) => {
       return `/news/${this.slug}`;
     };
 
+    News.prototype.getFeaturedImageUrl = function(size = 'medium', baseUrl = null) {
+      if (!this.featured_image_data || !this.featured_image_data.images) {
+        return null;
+      }
+      
+      const image = this.featured_image_data.images[size] || this.featured_image_data.images.original;
+      if (!image) return null;
+
+      // Images stored through a storage driver are resolved by it
+      if (image.key) {
+        const uploadService = require('../services/uploadService');
+        return uploadService.getStorageUrl(image.key, {
+          signed: Boolean(this.featured_image_data.private),
+          baseUrl,
+          version: this.featured_image_data.version
+        });
+      }
+      
+      const domain = baseUrl || process.env.CDN_URL || process.env.BASE_URL || 'http://localhost:3000';
+      return `${domain}${image.path}`;
+    };
+
+    // Add class methods to News
+    News.findPublished = async function(options = {}) {
+      const { where = {}, ...rest } = options;
+      
+      return await this.findAll({
+        order: [['published_at', 'DESC']],
+        ...rest,
+        where: {
+          status: 'published',
+          visibility: 'public',
+          published_at: {
+            [tenantDB.Sequelize.Op.lte]: new Date()
+          },
+          ...where
+        }
+      });
+    };
+
+    News.countPublished = async function(options = {}) {
+      const { where = {}, ...rest } = options;
+      
+      return await this.count({
+        ...rest,
+        where: {
+          status: 'published',
+          visibility: 'public',
+          published_at: {
+            [tenantDB.Sequelize.Op.lte]: new Date()
+          },
+          ...where
+        }
+      });
+    };
+
+    // Add instance methods to Category and Tag
+    Category.prototype.getUrl = function() {
+      return `/category/${this.slug}`;
+    };
+
+    Tag.prototype.getUrl = function() {
+      return `/tag/${this.slug}`;
+    };
+
     // Add class methods to Tag
     Tag.findByName = async function(name) {
       return await this.findOne({
@@ -799,6 +942,21 @@ const initializeTenantModels = async (tenantDB) => {
       return tags;
     };
 
+    // Additional tenant models
+    const NewsRevision = require('../models/NewsRevision')(tenantDB);
+    const NewsTransition = require('../models/NewsTransition')(tenantDB);
+    const Comment = require('../models/Comment')(tenantDB);
+    const NewsLike = require('../models/NewsLike')(tenantDB);
+    const NewsDailyView = require('../models/NewsDailyView')(tenantDB);
+    const ApiKey = require('../models/ApiKey')(tenantDB);
+    const RefreshToken = require('../models/RefreshToken')(tenantDB);
+    const Role = require('../models/Role')(tenantDB);
+    const Permission = require('../models/Permission')(tenantDB);
+    const UserCategory = require('../models/UserCategory')(tenantDB);
+    const AuditLog = require('../models/AuditLog')(tenantDB);
+    const MediaAsset = require('../models/MediaAsset')(tenantDB);
+    const StorageUsage = require('../models/StorageUsage')(tenantDB);
+
     // Define associations
     User.hasMany(News, { foreignKey: 'author_id', as: 'articles' });
     News.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
@@ -820,8 +978,57 @@ const initializeTenantModels = async (tenantDB) => {
       as: 'articles'
     });
 
+    News.hasMany(NewsRevision, { foreignKey: 'news_id', as: 'revisions' });
+    NewsRevision.belongsTo(News, { foreignKey: 'news_id', as: 'article' });
+    NewsRevision.belongsTo(User, { foreignKey: 'editor_id', as: 'editor' });
+
+    News.hasMany(NewsTransition, { foreignKey: 'news_id', as: 'transitions' });
+    NewsTransition.belongsTo(News, { foreignKey: 'news_id', as: 'article' });
+    NewsTransition.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+
+    News.hasMany(Comment, { foreignKey: 'news_id', as: 'comments' });
+    Comment.belongsTo(News, { foreignKey: 'news_id', as: 'article' });
+    Comment.belongsTo(User, { foreignKey: 'user_id', as: 'author' });
+    Comment.belongsTo(User, { foreignKey: 'moderated_by', as: 'moderator' });
+    Comment.belongsTo(Comment, { foreignKey: 'parent_id', as: 'parent' });
+    Comment.hasMany(Comment, { foreignKey: 'parent_id', as: 'replies' });
+
+    News.hasMany(NewsLike, { foreignKey: 'news_id', as: 'likes' });
+    NewsLike.belongsTo(News, { foreignKey: 'news_id', as: 'article' });
+    NewsLike.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+    News.hasMany(NewsDailyView, { foreignKey: 'news_id', as: 'dailyViews' });
+    NewsDailyView.belongsTo(News, { foreignKey: 'news_id', as: 'article' });
+
+    User.hasMany(ApiKey, { foreignKey: 'created_by', as: 'apiKeys' });
+    ApiKey.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+    User.hasMany(RefreshToken, { foreignKey: 'user_id', as: 'refreshTokens' });
+    RefreshToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+    Role.hasMany(Permission, { foreignKey: 'role_id', as: 'permissions', onDelete: 'CASCADE' });
+    Permission.belongsTo(Role, { foreignKey: 'role_id', as: 'role' });
+
+    User.belongsToMany(Category, {
+      through: UserCategory,
+      foreignKey: 'user_id',
+      otherKey: 'category_id',
+      as: 'sections'
+    });
+
+    Category.belongsToMany(User, {
+      through: UserCategory,
+      foreignKey: 'category_id',
+      otherKey: 'user_id',
+      as: 'deskMembers'
+    });
+
+    User.hasMany(MediaAsset, { foreignKey: 'uploaded_by', as: 'mediaAssets' });
+    MediaAsset.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+
     // Sync models to create tables
     await tenantDB.sync({ alter: true });
+    await Role.seedDefaults();
     
     console.log(`✅ Tenant models initialized and synced`);
     
@@ -830,7 +1037,20 @@ const initializeTenantModels = async (tenantDB) => {
       Category,
       Tag,
       News,
-      NewsTag
+      NewsTag,
+      NewsRevision,
+      NewsTransition,
+      Comment,
+      NewsLike,
+      NewsDailyView,
+      ApiKey,
+      RefreshToken,
+      Role,
+      Permission,
+      UserCategory,
+      AuditLog,
+      MediaAsset,
+      StorageUsage
     };
   } catch (error) {
     console.error('❌ Error initializing tenant models:', error);
@@ -838,11 +1058,33 @@ const initializeTenantModels = async (tenantDB) => {
   }
 };
 
+// Models of every tenant in use, shared by requests and background workers so each tenant is synced once
+const tenantModels = new Map();
+
+/**
+ * Get the initialized models of a tenant, syncing its schema only the first time
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Tenant models
+ */
+const getTenantModels = async (tenantId) => {
+  if (!tenantModels.has(tenantId)) {
+    const initializing = getTenantDB(tenantId).then(initializeTenantModels);
+    tenantModels.set(tenantId, initializing);
+
+    // A failed sync is retried by the next caller
+    initializing.catch(() => tenantModels.delete(tenantId));
+  }
+
+  return await tenantModels.get(tenantId);
+};
+
 /**
  * Close tenant database connection
  * @param {string} tenantId - Tenant identifier
  */
 const closeTenantDB = async (tenantId) => {
+  tenantModels.delete(tenantId);
+
   if (tenantConnections.has(tenantId)) {
     const connection = tenantConnections.get(tenantId);
     await connection.close();
@@ -856,6 +1098,7 @@ module.exports = {
   getTenantDB,
   createTenantDB,
   initializeTenantModels,
+  getTenantModels,
   closeTenantDB,
   tenantConnections
 };
\ No newline at end of file
@@ -48,6 +48,14 @@ const initializeMasterModels = async (sequelize) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -123,6 +131,22 @@ const initializeMasterModels = async (sequelize) => {
           seo: false,
           advanced_editor: false,
           api_access: false
+        },
+        comments: {
+          enabled: true,
+          allow_guests: true,
+          moderation: 'guests',
+          max_depth: 3
+        },
+        security: {
+          require_two_factor: false
+        },
+        email: {
+          from_name: null,
+          reply_to: null,
+          logo_url: null,
+          accent_color: '#1a73e8',
+          footer: null
         }
       }
     },
@@ -228,13 +252,18 @@ const initializeMasterModels = async (sequelize) => {
     return currentCount < this.limits.max_articles;
   };
 
+  // Master admin actions on tenants
+  const AuditLog = require('../models/AuditLog')(sequelize);
+
   // Sync models
-  await MasterAdmin.sync();
+  // alter adds columns introduced after the table was created
+  await MasterAdmin.sync({ alter: true });
   await Tenant.sync();
+  await AuditLog.sync();
   
   console.log('✅ Master models synchronized');
   
-  return { MasterAdmin, Tenant };
+  return { MasterAdmin, Tenant, AuditLog };
 };
 
 module.exports = { initializeMasterModels };
\ No newline at end of file
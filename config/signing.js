@@ -0,0 +1,39 @@
+// config/signing.js - Secret that signs storage and image transform URLs
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const configuredSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || null;
+let signingSecret = configuredSecret;
+
+/**
+ * Whether a signing secret is configured; every process of a deployment has
+ * to share it for signed URLs to verify
+ */
+const isConfigured = () => Boolean(configuredSecret);
+
+/**
+ * Refuse to run in production without a configured secret
+ */
+const assertConfigured = () => {
+  if (!isConfigured() && process.env.NODE_ENV === 'production') {
+    throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) must be set to sign storage URLs');
+  }
+};
+
+/**
+ * Secret of signed URLs; without a configured one a random secret of this
+ * process is used, so its URLs stop verifying on restart
+ */
+const getSigningSecret = () => {
+  if (!signingSecret) {
+    signingSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('STORAGE_SIGNING_SECRET is not set, signed URLs use a random secret of this process');
+  }
+  return signingSecret;
+};
+
+module.exports = {
+  isConfigured,
+  assertConfigured,
+  getSigningSecret
+};
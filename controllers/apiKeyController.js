@@ -0,0 +1,340 @@
+// controllers/apiKeyController.js
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+const creatorInclude = (req) => ({
+  model: req.models.User,
+  as: 'creator',
+  attributes: ['id', 'first_name', 'last_name', 'email']
+});
+
+/**
+ * Get API keys of the tenant
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.include_revoked !== 'true') {
+      where.revoked_at = null;
+    }
+
+    const apiKeys = await req.models.ApiKey.findAll({
+      where,
+      include: [creatorInclude(req)],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        api_keys: apiKeys
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API keys'
+    });
+  }
+};
+
+/**
+ * Get scopes that can be granted to API keys
+ */
+const getApiKeyScopes = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: req.models.ApiKey.SCOPES
+    }
+  });
+};
+
+/**
+ * Get single API key
+ */
+const getApiKeyById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await req.models.ApiKey.findByPk(req.params.id, {
+      include: [creatorInclude(req)]
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        api_key: apiKey
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API key'
+    });
+  }
+};
+
+/**
+ * Create API key, the key itself is only returned in this response
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, allowed_ips, expires_at } = req.body;
+    const { key, prefix, key_hash } = req.models.ApiKey.generate();
+
+    const apiKey = await req.models.ApiKey.create({
+      name: name.trim(),
+      prefix,
+      key_hash,
+      scopes: [...new Set(scopes)],
+      allowed_ips: allowed_ips && allowed_ips.length > 0 ? allowed_ips : null,
+      expires_at: expires_at ? new Date(expires_at) : null,
+      created_by: req.currentUser.id
+    });
+
+    logger.info(`API key created: ${apiKey.name} (${apiKey.prefix}) by ${req.currentUser.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now, it cannot be shown again.',
+      data: {
+        api_key: apiKey,
+        key
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+};
+
+/**
+ * Update name, scopes, IP restrictions or expiry of an API key
+ */
+const updateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await req.models.ApiKey.findByPk(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    if (apiKey.isRevoked()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Revoked API keys cannot be changed',
+        code: 'API_KEY_REVOKED'
+      });
+    }
+
+    const { name, scopes, allowed_ips, expires_at } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name.trim();
+    if (scopes !== undefined) updateData.scopes = [...new Set(scopes)];
+    if (allowed_ips !== undefined) updateData.allowed_ips = allowed_ips && allowed_ips.length > 0 ? allowed_ips : null;
+    if (expires_at !== undefined) updateData.expires_at = expires_at ? new Date(expires_at) : null;
+
+    await apiKey.update(updateData);
+
+    logger.info(`API key updated: ${apiKey.name} (${apiKey.prefix}) by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: {
+        api_key: apiKey
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update API key'
+    });
+  }
+};
+
+/**
+ * Replace an API key with a new one with the same settings.
+ * The old key keeps working for the grace period so integrations can switch over.
+ */
+const rotateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await req.models.ApiKey.findByPk(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    if (!apiKey.isActive()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only active API keys can be rotated',
+        code: 'API_KEY_INACTIVE'
+      });
+    }
+
+    const gracePeriodHours = parseInt(req.body.grace_period_hours) || 0;
+    const { key, prefix, key_hash } = req.models.ApiKey.generate();
+
+    const newApiKey = await req.models.ApiKey.sequelize.transaction(async (transaction) => {
+      const created = await req.models.ApiKey.create({
+        name: apiKey.name,
+        prefix,
+        key_hash,
+        scopes: apiKey.scopes,
+        allowed_ips: apiKey.allowed_ips,
+        expires_at: apiKey.expires_at,
+        // The new key acts as the same user as the one it replaces
+        created_by: apiKey.created_by,
+        rotated_from_id: apiKey.id
+      }, { transaction });
+
+      if (gracePeriodHours > 0) {
+        const graceEnd = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+        // Never extend the old key beyond its own expiry
+        if (!apiKey.expires_at || graceEnd < new Date(apiKey.expires_at)) {
+          await apiKey.update({ expires_at: graceEnd }, { transaction });
+        }
+      } else {
+        await apiKey.update({ revoked_at: new Date() }, { transaction });
+      }
+
+      return created;
+    });
+
+    logger.info(`API key rotated: ${apiKey.name} (${apiKey.prefix} -> ${newApiKey.prefix}) by ${req.currentUser.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated successfully. Store the key now, it cannot be shown again.',
+      data: {
+        api_key: newApiKey,
+        key,
+        previous_api_key: apiKey
+      }
+    });
+
+  } catch (error) {
+    logger.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key'
+    });
+  }
+};
+
+/**
+ * Revoke an API key; the record is kept for its usage history
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await req.models.ApiKey.findByPk(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    if (!apiKey.isRevoked()) {
+      await apiKey.update({ revoked_at: new Date() });
+    }
+
+    logger.info(`API key revoked: ${apiKey.name} (${apiKey.prefix}) by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  getApiKeyScopes,
+  getApiKeyById,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey
+};
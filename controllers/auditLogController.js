@@ -0,0 +1,211 @@
+// controllers/auditLogController.js
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+const CSV_COLUMNS = [
+  'created_at', 'action', 'actor_type', 'actor_email', 'actor_id', 'api_key_prefix',
+  'target_type', 'target_id', 'target_label', 'changes', 'metadata', 'ip_address', 'user_agent'
+];
+
+/**
+ * Helper function to get the log being queried, the master one on master admin routes
+ */
+const getAuditLogModel = (req) => req.auditLogModel || req.models.AuditLog;
+
+/**
+ * Helper function to build the where clause from the query filters
+ */
+const buildWhere = (req) => {
+  const { actor_id, actor_type, action, target_type, target_id, tenant_id, date_from, date_to, search } = req.query;
+  const where = {};
+
+  if (actor_id) where.actor_id = actor_id;
+  if (actor_type) where.actor_type = actor_type;
+  if (target_type) where.target_type = target_type;
+  if (target_id) where.target_id = target_id;
+  if (tenant_id && req.auditLogModel) where.tenant_id = tenant_id;
+
+  // "news" matches every news.* action, "news.delete" only itself
+  if (action) {
+    where.action = action.includes('.') ? action : { [Op.like]: `${action}.%` };
+  }
+
+  if (date_from || date_to) {
+    where.created_at = {};
+    if (date_from) where.created_at[Op.gte] = new Date(date_from);
+    if (date_to) where.created_at[Op.lte] = new Date(date_to);
+  }
+
+  if (search) {
+    where[Op.or] = [
+      { target_label: { [Op.like]: `%${search}%` } },
+      { actor_email: { [Op.like]: `%${search}%` } }
+    ];
+  }
+
+  return where;
+};
+
+/**
+ * Helper function to quote a CSV value
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // Keep spreadsheet apps from evaluating values as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Get audit log entries with filters and pagination
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const pageLimit = Math.min(parseInt(limit), 100);
+    const offset = (parseInt(page) - 1) * pageLimit;
+
+    const { count, rows: entries } = await getAuditLogModel(req).findAndCountAll({
+      where: buildWhere(req),
+      order: [['created_at', 'DESC']],
+      limit: pageLimit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / pageLimit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        retention_days: req.auditLogModel ? auditService.masterRetentionDays : auditService.getRetentionDays(req.tenant),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: pageLimit,
+          has_next_page: page < totalPages,
+          has_prev_page: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+};
+
+/**
+ * Export audit log entries matching the filters as CSV
+ */
+const exportAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entries = await getAuditLogModel(req).findAll({
+      where: buildWhere(req),
+      order: [['created_at', 'DESC']],
+      limit: EXPORT_MAX_ROWS,
+      raw: true
+    });
+
+    const columns = req.auditLogModel ? ['tenant_id', ...CSV_COLUMNS] : CSV_COLUMNS;
+    const lines = [
+      columns.join(','),
+      ...entries.map(entry => columns.map(column => toCsvValue(entry[column])).join(','))
+    ];
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Total-Rows': entries.length,
+      'X-Truncated': entries.length === EXPORT_MAX_ROWS ? 'true' : 'false'
+    });
+    res.send(lines.join('\r\n') + '\r\n');
+
+  } catch (error) {
+    logger.error('Export audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log'
+    });
+  }
+};
+
+/**
+ * Get single audit log entry
+ */
+const getAuditLogById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await getAuditLogModel(req).findByPk(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found',
+        code: 'AUDIT_LOG_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        entry
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get audit log entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log entry'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs,
+  getAuditLogById
+};
@@ -4,17 +4,38 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const twoFactorService = require('../services/twoFactorService');
+const mailerService = require('../services/mailerService');
+const loginProtectionService = require('../services/loginProtectionService');
+const auditService = require('../services/auditService');
 const { sanitizeHtmlContent } = require('../middleware/security');
 
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+// A token replaced this recently is a concurrent refresh (second tab, retry), not reuse
+const REFRESH_REUSE_GRACE = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30) * 1000;
+
 /**
- * Generate JWT tokens
+ * Generate JWT tokens and store the refresh token.
+ * Without a family a new session is started, rotations continue their session.
  */
-const generateTokens = (user, tenantId) => {
+const generateTokens = async (req, user, { tokenId = crypto.randomUUID(), familyId = crypto.randomUUID(), startedAt = new Date(), transaction } = {}) => {
+  const session = await req.models.RefreshToken.create({
+    id: tokenId,
+    family_id: familyId,
+    user_id: user.id,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    session_started_at: startedAt,
+    last_used_at: new Date(),
+    ip_address: req.ip,
+    user_agent: (req.get('User-Agent') || '').slice(0, 500) || null
+  }, { transaction });
+
   const payload = {
     userId: user.id,
     email: user.email,
     role: user.role,
-    tenantId: tenantId
+    tenantId: req.tenantId,
+    sid: familyId
   };
 
   const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
@@ -22,10 +43,22 @@ const generateTokens = (user, tenantId) => {
   });
 
   const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: '7d'
+    expiresIn: REFRESH_TOKEN_TTL / 1000,
+    jwtid: session.id
   });
 
-  return { accessToken, refreshToken };
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Queue the email with the confirmation link of the user's verification token
+ */
+const sendVerificationEmail = (req, user) => {
+  const appUrl = mailerService.getAppUrl(req.tenant);
+
+  mailerService.sendTemplate(req.tenant, 'email_verification', user, {
+    verification_url: `${appUrl}/verify-email?token=${user.email_verification_token}`
+  });
 };
 
 /**
@@ -86,8 +119,10 @@ const register = async (req, res) => {
       email_verification_token: crypto.randomBytes(32).toString('hex')
     });
 
+    sendVerificationEmail(req, user);
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user, req.tenantId);
+    const { accessToken, refreshToken } = await generateTokens(req, user);
 
     // Log successful registration
     logger.info(`User registered successfully: ${user.email} in tenant: ${req.tenant.name}`);
@@ -116,6 +151,23 @@ const register = async (req, res) => {
   }
 };
 
+/**
+ * Respond to a login of a locked account or blocked IP
+ */
+const rejectLockedLogin = (res, lock, message, code) => {
+  res.set('Retry-After', String(lock.retryAfter));
+
+  return res.status(code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    success: false,
+    message,
+    code,
+    data: {
+      locked_until: lock.until,
+      retry_after: lock.retryAfter
+    }
+  });
+};
+
 /**
  * User login
  */
@@ -132,10 +184,18 @@ const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const attempt = { scope: req.tenantId, ip: req.ip, email };
+
+    const ipBlock = loginProtectionService.checkIp(req.tenantId, req.ip);
+    if (ipBlock) {
+      return rejectLockedLogin(res, ipBlock, 'Too many failed login attempts from this address', 'IP_LOCKED');
+    }
 
     // Find user
     const user = await req.models.User.findByEmail(email.toLowerCase().trim());
     if (!user) {
+      await loginProtectionService.recordFailure(null, attempt);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
@@ -152,9 +212,19 @@ const login = async (req, res) => {
       });
     }
 
+    // A locked account stays locked even for the right password
+    const accountLock = loginProtectionService.checkAccount(user);
+    if (accountLock) {
+      loginProtectionService.recordIpFailure(req.tenantId, req.ip);
+      logger.security('Login attempt on locked account', attempt);
+      return rejectLockedLogin(res, accountLock, 'Account is temporarily locked after too many failed login attempts', 'ACCOUNT_LOCKED');
+    }
+
     // Verify password
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      await loginProtectionService.recordFailure(user, attempt);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
@@ -162,40 +232,98 @@ const login = async (req, res) => {
       });
     }
 
-    // Update login info
-    user.last_login = new Date();
-    user.last_login_ip = req.ip;
-    user.login_count += 1;
-    await user.save();
-
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user, req.tenantId);
+    // Second step: the code is verified with the challenge token
+    if (user.two_factor_enabled) {
+      logger.info(`Two-factor challenge issued for user: ${user.email} from IP: ${req.ip}`);
 
-    // Store session info
-    req.session.userId = user.id;
-    req.session.userEmail = user.email;
-    req.session.userRole = user.role;
-    req.session.tenantId = req.tenantId;
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          two_factor_required: true,
+          challenge_token: twoFactorService.createChallengeToken(user, req.tenantId),
+          expires_in: twoFactorService.challengeTtl
+        }
+      });
+    }
 
-    // Log successful login
-    logger.info(`User logged in successfully: ${user.email} from IP: ${req.ip}`);
+    await completeLogin(req, res, user);
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        tokens: {
-          access_token: accessToken,
-          refresh_token: refreshToken,
-          token_type: 'Bearer',
-          expires_in: '24h'
-        }
-      }
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      code: 'LOGIN_ERROR'
     });
+  }
+};
+
+/**
+ * Second login step for users with 2FA: verify a TOTP or recovery code
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const challenge = twoFactorService.verifyChallengeToken(challenge_token, req.tenantId);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge, please log in again',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const user = await req.models.User.findByPk(challenge.userId);
+    if (!user || !user.isActive() || !user.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login challenge, please log in again',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    // Code guessing counts against the account like password guessing
+    const accountLock = loginProtectionService.checkAccount(user);
+    if (accountLock) {
+      logger.security('Two-factor attempt on locked account', { scope: req.tenantId, ip: req.ip, email: user.email });
+      return rejectLockedLogin(res, accountLock, 'Account is temporarily locked after too many failed login attempts', 'ACCOUNT_LOCKED');
+    }
+
+    const verified = recovery_code
+      ? await useRecoveryCode(user, recovery_code)
+      : await useTotpCode(user, code);
+
+    if (!verified) {
+      logger.warn(`Invalid two-factor code for user: ${user.email} from IP: ${req.ip}`);
+      await loginProtectionService.recordFailure(user, { scope: req.tenantId, ip: req.ip, email: user.email });
+
+      return res.status(401).json({
+        success: false,
+        message: recovery_code ? 'Invalid recovery code' : 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    if (recovery_code) {
+      logger.info(`Recovery code used by user: ${user.email} (${user.two_factor_recovery_codes.length} left)`);
+    }
+
+    await completeLogin(req, res, user);
 
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Login failed',
@@ -205,10 +333,79 @@ const login = async (req, res) => {
 };
 
 /**
- * User logout
+ * Helper function to record a successful login and respond with tokens
+ */
+const completeLogin = async (req, res, user) => {
+  await loginProtectionService.resetAccount(user);
+
+  // Update login info
+  user.last_login = new Date();
+  user.last_login_ip = req.ip;
+  user.login_count += 1;
+  await user.save();
+
+  // Generate tokens, each login is a new session
+  const { accessToken, refreshToken } = await generateTokens(req, user);
+  await req.models.RefreshToken.pruneExpired(user.id);
+
+  // Store session info
+  req.session.userId = user.id;
+  req.session.userEmail = user.email;
+  req.session.userRole = user.role;
+  req.session.tenantId = req.tenantId;
+
+  // Log successful login
+  logger.info(`User logged in successfully: ${user.email} from IP: ${req.ip}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      tokens: {
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'Bearer',
+        expires_in: '24h'
+      },
+      // The tokens only reach the enrollment endpoints until 2FA is set up
+      two_factor_enrollment_required: twoFactorService.isRequired(req.tenant) && !user.two_factor_enabled
+    }
+  });
+};
+
+/**
+ * Helper function to accept a TOTP code of the user's enabled secret once
+ */
+const useTotpCode = async (user, code) => {
+  const secret = twoFactorService.decryptSecret(user.two_factor_secret);
+  const step = twoFactorService.verifyCode(secret, code, user.two_factor_last_step);
+  if (step === null) return false;
+
+  await user.update({ two_factor_last_step: step });
+  return true;
+};
+
+/**
+ * Helper function to consume one of the user's recovery codes
+ */
+const useRecoveryCode = async (user, code) => {
+  const remaining = twoFactorService.useRecoveryCode(user.two_factor_recovery_codes, code);
+  if (!remaining) return false;
+
+  await user.update({ two_factor_recovery_codes: remaining });
+  return true;
+};
+
+/**
+ * User logout, revokes the session of the access token
  */
 const logout = async (req, res) => {
   try {
+    if (req.user && req.user.sid) {
+      await req.models.RefreshToken.revokeFamily(req.user.sid, 'logout');
+    }
+
     // Clear session
     req.session.destroy((err) => {
       if (err) {
@@ -239,7 +436,8 @@ const logout = async (req, res) => {
 };
 
 /**
- * Refresh access token
+ * Refresh access token. The refresh token is replaced on every use;
+ * using a replaced one again revokes its whole session.
  */
 const refreshToken = async (req, res) => {
   try {
@@ -256,6 +454,30 @@ const refreshToken = async (req, res) => {
     // Verify refresh token
     const decoded = jwt.verify(refresh_token, process.env.JWT_REFRESH_SECRET);
 
+    const stored = decoded.jti && decoded.tenantId === req.tenantId
+      ? await req.models.RefreshToken.findByPk(decoded.jti)
+      : null;
+
+    if (!stored || stored.user_id !== decoded.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (stored.isReplaced()) {
+      return await rejectReplacedToken(req, res, stored, decoded);
+    }
+
+    if (!stored.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // Find user
     const user = await req.models.User.findByPk(decoded.userId);
     if (!user || !user.isActive()) {
@@ -266,16 +488,45 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user, req.tenantId);
+    // Generate new tokens in the same session
+    const tokens = await req.models.RefreshToken.sequelize.transaction(async (transaction) => {
+      const tokenId = crypto.randomUUID();
+
+      // Only one of two concurrent refreshes with the same token may win
+      const [replaced] = await req.models.RefreshToken.update(
+        { replaced_by_id: tokenId, replaced_at: new Date() },
+        { where: { id: stored.id, replaced_by_id: null, revoked_at: null }, transaction }
+      );
+      if (replaced !== 1) return null;
+
+      return await generateTokens(req, user, {
+        tokenId,
+        familyId: stored.family_id,
+        startedAt: stored.session_started_at,
+        transaction
+      });
+    });
+
+    if (!tokens) {
+      await stored.reload();
+
+      if (!stored.isReplaced()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended, please log in again',
+          code: 'SESSION_REVOKED'
+        });
+      }
+      return await rejectReplacedToken(req, res, stored, decoded);
+    }
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
         tokens: {
-          access_token: accessToken,
-          refresh_token: newRefreshToken,
+          access_token: tokens.accessToken,
+          refresh_token: tokens.refreshToken,
           token_type: 'Bearer',
           expires_in: '24h'
         }
@@ -300,6 +551,137 @@ const refreshToken = async (req, res) => {
   }
 };
 
+/**
+ * A replaced refresh token was used. Right after the replacement it is a
+ * concurrent refresh that lost the race: the client should use the token the
+ * winning request got. Later it is reuse.
+ */
+const rejectReplacedToken = async (req, res, stored, decoded) => {
+  if (stored.isRecentlyReplaced(REFRESH_REUSE_GRACE)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Refresh token was just rotated by another request, use the new one',
+      code: 'REFRESH_TOKEN_ROTATED'
+    });
+  }
+
+  return await rejectReusedToken(req, res, stored, decoded);
+};
+
+/**
+ * A refresh token was used after it had been replaced, so someone else has a copy.
+ * Neither copy can be trusted: end the session for both.
+ */
+const rejectReusedToken = async (req, res, stored, decoded) => {
+  await req.models.RefreshToken.revokeFamily(stored.family_id, 'reuse_detected');
+
+  logger.security('Refresh token reuse detected, session revoked', {
+    userId: decoded.userId,
+    email: decoded.email,
+    sessionId: stored.family_id,
+    tenantId: req.tenantId,
+    ip: req.ip
+  });
+
+  return res.status(401).json({
+    success: false,
+    message: 'Refresh token was already used, the session has been revoked',
+    code: 'REFRESH_TOKEN_REUSED'
+  });
+};
+
+/**
+ * Get active sessions of the current user
+ */
+const getSessions = async (req, res) => {
+  try {
+    const tokens = await req.models.RefreshToken.findActiveSessions(req.currentUser.id);
+    const currentSessionId = req.user.sid || null;
+
+    res.json({
+      success: true,
+      data: {
+        sessions: tokens.map(token => token.toSession(currentSessionId))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * End one session of the current user
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await req.models.RefreshToken.findActiveSession(req.params.id, req.currentUser.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await req.models.RefreshToken.revokeFamily(session.family_id, 'revoked_by_user');
+
+    logger.info(`Session ${session.family_id} revoked by user: ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        current: session.family_id === req.user.sid
+      }
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+/**
+ * Log out everywhere: end every session of the current user, including this one
+ */
+const logoutAll = async (req, res) => {
+  try {
+    await req.models.RefreshToken.revokeAllForUser(req.currentUser.id, 'logout_all');
+
+    logger.info(`User logged out of all sessions: ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all sessions'
+    });
+  }
+};
+
 /**
  * Get current user profile
  */
@@ -409,14 +791,25 @@ const changePassword = async (req, res) => {
       });
     }
 
-    // Update password
+    // Update password and end every session, this device gets a new one
     await user.update({ password: new_password });
+    await req.models.RefreshToken.revokeAllForUser(user.id, 'password_changed');
+
+    const { accessToken, refreshToken } = await generateTokens(req, user);
 
     logger.info(`Password changed for user: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. All other sessions have been logged out.',
+      data: {
+        tokens: {
+          access_token: accessToken,
+          refresh_token: refreshToken,
+          token_type: 'Bearer',
+          expires_in: '24h'
+        }
+      }
     });
 
   } catch (error) {
@@ -453,8 +846,11 @@ const forgotPassword = async (req, res) => {
       password_reset_expires: resetTokenExpires
     });
 
-    // TODO: Send email with reset link
-    // await sendPasswordResetEmail(user.email, resetToken);
+    const appUrl = mailerService.getAppUrl(req.tenant);
+    mailerService.sendTemplate(req.tenant, 'password_reset', user, {
+      reset_url: `${appUrl}/reset-password?token=${resetToken}`,
+      expires_minutes: 30
+    });
 
     logger.info(`Password reset requested for user: ${user.email}`);
 
@@ -502,6 +898,7 @@ const resetPassword = async (req, res) => {
       password_reset_token: null,
       password_reset_expires: null
     });
+    await req.models.RefreshToken.revokeAllForUser(user.id, 'password_reset');
 
     logger.info(`Password reset completed for user: ${user.email}`);
 
@@ -519,14 +916,443 @@ const resetPassword = async (req, res) => {
   }
 };
 
+/**
+ * Confirm the email address with the token of the verification email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await req.models.User.findOne({
+      where: { email_verification_token: req.body.token }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or already used verification token',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    await user.update({
+      email_verified: true,
+      email_verification_token: null
+    });
+
+    mailerService.sendTemplate(req.tenant, 'welcome', user, {
+      login_url: `${mailerService.getAppUrl(req.tenant)}/login`
+    });
+
+    logger.info(`Email verified for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email address'
+    });
+  }
+};
+
+/**
+ * Send the verification email of the current user again
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await req.models.User.findByPk(req.currentUser.id);
+
+    if (user.email_verified) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email address is already verified',
+        code: 'EMAIL_ALREADY_VERIFIED'
+      });
+    }
+
+    // A new token invalidates the links of earlier emails
+    await user.update({
+      email_verification_token: crypto.randomBytes(32).toString('hex')
+    });
+
+    sendVerificationEmail(req, user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
+/**
+ * Get two-factor authentication status of the current user
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = req.currentUser;
+
+    res.json({
+      success: true,
+      data: {
+        two_factor: {
+          enabled: user.two_factor_enabled,
+          pending_setup: !user.two_factor_enabled && Boolean(user.two_factor_secret),
+          recovery_codes_remaining: user.two_factor_enabled ? (user.two_factor_recovery_codes || []).length : 0,
+          required_by_tenant: twoFactorService.isRequired(req.tenant)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment: create a secret to add to an authenticator app
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.currentUser;
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    // Starting over replaces a secret that was never confirmed
+    const secret = twoFactorService.generateSecret();
+    await user.update({
+      two_factor_secret: twoFactorService.encryptSecret(secret),
+      two_factor_last_step: null
+    });
+
+    logger.info(`Two-factor setup started for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Add the secret to your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauth_uri: twoFactorService.getOtpauthUri(secret, {
+          issuer: req.tenant ? req.tenant.name : 'News CMS',
+          account: user.email
+        })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a code and create recovery codes
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.currentUser;
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the two-factor setup first',
+        code: 'TWO_FACTOR_NOT_SET_UP'
+      });
+    }
+
+    if (!await useTotpCode(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await user.update({
+      two_factor_enabled: true,
+      two_factor_recovery_codes: hashes
+    });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes now, they cannot be shown again.',
+      data: {
+        recovery_codes: codes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Disable 2FA after confirming the password
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.currentUser;
+
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (twoFactorService.isRequired(req.tenant)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is required for all users of this site',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const isValidPassword = await user.comparePassword(req.body.password);
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    await user.update({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_recovery_codes: null,
+      two_factor_last_step: null
+    });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes after confirming the password
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.currentUser;
+
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isValidPassword = await user.comparePassword(req.body.password);
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await user.update({ two_factor_recovery_codes: hashes });
+
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Store them now, they cannot be shown again.',
+      data: {
+        recovery_codes: codes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
+/**
+ * Require (or stop requiring) 2FA for every user of the tenant (Admin only)
+ */
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const required = req.body.required === true || req.body.required === 'true';
+
+    // Keeps admins from locking everyone into a policy they can't test themselves
+    if (required && !req.currentUser.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const settings = req.tenant.settings || {};
+    await req.tenant.update({
+      settings: {
+        ...settings,
+        security: {
+          ...(settings.security || {}),
+          require_two_factor: required
+        }
+      }
+    });
+
+    await auditService.record(req, 'settings.update_two_factor_policy', {
+      targetType: 'settings',
+      before: settings.security || {},
+      after: req.tenant.settings.security,
+      fields: ['require_two_factor']
+    });
+
+    const usersWithoutTwoFactor = await req.models.User.count({
+      where: { status: 'active', two_factor_enabled: false }
+    });
+
+    logger.info(`Two-factor requirement ${required ? 'enabled' : 'disabled'} by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: required
+        ? 'Two-factor authentication is now required for all users'
+        : 'Two-factor authentication is now optional',
+      data: {
+        require_two_factor: required,
+        users_without_two_factor: usersWithoutTwoFactor
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   logout,
+  logoutAll,
   refreshToken,
+  getSessions,
+  revokeSession,
   getProfile,
   updateProfile,
   changePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  updateTwoFactorPolicy
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+// controllers/cacheController.js
+const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+
+/**
+ * Get cache hit, miss and invalidation statistics of the tenant
+ */
+const getCacheStats = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        statistics: cacheService.getTenantStats(req.tenantId)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get cache statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cache statistics'
+    });
+  }
+};
+
+/**
+ * Reset the cache statistics of the tenant
+ */
+const resetCacheStats = async (req, res) => {
+  try {
+    cacheService.resetTenantStats(req.tenantId);
+
+    logger.info(`Cache statistics reset by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Cache statistics reset successfully'
+    });
+
+  } catch (error) {
+    logger.error('Reset cache statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset cache statistics'
+    });
+  }
+};
+
+module.exports = {
+  getCacheStats,
+  resetCacheStats
+};
@@ -2,8 +2,17 @@
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+const sitemapService = require('../services/sitemapService');
+const auditService = require('../services/auditService');
 const { sanitizeHtmlContent } = require('../middleware/security');
 
+// Category fields compared in audit entries
+const AUDIT_FIELDS = [
+  'name', 'slug', 'description', 'color', 'image', 'parent_id', 'sort_order', 'is_active', 'is_featured',
+  'meta_title', 'meta_description', 'meta_keywords'
+];
+
 /**
  * Get all categories
  */
@@ -256,7 +265,7 @@ const createCategory = async (req, res) => {
       image,
       parent_id: parent_id || null,
       sort_order: parseInt(sort_order),
-      is_featured: ['super_admin', 'admin'].includes(req.currentUser.role) ? is_featured : false,
+      is_featured: req.currentUser.hasPermission('categories', 'feature') ? is_featured : false,
       meta_title: meta_title ? sanitizeHtmlContent(meta_title) : null,
       meta_description: meta_description ? sanitizeHtmlContent(meta_description) : null,
       meta_keywords: meta_keywords ? sanitizeHtmlContent(meta_keywords) : null
@@ -265,6 +274,16 @@ const createCategory = async (req, res) => {
     // Create category
     const category = await req.models.Category.create(categoryData);
 
+    await cacheService.invalidateTags(req.tenantId, [`category:${category.id}`]);
+    await sitemapService.invalidate(req.tenantId, 'categories');
+
+    await auditService.record(req, 'category.create', {
+      targetType: 'category',
+      target: category,
+      after: category,
+      fields: AUDIT_FIELDS
+    });
+
     logger.info(`Category created: ${category.name} by ${req.currentUser.email}`);
 
     res.status(201).json({
@@ -383,14 +402,27 @@ const updateCategory = async (req, res) => {
     if (meta_description !== undefined) updateData.meta_description = meta_description ? sanitizeHtmlContent(meta_description) : null;
     if (meta_keywords !== undefined) updateData.meta_keywords = meta_keywords ? sanitizeHtmlContent(meta_keywords) : null;
 
-    // Only admins can set featured status
-    if (['super_admin', 'admin'].includes(req.currentUser.role)) {
+    // Featured status needs its own permission
+    if (req.currentUser.hasPermission('categories', 'feature')) {
       if (is_featured !== undefined) updateData.is_featured = is_featured;
     }
 
     // Update category
+    const auditBefore = category.get({ plain: true });
     await category.update(updateData);
 
+    await auditService.record(req, 'category.update', {
+      targetType: 'category',
+      target: category,
+      before: auditBefore,
+      after: category,
+      fields: AUDIT_FIELDS
+    });
+
+    // Articles and lists embed the category's name, slug and color
+    await cacheService.invalidateTags(req.tenantId, [`category:${category.id}`]);
+    await sitemapService.invalidate(req.tenantId, 'categories');
+
     logger.info(`Category updated: ${category.name} by ${req.currentUser.email}`);
 
     res.json({
@@ -454,6 +486,16 @@ const deleteCategory = async (req, res) => {
     // Delete category
     await category.destroy();
 
+    await auditService.record(req, 'category.delete', {
+      targetType: 'category',
+      target: category,
+      before: category,
+      fields: AUDIT_FIELDS
+    });
+
+    await cacheService.invalidateTags(req.tenantId, [`category:${categoryId}`]);
+    await sitemapService.invalidate(req.tenantId, 'categories');
+
     logger.info(`Category deleted: ${categoryName} by ${req.currentUser.email}`);
 
     res.json({
@@ -509,6 +551,11 @@ const reorderCategories = async (req, res) => {
 
     await req.models.Category.reorderCategories(category_ids);
 
+    await auditService.record(req, 'category.reorder', {
+      targetType: 'category',
+      metadata: { category_ids }
+    });
+
     logger.info(`Categories reordered by ${req.currentUser.email}`);
 
     res.json({
@@ -581,5 +628,6 @@ module.exports = {
   deleteCategory,
   getCategoriesWithCounts,
   reorderCategories,
-  getPopularCategories
+  getPopularCategories,
+  getDescendantIds
 };
\ No newline at end of file
@@ -0,0 +1,540 @@
+// controllers/commentController.js
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+const { sanitizePlainText } = require('../middleware/security');
+
+// Defaults for tenant.settings.comments
+const DEFAULT_COMMENT_SETTINGS = {
+  enabled: true,
+  allow_guests: true,
+  moderation: 'guests', // 'none', 'guests' or 'all'
+  max_depth: 3
+};
+
+/**
+ * Get approved comments of an article as threads
+ */
+const getArticleComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, sort = 'newest' } = req.query;
+
+    const pageLimit = Math.min(parseInt(limit), 50);
+    const offset = (parseInt(page) - 1) * pageLimit;
+
+    const article = await findPublicArticle(req.models, req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    const settings = getCommentSettings(req.tenant);
+    const commentsOpen = settings.enabled && article.allow_comments;
+
+    const authorInclude = {
+      model: req.models.User,
+      as: 'author',
+      attributes: ['id', 'first_name', 'last_name', 'avatar']
+    };
+
+    // Deleted comments are loaded so their replies keep their place in the thread, but only
+    // when the thread still has a visible reply: buildTree drops the others, so they don't count
+    const sequelize = req.models.Comment.sequelize;
+    const { count, rows: rootComments } = await req.models.Comment.findAndCountAll({
+      where: {
+        news_id: article.id,
+        parent_id: null,
+        [Op.or]: [
+          { status: 'approved' },
+          {
+            status: 'deleted',
+            id: {
+              [Op.in]: sequelize.literal(
+                `(SELECT root_id FROM comments WHERE news_id = ${sequelize.escape(article.id)} AND root_id IS NOT NULL AND status = 'approved')`
+              )
+            }
+          }
+        ]
+      },
+      include: [authorInclude],
+      order: [['created_at', sort === 'oldest' ? 'ASC' : 'DESC']],
+      limit: pageLimit,
+      offset
+    });
+
+    const replies = rootComments.length > 0
+      ? await req.models.Comment.findAll({
+        where: {
+          root_id: { [Op.in]: rootComments.map(comment => comment.id) },
+          status: { [Op.in]: ['approved', 'deleted'] }
+        },
+        include: [authorInclude],
+        order: [['created_at', 'ASC']]
+      })
+      : [];
+
+    const totalPages = Math.ceil(count / pageLimit);
+
+    res.json({
+      success: true,
+      data: {
+        comments: req.models.Comment.buildTree([...rootComments, ...replies]),
+        comments_count: article.comments_count,
+        comments_open: commentsOpen,
+        allow_guests: commentsOpen && settings.allow_guests,
+        max_depth: settings.max_depth,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: pageLimit,
+          has_next_page: page < totalPages,
+          has_prev_page: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get article comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments'
+    });
+  }
+};
+
+/**
+ * Post a comment or reply on an article
+ */
+const createComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { content, parent_id, guest_name, guest_email } = req.body;
+
+    const article = await findPublicArticle(req.models, req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    const settings = getCommentSettings(req.tenant);
+
+    if (!settings.enabled || !article.allow_comments) {
+      return res.status(403).json({
+        success: false,
+        message: 'Comments are closed for this article',
+        code: 'COMMENTS_DISABLED'
+      });
+    }
+
+    const user = req.currentUser || null;
+
+    if (!user) {
+      if (!settings.allow_guests) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please log in to comment',
+          code: 'AUTHENTICATION_REQUIRED'
+        });
+      }
+
+      if (!guest_name || !guest_email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name and email are required to comment as a guest',
+          code: 'GUEST_DETAILS_REQUIRED'
+        });
+      }
+    }
+
+    // Replies must target a visible comment of the same article
+    let parent = null;
+    if (parent_id) {
+      parent = await req.models.Comment.findOne({
+        where: { id: parent_id, news_id: article.id, status: 'approved' }
+      });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found',
+          code: 'PARENT_COMMENT_NOT_FOUND'
+        });
+      }
+
+      if (parent.depth + 1 > settings.max_depth) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies can be nested at most ${settings.max_depth} levels deep`,
+          code: 'MAX_DEPTH_EXCEEDED'
+        });
+      }
+    }
+
+    const sanitizedContent = sanitizePlainText(content);
+    if (!sanitizedContent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot be empty',
+        code: 'EMPTY_COMMENT'
+      });
+    }
+
+    const comment = await req.models.Comment.create({
+      news_id: article.id,
+      parent_id: parent ? parent.id : null,
+      root_id: parent ? (parent.root_id || parent.id) : null,
+      depth: parent ? parent.depth + 1 : 0,
+      user_id: user ? user.id : null,
+      guest_name: user ? null : sanitizePlainText(guest_name),
+      guest_email: user ? null : guest_email.toLowerCase(),
+      content: sanitizedContent,
+      status: needsModeration(settings, user) ? 'pending' : 'approved',
+      ip_address: req.ip,
+      user_agent: (req.get('User-Agent') || '').substring(0, 500)
+    });
+
+    if (comment.status === 'approved') {
+      await req.models.Comment.refreshArticleCount(article.id);
+      await cacheService.invalidateArticleCache(req.tenantId, article.id, { lists: false });
+    }
+
+    if (user) {
+      comment.author = user;
+    }
+
+    logger.info(`Comment ${comment.status} on article ${article.id} by ${user ? user.email : `guest ${comment.guest_email}`}`);
+
+    res.status(201).json({
+      success: true,
+      message: comment.status === 'approved'
+        ? 'Comment posted successfully'
+        : 'Comment submitted and awaiting moderation',
+      data: {
+        comment: {
+          ...comment.toPublicJSON(),
+          status: comment.status
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post comment'
+    });
+  }
+};
+
+/**
+ * Get comments for moderation
+ */
+const getComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      status = 'pending',
+      news_id,
+      search
+    } = req.query;
+
+    const pageLimit = Math.min(parseInt(limit), 100);
+    const offset = (parseInt(page) - 1) * pageLimit;
+
+    const where = {};
+    if (status !== 'all') where.status = status;
+    if (news_id) where.news_id = news_id;
+    if (search) {
+      where[Op.or] = [
+        { content: { [Op.like]: `%${search}%` } },
+        { guest_name: { [Op.like]: `%${search}%` } },
+        { guest_email: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: comments } = await req.models.Comment.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.models.User,
+          as: 'author',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'avatar']
+        },
+        {
+          model: req.models.News,
+          as: 'article',
+          attributes: ['id', 'title', 'slug']
+        },
+        {
+          model: req.models.User,
+          as: 'moderator',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: pageLimit,
+      offset
+    });
+
+    const statusCounts = await req.models.Comment.findAll({
+      attributes: [
+        'status',
+        [req.models.Comment.sequelize.fn('COUNT', req.models.Comment.sequelize.col('id')), 'count']
+      ],
+      group: ['status'],
+      raw: true
+    });
+
+    const totalPages = Math.ceil(count / pageLimit);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        status_counts: statusCounts.reduce((acc, item) => {
+          acc[item.status] = parseInt(item.count);
+          return acc;
+        }, {}),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: pageLimit,
+          has_next_page: page < totalPages,
+          has_prev_page: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments'
+    });
+  }
+};
+
+/**
+ * Change the moderation status of a comment
+ */
+const moderateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await req.models.Comment.findByPk(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+        code: 'COMMENT_NOT_FOUND'
+      });
+    }
+
+    await comment.update({
+      status: req.body.status,
+      moderated_by: req.currentUser.id,
+      moderated_at: new Date()
+    });
+
+    await req.models.Comment.refreshArticleCount(comment.news_id);
+    await cacheService.invalidateArticleCache(req.tenantId, comment.news_id, { lists: false });
+
+    logger.info(`Comment ${comment.id} marked ${comment.status} by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: `Comment marked as ${comment.status}`,
+      data: { comment }
+    });
+
+  } catch (error) {
+    logger.error('Moderate comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate comment'
+    });
+  }
+};
+
+/**
+ * Delete a comment (soft delete, replies stay visible)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await req.models.Comment.findByPk(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+        code: 'COMMENT_NOT_FOUND'
+      });
+    }
+
+    await comment.update({
+      status: 'deleted',
+      moderated_by: req.currentUser.id,
+      moderated_at: new Date()
+    });
+
+    await req.models.Comment.refreshArticleCount(comment.news_id);
+    await cacheService.invalidateArticleCache(req.tenantId, comment.news_id, { lists: false });
+
+    logger.info(`Comment ${comment.id} deleted by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment'
+    });
+  }
+};
+
+/**
+ * Change the moderation status of several comments
+ */
+const bulkModerateComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { comment_ids, status } = req.body;
+
+    const comments = await req.models.Comment.findAll({
+      where: { id: { [Op.in]: comment_ids } },
+      attributes: ['id', 'news_id']
+    });
+
+    const [affectedCount] = await req.models.Comment.update({
+      status,
+      moderated_by: req.currentUser.id,
+      moderated_at: new Date()
+    }, {
+      where: { id: { [Op.in]: comments.map(comment => comment.id) } }
+    });
+
+    const articleIds = [...new Set(comments.map(comment => comment.news_id))];
+    for (const articleId of articleIds) {
+      await req.models.Comment.refreshArticleCount(articleId);
+      await cacheService.invalidateArticleCache(req.tenantId, articleId, { lists: false });
+    }
+
+    logger.info(`Bulk comment moderation (${status}) on ${affectedCount} comments by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: `${affectedCount} comments marked as ${status}`,
+      data: {
+        affected_count: affectedCount
+      }
+    });
+
+  } catch (error) {
+    logger.error('Bulk moderate comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Bulk moderation failed'
+    });
+  }
+};
+
+/**
+ * Helper function to read the tenant's comment settings
+ */
+const getCommentSettings = (tenant) => {
+  const settings = (tenant && tenant.settings && tenant.settings.comments) || {};
+  return { ...DEFAULT_COMMENT_SETTINGS, ...settings };
+};
+
+/**
+ * Helper function to decide whether a new comment is held for moderation
+ */
+const needsModeration = (settings, user) => {
+  if (user && user.hasPermission('comments', 'moderate')) return false;
+  if (settings.moderation === 'all') return true;
+  if (settings.moderation === 'guests') return !user;
+  return false;
+};
+
+/**
+ * Helper function to find a published public article by ID or slug
+ */
+const findPublicArticle = async (models, identifier) => {
+  const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(identifier);
+
+  return await models.News.findOne({
+    where: {
+      ...(isUUID ? { id: identifier } : { slug: identifier }),
+      status: 'published',
+      visibility: 'public'
+    },
+    attributes: ['id', 'title', 'allow_comments', 'comments_count']
+  });
+};
+
+module.exports = {
+  getArticleComments,
+  createComment,
+  getComments,
+  moderateComment,
+  deleteComment,
+  bulkModerateComments
+};
@@ -0,0 +1,212 @@
+// controllers/feedController.js
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+const feedService = require('../services/feedService');
+
+const FEED_FILES = {
+  rss: 'rss.xml',
+  atom: 'atom.xml',
+  json: 'feed.json'
+};
+
+/**
+ * RSS 2.0 feed
+ */
+const getRssFeed = async (req, res) => {
+  return await serveFeed(req, res, 'rss');
+};
+
+/**
+ * Atom 1.0 feed
+ */
+const getAtomFeed = async (req, res) => {
+  return await serveFeed(req, res, 'atom');
+};
+
+/**
+ * JSON Feed 1.1
+ */
+const getJsonFeed = async (req, res) => {
+  return await serveFeed(req, res, 'json');
+};
+
+/**
+ * Helper function to build (or load from cache) a feed and answer conditional requests
+ */
+const serveFeed = async (req, res, format) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.tenant || !req.models) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found',
+        code: 'TENANT_NOT_FOUND'
+      });
+    }
+
+    const { category, tag } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    // Feed links are absolute, so each host gets its own copy
+    const siteUrl = `${req.protocol}://${req.get('host')}`;
+    const cacheKey = `${siteUrl}:${format}:${category ? `category:${category}` : tag ? `tag:${tag}` : 'all'}:${limit}`;
+
+    let feed = await cacheService.getCachedFeed(req.tenantId, cacheKey);
+
+    if (!feed) {
+      const built = await buildFeed(req, format, { siteUrl, category, tag, limit });
+
+      if (!built) {
+        return res.status(404).json({
+          success: false,
+          message: category ? 'Category not found' : 'Tag not found',
+          code: category ? 'CATEGORY_NOT_FOUND' : 'TAG_NOT_FOUND'
+        });
+      }
+
+      feed = built.feed;
+      await cacheService.cacheFeed(req.tenantId, cacheKey, feed, 900, built.tags);
+    }
+
+    res.set({
+      'Content-Type': feed.contentType,
+      'ETag': feed.etag,
+      'Last-Modified': feed.lastModified,
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (isNotModified(req, feed)) {
+      return res.status(304).end();
+    }
+
+    res.send(feed.body);
+
+  } catch (error) {
+    logger.error(`Get ${format} feed error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate feed'
+    });
+  }
+};
+
+/**
+ * Helper function to query the articles of a feed and render it
+ * @returns {Object|null} { feed, tags } with the cache tags of the feed, null if the category or tag doesn't exist
+ */
+const buildFeed = async (req, format, { siteUrl, category, tag, limit }) => {
+  const settings = req.tenant.settings || {};
+
+  const where = {};
+  const tags = ['list:published'];
+
+  let title = req.tenant.name;
+  let description = `Latest news from ${req.tenant.name}`;
+  let feedPath = `/feeds/${FEED_FILES[format]}`;
+
+  if (category) {
+    const categoryRecord = await req.models.Category.findOne({
+      where: { slug: category, is_active: true }
+    });
+    if (!categoryRecord) return null;
+
+    where.category_id = categoryRecord.id;
+    tags.push(`category:${categoryRecord.id}`);
+    title = `${req.tenant.name} - ${categoryRecord.name}`;
+    description = categoryRecord.description || `Latest ${categoryRecord.name} news from ${req.tenant.name}`;
+    feedPath = `/feeds/category/${categoryRecord.slug}/${FEED_FILES[format]}`;
+  }
+
+  if (tag) {
+    const tagRecord = await req.models.Tag.findOne({
+      where: { slug: tag, is_active: true }
+    });
+    if (!tagRecord) return null;
+
+    // Filter with a subquery so every tag of the article still shows up in the item
+    where.id = {
+      [Op.in]: req.models.News.sequelize.literal(
+        `(SELECT news_id FROM news_tags WHERE tag_id = ${req.models.News.sequelize.escape(tagRecord.id)})`
+      )
+    };
+    tags.push(`tag:${tagRecord.id}`);
+    title = `${req.tenant.name} - ${tagRecord.name}`;
+    description = `Latest news tagged ${tagRecord.name} from ${req.tenant.name}`;
+    feedPath = `/feeds/tag/${tagRecord.slug}/${FEED_FILES[format]}`;
+  }
+
+  const articles = await req.models.News.findPublished({
+    where,
+    include: [
+      {
+        model: req.models.User,
+        as: 'author',
+        attributes: ['id', 'first_name', 'last_name']
+      },
+      {
+        model: req.models.Category,
+        as: 'category',
+        attributes: ['id', 'name', 'slug']
+      },
+      {
+        model: req.models.Tag,
+        as: 'tags',
+        attributes: ['id', 'name', 'slug'],
+        through: { attributes: [] }
+      }
+    ],
+    limit
+  });
+
+  const items = articles.map(article => feedService.toFeedItem(article, siteUrl));
+
+  // Feed changes whenever its newest or most recently edited item does
+  const updated = items.length > 0
+    ? new Date(Math.max(...items.map(item => item.updated.getTime())))
+    : new Date(req.tenant.created_at || Date.now());
+  updated.setMilliseconds(0);
+
+  const feed = feedService.render(format, {
+    title,
+    description,
+    siteUrl,
+    feedUrl: `${siteUrl}${feedPath}`,
+    language: settings.language || 'en',
+    updated
+  }, items);
+
+  return { feed, tags: [...tags, ...cacheService.getArticleTags(articles)] };
+};
+
+/**
+ * Helper function to evaluate If-None-Match / If-Modified-Since
+ */
+const isNotModified = (req, feed) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === feed.etag || tag === '*');
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince) {
+    const since = new Date(ifModifiedSince);
+    return !isNaN(since.getTime()) && new Date(feed.lastModified) <= since;
+  }
+
+  return false;
+};
+
+module.exports = {
+  getRssFeed,
+  getAtomFeed,
+  getJsonFeed
+};
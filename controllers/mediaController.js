@@ -0,0 +1,897 @@
+// controllers/mediaController.js
+const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const mime = require('mime-types');
+const auditService = require('../services/auditService');
+const mediaService = require('../services/mediaService');
+const imageTransformService = require('../services/imageTransformService');
+const uploadService = require('../services/uploadService');
+const logger = require('../utils/logger');
+const { sanitizeHtmlContent } = require('../middleware/security');
+
+// Metadata fields compared in audit entries
+const AUDIT_FIELDS = ['alt_text', 'caption', 'credit', 'copyright', 'tags', 'is_private'];
+
+const SORT_ORDERS = {
+  newest: [['created_at', 'DESC']],
+  oldest: [['created_at', 'ASC']],
+  name: [['original_name', 'ASC'], ['created_at', 'DESC']],
+  size: [['file_size', 'DESC']],
+  most_used: [['usage_count', 'DESC'], ['created_at', 'DESC']]
+};
+
+const uploaderInclude = (req) => ({
+  model: req.models.User,
+  as: 'uploader',
+  attributes: ['id', 'first_name', 'last_name', 'email']
+});
+
+/**
+ * Helper function to build the where clause from the query filters
+ */
+const buildWhere = (req) => {
+  const { search, upload_type, uploaded_by, tag, date_from, date_to, unused, trashed } = req.query;
+  const where = {};
+  const conditions = [];
+
+  if (trashed === 'true') where.deleted_at = { [Op.ne]: null };
+
+  if (upload_type) where.upload_type = upload_type;
+  if (uploaded_by) where.uploaded_by = uploaded_by === 'me' ? req.currentUser.id : uploaded_by;
+  if (unused === 'true') where.usage_count = 0;
+
+  if (date_from || date_to) {
+    where.created_at = {};
+    if (date_from) where.created_at[Op.gte] = new Date(date_from);
+    if (date_to) where.created_at[Op.lte] = new Date(date_to);
+  }
+
+  if (tag) {
+    conditions.push(req.db.where(
+      req.db.fn('JSON_CONTAINS', req.db.col('tags'), JSON.stringify(tag.trim().toLowerCase())),
+      1
+    ));
+  }
+
+  if (search) {
+    conditions.push({
+      [Op.or]: [
+        { original_name: { [Op.like]: `%${search}%` } },
+        { alt_text: { [Op.like]: `%${search}%` } },
+        { caption: { [Op.like]: `%${search}%` } },
+        { credit: { [Op.like]: `%${search}%` } },
+        req.db.where(req.db.cast(req.db.col('tags'), 'CHAR'), { [Op.like]: `%${search.toLowerCase()}%` })
+      ]
+    });
+  }
+
+  if (conditions.length > 0) where[Op.and] = conditions;
+
+  return where;
+};
+
+/**
+ * Helper function to check if the user can edit the metadata of an asset
+ */
+const canEditAsset = (user, asset) => {
+  return asset.uploaded_by === user.id
+    ? user.hasPermission('media', 'update')
+    : user.hasPermission('media', 'update_any');
+};
+
+/**
+ * Get media assets with search, filters and pagination
+ */
+const getMediaAssets = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 24, sort = 'newest' } = req.query;
+    const pageLimit = Math.min(parseInt(limit), 100);
+    const offset = (parseInt(page) - 1) * pageLimit;
+
+    const { count, rows: assets } = await req.models.MediaAsset.findAndCountAll({
+      where: buildWhere(req),
+      include: [uploaderInclude(req)],
+      paranoid: req.query.trashed !== 'true',
+      order: SORT_ORDERS[sort] || SORT_ORDERS.newest,
+      limit: pageLimit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / pageLimit);
+
+    res.json({
+      success: true,
+      data: {
+        assets,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: pageLimit,
+          has_next_page: page < totalPages,
+          has_prev_page: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get media assets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch media assets'
+    });
+  }
+};
+
+/**
+ * Get single media asset
+ */
+const getMediaAssetById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id, {
+      include: [uploaderInclude(req)]
+    });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        asset
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get media asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch media asset'
+    });
+  }
+};
+
+/**
+ * Get articles, users and categories the asset is used in
+ */
+const getMediaAssetUsage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    const usages = await asset.refreshUsage();
+
+    res.json({
+      success: true,
+      data: {
+        asset_id: asset.id,
+        usage_count: usages.length,
+        usages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get media usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch media usage'
+    });
+  }
+};
+
+/**
+ * Update alt text, caption, credit, copyright, tags and visibility of an asset
+ */
+const updateMediaAsset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    if (!canEditAsset(req.currentUser, asset)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit media you uploaded',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const updateData = {};
+    for (const field of ['alt_text', 'caption', 'credit', 'copyright']) {
+      const value = req.body[field];
+      if (value !== undefined) updateData[field] = value ? sanitizeHtmlContent(value).trim() : null;
+    }
+    if (req.body.tags !== undefined) updateData.tags = req.body.tags.map(tag => sanitizeHtmlContent(tag));
+    if (req.body.is_private !== undefined) updateData.is_private = req.body.is_private;
+
+    const auditBefore = asset.get({ plain: true });
+
+    // Move the files first so a storage failure leaves the asset as it was
+    if (updateData.is_private !== undefined && updateData.is_private !== asset.is_private) {
+      await uploadService.setImageVisibility(
+        { ...asset.toImageData(), tenant_id: req.tenantId },
+        updateData.is_private ? 'private' : 'public'
+      );
+    }
+
+    await asset.update(updateData);
+
+    await auditService.record(req, 'media.update', {
+      targetType: 'media',
+      target: { id: asset.id, label: asset.original_name || asset.file_id },
+      before: auditBefore,
+      after: asset,
+      fields: AUDIT_FIELDS
+    });
+
+    res.json({
+      success: true,
+      message: 'Media asset updated successfully',
+      data: {
+        asset
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update media asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update media asset'
+    });
+  }
+};
+
+/**
+ * Set the focal point and crop boxes of an asset and regenerate its sizes
+ */
+const setMediaAssetCrop = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    if (!canEditAsset(req.currentUser, asset)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit media you uploaded',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const { focal_point, crops } = req.body;
+
+    // Boxes may be named after a generated size or a transform preset of the tenant
+    const cropNames = [
+      ...Object.keys(asset.sizes || {}),
+      ...Object.keys(imageTransformService.getPresets(req.tenant))
+    ];
+    const unknown = Object.keys(crops || {}).filter(name => !cropNames.includes(name));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown crop names: ${unknown.join(', ')}`,
+        code: 'INVALID_CROP',
+        allowed_names: cropNames
+      });
+    }
+
+    const auditBefore = asset.get({ plain: true });
+
+    const { articles_updated } = await mediaService.setCrop(req.models, req.tenantId, asset, {
+      focalPoint: focal_point === undefined ? asset.focal_point : focal_point,
+      crops: crops === undefined ? asset.crops : (crops || {})
+    });
+
+    await auditService.record(req, 'media.crop', {
+      targetType: 'media',
+      target: { id: asset.id, label: asset.original_name || asset.file_id },
+      before: auditBefore,
+      after: asset,
+      fields: ['focal_point', 'crops'],
+      metadata: { articles_updated }
+    });
+
+    res.json({
+      success: true,
+      message: 'Image sizes regenerated successfully',
+      data: {
+        asset,
+        articles_updated
+      }
+    });
+
+  } catch (error) {
+    logger.error('Set media asset crop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate image sizes'
+    });
+  }
+};
+
+/**
+ * Delete an asset. Assets in use are refused unless soft (move to the trash,
+ * files stay) or force (delete anyway, media:force_delete only) is set.
+ */
+const deleteMediaAsset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const force = req.query.force === 'true';
+    const soft = req.query.soft === 'true';
+
+    if (force && !req.currentUser.hasPermission('media', 'force_delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to delete media that is in use',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id, { paranoid: !force });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    const { result, usages } = await mediaService.deleteAsset(req.tenantId, asset, {
+      force,
+      soft,
+      userId: req.currentUser.id
+    });
+
+    if (result === 'in_use') {
+      return res.status(409).json({
+        success: false,
+        message: `Media is used in ${usages.length} places. Remove it there first, move it to the trash or force the deletion.`,
+        code: 'MEDIA_IN_USE',
+        data: {
+          usages
+        }
+      });
+    }
+
+    await auditService.record(req, result === 'trashed' ? 'media.trash' : 'media.delete', {
+      targetType: 'media',
+      target: { id: asset.id, label: asset.original_name || asset.file_id },
+      metadata: { file_id: asset.file_id, usage_count: usages.length, forced: force && usages.length > 0 }
+    });
+
+    logger.info(`Media asset ${result}: ${asset.file_id} by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: result === 'trashed'
+        ? 'Media asset is in use and was moved to the trash, its files are kept'
+        : 'Media asset deleted successfully',
+      data: {
+        result,
+        // Records left pointing at files that no longer exist
+        broken_references: result === 'deleted' ? usages : []
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delete media asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete media asset'
+    });
+  }
+};
+
+/**
+ * Restore an asset from the trash
+ */
+const restoreMediaAsset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id, { paranoid: false });
+
+    if (!asset || !asset.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found in the trash',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    await asset.restore();
+    await asset.update({ deleted_by: null });
+
+    await auditService.record(req, 'media.restore', {
+      targetType: 'media',
+      target: { id: asset.id, label: asset.original_name || asset.file_id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Media asset restored successfully',
+      data: {
+        asset
+      }
+    });
+
+  } catch (error) {
+    logger.error('Restore media asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore media asset'
+    });
+  }
+};
+
+/**
+ * Report orphan files, expired trash and missing files of the tenant, or clean them up
+ */
+const sweepOrphans = async (req, res) => {
+  try {
+    const clean = req.method === 'POST';
+    const report = await mediaService.sweepTenant(req.models, req.tenantId, { clean });
+
+    if (clean) {
+      await auditService.record(req, 'media.sweep', {
+        targetType: 'media',
+        metadata: {
+          orphan_files: report.orphan_files.length,
+          orphan_size: report.orphan_size,
+          expired_trash: report.expired_trash.length,
+          missing_files: report.missing_files.length
+        }
+      });
+
+      logger.info(`Media orphans cleaned by ${req.currentUser.email}: ${report.orphan_files.length} files`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        formatted_orphan_size: uploadService.formatBytes(report.orphan_size),
+        sweep_mode: mediaService.getSweepMode(req.tenant)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Media orphan sweep error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sweep media orphans'
+    });
+  }
+};
+
+/**
+ * Get tags used on media assets with the number of assets having each
+ */
+const getMediaTags = async (req, res) => {
+  try {
+    const assets = await req.models.MediaAsset.findAll({
+      attributes: ['tags'],
+      where: req.db.where(req.db.fn('JSON_LENGTH', req.db.col('tags')), { [Op.gt]: 0 }),
+      raw: true
+    });
+
+    const counts = {};
+    assets.forEach((asset) => {
+      const tags = typeof asset.tags === 'string' ? JSON.parse(asset.tags) : asset.tags;
+      (tags || []).forEach((tag) => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+
+    const tags = Object.entries(counts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    res.json({
+      success: true,
+      data: {
+        tags
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get media tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch media tags'
+    });
+  }
+};
+
+/**
+ * Serve a private file of the local storage driver through its signed URL
+ */
+const getSignedFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { driver } = uploadService;
+
+    // S3 signed URLs point at the bucket, only local files come through here
+    if (typeof driver.verifySignedUrl !== 'function' || !driver.verifySignedUrl(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired file link',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    // On a tenant host only that tenant's files are served
+    if (req.tenantId && !key.startsWith(uploadService.getTenantPrefix(req.tenantId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    const file = await uploadService.readFile(key);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    res.set({
+      'Content-Type': mime.lookup(key) || 'application/octet-stream',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(file);
+
+  } catch (error) {
+    logger.error('Get signed file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch file'
+    });
+  }
+};
+
+/**
+ * Serve a derived image of an asset: a named preset of the tenant, or
+ * arbitrary parameters with a signature from getTransformUrl
+ */
+const transformMediaAsset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { preset, signature, expires } = req.query;
+    let requested = req.query;
+
+    if (preset) {
+      requested = imageTransformService.getPresets(req.tenant)[preset];
+
+      if (!requested) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transform preset not found',
+          code: 'PRESET_NOT_FOUND'
+        });
+      }
+    }
+
+    const { params, error } = imageTransformService.normalizeParams(requested);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        code: 'INVALID_TRANSFORM'
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    // Presets of public assets are open, everything else needs a signature
+    // (one that expires for private assets)
+    const allowed = signature !== undefined
+      ? imageTransformService.verifySignature(asset.id, params, signature, expires) && (!asset.is_private || Boolean(expires))
+      : Boolean(preset) && !asset.is_private;
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired transform signature',
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    const format = imageTransformService.negotiateFormat(params.format, req.get('Accept'));
+    const result = await imageTransformService.transform(req.tenantId, asset, params, format, preset || null);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image file not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    res.set({
+      'Content-Type': imageTransformService.getContentType(result.format),
+      'Cache-Control': asset.is_private ? 'private, max-age=300' : 'public, max-age=86400',
+      'X-Transform-Cache': result.cached ? 'HIT' : 'MISS'
+    });
+    if (params.format === 'auto') res.vary('Accept');
+
+    res.send(result.buffer);
+
+  } catch (error) {
+    logger.error('Transform media asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transform image'
+    });
+  }
+};
+
+/**
+ * Get a signed transform URL of an asset, plus the URLs of the tenant's presets
+ */
+const getTransformUrl = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { params, error } = imageTransformService.normalizeParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        code: 'INVALID_TRANSFORM'
+      });
+    }
+
+    const asset = await req.models.MediaAsset.findByPk(req.params.id);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media asset not found',
+        code: 'MEDIA_NOT_FOUND'
+      });
+    }
+
+    // Links to private assets always expire
+    const expiresIn = req.query.expires_in
+      ? parseInt(req.query.expires_in)
+      : (asset.is_private ? uploadService.signedUrlTtl : null);
+
+    const presets = {};
+    for (const [name, preset] of Object.entries(imageTransformService.getPresets(req.tenant))) {
+      presets[name] = asset.is_private
+        ? imageTransformService.getSignedUrl(asset.id, imageTransformService.normalizeParams(preset).params, { expiresIn, preset: name })
+        : imageTransformService.getPresetUrl(asset.id, name);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        url: imageTransformService.getSignedUrl(asset.id, params, { expiresIn }),
+        params,
+        expires_in: expiresIn,
+        presets
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get transform URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create transform URL'
+    });
+  }
+};
+
+/**
+ * Get the transform presets of the tenant
+ */
+const getTransformPresets = async (req, res) => {
+  try {
+    const media = (req.tenant.settings && req.tenant.settings.media) || {};
+    const custom = media.transform_presets || {};
+    const presets = imageTransformService.getPresets(req.tenant);
+
+    res.json({
+      success: true,
+      data: {
+        presets: Object.entries(presets).map(([name, preset]) => ({
+          name,
+          ...preset,
+          custom: Boolean(custom[name])
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get transform presets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transform presets'
+    });
+  }
+};
+
+/**
+ * Replace the tenant's own transform presets (built-in ones can be overridden)
+ */
+const updateTransformPresets = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { presets } = imageTransformService.validatePresets(req.body.presets);
+
+    const settings = req.tenant.settings || {};
+    const previous = (settings.media && settings.media.transform_presets) || {};
+
+    await req.tenant.update({
+      settings: {
+        ...settings,
+        media: {
+          ...(settings.media || {}),
+          transform_presets: presets
+        }
+      }
+    });
+
+    await auditService.record(req, 'settings.update_transform_presets', {
+      targetType: 'settings',
+      before: { transform_presets: previous },
+      after: { transform_presets: presets },
+      fields: ['transform_presets']
+    });
+
+    logger.info(`Transform presets updated by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Transform presets updated successfully',
+      data: {
+        presets: imageTransformService.getPresets(req.tenant)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update transform presets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update transform presets'
+    });
+  }
+};
+
+module.exports = {
+  getMediaAssets,
+  getMediaAssetById,
+  getMediaAssetUsage,
+  updateMediaAsset,
+  setMediaAssetCrop,
+  deleteMediaAsset,
+  restoreMediaAsset,
+  sweepOrphans,
+  getMediaTags,
+  getSignedFile,
+  transformMediaAsset,
+  getTransformUrl,
+  getTransformPresets,
+  updateTransformPresets
+};
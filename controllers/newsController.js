@@ -4,7 +4,21 @@ const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const cacheService = require('../config/cache');
 const uploadService = require('../services/uploadService');
+const workflowService = require('../services/workflowService');
+const searchService = require('../services/searchService');
+const viewTrackingService = require('../services/viewTrackingService');
+const sitemapService = require('../services/sitemapService');
+const seoService = require('../services/seoService');
+const auditService = require('../services/auditService');
+const mediaService = require('../services/mediaService');
 const { sanitizeHtmlContent } = require('../middleware/security');
+const { getDescendantIds } = require('./categoryController');
+
+// Article fields compared in audit entries, the body is only flagged as changed
+const AUDIT_FIELDS = [
+  'title', 'slug', 'excerpt', 'category_id', 'status', 'visibility', 'is_featured', 'is_breaking',
+  'allow_comments', 'scheduled_at', 'meta_title', 'meta_description', 'meta_keywords', 'featured_image'
+];
 
 /**
  * Get all news articles with pagination and filters
@@ -21,16 +35,25 @@ const getAllNews = async (req, res) => {
       sort = 'created_at',
       order = 'DESC',
       featured,
-      breaking
+      breaking,
+      my_desk
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const pageLimit = Math.min(parseInt(limit), 100);
 
+    // "My desk" lists the articles of the user's sections
+    const deskScope = my_desk === 'true' ? await getCategoryScope(req) : null;
+
+    // Without read_any the list holds the user's own articles, so it is cached per user
+    const readsAny = req.currentUser.hasPermission('news', 'read_any');
+
     // Generate cache key
     const cacheKey = `list:${JSON.stringify({
       page, limit, status, category_id, author_id, search, 
-      sort, order, featured, breaking, user_role: req.currentUser.role
+      sort, order, featured, breaking, user_role: req.currentUser.role,
+      desk: deskScope ? req.currentUser.id : null,
+      user: readsAny ? null : req.currentUser.id
     })}`;
 
     // Try to get from cache
@@ -48,6 +71,7 @@ const getAllNews = async (req, res) => {
     if (author_id) where.author_id = author_id;
     if (featured === 'true') where.is_featured = true;
     if (breaking === 'true') where.is_breaking = true;
+    if (deskScope) where[Op.and] = [{ category_id: { [Op.in]: [...deskScope] } }];
     
     if (search) {
       where[Op.or] = [
@@ -57,17 +81,17 @@ const getAllNews = async (req, res) => {
       ];
     }
 
-    // Apply role-based filtering
-    if (!['super_admin', 'admin'].includes(req.currentUser.role)) {
-      if (req.currentUser.role === 'contributor') {
+    // Apply permission-based filtering
+    if (!readsAny) {
+      if (req.currentUser.hasPermission('news', 'review')) {
         where[Op.or] = [
           { author_id: req.currentUser.id },
-          { status: 'published', visibility: 'public' }
+          { status: { [Op.in]: ['published', 'review'] } }
         ];
-      } else if (req.currentUser.role === 'editor') {
+      } else {
         where[Op.or] = [
           { author_id: req.currentUser.id },
-          { status: { [Op.in]: ['published', 'review'] } }
+          { status: 'published', visibility: 'public' }
         ];
       }
     }
@@ -134,8 +158,11 @@ const getAllNews = async (req, res) => {
       }
     };
 
-    // Cache the response for 5 minutes
-    await cacheService.cacheArticleList(req.tenantId, cacheKey, response, 300);
+    // Cache the response for 5 minutes, dropped when any listed record changes
+    await cacheService.cacheArticleList(req.tenantId, cacheKey, response, 300, [
+      'list:all',
+      ...cacheService.getArticleTags(processedArticles)
+    ]);
 
     res.json(response);
 
@@ -155,10 +182,11 @@ const getNewsById = async (req, res) => {
   try {
     const identifier = req.params.id;
     
-    // Try to get from cache first
+    // Try to get from cache first, it only holds articles everyone may read
     const cached = await cacheService.getCachedArticle(req.tenantId, identifier);
     if (cached) {
       logger.debug('Serving article from cache');
+      viewTrackingService.recordView(req, cached.data.article.id);
       return res.json(cached);
     }
     
@@ -200,7 +228,8 @@ const getNewsById = async (req, res) => {
     const canView = 
       article.status === 'published' ||
       article.author_id === req.currentUser.id ||
-      ['super_admin', 'admin', 'editor'].includes(req.currentUser.role);
+      req.currentUser.hasPermission('news', 'review') ||
+      req.currentUser.hasPermission('news', 'read_any');
 
     if (!canView) {
       return res.status(403).json({
@@ -225,9 +254,10 @@ const getNewsById = async (req, res) => {
     // Clean up internal data
     delete articleData.featured_image_data;
 
-    // Increment view count for published articles
-    if (article.status === 'published' && article.visibility === 'public') {
-      await article.increment('views_count');
+    const isPublic = article.status === 'published' && article.visibility === 'public';
+
+    // Count the view for published articles (deduplicated and written in batches)
+    if (isPublic && viewTrackingService.recordView(req, article.id)) {
       articleData.views_count += 1;
     }
 
@@ -238,8 +268,11 @@ const getNewsById = async (req, res) => {
       }
     };
 
-    // Cache the article for 30 minutes
-    await cacheService.cacheArticle(req.tenantId, identifier, response);
+    // Cache public articles for 30 minutes (tagged, so slug keys are invalidated too);
+    // drafts and scheduled ones always go through the permission check above
+    if (isPublic) {
+      await cacheService.cacheArticle(req.tenantId, identifier, response, cacheService.getArticleTags([articleData]));
+    }
 
     res.json(response);
 
@@ -295,12 +328,44 @@ const createNews = async (req, res) => {
       });
     }
 
+    if (!isInCategoryScope(await getCategoryScope(req), category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only create articles in your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+
     // Check permissions for status
     let finalStatus = status;
-    if (status === 'published' && !req.currentUser.canPublish()) {
+    if (status === 'published' && !req.currentUser.hasPermission('news', 'publish')) {
       finalStatus = 'review';
     }
 
+    // Articles created past draft go through the transition a draft would, checked before anything is stored
+    let initialAction = null;
+    if (finalStatus !== 'draft') {
+      const draft = { author_id: req.currentUser.id, status: 'draft' };
+      initialAction = workflowService.findAction(req.currentUser, draft, finalStatus);
+
+      if (!initialAction) {
+        return res.status(400).json({
+          success: false,
+          message: `Articles cannot be created in ${finalStatus} status`,
+          code: 'INVALID_TRANSITION'
+        });
+      }
+
+      const check = workflowService.check(req.currentUser, draft, initialAction);
+      if (!check.allowed) {
+        return res.status(check.statusCode).json({
+          success: false,
+          message: check.message,
+          code: check.code
+        });
+      }
+    }
+
     // Handle image upload
     let featuredImageData = null;
     if (req.file) {
@@ -311,6 +376,11 @@ const createNews = async (req, res) => {
           'articles',
           true // Generate multiple sizes
         );
+        await req.models.MediaAsset.createFromUpload(featuredImageData, {
+          uploadedBy: req.currentUser.id,
+          file: req.file,
+          altText: featured_image_alt ? sanitizeHtmlContent(featured_image_alt) : null
+        });
         logger.info(`Featured image processed for article: ${featuredImageData.id}`);
       } catch (imageError) {
         logger.error('Image upload error:', imageError);
@@ -336,8 +406,8 @@ const createNews = async (req, res) => {
       meta_title: meta_title ? sanitizeHtmlContent(meta_title) : null,
       meta_description: meta_description ? sanitizeHtmlContent(meta_description) : null,
       meta_keywords: meta_keywords ? sanitizeHtmlContent(meta_keywords) : null,
-      is_featured: ['super_admin', 'admin', 'editor'].includes(req.currentUser.role) ? is_featured : false,
-      is_breaking: ['super_admin', 'admin'].includes(req.currentUser.role) ? is_breaking : false,
+      is_featured: req.currentUser.hasPermission('news', 'feature') ? is_featured : false,
+      is_breaking: req.currentUser.hasPermission('news', 'breaking') ? is_breaking : false,
       allow_comments,
       scheduled_at: scheduled_at ? new Date(scheduled_at) : null,
       custom_fields,
@@ -347,11 +417,31 @@ const createNews = async (req, res) => {
     const article = await req.models.News.create(sanitizedData);
 
     // Handle tags
+    let tagObjects = [];
     if (tags.length > 0) {
-      const tagObjects = await req.models.Tag.findOrCreate(tags);
+      tagObjects = await req.models.Tag.findOrCreate(tags);
       await article.setTags(tagObjects);
     }
 
+    // Record initial revision
+    await req.models.NewsRevision.capture(article, {
+      tags: tagObjects.map(tag => tag.name),
+      editorId: req.currentUser.id
+    });
+
+    await updateSeoScores(req, article);
+
+    // Articles created past draft enter the workflow log as if moved from draft
+    if (initialAction) {
+      await workflowService.log(req.models, {
+        newsId: article.id,
+        action: initialAction,
+        fromStatus: 'draft',
+        toStatus: article.status,
+        actorId: req.currentUser.id
+      });
+    }
+
     // Fetch created article with associations
     const createdArticle = await req.models.News.findByPk(article.id, {
       include: [
@@ -374,8 +464,20 @@ const createNews = async (req, res) => {
       ]
     });
 
-    // Invalidate cache
-    await cacheService.invalidateArticleCache(req.tenantId);
+    // Invalidate cache (drafts only show up in admin lists)
+    await cacheService.invalidateArticleCache(req.tenantId, article.id, {
+      lists: sitemapService.isListed(article),
+      tags: ['list:all']
+    });
+    await searchService.indexArticle(req.tenantId, article);
+    await sitemapService.invalidateArticle(req.tenantId, article, { wasListed: false });
+
+    await auditService.record(req, 'news.create', {
+      targetType: 'news',
+      target: article,
+      after: article,
+      fields: AUDIT_FIELDS
+    });
 
     logger.info(`Article created: ${article.title} by ${req.currentUser.email}`);
 
@@ -431,9 +533,7 @@ const updateNews = async (req, res) => {
     }
 
     // Check permissions
-    const canEdit = 
-      article.author_id === req.currentUser.id ||
-      ['super_admin', 'admin', 'editor'].includes(req.currentUser.role);
+    const canEdit = canEditArticle(req.currentUser, article);
 
     if (!canEdit) {
       return res.status(403).json({
@@ -460,24 +560,63 @@ const updateNews = async (req, res) => {
       allow_comments,
       scheduled_at,
       custom_fields,
-      remove_featured_image
+      remove_featured_image,
+      notes
     } = req.body;
 
+    // Both the current and the new section must be the user's
+    const categoryScope = await getCategoryScope(req);
+    if (!isInCategoryScope(categoryScope, article.category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This article is outside of your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+    if (category_id !== undefined && !isInCategoryScope(categoryScope, category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only move articles to your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+
+    // Check if user can publish
+    let finalStatus = status;
+    if (status === 'published' && !req.currentUser.hasPermission('news', 'publish')) {
+      finalStatus = 'review';
+    }
+
+    // Status changes go through the editorial workflow
+    let workflowAction = null;
+    if (status !== undefined && finalStatus !== article.status) {
+      workflowAction = workflowService.findAction(req.currentUser, article, finalStatus);
+
+      const check = workflowAction
+        ? workflowService.check(req.currentUser, article, workflowAction, notes)
+        : {
+          statusCode: 409,
+          code: 'INVALID_TRANSITION',
+          message: `Cannot move an article from ${article.status} to ${finalStatus}`
+        };
+
+      if (!workflowAction || !check.allowed) {
+        return res.status(check.statusCode).json({
+          success: false,
+          message: check.message,
+          code: check.code
+        });
+      }
+    }
+
     // Handle image upload or removal
     let featuredImageData = article.featured_image_data;
     
+    const previousImage = article.featured_image;
+
     if (remove_featured_image === 'true') {
-      // Remove existing image
-      if (article.featured_image) {
-        await uploadService.deleteImage(req.tenantId, article.featured_image, 'articles');
-      }
       featuredImageData = null;
     } else if (req.file) {
-      // Remove old image if exists
-      if (article.featured_image) {
-        await uploadService.deleteImage(req.tenantId, article.featured_image, 'articles');
-      }
-      
       // Process new image
       try {
         featuredImageData = await uploadService.processAndSaveImage(
@@ -486,6 +625,11 @@ const updateNews = async (req, res) => {
           'articles',
           true
         );
+        await req.models.MediaAsset.createFromUpload(featuredImageData, {
+          uploadedBy: req.currentUser.id,
+          file: req.file,
+          altText: featured_image_alt ? sanitizeHtmlContent(featured_image_alt) : null
+        });
         logger.info(`Featured image updated for article: ${articleId}`);
       } catch (imageError) {
         logger.error('Image update error:', imageError);
@@ -497,43 +641,61 @@ const updateNews = async (req, res) => {
       }
     }
 
-    // Check if user can publish
-    let finalStatus = status;
-    if (status === 'published' && !req.currentUser.canPublish()) {
-      finalStatus = 'review';
-    }
-
     // Build update data
     const updateData = {};
     if (title !== undefined) updateData.title = sanitizeHtmlContent(title).trim();
     if (content !== undefined) updateData.content = sanitizeHtmlContent(content);
     if (excerpt !== undefined) updateData.excerpt = excerpt ? sanitizeHtmlContent(excerpt) : null;
     if (category_id !== undefined) updateData.category_id = category_id;
-    if (status !== undefined) updateData.status = finalStatus;
     if (visibility !== undefined) updateData.visibility = visibility;
     if (featured_image_alt !== undefined) updateData.featured_image_alt = featured_image_alt ? sanitizeHtmlContent(featured_image_alt) : null;
     if (meta_title !== undefined) updateData.meta_title = meta_title ? sanitizeHtmlContent(meta_title) : null;
     if (meta_description !== undefined) updateData.meta_description = meta_description ? sanitizeHtmlContent(meta_description) : null;
     if (meta_keywords !== undefined) updateData.meta_keywords = meta_keywords ? sanitizeHtmlContent(meta_keywords) : null;
     if (allow_comments !== undefined) updateData.allow_comments = allow_comments;
-    if (scheduled_at !== undefined) updateData.scheduled_at = scheduled_at ? new Date(scheduled_at) : null;
+    if (scheduled_at !== undefined) {
+      updateData.scheduled_at = scheduled_at ? new Date(scheduled_at) : null;
+      // Rescheduling gives the publishing worker a fresh set of retries
+      updateData.publish_attempts = 0;
+      updateData.publish_error = null;
+    }
     if (custom_fields !== undefined) updateData.custom_fields = custom_fields;
 
     // Handle image data
     updateData.featured_image = featuredImageData?.id || null;
     updateData.featured_image_data = featuredImageData;
 
-    // Only admins and editors can set featured/breaking
-    if (['super_admin', 'admin', 'editor'].includes(req.currentUser.role)) {
+    // Featured and breaking flags need their own permissions
+    if (req.currentUser.hasPermission('news', 'feature')) {
       if (is_featured !== undefined) updateData.is_featured = is_featured;
     }
-    if (['super_admin', 'admin'].includes(req.currentUser.role)) {
+    if (req.currentUser.hasPermission('news', 'breaking')) {
       if (is_breaking !== undefined) updateData.is_breaking = is_breaking;
     }
 
+    // Keep the pre-edit state on record (articles created before revisions existed have none yet)
+    const previousRevision = await req.models.NewsRevision.capture(article);
+    const wasListed = sitemapService.isListed(article);
+    const previousPublishedAt = article.published_at;
+    const previousFlags = [article.category_id, article.is_featured, article.is_breaking];
+    const previousTags = tags !== undefined
+      ? await article.getTags({ attributes: ['id', 'name'] })
+      : null;
+    const previousTagIds = previousTags ? previousTags.map(tag => tag.id).sort().join(',') : null;
+    const auditBefore = article.get({ plain: true });
+
     // Update article
     await article.update(updateData);
 
+    // The replaced image is deleted once nothing else uses it
+    if (previousImage && previousImage !== article.featured_image) {
+      await mediaService.releaseFile(req.models, req.tenantId, previousImage);
+    }
+
+    if (workflowAction) {
+      await workflowService.apply(req.models, article, workflowAction, req.currentUser, notes);
+    }
+
     // Handle tags if provided
     if (tags !== undefined) {
       if (tags.length > 0) {
@@ -544,6 +706,9 @@ const updateNews = async (req, res) => {
       }
     }
 
+    await recordRevision(req, article, previousRevision);
+    await updateSeoScores(req, article);
+
     // Fetch updated article with associations
     const updatedArticle = await req.models.News.findByPk(article.id, {
       include: [
@@ -566,8 +731,25 @@ const updateNews = async (req, res) => {
       ]
     });
 
-    // Invalidate cache
-    await cacheService.invalidateArticleCache(req.tenantId, articleId);
+    // Lists already holding the article are tagged with it, public lists only
+    // need dropping when the article may have entered new ones
+    const flags = [updatedArticle.category_id, updatedArticle.is_featured, updatedArticle.is_breaking];
+    const listsChanged = wasListed !== sitemapService.isListed(updatedArticle) ||
+      flags.some((flag, index) => flag !== previousFlags[index]) ||
+      (previousTagIds !== null && previousTagIds !== updatedArticle.tags.map(tag => tag.id).sort().join(','));
+
+    await cacheService.invalidateArticleCache(req.tenantId, articleId, { lists: listsChanged, tags: ['list:all'] });
+    await searchService.indexArticle(req.tenantId, article);
+    await sitemapService.invalidateArticle(req.tenantId, article, { wasListed, previousPublishedAt });
+
+    await auditService.record(req, 'news.update', {
+      targetType: 'news',
+      target: article,
+      before: { ...auditBefore, tags: previousTags ? previousTags.map(tag => tag.name).sort() : null },
+      after: { ...updatedArticle.get({ plain: true }), tags: previousTags ? updatedArticle.tags.map(tag => tag.name).sort() : null },
+      fields: [...AUDIT_FIELDS, 'tags'],
+      metadata: auditBefore.content !== updatedArticle.content ? { content_changed: true } : null
+    });
 
     logger.info(`Article updated: ${article.title} by ${req.currentUser.email}`);
 
@@ -614,10 +796,9 @@ const deleteNews = async (req, res) => {
     }
 
     // Check permissions
-    const canDelete = 
-      article.author_id === req.currentUser.id ||
-      ['super_admin', 'admin'].includes(req.currentUser.role) ||
-      (req.currentUser.role === 'editor' && article.status !== 'published');
+    const canDelete = article.author_id === req.currentUser.id
+      ? req.currentUser.hasPermission('news', 'delete')
+      : req.currentUser.hasPermission('news', article.status === 'published' ? 'delete_published' : 'delete_any');
 
     if (!canDelete) {
       return res.status(403).json({
@@ -627,6 +808,14 @@ const deleteNews = async (req, res) => {
       });
     }
 
+    if (!isInCategoryScope(await getCategoryScope(req), article.category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This article is outside of your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+
     const articleTitle = article.title;
     const featuredImage = article.featured_image;
 
@@ -635,11 +824,20 @@ const deleteNews = async (req, res) => {
 
     // Delete associated images
     if (featuredImage) {
-      await uploadService.deleteImage(req.tenantId, featuredImage, 'articles');
+      await mediaService.releaseFile(req.models, req.tenantId, featuredImage);
     }
 
     // Invalidate cache
     await cacheService.invalidateArticleCache(req.tenantId, articleId);
+    await searchService.removeArticle(req.tenantId, articleId);
+    await sitemapService.invalidateArticle(req.tenantId, article, { wasListed: sitemapService.isListed(article), removed: true });
+
+    await auditService.record(req, 'news.delete', {
+      targetType: 'news',
+      target: article,
+      before: article,
+      fields: AUDIT_FIELDS
+    });
 
     logger.info(`Article deleted: ${articleTitle} by ${req.currentUser.email}`);
 
@@ -676,7 +874,7 @@ const togglePublishStatus = async (req, res) => {
     }
 
     // Check permissions
-    if (!req.currentUser.canPublish()) {
+    if (!req.currentUser.hasPermission('news', 'publish')) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to publish articles',
@@ -684,6 +882,14 @@ const togglePublishStatus = async (req, res) => {
       });
     }
 
+    if (!isInCategoryScope(await getCategoryScope(req), article.category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This article is outside of your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+
     let newStatus;
     if (action === 'publish') {
       newStatus = 'published';
@@ -696,7 +902,37 @@ const togglePublishStatus = async (req, res) => {
       });
     }
 
-    await article.update({ status: newStatus });
+    const workflowAction = workflowService.findAction(req.currentUser, article, newStatus);
+    if (!workflowAction) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} an article in ${article.status} status`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+
+    const check = workflowService.check(req.currentUser, article, workflowAction, req.body.notes);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        code: check.code
+      });
+    }
+
+    const wasListed = sitemapService.isListed(article);
+    const previousStatus = article.status;
+
+    await workflowService.apply(req.models, article, workflowAction, req.currentUser, req.body.notes);
+
+    await cacheService.invalidateArticleCache(req.tenantId, article.id);
+    await sitemapService.invalidateArticle(req.tenantId, article, { wasListed });
+
+    await auditService.record(req, `news.${action}`, {
+      targetType: 'news',
+      target: article,
+      changes: { status: { from: previousStatus, to: article.status } }
+    });
 
     logger.info(`Article ${action}ed: ${article.title} by ${req.currentUser.email}`);
 
@@ -738,6 +974,11 @@ const getPublishedNews = async (req, res) => {
       breaking
     } = req.query;
 
+    // Text queries are ranked by the search backend
+    if (search) {
+      return await searchNews(req, res);
+    }
+
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const pageLimit = Math.min(parseInt(limit), 50);
 
@@ -765,13 +1006,6 @@ const getPublishedNews = async (req, res) => {
     if (featured === 'true') where.is_featured = true;
     if (breaking === 'true') where.is_breaking = true;
 
-    if (search) {
-      where[Op.or] = [
-        { title: { [Op.like]: `%${search}%` } },
-        { excerpt: { [Op.like]: `%${search}%` } }
-      ];
-    }
-
     // Include tag filter
     const include = [
       {
@@ -841,7 +1075,12 @@ const getPublishedNews = async (req, res) => {
     };
 
     // Cache for 5 minutes
-    await cacheService.cacheArticleList(req.tenantId, cacheKey, response, 300);
+    await cacheService.cacheArticleList(req.tenantId, cacheKey, response, 300, [
+      'list:published',
+      ...(category_id ? [`category:${category_id}`] : []),
+      ...(tag_id ? [`tag:${tag_id}`] : []),
+      ...cacheService.getArticleTags(processedArticles)
+    ]);
 
     res.json(response);
 
@@ -854,6 +1093,146 @@ const getPublishedNews = async (req, res) => {
   }
 };
 
+/**
+ * Full-text search over published articles
+ */
+const searchNews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      mode = 'boolean',
+      category_id,
+      tag_id,
+      author_id,
+      date_from,
+      date_to,
+      featured,
+      breaking
+    } = req.query;
+    const query = req.query.q || req.query.search;
+
+    const currentPage = parseInt(page);
+    const pageLimit = Math.min(parseInt(limit), 50);
+
+    const cacheKey = `search:${JSON.stringify({
+      query, mode, page, limit, category_id, tag_id, author_id, date_from, date_to, featured, breaking
+    })}`;
+
+    const cached = await cacheService.getCachedArticleList(req.tenantId, cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+
+    const { total, hits, terms } = await searchService.search(req.models, {
+      query,
+      mode,
+      filters: {
+        category_id,
+        tag_id,
+        author_id,
+        date_from,
+        date_to,
+        is_featured: featured === 'true',
+        is_breaking: breaking === 'true'
+      },
+      page: currentPage,
+      limit: pageLimit
+    });
+
+    const articles = hits.length > 0
+      ? await req.models.News.findAll({
+        where: { id: { [Op.in]: hits.map(hit => hit.id) } },
+        include: [
+          {
+            model: req.models.User,
+            as: 'author',
+            attributes: ['id', 'first_name', 'last_name', 'avatar']
+          },
+          {
+            model: req.models.Category,
+            as: 'category',
+            attributes: ['id', 'name', 'slug', 'color']
+          },
+          {
+            model: req.models.Tag,
+            as: 'tags',
+            attributes: ['id', 'name', 'slug', 'color'],
+            through: { attributes: [] }
+          }
+        ]
+      })
+      : [];
+
+    // Keep the backend's relevance order
+    const articlesById = new Map(articles.map(article => [article.id, article]));
+
+    const results = hits
+      .filter(hit => articlesById.has(hit.id))
+      .map(hit => {
+        const articleData = articlesById.get(hit.id).toJSON();
+
+        articleData.relevance = hit.relevance;
+        articleData.highlight = searchService.highlight(articleData, terms);
+
+        if (articleData.featured_image_data) {
+          articleData.featured_image_urls = uploadService.getImageUrls(
+            req.tenantId,
+            'articles',
+            articleData.featured_image_data
+          );
+        }
+
+        delete articleData.featured_image_data;
+        delete articleData.content;
+        return articleData;
+      });
+
+    const totalPages = Math.ceil(total / pageLimit);
+
+    const response = {
+      success: true,
+      data: {
+        query,
+        articles: results,
+        pagination: {
+          current_page: currentPage,
+          total_pages: totalPages,
+          total_items: total,
+          items_per_page: pageLimit,
+          has_next_page: currentPage < totalPages,
+          has_prev_page: currentPage > 1
+        }
+      }
+    };
+
+    await cacheService.cacheArticleList(req.tenantId, cacheKey, response, 300, [
+      'list:published',
+      ...(category_id ? [`category:${category_id}`] : []),
+      ...(tag_id ? [`tag:${tag_id}`] : []),
+      ...cacheService.getArticleTags(results)
+    ]);
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Search news error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search articles'
+    });
+  }
+};
+
 /**
  * Get featured articles
  */
@@ -911,12 +1290,40 @@ const getPopularNews = async (req, res) => {
   try {
     const { limit = 10, days = 7 } = req.query;
 
-    const articles = await req.models.News.getPopular(parseInt(limit), parseInt(days));
+    // Ranked by views within the window, not lifetime totals
+    const topArticles = await req.models.NewsDailyView.getTopArticles(parseInt(days), parseInt(limit));
+
+    const articles = topArticles.length > 0
+      ? await req.models.News.findAll({
+        where: { id: { [Op.in]: topArticles.map(item => item.news_id) } },
+        attributes: { exclude: ['content'] },
+        include: [
+          {
+            model: req.models.User,
+            as: 'author',
+            attributes: ['id', 'first_name', 'last_name', 'avatar']
+          },
+          {
+            model: req.models.Category,
+            as: 'category',
+            attributes: ['id', 'name', 'slug', 'color']
+          }
+        ]
+      })
+      : [];
+
+    const articlesById = new Map(articles.map(article => [article.id, article]));
 
     res.json({
       success: true,
       data: {
-        articles
+        days: parseInt(days),
+        articles: topArticles
+          .filter(item => articlesById.has(item.news_id))
+          .map(item => ({
+            ...articlesById.get(item.news_id).toJSON(),
+            recent_views: parseInt(item.recent_views)
+          }))
       }
     });
 
@@ -934,8 +1341,7 @@ const getPopularNews = async (req, res) => {
  */
 const getNewsStats = async (req, res) => {
   try {
-    // Only admins and editors can view stats
-    if (!['super_admin', 'admin', 'editor'].includes(req.currentUser.role)) {
+    if (!req.currentUser.hasPermission('news', 'stats')) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions',
@@ -1007,7 +1413,7 @@ const bulkOperations = async (req, res) => {
     }
 
     // Check permissions
-    if (!['super_admin', 'admin', 'editor'].includes(req.currentUser.role)) {
+    if (!req.currentUser.hasPermission('news', 'bulk')) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions for bulk operations'
@@ -1015,51 +1421,63 @@ const bulkOperations = async (req, res) => {
     }
 
     let result;
+    let skipped = [];
+
+    // Articles outside of the user's sections are reported and left alone
+    const categoryScope = await getCategoryScope(req);
+    let articleIds = article_ids;
+    if (categoryScope) {
+      const outOfScope = await req.models.News.findAll({
+        where: {
+          id: { [Op.in]: article_ids },
+          category_id: { [Op.notIn]: [...categoryScope] }
+        },
+        attributes: ['id', 'status']
+      });
+
+      skipped = outOfScope.map(article => ({ id: article.id, status: article.status, code: 'CATEGORY_OUT_OF_SCOPE' }));
+      const skippedIds = new Set(skipped.map(entry => entry.id));
+      articleIds = article_ids.filter(id => !skippedIds.has(id));
+    }
     
     switch (action) {
       case 'publish':
-        if (!req.currentUser.canPublish()) {
+        if (!req.currentUser.hasPermission('news', 'publish')) {
           return res.status(403).json({
             success: false,
             message: 'You cannot publish articles'
           });
         }
-        result = await req.models.News.update(
-          { status: 'published' },
-          { where: { id: { [Op.in]: article_ids } } }
-        );
+        result = await bulkTransition(req, articleIds, 'published', skipped);
         break;
 
       case 'unpublish':
-        result = await req.models.News.update(
-          { status: 'draft' },
-          { where: { id: { [Op.in]: article_ids } } }
-        );
+        result = await bulkTransition(req, articleIds, 'draft', skipped);
         break;
 
       case 'delete':
-        if (!['super_admin', 'admin'].includes(req.currentUser.role)) {
+        if (!req.currentUser.hasPermission('news', 'delete_any') || !req.currentUser.hasPermission('news', 'delete_published')) {
           return res.status(403).json({
             success: false,
-            message: 'Only admins can perform bulk delete'
+            message: 'You cannot delete articles of other authors in bulk'
           });
         }
         result = await req.models.News.destroy({
-          where: { id: { [Op.in]: article_ids } }
+          where: { id: { [Op.in]: articleIds } }
         });
         break;
 
       case 'feature':
         result = await req.models.News.update(
           { is_featured: true },
-          { where: { id: { [Op.in]: article_ids } } }
+          { where: { id: { [Op.in]: articleIds } } }
         );
         break;
 
       case 'unfeature':
         result = await req.models.News.update(
           { is_featured: false },
-          { where: { id: { [Op.in]: article_ids } } }
+          { where: { id: { [Op.in]: articleIds } } }
         );
         break;
 
@@ -1070,13 +1488,30 @@ const bulkOperations = async (req, res) => {
         });
     }
 
+    await cacheService.invalidateTags(req.tenantId, [
+      'list:published',
+      'list:all',
+      ...article_ids.map(id => `article:${id}`)
+    ]);
+    await sitemapService.invalidateTenant(req.tenantId);
+
+    await auditService.record(req, `news.bulk_${action}`, {
+      targetType: 'news',
+      metadata: {
+        article_ids: articleIds,
+        affected_count: Array.isArray(result) ? result[0] : result,
+        skipped
+      }
+    });
+
     logger.info(`Bulk ${action} performed on ${article_ids.length} articles by ${req.currentUser.email}`);
 
     res.json({
       success: true,
       message: `Bulk ${action} completed successfully`,
       data: {
-        affected_count: Array.isArray(result) ? result[0] : result
+        affected_count: Array.isArray(result) ? result[0] : result,
+        skipped
       }
     });
 
@@ -1089,6 +1524,940 @@ const bulkOperations = async (req, res) => {
   }
 };
 
+/**
+ * Like or unlike article (toggles unless "liked" is given)
+ */
+const toggleNewsLike = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    const isPublic = article.status === 'published' && article.visibility === 'public';
+    if (!isPublic && article.author_id !== req.currentUser.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot like this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const { NewsLike } = req.models;
+
+    // An explicit state makes retries idempotent, without it the like is toggled
+    const liked = req.body.liked !== undefined
+      ? req.body.liked === true || req.body.liked === 'true'
+      : !(await NewsLike.isLiked(article.id, req.currentUser.id));
+
+    const likesCount = await NewsLike.setLiked(article.id, req.currentUser.id, liked);
+
+    await cacheService.invalidateArticleCache(req.tenantId, article.id, { lists: false });
+
+    res.json({
+      success: true,
+      message: liked ? 'Article liked' : 'Article unliked',
+      data: {
+        liked,
+        likes_count: likesCount
+      }
+    });
+
+  } catch (error) {
+    logger.error('Toggle news like error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to like article'
+    });
+  }
+};
+
+/**
+ * Check whether the current user likes an article
+ */
+const getNewsLikeStatus = async (req, res) => {
+  try {
+    const article = await req.models.News.findByPk(req.params.id, {
+      attributes: ['id', 'likes_count']
+    });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    const liked = await req.models.NewsLike.isLiked(article.id, req.currentUser.id);
+
+    res.json({
+      success: true,
+      data: {
+        liked,
+        likes_count: article.likes_count
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get news like status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch like status'
+    });
+  }
+};
+
+/**
+ * Get published articles liked by the current user
+ */
+const getLikedNews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageLimit = Math.min(parseInt(limit), 50);
+    const offset = (parseInt(page) - 1) * pageLimit;
+
+    const { count, rows: likes } = await req.models.NewsLike.findAndCountAll({
+      where: { user_id: req.currentUser.id },
+      include: [
+        {
+          model: req.models.News,
+          as: 'article',
+          required: true,
+          where: { status: 'published', visibility: 'public' },
+          attributes: ['id', 'title', 'slug', 'excerpt', 'featured_image', 'published_at', 'likes_count', 'comments_count'],
+          include: [
+            {
+              model: req.models.User,
+              as: 'author',
+              attributes: ['id', 'first_name', 'last_name', 'avatar']
+            },
+            {
+              model: req.models.Category,
+              as: 'category',
+              attributes: ['id', 'name', 'slug', 'color']
+            }
+          ]
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: pageLimit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / pageLimit);
+
+    res.json({
+      success: true,
+      data: {
+        articles: likes.map(like => ({
+          ...like.article.toJSON(),
+          liked_at: like.created_at
+        })),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: pageLimit,
+          has_next_page: page < totalPages,
+          has_prev_page: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get liked news error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch liked articles'
+    });
+  }
+};
+
+/**
+ * Recalculate likes_count of all articles from recorded likes
+ */
+const repairLikeCounts = async (req, res) => {
+  try {
+    const repairedCount = await req.models.NewsLike.repairCounts();
+
+    if (repairedCount > 0) {
+      await cacheService.invalidateArticleCache(req.tenantId);
+    }
+
+    logger.info(`Like counts repaired on ${repairedCount} articles by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Like counts repaired successfully',
+      data: {
+        repaired_count: repairedCount
+      }
+    });
+
+  } catch (error) {
+    logger.error('Repair like counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to repair like counts'
+    });
+  }
+};
+
+/**
+ * Get daily view counts of an article
+ */
+const getNewsViewStats = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+    const article = await req.models.News.findByPk(req.params.id, {
+      attributes: ['id', 'title', 'author_id', 'views_count']
+    });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!canEditArticle(req.currentUser, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view statistics of this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const series = await req.models.NewsDailyView.getSeries(article.id, days);
+
+    res.json({
+      success: true,
+      data: {
+        article_id: article.id,
+        total_views: article.views_count,
+        period_views: series.reduce((sum, day) => sum + day.views, 0),
+        days,
+        series
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get news view stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch article view statistics'
+    });
+  }
+};
+
+/**
+ * Get SEO and readability findings of an article
+ */
+const getNewsSeoReport = async (req, res) => {
+  try {
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!canEditArticle(req.currentUser, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view the SEO report of this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    // Computed on the fly; stored scores only change when the article is saved
+    const { seo, readability } = seoService.analyze(article, getSeoOptions(req));
+
+    res.json({
+      success: true,
+      data: {
+        article_id: article.id,
+        seo,
+        readability
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get news SEO report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate SEO report'
+    });
+  }
+};
+
+/**
+ * Get articles waiting for review
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, category_id, author_id } = req.query;
+
+    const pageLimit = Math.min(parseInt(limit), 100);
+    const offset = (parseInt(page) - 1) * pageLimit;
+
+    const where = { status: 'review' };
+    if (category_id) where.category_id = category_id;
+    if (author_id) where.author_id = author_id;
+
+    const { count, rows: articles } = await req.models.News.findAndCountAll({
+      where,
+      attributes: ['id', 'title', 'slug', 'excerpt', 'status', 'scheduled_at', 'version', 'created_at', 'updated_at'],
+      include: [
+        {
+          model: req.models.User,
+          as: 'author',
+          attributes: ['id', 'first_name', 'last_name', 'email', 'avatar']
+        },
+        {
+          model: req.models.Category,
+          as: 'category',
+          attributes: ['id', 'name', 'slug', 'color']
+        }
+      ],
+      // Oldest submissions first
+      order: [['updated_at', 'ASC']],
+      limit: pageLimit,
+      offset
+    });
+
+    // Attach the submission that put each article in the queue
+    const submissions = await req.models.NewsTransition.findAll({
+      where: {
+        news_id: { [Op.in]: articles.map(article => article.id) },
+        to_status: 'review'
+      },
+      attributes: ['news_id', 'actor_id', 'notes', 'created_at'],
+      order: [['created_at', 'DESC']]
+    });
+
+    const latestSubmission = {};
+    submissions.forEach(submission => {
+      if (!latestSubmission[submission.news_id]) {
+        latestSubmission[submission.news_id] = submission;
+      }
+    });
+
+    const queue = articles.map(article => {
+      const articleData = article.toJSON();
+      const submission = latestSubmission[article.id];
+
+      articleData.submitted_at = submission ? submission.created_at : article.updated_at;
+      articleData.submission_notes = submission ? submission.notes : null;
+
+      return articleData;
+    });
+
+    const totalPages = Math.ceil(count / pageLimit);
+
+    res.json({
+      success: true,
+      data: {
+        articles: queue,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: pageLimit,
+          has_next_page: page < totalPages,
+          has_prev_page: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review queue'
+    });
+  }
+};
+
+/**
+ * Submit article for review
+ */
+const submitNews = async (req, res) => {
+  return await applyWorkflowAction(req, res, 'submit');
+};
+
+/**
+ * Approve and publish article in review
+ */
+const approveNews = async (req, res) => {
+  return await applyWorkflowAction(req, res, 'approve');
+};
+
+/**
+ * Reject article in review with a comment
+ */
+const rejectNews = async (req, res) => {
+  return await applyWorkflowAction(req, res, 'reject');
+};
+
+/**
+ * Send article back to its author for changes
+ */
+const sendBackNews = async (req, res) => {
+  return await applyWorkflowAction(req, res, 'send_back');
+};
+
+/**
+ * Get workflow transition log for an article
+ */
+const getNewsTransitions = async (req, res) => {
+  try {
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!canEditArticle(req.currentUser, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view the history of this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const transitions = await req.models.NewsTransition.findAll({
+      where: { news_id: article.id },
+      include: [
+        {
+          model: req.models.User,
+          as: 'actor',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status: article.status,
+        available_actions: workflowService.getAvailableActions(req.currentUser, article),
+        transitions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get news transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch article workflow history'
+    });
+  }
+};
+
+/**
+ * Get revision history for an article
+ */
+const getNewsRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!canEditArticle(req.currentUser, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view revisions of this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const revisions = await req.models.NewsRevision.findAll({
+      where: { news_id: article.id },
+      attributes: ['id', 'version', 'title', 'category_id', 'tags', 'editor_id', 'restored_from', 'created_at'],
+      include: [
+        {
+          model: req.models.User,
+          as: 'editor',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      order: [['version', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        current_version: article.version,
+        revisions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get news revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch article revisions'
+    });
+  }
+};
+
+/**
+ * Compare two revisions of an article field by field
+ */
+const compareNewsRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!canEditArticle(req.currentUser, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view revisions of this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const fromVersion = parseInt(req.query.from);
+    const toVersion = req.query.to ? parseInt(req.query.to) : article.version;
+
+    // Articles edited before revisions were kept have none of their current version,
+    // the live article stands in for it
+    const findRevision = async (version) => {
+      const revision = await req.models.NewsRevision.findVersion(article.id, version);
+      if (revision || version !== article.version) return revision;
+      return await req.models.NewsRevision.snapshotOf(article);
+    };
+
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(fromVersion),
+      findRevision(toVersion)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+        code: 'REVISION_NOT_FOUND'
+      });
+    }
+
+    const changes = req.models.NewsRevision.diff(fromRevision, toRevision);
+
+    res.json({
+      success: true,
+      data: {
+        from_version: fromVersion,
+        to_version: toVersion,
+        changed_fields: Object.keys(changes),
+        changes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Compare news revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare article revisions'
+    });
+  }
+};
+
+/**
+ * Restore an article to a previous revision
+ */
+const restoreNewsRevision = async (req, res) => {
+  try {
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!canEditArticle(req.currentUser, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to edit this article',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const categoryScope = await getCategoryScope(req);
+    if (!isInCategoryScope(categoryScope, article.category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This article is outside of your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const version = parseInt(req.params.version);
+    const revision = await req.models.NewsRevision.findVersion(article.id, version);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+        code: 'REVISION_NOT_FOUND'
+      });
+    }
+
+    if (version === article.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'Article is already at this version',
+        code: 'ALREADY_CURRENT_VERSION'
+      });
+    }
+
+    const previousRevision = await req.models.NewsRevision.capture(article);
+    const auditBefore = article.get({ plain: true });
+
+    const snapshot = revision.getSnapshot();
+    const { tags: tagNames, ...fields } = snapshot;
+
+    // The category may have been deleted since the revision was taken,
+    // or be outside of the user's sections
+    if (fields.category_id) {
+      const category = await req.models.Category.findByPk(fields.category_id);
+      if (!category || !isInCategoryScope(categoryScope, fields.category_id)) {
+        delete fields.category_id;
+      }
+    }
+
+    await article.update(fields);
+
+    const tagObjects = tagNames && tagNames.length > 0
+      ? await req.models.Tag.findOrCreate(tagNames)
+      : [];
+    await article.setTags(tagObjects);
+
+    const newRevision = await recordRevision(req, article, previousRevision, { restoredFrom: version });
+    await updateSeoScores(req, article);
+
+    await cacheService.invalidateArticleCache(req.tenantId, article.id);
+    // Restoring never changes the status, so the article is listed exactly when it was before
+    await sitemapService.invalidateArticle(req.tenantId, article, { wasListed: sitemapService.isListed(article) });
+
+    await auditService.record(req, 'news.restore_revision', {
+      targetType: 'news',
+      target: article,
+      before: auditBefore,
+      after: article,
+      fields: AUDIT_FIELDS,
+      metadata: { restored_version: version, content_changed: auditBefore.content !== article.content }
+    });
+
+    logger.info(`Article restored to version ${version}: ${article.title} by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: `Article restored to version ${version}`,
+      data: {
+        article: {
+          id: article.id,
+          title: article.title,
+          version: article.version
+        },
+        revision: newRevision
+      }
+    });
+
+  } catch (error) {
+    logger.error('Restore news revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore article revision'
+    });
+  }
+};
+
+/**
+ * Helper function to run a workflow action on the article in req.params.id
+ */
+const applyWorkflowAction = async (req, res, action) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const article = await req.models.News.findByPk(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+        code: 'ARTICLE_NOT_FOUND'
+      });
+    }
+
+    if (!isInCategoryScope(await getCategoryScope(req), article.category_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This article is outside of your sections',
+        code: 'CATEGORY_OUT_OF_SCOPE'
+      });
+    }
+
+    const { notes } = req.body;
+
+    const check = workflowService.check(req.currentUser, article, action, notes);
+    if (!check.allowed) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        code: check.code
+      });
+    }
+
+    const wasListed = sitemapService.isListed(article);
+    const previousStatus = article.status;
+
+    const transition = await workflowService.apply(req.models, article, action, req.currentUser, notes);
+
+    await cacheService.invalidateArticleCache(req.tenantId, article.id);
+    await sitemapService.invalidateArticle(req.tenantId, article, { wasListed });
+
+    await auditService.record(req, `news.${action}`, {
+      targetType: 'news',
+      target: article,
+      changes: { status: { from: previousStatus, to: article.status } },
+      metadata: notes ? { notes } : null
+    });
+
+    res.json({
+      success: true,
+      message: `Article moved to ${article.status}`,
+      data: {
+        article: {
+          id: article.id,
+          title: article.title,
+          status: article.status,
+          published_at: article.published_at
+        },
+        transition
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Workflow ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update article status'
+    });
+  }
+};
+
+/**
+ * Helper function to move several articles to a status through the workflow.
+ * Articles that can't make the transition are added to skipped instead of forced.
+ */
+const bulkTransition = async (req, articleIds, toStatus, skipped) => {
+  const articles = await req.models.News.findAll({
+    where: { id: { [Op.in]: articleIds } }
+  });
+
+  let result = 0;
+
+  for (const article of articles) {
+    const action = workflowService.findAction(req.currentUser, article, toStatus);
+    const check = action
+      ? workflowService.check(req.currentUser, article, action)
+      : { allowed: false, code: 'INVALID_TRANSITION' };
+
+    if (!check.allowed) {
+      skipped.push({ id: article.id, status: article.status, code: check.code });
+      continue;
+    }
+
+    await workflowService.apply(req.models, article, action, req.currentUser);
+    result++;
+  }
+
+  return result;
+};
+
+/**
+ * Helper function to check whether a user may edit an article
+ */
+const canEditArticle = (user, article) => {
+  return article.author_id === user.id
+    ? user.hasPermission('news', 'update')
+    : user.hasPermission('news', 'update_any');
+};
+
+/**
+ * Helper function to get the categories the current user works in, computed once per request
+ * @returns {Set|null} Assigned categories and their descendants, null if the user has no sections
+ */
+const getCategoryScope = async (req) => {
+  if (req.categoryScope !== undefined) return req.categoryScope;
+
+  const assignedIds = await req.models.UserCategory.getCategoryIds(req.currentUser.id);
+  let scope = null;
+
+  if (assignedIds.length > 0) {
+    scope = new Set(assignedIds);
+    for (const categoryId of assignedIds) {
+      const descendants = await getDescendantIds(categoryId, req.models.Category);
+      descendants.forEach(id => scope.add(id));
+    }
+  }
+
+  req.categoryScope = scope;
+  return scope;
+};
+
+/**
+ * Helper function to check whether a category is in a scope of getCategoryScope
+ */
+const isInCategoryScope = (scope, categoryId) => {
+  return scope === null || scope.has(categoryId);
+};
+
+/**
+ * Helper function to build analyzer options for the current tenant
+ */
+const getSeoOptions = (req) => {
+  const settings = (req.tenant && req.tenant.settings) || {};
+  return {
+    language: settings.language || 'en',
+    hosts: [req.get('host'), req.tenant && req.tenant.domain]
+  };
+};
+
+/**
+ * Helper function to store fresh SEO and readability scores after an article was saved
+ */
+const updateSeoScores = async (req, article) => {
+  const scores = seoService.getScores(article, getSeoOptions(req));
+
+  if (article.seo_score !== scores.seo_score || article.readability_score !== scores.readability_score) {
+    await article.update(scores, { hooks: false, silent: true });
+  }
+};
+
+/**
+ * Helper function to record a revision after an article was changed.
+ * Tag-only changes don't pass through the model hook, so the version is bumped here.
+ */
+const recordRevision = async (req, article, previousRevision, options = {}) => {
+  const tags = await article.getTags();
+  const tagNames = tags.map(tag => tag.name);
+
+  if (article.version === previousRevision.version) {
+    const previousTags = [...(previousRevision.tags || [])].sort();
+    const currentTags = [...tagNames].sort();
+    const tagsChanged = JSON.stringify(previousTags) !== JSON.stringify(currentTags);
+
+    if (!tagsChanged && !options.restoredFrom) {
+      return null;
+    }
+
+    await article.increment('version');
+    await article.reload();
+  }
+
+  return await req.models.NewsRevision.capture(article, {
+    tags: tagNames,
+    editorId: req.currentUser.id,
+    restoredFrom: options.restoredFrom
+  });
+};
+
 module.exports = {
   getAllNews,
   getNewsById,
@@ -1097,9 +2466,25 @@ module.exports = {
   deleteNews,
   togglePublishStatus,
   getPublishedNews,
+  searchNews,
   getFeaturedNews,
   getBreakingNews,
   getPopularNews,
   getNewsStats,
-  bulkOperations
+  bulkOperations,
+  toggleNewsLike,
+  getNewsLikeStatus,
+  getLikedNews,
+  repairLikeCounts,
+  getReviewQueue,
+  submitNews,
+  approveNews,
+  rejectNews,
+  sendBackNews,
+  getNewsTransitions,
+  getNewsViewStats,
+  getNewsSeoReport,
+  getNewsRevisions,
+  compareNewsRevisions,
+  restoreNewsRevision
 };
\ No newline at end of file
@@ -0,0 +1,371 @@
+// controllers/roleController.js
+const { validationResult } = require('express-validator');
+const cacheService = require('../config/cache');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+const { sanitizeHtmlContent } = require('../middleware/security');
+
+const permissionsInclude = (req) => ({
+  model: req.models.Permission,
+  as: 'permissions'
+});
+
+/**
+ * Number of users per role slug
+ */
+const getUserCounts = async (req) => {
+  const counts = await req.models.User.findAll({
+    attributes: ['role', [req.db.fn('COUNT', req.db.col('id')), 'count']],
+    group: ['role']
+  });
+
+  return counts.reduce((acc, item) => {
+    acc[item.role] = parseInt(item.get('count'));
+    return acc;
+  }, {});
+};
+
+/**
+ * Get roles of the tenant with the number of users holding them
+ */
+const getRoles = async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      req.models.Role.findAll({
+        include: [permissionsInclude(req)],
+        order: [['is_system', 'DESC'], ['name', 'ASC']]
+      }),
+      getUserCounts(req)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toJSON(),
+          user_count: userCounts[role.slug] || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+};
+
+/**
+ * Get resources and actions that can be granted to roles
+ */
+const getPermissionCatalogue = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: req.models.Permission.CATALOGUE
+    }
+  });
+};
+
+/**
+ * Get single role
+ */
+const getRoleById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await req.models.Role.findByPk(req.params.id, {
+      include: [permissionsInclude(req)]
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    const userCount = await req.models.User.count({ where: { role: role.slug } });
+
+    res.json({
+      success: true,
+      data: {
+        role: {
+          ...role.toJSON(),
+          user_count: userCount,
+          permissions: req.models.Permission.expand(new Set(role.getGrants()))
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch role'
+    });
+  }
+};
+
+/**
+ * Create custom role
+ */
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { slug, name, description, grants } = req.body;
+
+    const exceeding = req.models.Permission.exceeding(req.currentUser.grants, grants);
+    if (exceeding.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only grant permissions you have yourself',
+        code: 'GRANT_ESCALATION_DENIED',
+        exceeding
+      });
+    }
+
+    const existingRole = await req.models.Role.findOne({ where: { slug } });
+    if (existingRole) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role with this slug already exists',
+        code: 'ROLE_EXISTS'
+      });
+    }
+
+    const role = await req.db.transaction(async (transaction) => {
+      const created = await req.models.Role.create({
+        slug,
+        name: sanitizeHtmlContent(name).trim(),
+        description: description ? sanitizeHtmlContent(description) : null,
+        is_system: false
+      }, { transaction });
+
+      await created.setGrants(grants, { transaction });
+      return created;
+    });
+
+    await auditService.record(req, 'role.create', {
+      targetType: 'role',
+      target: role,
+      after: { slug: role.slug, name: role.name, description: role.description, grants: role.getGrants() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+};
+
+/**
+ * Update role name, description and grants; the slug cannot change
+ */
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await req.models.Role.findByPk(req.params.id, {
+      include: [permissionsInclude(req)]
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    // Super admins keep full access so a tenant cannot lock itself out
+    if (role.slug === 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'The super admin role cannot be changed',
+        code: 'ROLE_NOT_EDITABLE'
+      });
+    }
+
+    if (req.body.slug !== undefined && req.body.slug !== role.slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'The slug of a role cannot be changed',
+        code: 'ROLE_SLUG_IMMUTABLE'
+      });
+    }
+
+    // Editing a role more powerful than your own could strip it or hand it out
+    const exceedingRole = req.models.Permission.exceeding(req.currentUser.grants, role.getGrants());
+    if (exceedingRole.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change a role with permissions you don\'t have',
+        code: 'ROLE_ESCALATION_DENIED',
+        exceeding: exceedingRole
+      });
+    }
+
+    const { name, description, grants } = req.body;
+
+    if (grants !== undefined) {
+      const exceeding = req.models.Permission.exceeding(req.currentUser.grants, grants);
+      if (exceeding.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only grant permissions you have yourself',
+          code: 'GRANT_ESCALATION_DENIED',
+          exceeding
+        });
+      }
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = sanitizeHtmlContent(name).trim();
+    if (description !== undefined) updateData.description = description ? sanitizeHtmlContent(description) : null;
+
+    const before = { name: role.name, description: role.description, grants: role.getGrants() };
+
+    await req.db.transaction(async (transaction) => {
+      await role.update(updateData, { transaction });
+
+      if (grants !== undefined) {
+        await role.setGrants(grants, { transaction });
+      }
+    });
+
+    if (grants !== undefined) {
+      // Cached lists are keyed by role, what they contain may have changed
+      await cacheService.invalidateTags(req.tenantId, ['list:all']);
+    }
+
+    await auditService.record(req, 'role.update', {
+      targetType: 'role',
+      target: role,
+      before,
+      after: { name: role.name, description: role.description, grants: role.getGrants() }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        role
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+};
+
+/**
+ * Delete custom role that no user holds
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await req.models.Role.findByPk(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(403).json({
+        success: false,
+        message: 'Default roles cannot be deleted',
+        code: 'ROLE_NOT_DELETABLE'
+      });
+    }
+
+    const userCount = await req.models.User.count({ where: { role: role.slug } });
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot delete role assigned to ${userCount} users. Please assign them another role first.`,
+        code: 'ROLE_IN_USE'
+      });
+    }
+
+    await role.destroy();
+
+    await auditService.record(req, 'role.delete', {
+      targetType: 'role',
+      target: role,
+      before: { slug: role.slug, name: role.name, description: role.description }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissionCatalogue,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+};
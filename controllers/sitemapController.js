@@ -0,0 +1,134 @@
+// controllers/sitemapController.js
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const sitemapService = require('../services/sitemapService');
+
+/**
+ * Sitemap index
+ */
+const getSitemapIndex = async (req, res) => {
+  return await serveSitemap(req, res, 'index', context => sitemapService.getIndex(context));
+};
+
+/**
+ * One page of the article sitemap
+ */
+const getArticleSitemap = async (req, res) => {
+  const page = parseInt(req.params.page);
+  return await serveSitemap(req, res, `articles-${page}`, context => sitemapService.getArticlePage(context, page));
+};
+
+/**
+ * Google News sitemap (last 48 hours)
+ */
+const getNewsSitemap = async (req, res) => {
+  return await serveSitemap(req, res, 'news', context => sitemapService.getNewsSitemap(context));
+};
+
+/**
+ * Category sitemap
+ */
+const getCategorySitemap = async (req, res) => {
+  return await serveSitemap(req, res, 'categories', context => sitemapService.getCategorySitemap(context));
+};
+
+/**
+ * Tag sitemap
+ */
+const getTagSitemap = async (req, res) => {
+  return await serveSitemap(req, res, 'tags', context => sitemapService.getTagSitemap(context));
+};
+
+/**
+ * Helper function to load a sitemap of the current tenant and answer conditional requests
+ */
+const serveSitemap = async (req, res, name, load) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.tenant || !req.models) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found',
+        code: 'TENANT_NOT_FOUND'
+      });
+    }
+
+    const features = (req.tenant.settings && req.tenant.settings.features) || {};
+    if (features.seo !== true) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemaps are not enabled for this site',
+        code: 'FEATURE_NOT_AVAILABLE'
+      });
+    }
+
+    const sitemap = await load({
+      tenantId: req.tenantId,
+      tenant: req.tenant,
+      models: req.models,
+      siteUrl: `${req.protocol}://${req.get('host')}`
+    });
+
+    if (!sitemap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found',
+        code: 'SITEMAP_NOT_FOUND'
+      });
+    }
+
+    res.set({
+      'Content-Type': sitemap.contentType,
+      'ETag': sitemap.etag,
+      'Last-Modified': sitemap.lastModified,
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (isNotModified(req, sitemap)) {
+      return res.status(304).end();
+    }
+
+    res.send(sitemap.body);
+
+  } catch (error) {
+    logger.error(`Get ${name} sitemap error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sitemap'
+    });
+  }
+};
+
+/**
+ * Helper function to evaluate If-None-Match / If-Modified-Since
+ */
+const isNotModified = (req, sitemap) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === sitemap.etag || tag === '*');
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince) {
+    const since = new Date(ifModifiedSince);
+    return !isNaN(since.getTime()) && new Date(sitemap.lastModified) <= since;
+  }
+
+  return false;
+};
+
+module.exports = {
+  getSitemapIndex,
+  getArticleSitemap,
+  getNewsSitemap,
+  getCategorySitemap,
+  getTagSitemap
+};
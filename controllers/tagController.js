@@ -2,8 +2,14 @@
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+const sitemapService = require('../services/sitemapService');
+const auditService = require('../services/auditService');
 const { sanitizeHtmlContent } = require('../middleware/security');
 
+// Tag fields compared in audit entries
+const AUDIT_FIELDS = ['name', 'slug', 'description', 'color', 'is_active', 'meta_title', 'meta_description'];
+
 /**
  * Get all tags
  */
@@ -104,12 +110,18 @@ const getTrendingTags = async (req, res) => {
   try {
     const { limit = 10, days = 30 } = req.query;
 
-    const tags = await req.models.Tag.getTrending(parseInt(limit), parseInt(days));
+    // Ranked by recent views of the tagged articles
+    const tags = await req.models.NewsDailyView.getTrendingTags(parseInt(days), parseInt(limit));
 
     res.json({
       success: true,
       data: {
-        tags
+        days: parseInt(days),
+        tags: tags.map(tag => ({
+          ...tag,
+          recent_views: parseInt(tag.recent_views),
+          articles_count: parseInt(tag.articles_count)
+        }))
       }
     });
 
@@ -304,6 +316,16 @@ const createTag = async (req, res) => {
     // Create tag
     const tag = await req.models.Tag.create(tagData);
 
+    await cacheService.invalidateTags(req.tenantId, [`tag:${tag.id}`]);
+    await sitemapService.invalidate(req.tenantId, 'tags');
+
+    await auditService.record(req, 'tag.create', {
+      targetType: 'tag',
+      target: tag,
+      after: tag,
+      fields: AUDIT_FIELDS
+    });
+
     logger.info(`Tag created: ${tag.name} by ${req.currentUser.email}`);
 
     res.status(201).json({
@@ -386,8 +408,21 @@ const updateTag = async (req, res) => {
     if (meta_description !== undefined) updateData.meta_description = meta_description ? sanitizeHtmlContent(meta_description) : null;
 
     // Update tag
+    const auditBefore = tag.get({ plain: true });
     await tag.update(updateData);
 
+    await auditService.record(req, 'tag.update', {
+      targetType: 'tag',
+      target: tag,
+      before: auditBefore,
+      after: tag,
+      fields: AUDIT_FIELDS
+    });
+
+    // Articles and lists embed the tag's name, slug and color
+    await cacheService.invalidateTags(req.tenantId, [`tag:${tag.id}`]);
+    await sitemapService.invalidate(req.tenantId, 'tags');
+
     logger.info(`Tag updated: ${tag.name} by ${req.currentUser.email}`);
 
     res.json({
@@ -437,6 +472,16 @@ const deleteTag = async (req, res) => {
     // Delete tag
     await tag.destroy();
 
+    await auditService.record(req, 'tag.delete', {
+      targetType: 'tag',
+      target: tag,
+      before: tag,
+      fields: AUDIT_FIELDS
+    });
+
+    await cacheService.invalidateTags(req.tenantId, [`tag:${tagId}`]);
+    await sitemapService.invalidate(req.tenantId, 'tags');
+
     logger.info(`Tag deleted: ${tagName} by ${req.currentUser.email}`);
 
     res.json({
@@ -462,6 +507,13 @@ const cleanupTags = async (req, res) => {
 
     const deletedCount = await req.models.Tag.cleanup(parseInt(min_usage), parseInt(older_than_days));
 
+    await sitemapService.invalidate(req.tenantId, 'tags');
+
+    await auditService.record(req, 'tag.cleanup', {
+      targetType: 'tag',
+      metadata: { min_usage: parseInt(min_usage), older_than_days: parseInt(older_than_days), deleted_count: deletedCount }
+    });
+
     logger.info(`Tag cleanup completed: ${deletedCount} tags deleted by ${req.currentUser.email}`);
 
     res.json({
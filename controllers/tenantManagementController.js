@@ -374,9 +374,8 @@ const getTenantAnalytics = async (req, res) => {
     }
 
     // Get tenant database connection
-    const { getTenantDB, initializeTenantModels } = require('../config/database');
-    const tenantDB = await getTenantDB(tenantId);
-    const models = await initializeTenantModels(tenantDB);
+    const { getTenantModels } = require('../config/database');
+    const models = await getTenantModels(tenantId);
 
     // Gather analytics data
     const [
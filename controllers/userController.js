@@ -3,8 +3,15 @@ const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+const mailerService = require('../services/mailerService');
+const auditService = require('../services/auditService');
+const loginProtectionService = require('../services/loginProtectionService');
 const { sanitizeHtmlContent } = require('../middleware/security');
 
+// Profile fields compared in audit entries
+const AUDIT_FIELDS = ['email', 'first_name', 'last_name', 'role', 'status', 'bio', 'phone', 'timezone', 'language'];
+
 /**
  * Get all users with pagination and filters
  */
@@ -137,8 +144,8 @@ const getUserById = async (req, res) => {
     const userId = req.params.id;
     const currentUser = req.currentUser;
 
-    // Check permissions: admin can view any user, others can only view themselves
-    if (!['super_admin', 'admin'].includes(currentUser.role) && currentUser.id !== userId) {
+    // Check permissions: users with users:read can view any user, others can only view themselves
+    if (!currentUser.hasPermission('users', 'read') && currentUser.id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'You can only view your own profile',
@@ -174,6 +181,190 @@ const getUserById = async (req, res) => {
   }
 };
 
+/**
+ * Get the role and effective permissions of a user
+ */
+const getUserPermissions = async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const currentUser = req.currentUser;
+
+    if (!currentUser.hasPermission('users', 'read') && currentUser.id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own permissions',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const user = await req.models.User.findByPk(userId, {
+      attributes: ['id', 'email', 'role']
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const role = await req.models.Role.findOne({
+      where: { slug: user.role },
+      include: [{ model: req.models.Permission, as: 'permissions' }]
+    });
+    const grants = role ? role.getGrants() : [];
+
+    res.json({
+      success: true,
+      data: {
+        user_id: user.id,
+        role: role ? { id: role.id, slug: role.slug, name: role.name } : { slug: user.role, name: null },
+        grants,
+        permissions: req.models.Permission.expand(new Set(grants))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user permissions'
+    });
+  }
+};
+
+/**
+ * Get the sections (categories) a user is assigned to
+ */
+const getUserCategories = async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!req.currentUser.hasPermission('users', 'read') && req.currentUser.id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own sections',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const user = await req.models.User.findByPk(userId, {
+      attributes: ['id'],
+      include: [{
+        model: req.models.Category,
+        as: 'sections',
+        attributes: ['id', 'name', 'slug', 'parent_id'],
+        through: { attributes: [] }
+      }]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        categories: user.sections,
+        restricted: user.sections.length > 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get user categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user sections'
+    });
+  }
+};
+
+/**
+ * Assign a user to sections (categories), an empty list removes the restriction
+ */
+const setUserCategories = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.params.id;
+    const categoryIds = [...new Set(req.body.category_ids)];
+
+    const user = await req.models.User.findByPk(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.role === 'super_admin' && req.currentUser.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can change the sections of super admin accounts',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const categories = await req.models.Category.findAll({
+      where: { id: { [Op.in]: categoryIds } },
+      attributes: ['id', 'name', 'slug', 'parent_id']
+    });
+
+    if (categories.length !== categoryIds.length) {
+      const found = new Set(categories.map(category => category.id));
+      return res.status(400).json({
+        success: false,
+        message: `Categories not found: ${categoryIds.filter(id => !found.has(id)).join(', ')}`,
+        code: 'INVALID_CATEGORY'
+      });
+    }
+
+    const previousCategoryIds = await req.models.UserCategory.getCategoryIds(user.id);
+    await req.models.UserCategory.setCategoryIds(user.id, categoryIds, req.currentUser.id);
+
+    await auditService.record(req, 'user.set_categories', {
+      targetType: 'user',
+      target: user,
+      changes: { category_ids: { from: previousCategoryIds.sort(), to: [...categoryIds].sort() } }
+    });
+
+    // "My desk" lists of the user are cached with the previous sections
+    await cacheService.invalidateTags(req.tenantId, ['list:all']);
+
+    logger.info(`Sections of ${user.email} set to ${categories.map(category => category.slug).join(', ') || 'all'} by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'User sections updated successfully',
+      data: {
+        categories,
+        restricted: categories.length > 0
+      }
+    });
+
+  } catch (error) {
+    logger.error('Set user categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user sections'
+    });
+  }
+};
+
 /**
  * Create new user
  */
@@ -199,6 +390,20 @@ const createUser = async (req, res) => {
       phone
     } = req.body;
 
+    // Prevent role escalation (non-super-admin cannot create super-admin)
+    if (role === 'super_admin' && req.currentUser.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can assign super admin role',
+        code: 'ROLE_ESCALATION_DENIED'
+      });
+    }
+
+    const roleError = await checkAssignableRole(req, role);
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, ...roleError.body });
+    }
+
     // Check if email already exists
     const existingUser = await req.models.User.findByEmail(email);
     if (existingUser) {
@@ -235,6 +440,17 @@ const createUser = async (req, res) => {
     // Create user
     const user = await req.models.User.create(userData);
 
+    mailerService.sendTemplate(req.tenant, 'welcome', user, {
+      login_url: `${mailerService.getAppUrl(req.tenant)}/login`
+    });
+
+    await auditService.record(req, 'user.create', {
+      targetType: 'user',
+      target: user,
+      after: user,
+      fields: AUDIT_FIELDS
+    });
+
     logger.info(`User created: ${user.email} by ${req.currentUser.email}`);
 
     res.status(201).json({
@@ -283,7 +499,7 @@ const updateUser = async (req, res) => {
     }
 
     // Check permissions
-    const canEdit = currentUser.id === userId || ['super_admin', 'admin'].includes(currentUser.role);
+    const canEdit = currentUser.id === userId || currentUser.hasPermission('users', 'update');
     if (!canEdit) {
       return res.status(403).json({
         success: false,
@@ -332,25 +548,51 @@ const updateUser = async (req, res) => {
     if (timezone !== undefined) updateData.timezone = timezone;
     if (language !== undefined) updateData.language = language;
 
-    // Only admins can change role and status
-    if (['super_admin', 'admin'].includes(currentUser.role)) {
+    // Only user managers can change role and status
+    if (currentUser.hasPermission('users', 'update')) {
       if (role !== undefined) {
         // Prevent role escalation (non-super-admin cannot create super-admin)
-        if (role === 'super_admin' && currentUser.role !== 'super_admin') {
+        if ((role === 'super_admin' || user.role === 'super_admin') && currentUser.role !== 'super_admin') {
           return res.status(403).json({
             success: false,
             message: 'Only super admins can assign super admin role',
             code: 'ROLE_ESCALATION_DENIED'
           });
         }
+        if (role !== user.role) {
+          if (user.id === currentUser.id) {
+            return res.status(403).json({
+              success: false,
+              message: 'You cannot change your own role',
+              code: 'CANNOT_CHANGE_OWN_ROLE'
+            });
+          }
+
+          // Neither the new role nor the one taken away may go beyond the actor's own
+          const roleError = await checkAssignableRole(req, role) || await checkAssignableRole(req, user.role);
+          if (roleError) {
+            return res.status(roleError.status).json({ success: false, ...roleError.body });
+          }
+        }
         updateData.role = role;
       }
       if (status !== undefined) updateData.status = status;
     }
 
     // Update user
+    const auditBefore = user.get({ plain: true });
     await user.update(updateData);
 
+    // Role changes get their own action so they can be filtered for
+    const roleChanged = updateData.role !== undefined && updateData.role !== auditBefore.role;
+    await auditService.record(req, roleChanged ? 'user.change_role' : 'user.update', {
+      targetType: 'user',
+      target: user,
+      before: auditBefore,
+      after: user,
+      fields: AUDIT_FIELDS
+    });
+
     logger.info(`User updated: ${user.email} by ${req.currentUser.email}`);
 
     res.json({
@@ -421,6 +663,13 @@ const deleteUser = async (req, res) => {
     // Delete user
     await user.destroy();
 
+    await auditService.record(req, 'user.delete', {
+      targetType: 'user',
+      target: user,
+      before: user,
+      fields: AUDIT_FIELDS
+    });
+
     logger.info(`User deleted: ${userEmail} by ${req.currentUser.email}`);
 
     res.json({
@@ -474,8 +723,15 @@ const changeUserStatus = async (req, res) => {
       });
     }
 
+    const previousStatus = user.status;
     await user.update({ status });
 
+    await auditService.record(req, 'user.change_status', {
+      targetType: 'user',
+      target: user,
+      changes: { status: { from: previousStatus, to: status } }
+    });
+
     logger.info(`User status changed: ${user.email} to ${status} by ${req.currentUser.email}`);
 
     res.json({
@@ -495,6 +751,62 @@ const changeUserStatus = async (req, res) => {
   }
 };
 
+/**
+ * Unlock an account locked after failed logins (Admin only)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const user = await req.models.User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.role === 'super_admin' && req.currentUser.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can unlock super admin accounts',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const wasLocked = loginProtectionService.checkAccount(user) !== null;
+    await loginProtectionService.resetAccount(user);
+
+    await auditService.record(req, 'user.unlock', {
+      targetType: 'user',
+      target: user,
+      metadata: { was_locked: wasLocked }
+    });
+
+    logger.security('Account unlocked by admin', {
+      scope: req.tenantId,
+      email: user.email,
+      unlocked_by: req.currentUser.email,
+      was_locked: wasLocked
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'User account unlocked' : 'User account was not locked, failed attempts were reset',
+      data: {
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+};
+
 /**
  * Reset user password (Admin only)
  */
@@ -525,19 +837,37 @@ const resetUserPassword = async (req, res) => {
     // Generate temporary password
     const tempPassword = generateTempPassword();
 
-    // Update user password
+    // Update user password and end the user's sessions
     await user.update({ password: tempPassword });
+    await req.models.RefreshToken.revokeAllForUser(user.id, 'password_reset');
+    await loginProtectionService.resetAccount(user);
+
+    // The temporary password only goes to the user, unless mail is not delivered at all:
+    // then the admin gets it instead of the outbox, so the user isn't locked out
+    const emailed = mailerService.deliversMail();
+    if (emailed) {
+      mailerService.sendTemplate(req.tenant, 'temporary_password', user, {
+        temp_password: tempPassword,
+        login_url: `${mailerService.getAppUrl(req.tenant)}/login`
+      });
+    }
 
-    // TODO: Send email with temporary password
-    // await sendPasswordResetEmail(user.email, tempPassword);
+    await auditService.record(req, 'user.reset_password', {
+      targetType: 'user',
+      target: user,
+      metadata: { emailed }
+    });
 
     logger.info(`Password reset for user: ${user.email} by ${req.currentUser.email}`);
 
     res.json({
       success: true,
-      message: 'Password reset successfully',
+      message: emailed
+        ? 'Password reset successfully. The temporary password was emailed to the user.'
+        : 'Password reset successfully. Mail is not delivered, pass the temporary password on to the user.',
       data: {
-        temp_password: tempPassword,
+        email_queued: emailed,
+        ...(emailed ? {} : { temp_password: tempPassword }),
         note: 'User should change password after first login'
       }
     });
@@ -551,6 +881,34 @@ const resetUserPassword = async (req, res) => {
   }
 };
 
+/**
+ * Helper function to check that the current user may assign a role: it
+ * exists for the tenant and grants nothing they don't have themselves
+ * @returns {Object|null} { status, body } of the error response, null if allowed
+ */
+const checkAssignableRole = async (req, slug) => {
+  if (await req.models.Role.count({ where: { slug } }) === 0) {
+    return {
+      status: 400,
+      body: { message: `Role "${slug}" does not exist`, code: 'INVALID_ROLE' }
+    };
+  }
+
+  const exceeding = req.models.Permission.exceeding(req.currentUser.grants, await req.models.Role.getGrantSet(slug));
+  if (exceeding.length > 0) {
+    return {
+      status: 403,
+      body: {
+        message: `Role "${slug}" has permissions you don't have`,
+        code: 'ROLE_ESCALATION_DENIED',
+        exceeding
+      }
+    };
+  }
+
+  return null;
+};
+
 /**
  * Helper function to generate temporary password
  */
@@ -578,9 +936,13 @@ module.exports = {
   getAllUsers,
   getUserStats,
   getUserById,
+  getUserPermissions,
+  getUserCategories,
+  setUserCategories,
   createUser,
   updateUser,
   deleteUser,
   changeUserStatus,
+  unlockUser,
   resetUserPassword
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const twoFactorService = require('../services/twoFactorService');
 
 /**
  * JWT Token verification middleware
@@ -8,6 +9,11 @@ const logger = require('../utils/logger');
 const verifyToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+
+    // Integrations authenticate with an API key instead of a token
+    if (!authHeader && req.headers['x-api-key']) {
+      return await verifyApiKey(req, res, next);
+    }
     
     if (!authHeader) {
       return res.status(401).json({
@@ -38,8 +44,9 @@ const verifyToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check if token has required fields
-    if (!decoded.userId || !decoded.tenantId) {
+    // Check if token has required fields (challenge tokens of the two-step login carry a purpose,
+    // access tokens issued by login or refresh always belong to a session)
+    if (!decoded.userId || !decoded.tenantId || !decoded.sid || decoded.purpose) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token payload',
@@ -70,7 +77,8 @@ const verifyToken = async (req, res, next) => {
       id: decoded.userId,
       email: decoded.email,
       role: decoded.role,
-      tenantId: decoded.tenantId
+      tenantId: decoded.tenantId,
+      sid: decoded.sid
     };
 
     logger.debug(`User authenticated: ${decoded.email} (${decoded.role})`);
@@ -115,6 +123,11 @@ const loadUser = async (req, res, next) => {
       });
     }
 
+    // Loaded (and checked) together with the API key
+    if (req.apiKey) {
+      return next();
+    }
+
     const user = await req.models.User.findByPk(req.user.id);
     
     if (!user) {
@@ -133,7 +146,28 @@ const loadUser = async (req, res, next) => {
       });
     }
 
-    // Store full user object
+    // Access tokens die with their session (logout, revocation, password change)
+    const session = await req.models.RefreshToken.findActiveSession(req.user.sid, user.id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again',
+        code: 'SESSION_REVOKED'
+      });
+    }
+    await session.recordUsage(req.ip);
+
+    // Until they set it up, users of tenants requiring 2FA can only enroll
+    if (twoFactorService.isRequired(req.tenant) && !user.two_factor_enabled && !req.allowTwoFactorEnrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before continuing',
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    // Store full user object with the grants of its role
+    await user.loadPermissions();
     req.currentUser = user;
 
     // Update last login info
@@ -154,34 +188,57 @@ const loadUser = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
+ * Check that the API key of the request has the scope of a permission,
+ * answering 403 when it doesn't
+ * @returns {boolean} Whether the request may continue
  */
-const requireRole = (roles) => {
-  return (req, res, next) => {
-    if (!req.currentUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
+const checkApiKeyScope = (req, res, resource, action) => {
+  const scope = req.models.ApiKey.getScope(resource, action);
 
-    const userRole = req.currentUser.role;
-    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+  if (!req.apiKey.hasScope(scope)) {
+    logger.warn(`API key ${req.apiKey.prefix} is missing scope ${scope}`);
 
-    if (!allowedRoles.includes(userRole)) {
-      logger.warn(`Access denied for user ${req.currentUser.email} with role ${userRole}. Required roles: ${allowedRoles.join(', ')}`);
-      
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions',
-        code: 'INSUFFICIENT_PERMISSIONS'
-      });
+    res.status(403).json({
+      success: false,
+      message: `API key is missing the ${scope} scope`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Scope check of API keys for routes whose controller checks the permissions
+ * of the user itself (e.g. authors editing their own articles); users pass through
+ */
+const requireScope = (resource, action = 'read') => {
+  return (req, res, next) => {
+    if (req.apiKey && !checkApiKeyScope(req, res, resource, action)) {
+      return;
     }
 
     next();
   };
 };
 
+/**
+ * Keep API keys out of routes of the user's own account (profile, password,
+ * sessions, 2FA, likes...), which no scope covers
+ */
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  next();
+};
+
 /**
  * Permission-based authorization middleware
  */
@@ -195,25 +252,13 @@ const requirePermission = (resource, action = 'read') => {
     }
 
     const user = req.currentUser;
-    let hasPermission = false;
-
-    switch (action) {
-      case 'read':
-        hasPermission = user.canEdit(resource) || user.role === 'contributor';
-        break;
-      case 'create':
-      case 'update':
-        hasPermission = user.canEdit(resource);
-        break;
-      case 'delete':
-        hasPermission = user.canDelete(resource);
-        break;
-      case 'publish':
-        hasPermission = user.canPublish();
-        break;
+
+    // API keys need the scope and act within the rights of the admin who created them
+    if (req.apiKey && !checkApiKeyScope(req, res, resource, action)) {
+      return;
     }
 
-    if (!hasPermission) {
+    if (!user.hasPermission(resource, action)) {
       logger.warn(`Permission denied for user ${user.email} (${user.role}) on ${resource}:${action}`);
       
       return res.status(403).json({
@@ -230,7 +275,7 @@ const requirePermission = (resource, action = 'read') => {
 /**
  * Resource ownership check middleware
  */
-const requireOwnership = (resourceModel, resourceIdParam = 'id') => {
+const requireOwnership = (resourceModel, resourceIdParam = 'id', bypass = null) => {
   return async (req, res, next) => {
     try {
       if (!req.currentUser || !req.models) {
@@ -243,8 +288,8 @@ const requireOwnership = (resourceModel, resourceIdParam = 'id') => {
       const resourceId = req.params[resourceIdParam];
       const user = req.currentUser;
 
-      // Super admin and admin can access all resources
-      if (['super_admin', 'admin'].includes(user.role)) {
+      // e.g. ['news', 'update_any'] lets editors through to articles of others
+      if (bypass && user.hasPermission(bypass[0], bypass[1])) {
         return next();
       }
 
@@ -312,18 +357,23 @@ const optionalAuth = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      if (decoded.userId && decoded.tenantId) {
+      // Tokens without a session can't be revoked, so they are ignored like invalid ones
+      if (decoded.userId && decoded.tenantId && decoded.sid && !decoded.purpose) {
         req.user = {
           id: decoded.userId,
           email: decoded.email,
           role: decoded.role,
-          tenantId: decoded.tenantId
+          tenantId: decoded.tenantId,
+          sid: decoded.sid
         };
 
         // Load full user if models are available
         if (req.models) {
           const user = await req.models.User.findByPk(decoded.userId);
-          if (user && user.isActive()) {
+          const session = user && await req.models.RefreshToken.findActiveSession(decoded.sid, user.id);
+
+          if (user && user.isActive() && session) {
+            await user.loadPermissions();
             req.currentUser = user;
           }
         }
@@ -343,12 +393,13 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * API Key authentication middleware (for external integrations)
+ * Keys belong to a tenant and are only accepted in the X-API-Key header
  */
 const verifyApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'] || req.query.api_key;
+    const rawKey = req.headers['x-api-key'];
     
-    if (!apiKey) {
+    if (!rawKey) {
       return res.status(401).json({
         success: false,
         message: 'API key is required',
@@ -356,11 +407,17 @@ const verifyApiKey = async (req, res, next) => {
       });
     }
 
-    // In a real implementation, you would validate the API key against your database
-    // For now, we'll use a simple check against environment variable
-    const validApiKey = process.env.API_KEY || 'your-secret-api-key';
+    if (!req.models || !req.models.ApiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'API keys can only be used on a tenant domain',
+        code: 'NO_TENANT_CONTEXT'
+      });
+    }
+
+    const apiKey = await req.models.ApiKey.findByKey(rawKey);
     
-    if (apiKey !== validApiKey) {
+    if (!apiKey) {
       logger.warn(`Invalid API key attempt from IP: ${req.ip}`);
       
       return res.status(401).json({
@@ -370,9 +427,57 @@ const verifyApiKey = async (req, res, next) => {
       });
     }
 
-    // Mark request as API authenticated
+    if (apiKey.isRevoked()) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key has been revoked',
+        code: 'API_KEY_REVOKED'
+      });
+    }
+
+    if (apiKey.isExpired()) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key has expired',
+        code: 'API_KEY_EXPIRED'
+      });
+    }
+
+    if (!apiKey.allowsIp(req.ip)) {
+      logger.warn(`API key ${apiKey.prefix} used from disallowed IP: ${req.ip}`);
+
+      return res.status(403).json({
+        success: false,
+        message: 'API key is not allowed from this IP address',
+        code: 'API_KEY_IP_NOT_ALLOWED'
+      });
+    }
+
+    const user = await req.models.User.findByPk(apiKey.created_by);
+
+    if (!user || !user.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key owner is not active',
+        code: 'API_KEY_OWNER_INACTIVE'
+      });
+    }
+
+    await apiKey.recordUsage(req.ip);
+
+    // Mark request as API authenticated, acting as the key's owner
     req.isApiRequest = true;
-    
+    req.apiKey = apiKey;
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      tenantId: req.tenantId
+    };
+    await user.loadPermissions();
+    req.currentUser = user;
+
+    logger.debug(`API key authenticated: ${apiKey.prefix} (${user.email})`);
     next();
 
   } catch (error) {
@@ -408,26 +513,18 @@ const requireSession = (req, res, next) => {
 };
 
 /**
- * Combined authentication middleware
- * Supports both JWT and session authentication
- */
-const authenticate = [verifyToken, loadUser];
-
-/**
- * Admin authentication (super_admin or admin roles)
+ * Let users who still have to set up required 2FA through (enrollment routes only)
  */
-const requireAdmin = [
-  ...authenticate,
-  requireRole(['super_admin', 'admin'])
-];
+const allowTwoFactorEnrollment = (req, res, next) => {
+  req.allowTwoFactorEnrollment = true;
+  next();
+};
 
 /**
- * Editor authentication (super_admin, admin, or editor roles)
+ * Combined authentication middleware
+ * Supports both JWT and session authentication
  */
-const requireEditor = [
-  ...authenticate,
-  requireRole(['super_admin', 'admin', 'editor'])
-];
+const authenticate = [verifyToken, loadUser];
 
 /**
  * Any authenticated user
@@ -437,14 +534,14 @@ const requireAuth = authenticate;
 module.exports = {
   verifyToken,
   loadUser,
-  requireRole,
   requirePermission,
+  requireScope,
+  rejectApiKey,
   requireOwnership,
   optionalAuth,
   verifyApiKey,
   requireSession,
+  allowTwoFactorEnrollment,
   authenticate,
-  requireAdmin,
-  requireEditor,
   requireAuth
 };
\ No newline at end of file
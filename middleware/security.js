@@ -103,6 +103,12 @@ const uploadRateLimit = createRateLimit(
   'Too many upload attempts, please try again later'
 );
 
+const commentRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  20, // requests per window
+  'Too many comments, please try again later'
+);
+
 /**
  * XSS Protection middleware
  */
@@ -202,6 +208,16 @@ const sanitizeHtmlContent = (content) => {
   });
 };
 
+/**
+ * Strip all HTML for user-submitted plain text (comments, names)
+ */
+const sanitizePlainText = (content) => {
+  return sanitizeHtml(content, {
+    allowedTags: [],
+    allowedAttributes: {}
+  }).trim();
+};
+
 /**
  * Path validation to prevent LFI/RFI
  */
@@ -352,8 +368,10 @@ module.exports = {
   authRateLimit,
   apiRateLimit,
   uploadRateLimit,
+  commentRateLimit,
   xssProtection,
   sanitizeHtmlContent,
+  sanitizePlainText,
   validatePath,
   validateFileUpload,
   ipWhitelist,
@@ -1,5 +1,5 @@
 // middleware/tenant.js
-const { getTenantDB, initializeTenantModels } = require('../config/database');
+const { getTenantDB, getTenantModels } = require('../config/database');
 const Tenant = require('../models/Tenant');
 
 /**
@@ -113,7 +113,7 @@ const loadTenantDB = async (req, res, next) => {
     const tenantDB = await getTenantDB(req.tenantId);
     
     // Initialize models for this tenant
-    const models = await initializeTenantModels(tenantDB);
+    const models = await getTenantModels(req.tenantId);
 
     // Store in request for use in controllers
     req.db = tenantDB;
@@ -369,7 +369,7 @@ const optionalTenant = async (req, res, next) => {
         // Try to load tenant DB
         try {
           const tenantDB = await getTenantDB(req.tenantId);
-          const models = await initializeTenantModels(tenantDB);
+          const models = await getTenantModels(req.tenantId);
           req.db = tenantDB;
           req.models = models;
         } catch (error) {
@@ -354,7 +354,7 @@ const businessRuleValidations = {
         }
 
         // Check if user can schedule posts
-        if (!['super_admin', 'admin', 'editor'].includes(req.currentUser?.role)) {
+        if (!req.currentUser?.hasPermission('news', 'publish')) {
           throw new Error('You do not have permission to schedule posts');
         }
 
@@ -0,0 +1,241 @@
+// models/ApiKey.js
+const crypto = require('crypto');
+const net = require('net');
+const { DataTypes } = require('sequelize');
+
+// Keys look like "nck_<prefix>_<secret>", only the prefix is stored in clear
+const KEY_PREFIX = 'nck';
+const KEY_PATTERN = /^nck_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+const SCOPES = [
+  'news:read',
+  'news:write',
+  'news:publish',
+  'categories:read',
+  'categories:write',
+  'tags:read',
+  'tags:write',
+  'media:read',
+  'media:write'
+];
+
+// Permission actions only reading data, anything else needs the write scope
+const READ_ACTIONS = ['read', 'read_any', 'review', 'stats'];
+
+// Last use is written at most once a minute per key
+const USAGE_WRITE_INTERVAL = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/**
+ * Parse an IP address or CIDR range ("10.0.0.0/8", "2001:db8::/32")
+ * @returns {Object|null} { address, prefix, type } or null if invalid
+ */
+const parseIpRule = (rule) => {
+  const [address, prefix] = String(rule).trim().split('/');
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) return null;
+
+  return { address, prefix: bits, type: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+module.exports = (sequelize) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    prefix: {
+      type: DataTypes.STRING(12),
+      allowNull: false,
+      comment: 'Public part of the key, used to look it up'
+    },
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the full key'
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    allowed_ips: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'IP addresses or CIDR ranges, null allows any address'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'Requests made with the key act as this user'
+    },
+    rotated_from_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Key this one replaced'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['prefix']
+      },
+      {
+        fields: ['created_by']
+      }
+    ]
+  });
+
+  // Instance methods
+  ApiKey.prototype.isRevoked = function() {
+    return this.revoked_at !== null && this.revoked_at !== undefined;
+  };
+
+  ApiKey.prototype.isExpired = function() {
+    return Boolean(this.expires_at) && new Date(this.expires_at) <= new Date();
+  };
+
+  ApiKey.prototype.isActive = function() {
+    return !this.isRevoked() && !this.isExpired();
+  };
+
+  ApiKey.prototype.hasScope = function(scope) {
+    return (this.scopes || []).includes(scope);
+  };
+
+  ApiKey.prototype.allowsIp = function(ip) {
+    if (!this.allowed_ips || this.allowed_ips.length === 0) {
+      return true;
+    }
+
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+    if (!version) return false;
+
+    const blockList = new net.BlockList();
+    this.allowed_ips.map(parseIpRule).filter(Boolean).forEach((rule) => {
+      blockList.addSubnet(rule.address, rule.prefix, rule.type);
+    });
+
+    return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+  };
+
+  ApiKey.prototype.recordUsage = async function(ip) {
+    const lastUsedAt = this.last_used_at ? new Date(this.last_used_at).getTime() : 0;
+    const address = normalizeIp(ip);
+
+    if (Date.now() - lastUsedAt < USAGE_WRITE_INTERVAL && this.last_used_ip === address) {
+      return;
+    }
+
+    await this.update({ last_used_at: new Date(), last_used_ip: address }, { silent: true });
+  };
+
+  /**
+   * Public representation, the hash never leaves the server
+   */
+  ApiKey.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.key_hash;
+
+    values.display_key = `${KEY_PREFIX}_${values.prefix}_…`;
+    values.status = this.isRevoked() ? 'revoked' : this.isExpired() ? 'expired' : 'active';
+    return values;
+  };
+
+  // Class methods
+  /**
+   * Create a new random key
+   * @returns {Object} { key, prefix, key_hash }, the key is only available now
+   */
+  ApiKey.generate = function() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+    return { key, prefix, key_hash: hashKey(key) };
+  };
+
+  /**
+   * Find the record of a presented key
+   * @returns {ApiKey|null} Matching key, including revoked and expired ones
+   */
+  ApiKey.findByKey = async function(key) {
+    const match = KEY_PATTERN.exec(String(key || ''));
+    if (!match) return null;
+
+    const apiKey = await this.findOne({ where: { prefix: match[1] } });
+    if (!apiKey) return null;
+
+    const expected = Buffer.from(apiKey.key_hash, 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+
+    return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+  };
+
+  /**
+   * Scope an API key needs for a permission check of requirePermission,
+   * resources without scopes (users, roles, settings...) stay out of reach of keys
+   */
+  ApiKey.getScope = function(resource, action) {
+    if (READ_ACTIONS.includes(action)) return `${resource}:read`;
+    if (action === 'publish' || action === 'manage') return `${resource}:${action}`;
+    return `${resource}:write`;
+  };
+
+  ApiKey.isValidIpRule = function(rule) {
+    return parseIpRule(rule) !== null;
+  };
+
+  ApiKey.SCOPES = SCOPES;
+
+  return ApiKey;
+};
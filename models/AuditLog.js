@@ -0,0 +1,173 @@
+// models/AuditLog.js
+const { DataTypes, Op } = require('sequelize');
+
+// Never copied into before/after diffs
+const REDACTED_FIELDS = [
+  'password',
+  'password_reset_token',
+  'password_reset_expires',
+  'email_verification_token',
+  'two_factor_secret',
+  'two_factor_recovery_codes',
+  'key_hash'
+];
+
+const isEqual = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a && b ? new Date(a).getTime() === new Date(b).getTime() : a === b;
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+const plain = (record) => {
+  if (!record) return {};
+  return typeof record.get === 'function' ? record.get({ plain: true }) : record;
+};
+
+/**
+ * Who did what to which record. Tenant databases log the actions of their
+ * users and API keys; the master database logs master admin actions, with
+ * tenant_id pointing at the tenant they concerned.
+ */
+module.exports = (sequelize) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    actor_type: {
+      type: DataTypes.ENUM('user', 'api_key', 'master_admin', 'system'),
+      allowNull: false,
+      defaultValue: 'user'
+    },
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Not a foreign key, entries outlive deleted users'
+    },
+    actor_email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    api_key_prefix: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    action: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'e.g. news.delete, user.update'
+    },
+    target_type: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    target_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    target_label: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Title, name or email of the target when the action happened'
+    },
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '{ field: { from, to } }'
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    tenant_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Master log only'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['created_at']
+      },
+      {
+        fields: ['actor_id', 'created_at']
+      },
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['action']
+      },
+      {
+        fields: ['tenant_id']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * Fields that differ between two versions of a record
+   * @param {Object} before - Record or plain values before the change (null when created)
+   * @param {Object} after - Record or plain values after the change (null when deleted)
+   * @param {Array} fields - Fields to compare, defaults to every field of either version
+   * @returns {Object|null} { field: { from, to } }, null when nothing changed
+   */
+  AuditLog.diff = function(before, after, fields = null) {
+    const beforeValues = plain(before);
+    const afterValues = plain(after);
+    const keys = fields || [...new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)])];
+    const changes = {};
+
+    keys.forEach((key) => {
+      if (REDACTED_FIELDS.includes(key)) return;
+
+      const from = beforeValues[key] === undefined ? null : beforeValues[key];
+      const to = afterValues[key] === undefined ? null : afterValues[key];
+
+      if (!isEqual(from, to)) {
+        changes[key] = { from, to };
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  };
+
+  /**
+   * Delete entries older than the retention period
+   * @returns {number} Number of deleted entries
+   */
+  AuditLog.pruneOlderThan = async function(days) {
+    return await this.destroy({
+      where: {
+        created_at: { [Op.lt]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      }
+    });
+  };
+
+  AuditLog.REDACTED_FIELDS = REDACTED_FIELDS;
+
+  return AuditLog;
+};
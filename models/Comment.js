@@ -0,0 +1,208 @@
+// models/Comment.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Comment = sequelize.define('Comment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    news_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'news',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    parent_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'comments',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    root_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Top-level comment of the thread, null for top-level comments'
+    },
+    depth: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    guest_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    guest_email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 5000]
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'spam', 'deleted'),
+      defaultValue: 'pending',
+      allowNull: false
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    moderated_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    moderated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'comments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['news_id', 'status', 'parent_id']
+      },
+      {
+        fields: ['root_id']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['status', 'created_at']
+      }
+    ],
+    hooks: {
+      beforeUpdate: async (comment) => {
+        comment.updated_at = new Date();
+      }
+    }
+  });
+
+  // Instance methods
+  Comment.prototype.getAuthorName = function() {
+    if (this.author) {
+      return `${this.author.first_name} ${this.author.last_name}`;
+    }
+    return this.guest_name || 'Anonymous';
+  };
+
+  /**
+   * Public representation; guest emails and request metadata stay private
+   */
+  Comment.prototype.toPublicJSON = function() {
+    const isDeleted = this.status === 'deleted';
+
+    return {
+      id: this.id,
+      parent_id: this.parent_id,
+      depth: this.depth,
+      author: isDeleted ? null : {
+        id: this.user_id,
+        name: this.getAuthorName(),
+        avatar: this.author ? this.author.avatar : null,
+        is_guest: !this.user_id
+      },
+      content: isDeleted ? null : this.content,
+      is_deleted: isDeleted,
+      created_at: this.created_at,
+      replies: []
+    };
+  };
+
+  // Class methods
+  /**
+   * Recalculate the article's comments_count from approved comments
+   */
+  Comment.refreshArticleCount = async function(newsId) {
+    const count = await this.count({
+      where: { news_id: newsId, status: 'approved' }
+    });
+
+    await sequelize.models.News.update(
+      { comments_count: count },
+      // Counters don't make the article "modified" (feeds and sitemaps use updated_at)
+      { where: { id: newsId }, silent: true }
+    );
+
+    return count;
+  };
+
+  /**
+   * Turn a flat list of comments into a reply tree.
+   * Deleted comments are kept as placeholders only while they still have visible replies.
+   */
+  Comment.buildTree = function(comments) {
+    const nodes = new Map();
+    comments.forEach(comment => nodes.set(comment.id, comment.toPublicJSON()));
+
+    const roots = [];
+    comments.forEach(comment => {
+      const node = nodes.get(comment.id);
+      const parent = comment.parent_id ? nodes.get(comment.parent_id) : null;
+
+      if (parent) {
+        parent.replies.push(node);
+      } else if (!comment.parent_id) {
+        roots.push(node);
+      }
+    });
+
+    const prune = (list) => list.filter(node => {
+      node.replies = prune(node.replies);
+      return !node.is_deleted || node.replies.length > 0;
+    });
+
+    return prune(roots);
+  };
+
+  return Comment;
+};
@@ -0,0 +1,404 @@
+// models/MediaAsset.js
+const { DataTypes, Op } = require('sequelize');
+
+const MAX_TAGS = 20;
+
+// Columns that can point at an image, by file ID or by a path or URL containing it.
+// Tenants created from older schemas may lack some of them, those are skipped.
+const REFERENCES = [
+  { model: 'News', type: 'news', field: 'featured_image' },
+  { model: 'News', type: 'news', field: 'social_image' },
+  { model: 'News', type: 'news', field: 'gallery_images', json: true },
+  { model: 'News', type: 'news', field: 'content' },
+  { model: 'User', type: 'user', field: 'avatar' },
+  { model: 'Category', type: 'category', field: 'image' }
+];
+
+const DESCRIBE_ATTRIBUTES = {
+  news: ['title', 'slug', 'status'],
+  user: ['email', 'first_name', 'last_name'],
+  category: ['name', 'slug']
+};
+
+const FILE_ID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+
+const REFERENCE_BATCH_SIZE = 500;
+
+/**
+ * Usage entry of a record referencing an image
+ */
+const describeUsage = (reference, record) => {
+  const usage = { type: reference.type, id: record.id, field: reference.field };
+
+  if (reference.type === 'news') {
+    Object.assign(usage, { title: record.title, slug: record.slug, status: record.status });
+  } else if (reference.type === 'user') {
+    usage.title = [record.first_name, record.last_name].filter(Boolean).join(' ') || record.email;
+  } else {
+    Object.assign(usage, { title: record.name, slug: record.slug });
+  }
+
+  return usage;
+};
+
+/**
+ * Lowercase, trim and deduplicate asset tags
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+
+  const normalized = tags
+    .map(tag => String(tag).trim().toLowerCase().slice(0, 50))
+    .filter(Boolean);
+
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+};
+
+/**
+ * An uploaded image in the media library. The files themselves are written
+ * by uploadService; file_id is the id their names start with and the value
+ * articles keep in featured_image. Assets still in use can be moved to the
+ * trash (soft deleted), their files stay until the orphan sweep purges them.
+ */
+module.exports = (sequelize) => {
+  const MediaAsset = sequelize.define('MediaAsset', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    file_id: {
+      type: DataTypes.STRING(36),
+      allowNull: false,
+      comment: 'Image ID from uploadService, prefix of the file names'
+    },
+    upload_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'articles'
+    },
+    original_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    mime_type: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    original_format: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    original_size: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Bytes of the uploaded file'
+    },
+    file_size: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Bytes stored for all generated sizes'
+    },
+    sizes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Generated sizes keyed by name, as returned by uploadService'
+    },
+    source: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Uncropped image the sizes are regenerated from, kept once they are first regenerated'
+    },
+    focal_point: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Point { x, y } (0-1 fractions) crops are centered on'
+    },
+    crops: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Manual crop boxes keyed by size or transform preset name'
+    },
+    version: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Changes when the sizes are regenerated, added to their URLs'
+    },
+    alt_text: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    caption: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    credit: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    copyright: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    is_private: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Private files are only served through signed URLs that expire'
+    },
+    usage_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'References found by the last usage lookup'
+    },
+    usage_checked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    uploaded_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    deleted_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Set when the asset was moved to the trash while still in use'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'media_assets',
+    timestamps: true,
+    paranoid: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    deletedAt: 'deleted_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['file_id']
+      },
+      {
+        fields: ['upload_type', 'created_at']
+      },
+      {
+        fields: ['uploaded_by']
+      }
+    ],
+    hooks: {
+      beforeSave: (asset) => {
+        if (asset.changed('tags')) {
+          asset.tags = normalizeTags(asset.tags);
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  /**
+   * Public URL of every generated size
+   */
+  MediaAsset.prototype.getUrls = function(baseUrl = null) {
+    const uploadService = require('../services/uploadService');
+    const urls = {};
+
+    for (const [size, image] of Object.entries(this.sizes || {})) {
+      // Sizes stored before the storage drivers only have their public path
+      const key = image.key || image.path.replace(/^\/uploads\//, '');
+      urls[size] = uploadService.getStorageUrl(key, { signed: this.is_private, baseUrl, version: this.version });
+    }
+    return urls;
+  };
+
+  /**
+   * Image data in the shape articles store in featured_image_data
+   */
+  MediaAsset.prototype.toImageData = function() {
+    return {
+      id: this.file_id,
+      images: this.sizes,
+      metadata: {
+        original_size: this.original_size,
+        compressed_size: this.file_size,
+        original_format: this.original_format,
+        original_dimensions: {
+          width: this.width,
+          height: this.height
+        }
+      },
+      upload_type: this.upload_type,
+      private: this.is_private,
+      source: this.source,
+      focal_point: this.focal_point,
+      crops: this.crops,
+      version: this.version,
+      media_asset_id: this.id
+    };
+  };
+
+  /**
+   * Articles, users and categories referencing the asset
+   * @returns {Array} { type, id, title, field }
+   */
+  MediaAsset.prototype.findUsages = async function() {
+    return await MediaAsset.findUsages(this.file_id);
+  };
+
+  /**
+   * Look the usages up and record how many were found
+   */
+  MediaAsset.prototype.refreshUsage = async function() {
+    const usages = await this.findUsages();
+
+    await this.update({
+      usage_count: usages.length,
+      usage_checked_at: new Date()
+    }, { silent: true });
+
+    return usages;
+  };
+
+  MediaAsset.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    values.urls = this.getUrls();
+    return values;
+  };
+
+  // Class methods
+  /**
+   * Reference columns present in the schema of this tenant
+   */
+  MediaAsset.getReferences = function() {
+    return REFERENCES.filter(reference => {
+      const Model = sequelize.models[reference.model];
+      return Model && Model.rawAttributes[reference.field];
+    });
+  };
+
+  /**
+   * Records referencing an image file, whether it is in the library or not
+   * @param {string} fileId - Image ID from uploadService
+   * @returns {Array} { type, id, title, field }
+   */
+  MediaAsset.findUsages = async function(fileId) {
+    const pattern = `%${fileId}%`;
+    const usages = [];
+
+    for (const reference of this.getReferences()) {
+      const column = reference.json
+        ? sequelize.cast(sequelize.col(reference.field), 'CHAR')
+        : sequelize.col(reference.field);
+
+      const records = await sequelize.models[reference.model].findAll({
+        where: sequelize.where(column, { [Op.like]: pattern }),
+        attributes: ['id', ...DESCRIBE_ATTRIBUTES[reference.type]]
+      });
+
+      records.forEach(record => usages.push(describeUsage(reference, record)));
+    }
+
+    return usages;
+  };
+
+  /**
+   * File IDs referenced anywhere in the tenant, read in batches
+   * @returns {Set} File IDs in lowercase
+   */
+  MediaAsset.collectReferencedFileIds = async function() {
+    const fileIds = new Set();
+
+    for (const reference of this.getReferences()) {
+      const Model = sequelize.models[reference.model];
+      let offset = 0;
+      let records;
+
+      do {
+        records = await Model.findAll({
+          where: { [reference.field]: { [Op.ne]: null } },
+          attributes: ['id', reference.field],
+          order: [['id', 'ASC']],
+          limit: REFERENCE_BATCH_SIZE,
+          offset,
+          raw: true
+        });
+
+        records.forEach((record) => {
+          const value = record[reference.field];
+          const text = typeof value === 'string' ? value : JSON.stringify(value);
+          (text.match(FILE_ID_PATTERN) || []).forEach(fileId => fileIds.add(fileId.toLowerCase()));
+        });
+
+        offset += REFERENCE_BATCH_SIZE;
+      } while (records.length === REFERENCE_BATCH_SIZE);
+    }
+
+    return fileIds;
+  };
+
+  /**
+   * Catalog an image processed by uploadService.processAndSaveImage
+   * @param {Object} result - Return value of processAndSaveImage
+   * @param {Object} details - { uploadedBy, file, altText }
+   */
+  MediaAsset.createFromUpload = async function(result, details = {}) {
+    const { uploadedBy = null, file = null, altText = null } = details;
+
+    return await this.create({
+      file_id: result.id,
+      upload_type: result.upload_type,
+      original_name: file ? file.originalname : null,
+      mime_type: file ? file.mimetype : null,
+      original_format: result.metadata.original_format,
+      width: result.metadata.original_dimensions.width,
+      height: result.metadata.original_dimensions.height,
+      original_size: result.metadata.original_size,
+      file_size: result.metadata.compressed_size,
+      sizes: result.images,
+      is_private: Boolean(result.private),
+      focal_point: result.focal_point || null,
+      crops: result.crops || {},
+      alt_text: altText,
+      uploaded_by: uploadedBy
+    });
+  };
+
+  MediaAsset.normalizeTags = normalizeTags;
+  MediaAsset.MAX_TAGS = MAX_TAGS;
+
+  return MediaAsset;
+};
@@ -105,6 +105,16 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    publish_attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Failed scheduled publishing attempts'
+    },
+    publish_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
     views_count: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -216,6 +226,14 @@ module.exports = (sequelize) => {
       {
         fields: ['published_at']
       },
+      {
+        fields: ['status', 'scheduled_at']
+      },
+      {
+        type: 'FULLTEXT',
+        name: 'news_fulltext',
+        fields: ['title', 'excerpt', 'content']
+      },
       {
         fields: ['is_featured']
       },
@@ -280,6 +298,12 @@ module.exports = (sequelize) => {
         if (news.changed('content') && !news.excerpt && news.content) {
           news.excerpt = News.generateExcerpt(news.content);
         }
+
+        // Bump version when revisioned content changes
+        const revisionedFields = ['title', 'content', 'excerpt', 'meta_title', 'meta_description', 'meta_keywords', 'category_id'];
+        if (revisionedFields.some(field => news.changed(field))) {
+          news.version = (news.version || 1) + 1;
+        }
         
         news.updated_at = new Date();
       }
@@ -303,8 +327,9 @@ module.exports = (sequelize) => {
     return await this.increment('views_count');
   };
 
+  // Counters don't make the article "updated"
   News.prototype.incrementLikes = async function() {
-    return await this.increment('likes_count');
+    return await this.increment('likes_count', { silent: true });
   };
 
   News.prototype.incrementShares = async function() {
@@ -454,27 +479,28 @@ module.exports = (sequelize) => {
   };
 
   News.search = async function(query, options = {}) {
-    return await this.findPublished({
+    // Ranked by the news_fulltext index, query uses MySQL boolean syntax
+    const match = sequelize.literal(
+      `MATCH(\`News\`.\`title\`, \`News\`.\`excerpt\`, \`News\`.\`content\`) AGAINST(${sequelize.escape(query)} IN BOOLEAN MODE)`
+    );
+
+    return await this.findAll({
+      ...options,
       where: {
-        [sequelize.Sequelize.Op.or]: [
-          {
-            title: {
-              [sequelize.Sequelize.Op.like]: `%${query}%`
-            }
-          },
-          {
-            content: {
-              [sequelize.Sequelize.Op.like]: `%${query}%`
-            }
-          },
-          {
-            excerpt: {
-              [sequelize.Sequelize.Op.like]: `%${query}%`
-            }
-          }
-        ]
+        status: 'published',
+        published_at: {
+          [sequelize.Sequelize.Op.lte]: new Date()
+        },
+        [sequelize.Sequelize.Op.and]: [match],
+        ...options.where
       },
-      ...options
+      attributes: {
+        include: [[match, 'relevance']]
+      },
+      order: [
+        [sequelize.literal('relevance'), 'DESC'],
+        ['published_at', 'DESC']
+      ]
     });
   };
 
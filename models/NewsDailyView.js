@@ -0,0 +1,167 @@
+// models/NewsDailyView.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const NewsDailyView = sequelize.define('NewsDailyView', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    news_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'news',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    view_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    views: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    }
+  }, {
+    tableName: 'news_daily_views',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['news_id', 'view_date']
+      },
+      {
+        fields: ['view_date']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * Add buffered view counts to the daily rollups and lifetime counters
+   * @param {Array} rows - [{ news_id, view_date, views }]
+   */
+  NewsDailyView.addViews = async function(rows) {
+    if (rows.length === 0) return;
+
+    const buckets = rows.map(() => 'SELECT ? AS news_id, ? AS view_date, ? AS views').join(' UNION ALL ');
+    const values = rows.flatMap(row => [row.news_id, row.view_date, row.views]);
+
+    await sequelize.transaction(async (transaction) => {
+      // Joined to news so views of articles deleted before the flush are dropped
+      // instead of failing the foreign key for the whole batch
+      await sequelize.query(
+        `INSERT INTO news_daily_views (id, news_id, view_date, views)
+         SELECT UUID(), v.news_id, v.view_date, v.views
+         FROM (${buckets}) v
+         INNER JOIN news n ON n.id = v.news_id
+         ON DUPLICATE KEY UPDATE views = news_daily_views.views + VALUES(views)`,
+        { replacements: values, transaction }
+      );
+
+      // Lifetime totals per article
+      const totals = {};
+      rows.forEach(row => {
+        totals[row.news_id] = (totals[row.news_id] || 0) + row.views;
+      });
+
+      for (const [newsId, views] of Object.entries(totals)) {
+        await sequelize.models.News.increment('views_count', {
+          by: views,
+          where: { id: newsId },
+          transaction,
+          silent: true
+        });
+      }
+    });
+  };
+
+  /**
+   * Articles with the most views over the last days
+   * @returns {Array} [{ news_id, recent_views }]
+   */
+  NewsDailyView.getTopArticles = async function(days = 7, limit = 10) {
+    return await sequelize.query(`
+      SELECT v.news_id, SUM(v.views) AS recent_views
+      FROM news_daily_views v
+      INNER JOIN news n ON n.id = v.news_id
+      WHERE v.view_date >= :since
+        AND n.status = 'published'
+        AND n.visibility = 'public'
+      GROUP BY v.news_id
+      ORDER BY recent_views DESC
+      LIMIT :limit
+    `, {
+      replacements: { since: getSinceDate(days), limit },
+      type: sequelize.QueryTypes.SELECT
+    });
+  };
+
+  /**
+   * Tags ranked by the views their published articles got over the last days
+   */
+  NewsDailyView.getTrendingTags = async function(days = 30, limit = 10) {
+    return await sequelize.query(`
+      SELECT t.id, t.name, t.slug, t.color, t.usage_count,
+        SUM(v.views) AS recent_views,
+        COUNT(DISTINCT v.news_id) AS articles_count
+      FROM news_daily_views v
+      INNER JOIN news n ON n.id = v.news_id
+      INNER JOIN news_tags nt ON nt.news_id = v.news_id
+      INNER JOIN tags t ON t.id = nt.tag_id
+      WHERE v.view_date >= :since
+        AND n.status = 'published'
+        AND n.visibility = 'public'
+        AND t.is_active = true
+      GROUP BY t.id, t.name, t.slug, t.color, t.usage_count
+      ORDER BY recent_views DESC
+      LIMIT :limit
+    `, {
+      replacements: { since: getSinceDate(days), limit },
+      type: sequelize.QueryTypes.SELECT
+    });
+  };
+
+  /**
+   * Daily view series of one article, days without views are filled with 0
+   */
+  NewsDailyView.getSeries = async function(newsId, days = 30) {
+    const since = getSinceDate(days);
+    const rows = await this.findAll({
+      where: {
+        news_id: newsId,
+        view_date: { [sequelize.Sequelize.Op.gte]: since }
+      },
+      attributes: ['view_date', 'views'],
+      order: [['view_date', 'ASC']],
+      raw: true
+    });
+
+    const viewsByDate = new Map(rows.map(row => [row.view_date, row.views]));
+    const series = [];
+    const date = new Date(`${since}T00:00:00Z`);
+    const today = new Date().toISOString().split('T')[0];
+
+    while (date.toISOString().split('T')[0] <= today) {
+      const key = date.toISOString().split('T')[0];
+      series.push({ date: key, views: viewsByDate.get(key) || 0 });
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    return series;
+  };
+
+  return NewsDailyView;
+};
+
+// First day (UTC, YYYY-MM-DD) of a window of the given length ending today
+const getSinceDate = (days) => {
+  const since = new Date();
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+  return since.toISOString().split('T')[0];
+};
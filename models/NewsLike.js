@@ -0,0 +1,116 @@
+// models/NewsLike.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const NewsLike = sequelize.define('NewsLike', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    news_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'news',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'news_likes',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['news_id', 'user_id']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * Like or unlike an article for a user and resync likes_count.
+   * Setting the state it already has is a no-op, so retries are safe.
+   */
+  NewsLike.setLiked = async function(newsId, userId, liked) {
+    return await sequelize.transaction(async (transaction) => {
+      if (liked) {
+        await this.findOrCreate({
+          where: { news_id: newsId, user_id: userId },
+          transaction
+        });
+      } else {
+        await this.destroy({
+          where: { news_id: newsId, user_id: userId },
+          transaction
+        });
+      }
+
+      return await this.syncArticleCount(newsId, transaction);
+    });
+  };
+
+  NewsLike.isLiked = async function(newsId, userId) {
+    const count = await this.count({
+      where: { news_id: newsId, user_id: userId }
+    });
+    return count > 0;
+  };
+
+  /**
+   * Set likes_count of one article from the join table
+   */
+  NewsLike.syncArticleCount = async function(newsId, transaction = null) {
+    const count = await this.count({
+      where: { news_id: newsId },
+      transaction
+    });
+
+    await sequelize.models.News.update(
+      { likes_count: count },
+      { where: { id: newsId }, transaction, silent: true }
+    );
+
+    return count;
+  };
+
+  /**
+   * Repair likes_count for every article whose counter drifted from the join table
+   * @returns {number} Number of articles corrected
+   */
+  NewsLike.repairCounts = async function() {
+    const [, affectedRows] = await sequelize.query(`
+      UPDATE news
+      LEFT JOIN (
+        SELECT news_id, COUNT(*) AS total
+        FROM news_likes
+        GROUP BY news_id
+      ) AS likes ON likes.news_id = news.id
+      SET news.likes_count = COALESCE(likes.total, 0)
+      WHERE news.likes_count <> COALESCE(likes.total, 0)
+    `, { type: sequelize.QueryTypes.UPDATE });
+
+    return affectedRows || 0;
+  };
+
+  return NewsLike;
+};
@@ -0,0 +1,201 @@
+// models/NewsRevision.js
+const { DataTypes } = require('sequelize');
+
+// Fields captured in every revision snapshot
+const REVISION_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'meta_title',
+  'meta_description',
+  'meta_keywords',
+  'category_id',
+  'tags'
+];
+
+module.exports = (sequelize) => {
+  const NewsRevision = sequelize.define('NewsRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    news_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'news',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT('long'),
+      allowNull: false
+    },
+    excerpt: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    meta_title: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    meta_description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    meta_keywords: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    category_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Tag names at the time of the revision'
+    },
+    editor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    restored_from: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Version this revision was restored from'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'news_revisions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['news_id', 'version']
+      },
+      {
+        fields: ['news_id']
+      },
+      {
+        fields: ['editor_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  NewsRevision.prototype.getSnapshot = function() {
+    const snapshot = {};
+    for (const field of REVISION_FIELDS) {
+      snapshot[field] = this[field] === undefined ? null : this[field];
+    }
+    return snapshot;
+  };
+
+  // Class methods
+  NewsRevision.getTrackedFields = function() {
+    return [...REVISION_FIELDS];
+  };
+
+  /**
+   * Unsaved revision holding the article as it is now
+   */
+  NewsRevision.snapshotOf = async function(article, options = {}) {
+    let tagNames = options.tags;
+    if (!tagNames) {
+      const tags = typeof article.getTags === 'function' ? await article.getTags() : [];
+      tagNames = tags.map(tag => tag.name);
+    }
+
+    return this.build({
+      news_id: article.id,
+      version: article.version,
+      title: article.title,
+      content: article.content,
+      excerpt: article.excerpt,
+      meta_title: article.meta_title,
+      meta_description: article.meta_description,
+      meta_keywords: article.meta_keywords,
+      category_id: article.category_id,
+      tags: tagNames,
+      editor_id: options.editorId || null,
+      restored_from: options.restoredFrom || null
+    });
+  };
+
+  /**
+   * Store a snapshot of the article at its current version.
+   * Existing snapshots are left untouched so the call is safe to repeat.
+   */
+  NewsRevision.capture = async function(article, options = {}) {
+    const existing = await this.findOne({
+      where: { news_id: article.id, version: article.version }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const revision = await this.snapshotOf(article, options);
+    return await revision.save();
+  };
+
+  NewsRevision.findVersion = async function(newsId, version) {
+    return await this.findOne({
+      where: { news_id: newsId, version }
+    });
+  };
+
+  /**
+   * Field-level diff between two revisions
+   */
+  NewsRevision.diff = function(fromRevision, toRevision) {
+    const from = fromRevision.getSnapshot();
+    const to = toRevision.getSnapshot();
+    const changes = {};
+
+    for (const field of REVISION_FIELDS) {
+      if (field === 'tags') {
+        const fromTags = from.tags || [];
+        const toTags = to.tags || [];
+        const added = toTags.filter(tag => !fromTags.includes(tag));
+        const removed = fromTags.filter(tag => !toTags.includes(tag));
+
+        if (added.length > 0 || removed.length > 0) {
+          changes.tags = { from: fromTags, to: toTags, added, removed };
+        }
+        continue;
+      }
+
+      if (from[field] !== to[field]) {
+        changes[field] = { from: from[field], to: to[field] };
+      }
+    }
+
+    return changes;
+  };
+
+  return NewsRevision;
+};
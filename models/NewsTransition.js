@@ -0,0 +1,81 @@
+// models/NewsTransition.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const NewsTransition = sequelize.define('NewsTransition', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    news_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'news',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    action: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    from_status: {
+      type: DataTypes.ENUM('draft', 'review', 'published', 'archived'),
+      allowNull: false
+    },
+    to_status: {
+      type: DataTypes.ENUM('draft', 'review', 'published', 'archived'),
+      allowNull: false
+    },
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Null for system transitions such as scheduled publishing'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'news_transitions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['news_id', 'created_at']
+      },
+      {
+        fields: ['actor_id']
+      },
+      {
+        fields: ['to_status']
+      }
+    ]
+  });
+
+  // Class methods
+  NewsTransition.getLatest = async function(newsId, action = null) {
+    const where = { news_id: newsId };
+    if (action) where.action = action;
+
+    return await this.findOne({
+      where,
+      order: [['created_at', 'DESC']]
+    });
+  };
+
+  return NewsTransition;
+};
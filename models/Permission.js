@@ -0,0 +1,147 @@
+// models/Permission.js
+const { DataTypes } = require('sequelize');
+
+// Every resource and action requirePermission and the controllers check
+const CATALOGUE = {
+  news: [
+    'read',             // Own articles and published ones
+    'read_any',         // Articles of every status and author
+    'review',           // Articles waiting for review
+    'create',
+    'update',           // Own articles
+    'update_any',       // Articles of other authors
+    'delete',           // Own articles
+    'delete_any',       // Unpublished articles of other authors
+    'delete_published', // Published articles of other authors
+    'publish',
+    'feature',
+    'breaking',
+    'stats',
+    'bulk',
+    'manage'            // Maintenance such as repairing counters
+  ],
+  categories: ['read', 'create', 'update', 'delete', 'feature'],
+  tags: ['read', 'create', 'update', 'delete'],
+  media: [
+    'read',
+    'create',
+    'update',           // Metadata of own uploads
+    'update_any',       // Metadata of uploads of other users
+    'delete',           // Media nothing uses, or moving used media to the trash
+    'force_delete'      // Media still in use, and sweeping orphan files
+  ],
+  comments: ['moderate'],
+  users: ['read', 'create', 'update', 'delete'],
+  roles: ['read', 'manage'],
+  api_keys: ['manage'],
+  settings: ['read', 'update'],
+  audit_logs: ['read']
+};
+
+/**
+ * Split a "resource:action" grant
+ * @returns {Object|null} { resource, action } or null if malformed
+ */
+const parseGrant = (grant) => {
+  const match = /^([a-z_*]+):([a-z_*]+)$/.exec(String(grant || ''));
+  return match ? { resource: match[1], action: match[2] } : null;
+};
+
+/**
+ * Grants a role is made of: one action of a resource per row,
+ * "*" grants every action of a resource (or every resource).
+ */
+module.exports = (sequelize) => {
+  const Permission = sequelize.define('Permission', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    role_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'roles',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    resource: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'permissions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['role_id', 'resource', 'action']
+      }
+    ]
+  });
+
+  Permission.prototype.toGrant = function() {
+    return `${this.resource}:${this.action}`;
+  };
+
+  // Class methods
+  /**
+   * Whether a grant can be given to a custom role ("*:*" is reserved for super admins)
+   */
+  Permission.isValidGrant = function(grant) {
+    const parsed = parseGrant(grant);
+    if (!parsed || !CATALOGUE[parsed.resource]) return false;
+
+    return parsed.action === '*' || CATALOGUE[parsed.resource].includes(parsed.action);
+  };
+
+  /**
+   * Whether a set of grants allows an action
+   * @param {Set} grants - "resource:action" strings, may contain wildcards
+   */
+  Permission.allows = function(grants, resource, action) {
+    return grants.has('*:*') || grants.has(`${resource}:*`) || grants.has(`${resource}:${action}`);
+  };
+
+  /**
+   * Every concrete "resource:action" a set of grants allows
+   */
+  Permission.expand = function(grants) {
+    return Object.entries(CATALOGUE).flatMap(([resource, actions]) =>
+      actions.filter(action => Permission.allows(grants, resource, action)).map(action => `${resource}:${action}`)
+    );
+  };
+
+  /**
+   * Concrete "resource:action" grants allows that held doesn't, so nobody
+   * hands out (or takes on) more than they have themselves
+   * @param {Set} held - Grants of the acting user
+   * @param {Iterable} grants - Grants being given
+   */
+  Permission.exceeding = function(held, grants) {
+    return Permission.expand(new Set(grants))
+      .filter(grant => {
+        const { resource, action } = parseGrant(grant);
+        return !Permission.allows(held, resource, action);
+      });
+  };
+
+  Permission.parseGrant = parseGrant;
+  Permission.CATALOGUE = CATALOGUE;
+
+  return Permission;
+};
@@ -0,0 +1,254 @@
+// models/RefreshToken.js
+const { DataTypes, Op } = require('sequelize');
+
+// Last use is written at most once a minute per session
+const USAGE_WRITE_INTERVAL = 60 * 1000;
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const PLATFORMS = [
+  [/Windows/, 'Windows'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/Linux/, 'Linux']
+];
+
+/**
+ * Short description of a user agent, e.g. "Firefox on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return userAgent.slice(0, 60);
+  if (!platform) return browser[1];
+  if (!browser) return platform[1];
+  return `${browser[1]} on ${platform[1]}`;
+};
+
+/**
+ * Refresh tokens issued to users. Every refresh replaces the token with a new
+ * one of the same family; a family is one login session (device). Presenting
+ * a replaced token again means it was copied, so the whole family is revoked.
+ */
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      comment: 'jti of the refresh token'
+    },
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Session the token belongs to, shared by all its rotations'
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    replaced_by_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Token issued when this one was used'
+    },
+    replaced_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    session_started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['family_id']
+      },
+      {
+        fields: ['user_id', 'revoked_at']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  // Instance methods
+  RefreshToken.prototype.isRevoked = function() {
+    return this.revoked_at !== null && this.revoked_at !== undefined;
+  };
+
+  RefreshToken.prototype.isExpired = function() {
+    return new Date(this.expires_at) <= new Date();
+  };
+
+  RefreshToken.prototype.isReplaced = function() {
+    return this.replaced_by_id !== null && this.replaced_by_id !== undefined;
+  };
+
+  /**
+   * Replaced moments ago, as when two tabs refresh with the same token at once
+   */
+  RefreshToken.prototype.isRecentlyReplaced = function(graceMs) {
+    return this.isReplaced() && Boolean(this.replaced_at) &&
+      Date.now() - new Date(this.replaced_at).getTime() < graceMs;
+  };
+
+  RefreshToken.prototype.isActive = function() {
+    return !this.isRevoked() && !this.isExpired() && !this.isReplaced();
+  };
+
+  RefreshToken.prototype.recordUsage = async function(ip) {
+    const lastUsedAt = this.last_used_at ? new Date(this.last_used_at).getTime() : 0;
+
+    if (Date.now() - lastUsedAt < USAGE_WRITE_INTERVAL && this.ip_address === ip) {
+      return;
+    }
+
+    await this.update({ last_used_at: new Date(), ip_address: ip }, { silent: true });
+  };
+
+  /**
+   * Session shown to the user, identified by the family
+   * @param {string|null} currentSessionId - Family of the request's access token
+   */
+  RefreshToken.prototype.toSession = function(currentSessionId = null) {
+    return {
+      id: this.family_id,
+      device: describeDevice(this.user_agent),
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      started_at: this.session_started_at,
+      last_seen_at: this.last_used_at,
+      expires_at: this.expires_at,
+      current: this.family_id === currentSessionId
+    };
+  };
+
+  // Class methods
+  /**
+   * Active (latest, unrevoked, unexpired) token of a session
+   */
+  RefreshToken.findActiveSession = function(familyId, userId) {
+    return this.findOne({
+      where: {
+        family_id: familyId,
+        user_id: userId,
+        revoked_at: null,
+        replaced_by_id: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    });
+  };
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  RefreshToken.findActiveSessions = function(userId) {
+    return this.findAll({
+      where: {
+        user_id: userId,
+        revoked_at: null,
+        replaced_by_id: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+  };
+
+  /**
+   * Revoke every token of a session
+   * @returns {number} Number of revoked tokens
+   */
+  RefreshToken.revokeFamily = async function(familyId, reason, options = {}) {
+    const [count] = await this.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { family_id: familyId, revoked_at: null }, ...options }
+    );
+    return count;
+  };
+
+  /**
+   * Revoke every session of a user
+   * @returns {number} Number of revoked tokens
+   */
+  RefreshToken.revokeAllForUser = async function(userId, reason, options = {}) {
+    const [count] = await this.update(
+      { revoked_at: new Date(), revoked_reason: reason },
+      { where: { user_id: userId, revoked_at: null }, ...options }
+    );
+    return count;
+  };
+
+  /**
+   * Remove a user's tokens that expired long enough ago to be no use for reuse detection
+   */
+  RefreshToken.pruneExpired = async function(userId, retentionDays = 30) {
+    return await this.destroy({
+      where: {
+        user_id: userId,
+        expires_at: { [Op.lt]: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) }
+      }
+    });
+  };
+
+  RefreshToken.describeDevice = describeDevice;
+
+  return RefreshToken;
+};
@@ -0,0 +1,208 @@
+// models/Role.js
+const { DataTypes } = require('sequelize');
+
+// Roles every tenant starts with, users.role holds the slug
+const DEFAULT_ROLES = {
+  super_admin: {
+    name: 'Super Admin',
+    description: 'Full access, including managing other super admins',
+    grants: ['*:*']
+  },
+  admin: {
+    name: 'Admin',
+    description: 'Manages content, users, roles and settings of the site',
+    grants: [
+      'news:*', 'categories:*', 'tags:*', 'media:*', 'comments:*',
+      'users:*', 'roles:*', 'api_keys:*', 'settings:*', 'audit_logs:*'
+    ]
+  },
+  editor: {
+    name: 'Editor',
+    description: 'Reviews, edits and publishes articles of all authors',
+    grants: [
+      'news:read', 'news:review', 'news:create', 'news:update', 'news:update_any',
+      'news:delete', 'news:delete_any', 'news:publish', 'news:feature', 'news:stats', 'news:bulk',
+      'categories:read', 'categories:create', 'categories:update', 'tags:*',
+      'media:read', 'media:create', 'media:update', 'media:update_any', 'media:delete', 'comments:moderate'
+    ]
+  },
+  contributor: {
+    name: 'Contributor',
+    description: 'Writes own articles and submits them for review',
+    grants: [
+      'news:read', 'news:create', 'news:update',
+      'categories:read', 'tags:read', 'media:read', 'media:create', 'media:update'
+    ]
+  }
+};
+
+// Changes to DEFAULT_ROLES made after tenants were created. seedDefaults
+// applies the ones a system role hasn't had yet; "replace" only applies
+// while the role still holds that grant, so adjustments made since are kept.
+const GRANT_UPDATES = [
+  { version: 1, role: 'admin', add: ['audit_logs:*'] },
+  // Force deleting media still in use is left to admins
+  {
+    version: 2,
+    role: 'editor',
+    replace: 'media:*',
+    add: ['media:read', 'media:create', 'media:update', 'media:update_any', 'media:delete']
+  },
+  { version: 3, role: 'contributor', add: ['media:update'] }
+];
+const GRANT_UPDATES_VERSION = Math.max(0, ...GRANT_UPDATES.map(update => update.version));
+
+module.exports = (sequelize) => {
+  const Role = sequelize.define('Role', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    slug: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Stored in users.role, cannot change once created'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    is_system: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: 'Default roles can be adjusted but not deleted'
+    },
+    grants_version: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Last default grant update applied to this system role'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'roles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['slug']
+      }
+    ]
+  });
+
+  // Instance methods
+  Role.prototype.getGrants = function() {
+    return (this.permissions || []).map(permission => permission.toGrant()).sort();
+  };
+
+  /**
+   * Replace the grants of the role
+   * @param {Array} grants - "resource:action" strings
+   */
+  Role.prototype.setGrants = async function(grants, options = {}) {
+    const { Permission } = sequelize.models;
+    const unique = [...new Set(grants)];
+
+    await Permission.destroy({ where: { role_id: this.id }, ...options });
+    this.permissions = await Permission.bulkCreate(
+      unique.map(grant => ({ role_id: this.id, ...Permission.parseGrant(grant) })),
+      options
+    );
+  };
+
+  /**
+   * Apply the default grant updates this system role hasn't had yet
+   */
+  Role.prototype.applyGrantUpdates = async function() {
+    if (!this.is_system || this.grants_version >= GRANT_UPDATES_VERSION) return;
+
+    const grants = new Set(this.getGrants());
+    GRANT_UPDATES
+      .filter(update => update.role === this.slug && update.version > this.grants_version)
+      .forEach((update) => {
+        if (update.replace) {
+          if (!grants.has(update.replace)) return;
+          grants.delete(update.replace);
+        }
+        update.add.forEach(grant => grants.add(grant));
+      });
+
+    await sequelize.transaction(async (transaction) => {
+      await this.setGrants([...grants], { transaction });
+      await this.update({ grants_version: GRANT_UPDATES_VERSION }, { transaction });
+    });
+  };
+
+  Role.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.permissions;
+
+    values.grants = this.getGrants();
+    return values;
+  };
+
+  // Class methods
+  /**
+   * Grants of a role by slug
+   * @returns {Set} "resource:action" strings, empty for unknown roles
+   */
+  Role.getGrantSet = async function(slug) {
+    const role = await this.findOne({
+      where: { slug },
+      include: [{ model: sequelize.models.Permission, as: 'permissions' }]
+    });
+
+    return new Set(role ? role.getGrants() : []);
+  };
+
+  /**
+   * Create the default roles that are missing; existing ones keep their
+   * adjustments and only get the grant updates they haven't had yet
+   */
+  Role.seedDefaults = async function() {
+    for (const [slug, definition] of Object.entries(DEFAULT_ROLES)) {
+      const existing = await this.findOne({
+        where: { slug },
+        include: [{ model: sequelize.models.Permission, as: 'permissions' }]
+      });
+      if (existing) {
+        await existing.applyGrantUpdates();
+        continue;
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        const role = await this.create({
+          slug,
+          name: definition.name,
+          description: definition.description,
+          is_system: true,
+          grants_version: GRANT_UPDATES_VERSION
+        }, { transaction });
+
+        await role.setGrants(definition.grants, { transaction });
+      });
+    }
+  };
+
+  Role.DEFAULT_ROLES = DEFAULT_ROLES;
+
+  return Role;
+};
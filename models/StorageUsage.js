@@ -0,0 +1,112 @@
+// models/StorageUsage.js
+const { DataTypes } = require('sequelize');
+
+/**
+ * Bytes and files a tenant stores per upload type, kept up to date as files
+ * are written and deleted so usage doesn't need a walk of the storage.
+ */
+module.exports = (sequelize) => {
+  const StorageUsage = sequelize.define('StorageUsage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    upload_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    bytes: {
+      type: DataTypes.BIGINT,
+      defaultValue: 0,
+      allowNull: false
+    },
+    files: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    recalculated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last time the totals were rebuilt from the storage listing'
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'storage_usage',
+    timestamps: true,
+    createdAt: false,
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['upload_type']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * Add (or with negative values remove) bytes and files of an upload type
+   */
+  StorageUsage.record = async function(uploadType, bytes, files) {
+    const [usage] = await this.findOrCreate({
+      where: { upload_type: uploadType },
+      defaults: { bytes: 0, files: 0 }
+    });
+
+    await usage.increment({ bytes, files });
+  };
+
+  /**
+   * Totals overall and per upload type
+   * @returns {Object} { total_size, total_files, by_type: { [type]: { size, files } } }
+   */
+  StorageUsage.getTotals = async function() {
+    const rows = await this.findAll();
+    const totals = { total_size: 0, total_files: 0, by_type: {}, recalculated_at: null };
+
+    rows.forEach((row) => {
+      const bytes = Math.max(parseInt(row.bytes) || 0, 0);
+      const files = Math.max(row.files, 0);
+
+      totals.total_size += bytes;
+      totals.total_files += files;
+      totals.by_type[row.upload_type] = { size: bytes, files };
+
+      if (row.recalculated_at && (!totals.recalculated_at || row.recalculated_at > totals.recalculated_at)) {
+        totals.recalculated_at = row.recalculated_at;
+      }
+    });
+
+    return totals;
+  };
+
+  /**
+   * Replace the totals with ones counted from the storage
+   * @param {Object} counted - { [type]: { size, files } }
+   */
+  StorageUsage.replaceTotals = async function(counted) {
+    const now = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      await this.destroy({ where: {}, transaction });
+      await this.bulkCreate(
+        Object.entries(counted).map(([uploadType, { size, files }]) => ({
+          upload_type: uploadType,
+          bytes: size,
+          files,
+          recalculated_at: now
+        })),
+        { transaction }
+      );
+    });
+  };
+
+  return StorageUsage;
+};
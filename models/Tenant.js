@@ -61,6 +61,22 @@ const Tenant = masterDB.define('Tenant', {
         seo: false,
         advanced_editor: false,
         api_access: false
+      },
+      comments: {
+        enabled: true,
+        allow_guests: true,
+        moderation: 'guests',
+        max_depth: 3
+      },
+      security: {
+        require_two_factor: false
+      },
+      email: {
+        from_name: null,
+        reply_to: null,
+        logo_url: null,
+        accent_color: '#1a73e8',
+        footer: null
       }
     }
   },
@@ -43,9 +43,10 @@ module.exports = (sequelize) => {
       }
     },
     role: {
-      type: DataTypes.ENUM('super_admin', 'admin', 'editor', 'contributor'),
+      type: DataTypes.STRING(50),
       defaultValue: 'contributor',
-      allowNull: false
+      allowNull: false,
+      comment: 'Slug of a role in the roles table'
     },
     status: {
       type: DataTypes.ENUM('active', 'inactive', 'suspended'),
@@ -87,6 +88,15 @@ module.exports = (sequelize) => {
       defaultValue: 0,
       allowNull: false
     },
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     email_verified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
@@ -111,7 +121,18 @@ module.exports = (sequelize) => {
     },
     two_factor_secret: {
       type: DataTypes.STRING(255),
-      allowNull: true
+      allowNull: true,
+      comment: 'Encrypted TOTP secret, set during enrollment before it is enabled'
+    },
+    two_factor_recovery_codes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'SHA-256 hashes of the unused recovery codes'
+    },
+    two_factor_last_step: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Time step of the last accepted code, so codes are single use'
     },
     preferences: {
       type: DataTypes.JSON,
@@ -185,32 +206,19 @@ module.exports = (sequelize) => {
     return this.status === 'active';
   };
 
-  User.prototype.canEdit = function(resource) {
-    const permissions = {
-      super_admin: ['all'],
-      admin: ['users', 'news', 'categories', 'tags', 'settings'],
-      editor: ['news', 'categories', 'tags'],
-      contributor: ['news']
-    };
-    
-    return permissions[this.role].includes('all') || 
-           permissions[this.role].includes(resource);
+  /**
+   * Load the grants of the user's role, hasPermission needs them
+   */
+  User.prototype.loadPermissions = async function() {
+    this.grants = await sequelize.models.Role.getGrantSet(this.role);
+    return this.grants;
   };
 
-  User.prototype.canDelete = function(resource) {
-    const permissions = {
-      super_admin: ['all'],
-      admin: ['users', 'news', 'categories', 'tags'],
-      editor: ['news', 'tags'],
-      contributor: []
-    };
-    
-    return permissions[this.role].includes('all') || 
-           permissions[this.role].includes(resource);
-  };
-
-  User.prototype.canPublish = function() {
-    return ['super_admin', 'admin', 'editor'].includes(this.role);
+  User.prototype.hasPermission = function(resource, action) {
+    if (!this.grants) {
+      throw new Error('Permissions of the user are not loaded');
+    }
+    return sequelize.models.Permission.allows(this.grants, resource, action);
   };
 
   User.prototype.toJSON = function() {
@@ -221,6 +229,8 @@ module.exports = (sequelize) => {
     delete values.email_verification_token;
     delete values.password_reset_token;
     delete values.two_factor_secret;
+    delete values.two_factor_recovery_codes;
+    delete values.two_factor_last_step;
     
     return values;
   };
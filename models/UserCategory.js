@@ -0,0 +1,90 @@
+// models/UserCategory.js
+const { DataTypes } = require('sequelize');
+
+/**
+ * Sections (categories) a user is assigned to. A user with assignments
+ * can only create, edit and publish articles in those categories and
+ * their descendants; users without assignments are not limited.
+ */
+module.exports = (sequelize) => {
+  const UserCategory = sequelize.define('UserCategory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    category_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    assigned_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    }
+  }, {
+    tableName: 'user_categories',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'category_id']
+      },
+      {
+        fields: ['category_id']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * IDs of the categories a user is directly assigned to
+   */
+  UserCategory.getCategoryIds = async function(userId) {
+    const assignments = await this.findAll({
+      where: { user_id: userId },
+      attributes: ['category_id']
+    });
+    return assignments.map(assignment => assignment.category_id);
+  };
+
+  /**
+   * Replace the categories a user is assigned to
+   */
+  UserCategory.setCategoryIds = async function(userId, categoryIds, assignedBy = null) {
+    const unique = [...new Set(categoryIds)];
+
+    await sequelize.transaction(async (transaction) => {
+      await this.destroy({ where: { user_id: userId }, transaction });
+      await this.bulkCreate(
+        unique.map(categoryId => ({ user_id: userId, category_id: categoryId, assigned_by: assignedBy })),
+        { transaction }
+      );
+    });
+
+    return unique;
+  };
+
+  return UserCategory;
+};
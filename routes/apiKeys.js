@@ -0,0 +1,167 @@
+// routes/apiKeys.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Validation rules
+const scopesValidation = (field) => field
+  .isArray({ min: 1 })
+  .withMessage('At least one scope is required')
+  .bail()
+  .custom((scopes, { req }) => {
+    const invalid = scopes.filter(scope => !req.models.ApiKey.SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const allowedIpsValidation = (field) => field
+  .optional({ nullable: true })
+  .isArray({ max: 50 })
+  .withMessage('Allowed IPs must be a list of at most 50 addresses or CIDR ranges')
+  .bail()
+  .custom((rules, { req }) => {
+    const invalid = rules.filter(rule => !req.models.ApiKey.isValidIpRule(rule));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid IP addresses or ranges: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const expiresAtValidation = (field) => field
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage('Expiry must be a valid date')
+  .bail()
+  .custom((value) => {
+    if (new Date(value) <= new Date()) {
+      throw new Error('Expiry must be in the future');
+    }
+    return true;
+  });
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  scopesValidation(body('scopes')),
+  allowedIpsValidation(body('allowed_ips')),
+  expiresAtValidation(body('expires_at'))
+];
+
+const updateApiKeyValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  scopesValidation(body('scopes').optional()),
+  allowedIpsValidation(body('allowed_ips')),
+  expiresAtValidation(body('expires_at'))
+];
+
+const rotateApiKeyValidation = [
+  body('grace_period_hours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Grace period must be between 0 and 168 hours')
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid API key ID is required')
+];
+
+// All API key management is admin only and not available to API keys themselves
+/**
+ * @route   GET /api/api-keys
+ * @desc    Get API keys (revoked keys with include_revoked=true)
+ * @access  Private (Admin)
+ */
+router.get('/',
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  apiKeyController.getApiKeys
+);
+
+/**
+ * @route   GET /api/api-keys/scopes
+ * @desc    Get scopes that can be granted to API keys
+ * @access  Private (Admin)
+ */
+router.get('/scopes',
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  apiKeyController.getApiKeyScopes
+);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get single API key
+ * @access  Private (Admin)
+ */
+router.get('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  apiKeyController.getApiKeyById
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create API key
+ * @access  Private (Admin)
+ */
+router.post('/',
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  createApiKeyValidation,
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route   PUT /api/api-keys/:id
+ * @desc    Update API key
+ * @access  Private (Admin)
+ */
+router.put('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  updateApiKeyValidation,
+  apiKeyController.updateApiKey
+);
+
+/**
+ * @route   POST /api/api-keys/:id/rotate
+ * @desc    Replace API key with a new one, optionally keeping the old one for a grace period
+ * @access  Private (Admin)
+ */
+router.post('/:id/rotate',
+  idValidation,
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  rotateApiKeyValidation,
+  apiKeyController.rotateApiKey
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke API key
+ * @access  Private (Admin)
+ */
+router.delete('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('api_keys', 'manage'),
+  apiKeyController.revokeApiKey
+);
+
+module.exports = router;
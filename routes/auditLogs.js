@@ -0,0 +1,107 @@
+// routes/auditLogs.js
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const auditLogController = require('../controllers/auditLogController');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Validation rules
+const filterValidation = [
+  query('actor_id')
+    .optional()
+    .isUUID()
+    .withMessage('Actor ID must be a valid ID'),
+  query('actor_type')
+    .optional()
+    .isIn(['user', 'api_key', 'master_admin', 'system'])
+    .withMessage('Invalid actor type'),
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)?$/)
+    .withMessage('Action must look like "news" or "news.delete"'),
+  query('target_type')
+    .optional()
+    .matches(/^[a-z_]{1,32}$/)
+    .withMessage('Invalid target type'),
+  query('target_id')
+    .optional()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Invalid target ID'),
+  query('tenant_id')
+    .optional()
+    .isUUID()
+    .withMessage('Tenant ID must be a valid ID'),
+  query('date_from')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('date_to')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('search')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search term must be 1-100 characters')
+];
+
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100'),
+  ...filterValidation
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid audit log entry ID is required')
+];
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Get audit log entries (filters: actor_id, actor_type, action, target_type, target_id, date_from, date_to, search)
+ * @access  Private (audit_logs:read)
+ */
+router.get('/',
+  requireAuth,
+  requirePermission('audit_logs', 'read'),
+  queryValidation,
+  auditLogController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/audit-logs/export
+ * @desc    Export audit log entries matching the filters as CSV
+ * @access  Private (audit_logs:read)
+ */
+router.get('/export',
+  requireAuth,
+  requirePermission('audit_logs', 'read'),
+  filterValidation,
+  auditLogController.exportAuditLogs
+);
+
+/**
+ * @route   GET /api/audit-logs/:id
+ * @desc    Get single audit log entry
+ * @access  Private (audit_logs:read)
+ */
+router.get('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('audit_logs', 'read'),
+  auditLogController.getAuditLogById
+);
+
+module.exports = router;
+// The master audit log in server.js takes the same filters
+module.exports.queryValidation = queryValidation;
+module.exports.filterValidation = filterValidation;
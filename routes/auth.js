@@ -1,11 +1,11 @@
 // routes/auth.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const router = express.Router();
 
 // Import controllers and middleware
 const authController = require('../controllers/authController');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission, rejectApiKey, optionalAuth, allowTwoFactorEnrollment } = require('../middleware/auth');
 const { authRateLimit } = require('../middleware/security');
 const { checkTenantLimits } = require('../middleware/tenant');
 
@@ -99,6 +99,58 @@ const resetPasswordValidation = [
     .withMessage('New password must be at least 8 characters with uppercase, lowercase, number and special character')
 ];
 
+const verifyEmailValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid verification token is required')
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid session ID is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recovery_code) {
+        throw new Error('An authentication code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+const passwordConfirmationValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+const twoFactorPolicyValidation = [
+  body('required')
+    .isBoolean()
+    .withMessage('Required must be true or false')
+];
+
 // Public routes (no authentication required)
 /**
  * @route   POST /api/auth/register
@@ -125,6 +177,18 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a two-factor or recovery code
+ * @access  Public (challenge token from POST /api/auth/login)
+ * @rateLimit 5 requests per 15 minutes
+ */
+router.post('/login/2fa',
+  authRateLimit,
+  twoFactorLoginValidation,
+  authController.verifyTwoFactorLogin
+);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -160,17 +224,78 @@ router.post('/reset-password',
   authController.resetPassword
 );
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm email address with the token of the verification email
+ * @access  Public
+ */
+router.post('/verify-email',
+  authRateLimit,
+  verifyEmailValidation,
+  authController.verifyEmail
+);
+
 // Protected routes (authentication required)
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send the verification email again
+ * @access  Private
+ */
+router.post('/verify-email/resend',
+  authRateLimit,
+  allowTwoFactorEnrollment,
+  requireAuth,
+  rejectApiKey,
+  authController.resendVerificationEmail
+);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
  * @access  Private
  */
 router.post('/logout',
+  allowTwoFactorEnrollment,
   requireAuth,
+  rejectApiKey,
   authController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out of every session, including this one
+ * @access  Private
+ */
+router.post('/logout-all',
+  allowTwoFactorEnrollment,
+  requireAuth,
+  rejectApiKey,
+  authController.logoutAll
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get active sessions (device, IP, last seen)
+ * @access  Private
+ */
+router.get('/sessions',
+  requireAuth,
+  rejectApiKey,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    End a session
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+  requireAuth,
+  rejectApiKey,
+  sessionIdValidation,
+  authController.revokeSession
+);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -178,6 +303,7 @@ router.post('/logout',
  */
 router.get('/profile',
   requireAuth,
+  rejectApiKey,
   authController.getProfile
 );
 
@@ -188,6 +314,7 @@ router.get('/profile',
  */
 router.put('/profile',
   requireAuth,
+  rejectApiKey,
   updateProfileValidation,
   authController.updateProfile
 );
@@ -199,10 +326,87 @@ router.put('/profile',
  */
 router.put('/change-password',
   requireAuth,
+  rejectApiKey,
   changePasswordValidation,
   authController.changePassword
 );
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa',
+  allowTwoFactorEnrollment,
+  requireAuth,
+  rejectApiKey,
+  authController.getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  allowTwoFactorEnrollment,
+  requireAuth,
+  rejectApiKey,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code, returns recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable',
+  authRateLimit,
+  allowTwoFactorEnrollment,
+  requireAuth,
+  rejectApiKey,
+  twoFactorCodeValidation,
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication (password confirmation)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authRateLimit,
+  requireAuth,
+  rejectApiKey,
+  passwordConfirmationValidation,
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (password confirmation)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  authRateLimit,
+  requireAuth,
+  rejectApiKey,
+  passwordConfirmationValidation,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Require two-factor authentication for all users of the tenant
+ * @access  Private (Admin)
+ */
+router.put('/2fa/policy',
+  requireAuth,
+  requirePermission('settings', 'update'),
+  twoFactorPolicyValidation,
+  authController.updateTwoFactorPolicy
+);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify authentication status
@@ -210,6 +414,7 @@ router.put('/change-password',
  */
 router.get('/verify',
   requireAuth,
+  rejectApiKey,
   (req, res) => {
     res.json({
       success: true,
@@ -0,0 +1,31 @@
+// routes/cache.js
+const express = require('express');
+const router = express.Router();
+
+// Import controllers and middleware
+const cacheController = require('../controllers/cacheController');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/cache/stats
+ * @desc    Get cache hits, misses and invalidations by tag type (counted per process since startup)
+ * @access  Private (Admin)
+ */
+router.get('/stats',
+  requireAuth,
+  requirePermission('settings', 'read'),
+  cacheController.getCacheStats
+);
+
+/**
+ * @route   DELETE /api/cache/stats
+ * @desc    Reset cache statistics
+ * @access  Private (Admin)
+ */
+router.delete('/stats',
+  requireAuth,
+  requirePermission('settings', 'update'),
+  cacheController.resetCacheStats
+);
+
+module.exports = router;
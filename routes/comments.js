@@ -0,0 +1,101 @@
+// routes/comments.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const commentController = require('../controllers/commentController');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid comment ID is required')
+];
+
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100'),
+  query('status')
+    .optional()
+    .isIn(['all', 'pending', 'approved', 'spam', 'deleted'])
+    .withMessage('Invalid status filter'),
+  query('news_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid article ID is required')
+];
+
+const moderateValidation = [
+  body('status')
+    .isIn(['pending', 'approved', 'spam', 'deleted'])
+    .withMessage('Status must be one of: pending, approved, spam, deleted')
+];
+
+const bulkModerateValidation = [
+  body('comment_ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Comment IDs must be an array with 1-100 items'),
+  body('comment_ids.*')
+    .isUUID()
+    .withMessage('Each comment ID must be a valid UUID'),
+  ...moderateValidation
+];
+
+/**
+ * @route   GET /api/comments
+ * @desc    Get comments for moderation (defaults to pending)
+ * @access  Private (Editor+)
+ */
+router.get('/',
+  requireAuth,
+  requirePermission('comments', 'moderate'),
+  queryValidation,
+  commentController.getComments
+);
+
+/**
+ * @route   POST /api/comments/bulk
+ * @desc    Change moderation status of several comments
+ * @access  Private (Editor+)
+ */
+router.post('/bulk',
+  requireAuth,
+  requirePermission('comments', 'moderate'),
+  bulkModerateValidation,
+  commentController.bulkModerateComments
+);
+
+/**
+ * @route   PUT /api/comments/:id/status
+ * @desc    Approve, hold, mark as spam or delete a comment
+ * @access  Private (Editor+)
+ */
+router.put('/:id/status',
+  requireAuth,
+  requirePermission('comments', 'moderate'),
+  idValidation,
+  moderateValidation,
+  commentController.moderateComment
+);
+
+/**
+ * @route   DELETE /api/comments/:id
+ * @desc    Delete comment (replies stay in the thread)
+ * @access  Private (Editor+)
+ */
+router.delete('/:id',
+  requireAuth,
+  requirePermission('comments', 'moderate'),
+  idValidation,
+  commentController.deleteComment
+);
+
+module.exports = router;
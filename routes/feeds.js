@@ -0,0 +1,65 @@
+// routes/feeds.js
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const feedController = require('../controllers/feedController');
+const { apiRateLimit } = require('../middleware/security');
+
+// Validation rules
+const feedValidation = [
+  param('category')
+    .optional()
+    .matches(/^[\w-]+$/)
+    .withMessage('Valid category slug is required'),
+  param('tag')
+    .optional()
+    .matches(/^[\w-]+$/)
+    .withMessage('Valid tag slug is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1-50')
+];
+
+/**
+ * @route   GET /feeds/rss.xml
+ * @route   GET /feeds/category/:category/rss.xml
+ * @route   GET /feeds/tag/:tag/rss.xml
+ * @desc    RSS 2.0 feed of published articles
+ * @access  Public
+ */
+router.get(['/rss.xml', '/category/:category/rss.xml', '/tag/:tag/rss.xml'],
+  apiRateLimit,
+  feedValidation,
+  feedController.getRssFeed
+);
+
+/**
+ * @route   GET /feeds/atom.xml
+ * @route   GET /feeds/category/:category/atom.xml
+ * @route   GET /feeds/tag/:tag/atom.xml
+ * @desc    Atom 1.0 feed of published articles
+ * @access  Public
+ */
+router.get(['/atom.xml', '/category/:category/atom.xml', '/tag/:tag/atom.xml'],
+  apiRateLimit,
+  feedValidation,
+  feedController.getAtomFeed
+);
+
+/**
+ * @route   GET /feeds/feed.json
+ * @route   GET /feeds/category/:category/feed.json
+ * @route   GET /feeds/tag/:tag/feed.json
+ * @desc    JSON Feed 1.1 of published articles
+ * @access  Public
+ */
+router.get(['/feed.json', '/category/:category/feed.json', '/tag/:tag/feed.json'],
+  apiRateLimit,
+  feedValidation,
+  feedController.getJsonFeed
+);
+
+module.exports = router;
@@ -234,6 +234,62 @@ try {
   console.error('Failed to mount user routes:', error);
 }
 
+try {
+  const commentRoutes = loadRoute('./comments', 'comments');
+  router.use('/comments', commentRoutes);
+  console.log('✅ Comment routes mounted on /api/comments');
+} catch (error) {
+  console.error('Failed to mount comment routes:', error);
+}
+
+try {
+  const cacheRoutes = loadRoute('./cache', 'cache');
+  router.use('/cache', cacheRoutes);
+  console.log('✅ Cache routes mounted on /api/cache');
+} catch (error) {
+  console.error('Failed to mount cache routes:', error);
+}
+
+try {
+  const apiKeyRoutes = loadRoute('./apiKeys', 'api-keys');
+  router.use('/api-keys', apiKeyRoutes);
+  console.log('✅ API key routes mounted on /api/api-keys');
+} catch (error) {
+  console.error('Failed to mount API key routes:', error);
+}
+
+try {
+  const roleRoutes = loadRoute('./roles', 'roles');
+  router.use('/roles', roleRoutes);
+  console.log('✅ Role routes mounted on /api/roles');
+} catch (error) {
+  console.error('Failed to mount role routes:', error);
+}
+
+try {
+  const uploadRoutes = loadRoute('./upload', 'upload');
+  router.use('/upload', uploadRoutes);
+  console.log('✅ Upload routes mounted on /api/upload');
+} catch (error) {
+  console.error('Failed to mount upload routes:', error);
+}
+
+try {
+  const mediaRoutes = loadRoute('./media', 'media');
+  router.use('/media', mediaRoutes);
+  console.log('✅ Media routes mounted on /api/media');
+} catch (error) {
+  console.error('Failed to mount media routes:', error);
+}
+
+try {
+  const auditLogRoutes = loadRoute('./auditLogs', 'audit-logs');
+  router.use('/audit-logs', auditLogRoutes);
+  console.log('✅ Audit log routes mounted on /api/audit-logs');
+} catch (error) {
+  console.error('Failed to mount audit log routes:', error);
+}
+
 // API information endpoint
 router.get('/', (req, res) => {
   const availableRoutes = [];
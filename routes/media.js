@@ -0,0 +1,362 @@
+// routes/media.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const mediaController = require('../controllers/mediaController');
+const imageTransformService = require('../services/imageTransformService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Validation rules
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100'),
+  query('search')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search term must be 1-100 characters'),
+  query('upload_type')
+    .optional()
+    .isIn(['articles', 'avatars', 'categories', 'logos', 'gallery'])
+    .withMessage('Invalid upload type'),
+  query('uploaded_by')
+    .optional()
+    .custom(value => value === 'me' || /^[0-9a-f-]{36}$/i.test(value))
+    .withMessage('Uploaded by must be a user ID or "me"'),
+  query('tag')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be 1-50 characters'),
+  query('date_from')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('date_to')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('unused')
+    .optional()
+    .isBoolean()
+    .withMessage('Unused must be a boolean'),
+  query('trashed')
+    .optional()
+    .isBoolean()
+    .withMessage('Trashed must be a boolean'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'name', 'size', 'most_used'])
+    .withMessage('Sort must be one of: newest, oldest, name, size, most_used')
+];
+
+const updateValidation = [
+  body('alt_text')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('Alt text must be less than 255 characters'),
+  body('caption')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Caption must be less than 2000 characters'),
+  body('credit')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('Credit must be less than 255 characters'),
+  body('copyright')
+    .optional({ nullable: true })
+    .isLength({ max: 255 })
+    .withMessage('Copyright must be less than 255 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be 1-50 characters'),
+  body('is_private')
+    .optional()
+    .isBoolean()
+    .withMessage('Is private must be a boolean')
+    .toBoolean()
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid media asset ID is required')
+];
+
+const transformParamsValidation = [
+  query('w')
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('Width must be between 1-4000'),
+  query('h')
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('Height must be between 1-4000'),
+  query('fit')
+    .optional()
+    .isIn(['cover', 'contain', 'inside', 'outside', 'fill'])
+    .withMessage('Fit must be one of: cover, contain, inside, outside, fill'),
+  query('format')
+    .optional()
+    .isIn(['auto', 'avif', 'webp', 'jpeg', 'png'])
+    .withMessage('Format must be one of: auto, avif, webp, jpeg, png'),
+  query('q')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quality must be between 1-100')
+];
+
+const transformValidation = [
+  query('preset')
+    .optional()
+    .matches(/^[a-z0-9_-]{1,40}$/)
+    .withMessage('Invalid preset name'),
+  ...transformParamsValidation,
+  query('expires')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expires must be a timestamp')
+];
+
+const transformUrlValidation = [
+  ...transformParamsValidation,
+  query('expires_in')
+    .optional()
+    .isInt({ min: 60, max: 7 * 24 * 60 * 60 })
+    .withMessage('Expires in must be between 60 seconds and 7 days')
+];
+
+const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+const cropValidation = [
+  body('focal_point')
+    .optional({ nullable: true })
+    .custom(point => point && typeof point === 'object' && isFraction(point.x) && isFraction(point.y))
+    .withMessage('Focal point must be { x, y } with values between 0-1'),
+  body('crops')
+    .optional({ nullable: true })
+    .custom((crops) => {
+      if (typeof crops !== 'object' || Array.isArray(crops)) throw new Error('Crops must be an object keyed by size or preset name');
+
+      for (const [name, box] of Object.entries(crops)) {
+        // The small margin allows for rounding of fractions that add up to 1
+        const valid = box && typeof box === 'object' &&
+          [box.x, box.y, box.width, box.height].every(isFraction) &&
+          box.width > 0 && box.height > 0 &&
+          box.x + box.width <= 1.000001 && box.y + box.height <= 1.000001;
+
+        if (!valid) throw new Error(`Crop "${name}" must be { x, y, width, height } as fractions within the image`);
+      }
+      return true;
+    })
+];
+
+const presetsValidation = [
+  body('presets')
+    .custom((presets) => {
+      const { errors } = imageTransformService.validatePresets(presets);
+      if (errors.length > 0) throw new Error(errors[0]);
+      return true;
+    })
+];
+
+const deleteValidation = [
+  query('force')
+    .optional()
+    .isBoolean()
+    .withMessage('Force must be a boolean'),
+  query('soft')
+    .optional()
+    .isBoolean()
+    .withMessage('Soft must be a boolean')
+];
+
+/**
+ * @route   GET /api/media
+ * @desc    Get media library assets (filters: search, upload_type, uploaded_by, tag, date_from, date_to, unused, trashed)
+ * @access  Private (media:read)
+ */
+router.get('/',
+  requireAuth,
+  requirePermission('media', 'read'),
+  queryValidation,
+  mediaController.getMediaAssets
+);
+
+/**
+ * @route   GET /api/media/tags
+ * @desc    Get tags used on media assets with their counts
+ * @access  Private (media:read)
+ */
+router.get('/tags',
+  requireAuth,
+  requirePermission('media', 'read'),
+  mediaController.getMediaTags
+);
+
+/**
+ * @route   GET /api/media/orphans
+ * @desc    Report files nothing references, expired trash and missing files
+ * @access  Private (media:force_delete)
+ */
+router.get('/orphans',
+  requireAuth,
+  requirePermission('media', 'force_delete'),
+  mediaController.sweepOrphans
+);
+
+/**
+ * @route   POST /api/media/orphans/clean
+ * @desc    Delete orphan files, expired trash and library entries whose files are missing
+ * @access  Private (media:force_delete)
+ */
+router.post('/orphans/clean',
+  requireAuth,
+  requirePermission('media', 'force_delete'),
+  mediaController.sweepOrphans
+);
+
+/**
+ * @route   GET /api/media/files/*
+ * @desc    Serve a private file through its signed URL (local storage driver)
+ * @access  Public (valid signature)
+ */
+router.get('/files/*',
+  mediaController.getSignedFile
+);
+
+/**
+ * @route   GET /api/media/presets
+ * @desc    Get the image transform presets of the tenant
+ * @access  Private (media:read)
+ */
+router.get('/presets',
+  requireAuth,
+  requirePermission('media', 'read'),
+  mediaController.getTransformPresets
+);
+
+/**
+ * @route   PUT /api/media/presets
+ * @desc    Replace the tenant's own image transform presets
+ * @access  Private (settings:update)
+ */
+router.put('/presets',
+  requireAuth,
+  requirePermission('settings', 'update'),
+  presetsValidation,
+  mediaController.updateTransformPresets
+);
+
+/**
+ * @route   GET /api/media/:id
+ * @desc    Get single media asset
+ * @access  Private (media:read)
+ */
+router.get('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('media', 'read'),
+  mediaController.getMediaAssetById
+);
+
+/**
+ * @route   GET /api/media/:id/usage
+ * @desc    Get articles and categories using the asset
+ * @access  Private (media:read)
+ */
+router.get('/:id/usage',
+  idValidation,
+  requireAuth,
+  requirePermission('media', 'read'),
+  mediaController.getMediaAssetUsage
+);
+
+/**
+ * @route   GET /api/media/:id/transform
+ * @desc    Derived image of an asset (preset, or w/h/fit/format/q with a signature)
+ * @access  Public (presets of public assets) / valid signature
+ */
+router.get('/:id/transform',
+  idValidation,
+  transformValidation,
+  mediaController.transformMediaAsset
+);
+
+/**
+ * @route   GET /api/media/:id/transform-url
+ * @desc    Get a signed transform URL of an asset and the URLs of its presets
+ * @access  Private (media:read)
+ */
+router.get('/:id/transform-url',
+  idValidation,
+  requireAuth,
+  requirePermission('media', 'read'),
+  transformUrlValidation,
+  mediaController.getTransformUrl
+);
+
+/**
+ * @route   PUT /api/media/:id
+ * @desc    Update alt text, caption, credit, copyright, tags and visibility of an asset
+ * @access  Private (media:update for own uploads, media:update_any for others)
+ */
+router.put('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('media', 'update'),
+  updateValidation,
+  mediaController.updateMediaAsset
+);
+
+/**
+ * @route   PUT /api/media/:id/crop
+ * @desc    Set the focal point and crop boxes of an asset and regenerate its sizes
+ * @access  Private (media:update for own uploads, media:update_any for others)
+ */
+router.put('/:id/crop',
+  idValidation,
+  requireAuth,
+  requirePermission('media', 'update'),
+  cropValidation,
+  mediaController.setMediaAssetCrop
+);
+
+/**
+ * @route   DELETE /api/media/:id
+ * @desc    Delete an asset; in use it is refused unless soft=true (trash) or force=true
+ * @access  Private (media:delete, force needs media:force_delete)
+ */
+router.delete('/:id',
+  idValidation,
+  deleteValidation,
+  requireAuth,
+  requirePermission('media', 'delete'),
+  mediaController.deleteMediaAsset
+);
+
+/**
+ * @route   POST /api/media/:id/restore
+ * @desc    Restore an asset from the trash
+ * @access  Private (media:delete)
+ */
+router.post('/:id/restore',
+  idValidation,
+  requireAuth,
+  requirePermission('media', 'delete'),
+  mediaController.restoreMediaAsset
+);
+
+module.exports = router;
@@ -5,8 +5,9 @@ const router = express.Router();
 
 // Import controllers and middleware
 const newsController = require('../controllers/newsController');
-const { requireAuth, requirePermission, requireOwnership, optionalAuth } = require('../middleware/auth');
-const { apiRateLimit } = require('../middleware/security');
+const commentController = require('../controllers/commentController');
+const { requireAuth, requirePermission, requireScope, rejectApiKey, requireOwnership, optionalAuth } = require('../middleware/auth');
+const { apiRateLimit, commentRateLimit } = require('../middleware/security');
 const { checkTenantLimits } = require('../middleware/tenant');
 const { uploadSingleImage } = require('../middleware/upload');
 
@@ -122,6 +123,138 @@ const publishValidation = [
     .withMessage('Action must be either "publish" or "unpublish"')
 ];
 
+const searchValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1-200 characters'),
+  query('mode')
+    .optional()
+    .isIn(['boolean', 'natural'])
+    .withMessage('Mode must be either "boolean" or "natural"'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1-50'),
+  query('category_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid category ID is required'),
+  query('tag_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid tag ID is required'),
+  query('author_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid author ID is required'),
+  query('date_from')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  query('date_to')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required')
+];
+
+const commentQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1-50'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest'])
+    .withMessage('Sort must be either "newest" or "oldest"')
+];
+
+const createCommentValidation = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1-5000 characters'),
+  body('parent_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Valid parent comment ID is required'),
+  body('guest_name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+  body('guest_email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required')
+];
+
+const likeValidation = [
+  body('liked')
+    .optional()
+    .isBoolean()
+    .withMessage('Liked must be a boolean')
+];
+
+const workflowValidation = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be less than 2000 characters')
+];
+
+const rejectValidation = [
+  body('notes')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('A comment of up to 2000 characters is required to reject an article')
+];
+
+const reviewQueueValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1-100'),
+  query('category_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid category ID is required'),
+  query('author_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid author ID is required')
+];
+
+const revisionDiffValidation = [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('From version must be a positive integer'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To version must be a positive integer')
+];
+
+const revisionVersionValidation = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
 const bulkOperationValidation = [
   body('action')
     .isIn(['publish', 'unpublish', 'delete', 'feature', 'unfeature'])
@@ -149,7 +282,7 @@ const queryValidation = [
     .withMessage('Invalid status filter'),
   query('sort')
     .optional()
-    .isIn(['created_at', 'updated_at', 'published_at', 'title', 'views_count'])
+    .isIn(['created_at', 'updated_at', 'published_at', 'title', 'views_count', 'seo_score', 'readability_score'])
     .withMessage('Invalid sort field'),
   query('order')
     .optional()
@@ -205,6 +338,18 @@ router.get('/popular',
   newsController.getPopularNews
 );
 
+/**
+ * @route   GET /api/news/search
+ * @desc    Full-text search over published articles with highlights
+ * @access  Public
+ * @query   q supports +required -excluded "exact phrase" and prefix* terms
+ */
+router.get('/search',
+  apiRateLimit,
+  searchValidation,
+  newsController.searchNews
+);
+
 /**
  * @route   GET /api/news/:id/public
  * @desc    Get single published article (public view)
@@ -217,14 +362,40 @@ router.get('/:id/public',
   newsController.getPublishedNews
 );
 
+/**
+ * @route   GET /api/news/:id/comments
+ * @desc    Get approved comments of an article as threads
+ * @access  Public
+ */
+router.get('/:id/comments',
+  apiRateLimit,
+  idValidation,
+  commentQueryValidation,
+  commentController.getArticleComments
+);
+
+/**
+ * @route   POST /api/news/:id/comments
+ * @desc    Post a comment or reply (guests allowed if the tenant permits)
+ * @access  Public
+ */
+router.post('/:id/comments',
+  commentRateLimit,
+  idValidation,
+  optionalAuth,
+  createCommentValidation,
+  commentController.createComment
+);
+
 // Protected routes (authentication required)
 /**
  * @route   GET /api/news
- * @desc    Get all news articles (with permissions)
+ * @desc    Get all news articles (with permissions), my_desk=true for the user's sections
  * @access  Private
  */
 router.get('/',
   requireAuth,
+  requireScope('news', 'read'),
   queryValidation,
   newsController.getAllNews
 );
@@ -240,6 +411,42 @@ router.get('/stats',
   newsController.getNewsStats
 );
 
+/**
+ * @route   GET /api/news/liked
+ * @desc    Get articles liked by the current user
+ * @access  Private
+ */
+router.get('/liked',
+  requireAuth,
+  rejectApiKey,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50'),
+  newsController.getLikedNews
+);
+
+/**
+ * @route   POST /api/news/likes/repair
+ * @desc    Recalculate likes_count of all articles from recorded likes
+ * @access  Private (Admin)
+ */
+router.post('/likes/repair',
+  requireAuth,
+  requirePermission('news', 'manage'),
+  newsController.repairLikeCounts
+);
+
+/**
+ * @route   GET /api/news/review-queue
+ * @desc    Get articles waiting for review
+ * @access  Private (Editor+)
+ */
+router.get('/review-queue',
+  requireAuth,
+  reviewQueueValidation,
+  requirePermission('news', 'publish'),
+  newsController.getReviewQueue
+);
+
 /**
  * @route   GET /api/news/:id
  * @desc    Get single news article by ID or slug
@@ -247,6 +454,7 @@ router.get('/stats',
  */
 router.get('/:id',
   requireAuth,
+  requireScope('news', 'read'),
   idValidation,
   newsController.getNewsById
 );
@@ -274,6 +482,7 @@ router.post('/',
  */
 router.put('/:id',
   requireAuth,
+  requireScope('news', 'update'),
   idValidation,
   uploadSingleImage('articles'), // Handle image upload
   updateNewsValidation,
@@ -305,6 +514,133 @@ router.post('/:id/publish',
   newsController.togglePublishStatus
 );
 
+/**
+ * @route   POST /api/news/:id/submit
+ * @desc    Submit article for review
+ * @access  Private (Owner, Editor+)
+ */
+router.post('/:id/submit',
+  requireAuth,
+  requireScope('news', 'update'),
+  idValidation,
+  workflowValidation,
+  newsController.submitNews
+);
+
+/**
+ * @route   POST /api/news/:id/approve
+ * @desc    Approve and publish article in review
+ * @access  Private (Editor+)
+ */
+router.post('/:id/approve',
+  requireAuth,
+  idValidation,
+  workflowValidation,
+  requirePermission('news', 'publish'),
+  newsController.approveNews
+);
+
+/**
+ * @route   POST /api/news/:id/reject
+ * @desc    Reject article in review with a comment
+ * @access  Private (Editor+)
+ */
+router.post('/:id/reject',
+  requireAuth,
+  idValidation,
+  rejectValidation,
+  requirePermission('news', 'publish'),
+  newsController.rejectNews
+);
+
+/**
+ * @route   POST /api/news/:id/send-back
+ * @desc    Send article back to its author for changes
+ * @access  Private (Editor+)
+ */
+router.post('/:id/send-back',
+  requireAuth,
+  idValidation,
+  workflowValidation,
+  requirePermission('news', 'publish'),
+  newsController.sendBackNews
+);
+
+/**
+ * @route   GET /api/news/:id/views
+ * @desc    Get daily view counts of an article
+ * @access  Private (Owner, Editor+)
+ */
+router.get('/:id/views',
+  requireAuth,
+  requireScope('news', 'read'),
+  idValidation,
+  query('days').optional().isInt({ min: 1, max: 365 }),
+  newsController.getNewsViewStats
+);
+
+/**
+ * @route   GET /api/news/:id/seo-report
+ * @desc    Get SEO and readability findings of an article
+ * @access  Private (Owner, Editor+)
+ */
+router.get('/:id/seo-report',
+  requireAuth,
+  requireScope('news', 'read'),
+  idValidation,
+  newsController.getNewsSeoReport
+);
+
+/**
+ * @route   GET /api/news/:id/transitions
+ * @desc    Get workflow transition log of an article
+ * @access  Private (Owner, Editor+)
+ */
+router.get('/:id/transitions',
+  requireAuth,
+  requireScope('news', 'read'),
+  idValidation,
+  newsController.getNewsTransitions
+);
+
+/**
+ * @route   GET /api/news/:id/revisions
+ * @desc    Get revision history of an article
+ * @access  Private (Owner, Editor+)
+ */
+router.get('/:id/revisions',
+  requireAuth,
+  requireScope('news', 'read'),
+  idValidation,
+  newsController.getNewsRevisions
+);
+
+/**
+ * @route   GET /api/news/:id/revisions/diff
+ * @desc    Compare two revisions of an article
+ * @access  Private (Owner, Editor+)
+ */
+router.get('/:id/revisions/diff',
+  requireAuth,
+  requireScope('news', 'read'),
+  idValidation,
+  revisionDiffValidation,
+  newsController.compareNewsRevisions
+);
+
+/**
+ * @route   POST /api/news/:id/revisions/:version/restore
+ * @desc    Restore article to a previous revision
+ * @access  Private (Owner, Editor+)
+ */
+router.post('/:id/revisions/:version/restore',
+  requireAuth,
+  requireScope('news', 'update'),
+  idValidation,
+  revisionVersionValidation,
+  newsController.restoreNewsRevision
+);
+
 /**
  * @route   POST /api/news/bulk
  * @desc    Bulk operations on articles
@@ -319,47 +655,27 @@ router.post('/bulk',
 
 /**
  * @route   POST /api/news/:id/like
- * @desc    Like/unlike article
+ * @desc    Like/unlike article (toggles unless "liked" is given)
  * @access  Private
  */
 router.post('/:id/like',
   requireAuth,
+  rejectApiKey,
   idValidation,
-  async (req, res) => {
-    try {
-      const article = await req.models.News.findByPk(req.params.id);
-      
-      if (!article) {
-        return res.status(404).json({
-          success: false,
-          message: 'Article not found'
-        });
-      }
-
-      if (!article.canBeViewedByPublic() && article.author_id !== req.currentUser.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Cannot like this article'
-        });
-      }
-
-      await article.increment('likes_count');
-
-      res.json({
-        success: true,
-        message: 'Article liked',
-        data: {
-          likes_count: article.likes_count + 1
-        }
-      });
+  likeValidation,
+  newsController.toggleNewsLike
+);
 
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to like article'
-      });
-    }
-  }
+/**
+ * @route   GET /api/news/:id/like
+ * @desc    Check whether the current user likes the article
+ * @access  Private
+ */
+router.get('/:id/like',
+  requireAuth,
+  rejectApiKey,
+  idValidation,
+  newsController.getNewsLikeStatus
 );
 
 /**
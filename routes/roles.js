@@ -0,0 +1,128 @@
+// routes/roles.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const roleController = require('../controllers/roleController');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Validation rules
+const grantsValidation = (field) => field
+  .isArray()
+  .withMessage('Grants must be a list of "resource:action" permissions')
+  .bail()
+  .custom((grants, { req }) => {
+    const invalid = grants.filter(grant => !req.models.Permission.isValidGrant(grant));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown permissions: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const createRoleValidation = [
+  body('slug')
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Slug must be 2-50 lowercase letters, digits or underscores, starting with a letter'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  grantsValidation(body('grants'))
+];
+
+const updateRoleValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  grantsValidation(body('grants').optional())
+];
+
+const idValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid role ID is required')
+];
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get roles with their permissions and number of users
+ * @access  Private (roles:read)
+ */
+router.get('/',
+  requireAuth,
+  requirePermission('roles', 'read'),
+  roleController.getRoles
+);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Get resources and actions that can be granted to roles
+ * @access  Private (roles:read)
+ */
+router.get('/permissions',
+  requireAuth,
+  requirePermission('roles', 'read'),
+  roleController.getPermissionCatalogue
+);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get single role
+ * @access  Private (roles:read)
+ */
+router.get('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('roles', 'read'),
+  roleController.getRoleById
+);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create custom role
+ * @access  Private (roles:manage)
+ */
+router.post('/',
+  requireAuth,
+  requirePermission('roles', 'manage'),
+  createRoleValidation,
+  roleController.createRole
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update role name, description and permissions
+ * @access  Private (roles:manage)
+ */
+router.put('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('roles', 'manage'),
+  updateRoleValidation,
+  roleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete custom role
+ * @access  Private (roles:manage)
+ */
+router.delete('/:id',
+  idValidation,
+  requireAuth,
+  requirePermission('roles', 'manage'),
+  roleController.deleteRole
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// routes/sitemaps.js
+const express = require('express');
+const { param } = require('express-validator');
+const router = express.Router();
+
+// Import controllers and middleware
+const sitemapController = require('../controllers/sitemapController');
+const { apiRateLimit } = require('../middleware/security');
+
+// Validation rules
+const pageValidation = [
+  param('page')
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+];
+
+/**
+ * @route   GET /sitemap.xml
+ * @desc    Sitemap index of the tenant
+ * @access  Public
+ */
+router.get('/sitemap.xml', apiRateLimit, sitemapController.getSitemapIndex);
+
+/**
+ * @route   GET /sitemap-articles-:page.xml
+ * @desc    Paged article sitemap, oldest articles first
+ * @access  Public
+ */
+router.get('/sitemap-articles-:page(\\d+).xml',
+  apiRateLimit,
+  pageValidation,
+  sitemapController.getArticleSitemap
+);
+
+/**
+ * @route   GET /sitemap-news.xml
+ * @desc    Google News sitemap of the articles published in the last 48 hours
+ * @access  Public
+ */
+router.get('/sitemap-news.xml', apiRateLimit, sitemapController.getNewsSitemap);
+
+/**
+ * @route   GET /sitemap-categories.xml
+ * @desc    Sitemap of active categories
+ * @access  Public
+ */
+router.get('/sitemap-categories.xml', apiRateLimit, sitemapController.getCategorySitemap);
+
+/**
+ * @route   GET /sitemap-tags.xml
+ * @desc    Sitemap of active tags with published articles
+ * @access  Public
+ */
+router.get('/sitemap-tags.xml', apiRateLimit, sitemapController.getTagSitemap);
+
+module.exports = router;
@@ -121,7 +121,7 @@ router.get('/popular',
 
 /**
  * @route   GET /api/tags/trending
- * @desc    Get trending tags (used in recent articles)
+ * @desc    Get trending tags (ranked by recent views of tagged articles)
  * @access  Public
  */
 router.get('/trending',
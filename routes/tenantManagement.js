@@ -2,7 +2,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const router = express.Router();
-const { masterDB, createTenantDB, getTenantDB, initializeTenantModels } = require('../config/database');
+const { masterDB, createTenantDB, getTenantDB, getTenantModels } = require('../config/database');
 const { authenticateMasterAdmin } = require('./masterAuth.js.bak');
 
 // Validation middleware
@@ -186,12 +186,10 @@ router.post('/',
         console.log(`✅ Tenant database created`);
         
         // Initialize tenant models
-        const tenantDB = await getTenantDB(tenant.id);
-        await initializeTenantModels(tenantDB);
+        const models = await getTenantModels(tenant.id);
         console.log(`✅ Tenant models initialized`);
         
         // Create default admin user
-        const models = await initializeTenantModels(tenantDB);
         const bcrypt = require('bcryptjs');
         
         // Generate random password
@@ -503,8 +501,7 @@ router.get('/:id/analytics', authenticateMasterAdmin, async (req, res) => {
 
     // Try to get tenant database stats
     try {
-      const tenantDB = await getTenantDB(tenant.id);
-      const models = await initializeTenantModels(tenantDB);
+      const models = await getTenantModels(tenant.id);
 
       const [
         userCount,
@@ -586,8 +583,7 @@ router.post('/:id/seed', authenticateMasterAdmin, async (req, res) => {
       });
     }
 
-    const tenantDB = await getTenantDB(tenant.id);
-    const models = await initializeTenantModels(tenantDB);
+    const models = await getTenantModels(tenant.id);
 
     // Create sample categories
     const techCategory = await models.Category.create({
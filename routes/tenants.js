@@ -3,14 +3,15 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission, rejectApiKey } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 /**
  * @route   GET /api/tenants/info
  * @desc    Get current tenant information
  * @access  Private
  */
-router.get('/info', requireAuth, async (req, res) => {
+router.get('/info', requireAuth, rejectApiKey, async (req, res) => {
   try {
     const tenant = req.tenant;
     
@@ -54,7 +55,7 @@ router.get('/info', requireAuth, async (req, res) => {
  */
 router.put('/settings', 
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('settings', 'update'),
   async (req, res) => {
     try {
       const tenant = req.tenant;
@@ -75,8 +76,16 @@ router.put('/settings',
       };
 
       // Update tenant settings
+      const previousSettings = tenant.settings || {};
       await tenant.update({ settings: updatedSettings });
 
+      await auditService.record(req, 'settings.update', {
+        targetType: 'settings',
+        before: previousSettings,
+        after: updatedSettings,
+        fields: Object.keys(settings || {})
+      });
+
       res.json({
         success: true,
         message: 'Tenant settings updated successfully',
@@ -102,7 +111,7 @@ router.put('/settings',
  */
 router.get('/stats',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('settings', 'read'),
   async (req, res) => {
     try {
       const tenant = req.tenant;
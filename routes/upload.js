@@ -7,6 +7,7 @@ const router = express.Router();
 const { requireAuth, requirePermission } = require('../middleware/auth');
 const { uploadSingleImage, uploadMultipleImages } = require('../middleware/upload');
 const uploadService = require('../services/uploadService');
+const mediaService = require('../services/mediaService');
 const cacheService = require('../config/cache');
 const logger = require('../utils/logger');
 
@@ -15,7 +16,7 @@ const logger = require('../utils/logger');
  */
 router.post('/image/:type',
   requireAuth,
-  requirePermission('content', 'create'),
+  requirePermission('media', 'create'),
   (req, res, next) => {
     const uploadType = req.params.type;
     const allowedTypes = ['articles', 'avatars', 'categories', 'logos'];
@@ -46,9 +47,16 @@ router.post('/image/:type',
         req.file.buffer,
         req.tenantId,
         req.uploadType,
-        true // Generate multiple sizes
+        true, // Generate multiple sizes
+        { visibility: req.body.private === 'true' ? 'private' : 'public' }
       );
 
+      // Catalog the image in the media library
+      const asset = await req.models.MediaAsset.createFromUpload(result, {
+        uploadedBy: req.currentUser.id,
+        file: req.file
+      });
+
       // Generate URLs for all sizes
       const imageUrls = uploadService.getImageUrls(
         req.tenantId,
@@ -63,6 +71,7 @@ router.post('/image/:type',
         message: 'Image uploaded successfully',
         data: {
           id: result.id,
+          media_asset_id: asset.id,
           urls: imageUrls,
           metadata: result.metadata,
           upload_type: req.uploadType
@@ -85,7 +94,7 @@ router.post('/image/:type',
  */
 router.post('/images/:type',
   requireAuth,
-  requirePermission('content', 'create'),
+  requirePermission('media', 'create'),
   (req, res, next) => {
     const uploadType = req.params.type;
     const allowedTypes = ['articles', 'gallery'];
@@ -118,6 +127,15 @@ router.post('/images/:type',
         req.uploadType
       );
 
+      // Catalog the images in the media library
+      for (const result of results.results) {
+        const asset = await req.models.MediaAsset.createFromUpload(result.data, {
+          uploadedBy: req.currentUser.id,
+          file: req.files[result.index]
+        });
+        result.media_asset_id = asset.id;
+      }
+
       // Process successful uploads
       const successfulUploads = results.results.map(result => {
         if (result.success) {
@@ -159,20 +177,64 @@ router.post('/images/:type',
 );
 
 /**
- * Delete uploaded image
+ * Delete uploaded image, refused while anything still uses it unless
+ * soft=true (library entries go to the trash) or force=true (media:force_delete)
  */
 router.delete('/image/:type/:imageId',
   requireAuth,
-  requirePermission('content', 'delete'),
+  requirePermission('media', 'delete'),
   async (req, res) => {
     try {
       const { type: uploadType, imageId } = req.params;
-      
-      const deleted = await uploadService.deleteImage(
-        req.tenantId,
-        imageId,
-        uploadType
-      );
+      const force = req.query.force === 'true';
+      const soft = req.query.soft === 'true';
+
+      if (force && !req.currentUser.hasPermission('media', 'force_delete')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions to delete media that is in use',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      const asset = await req.models.MediaAsset.findOne({ where: { file_id: imageId }, paranoid: !force });
+      let deleted;
+
+      if (asset) {
+        const { result, usages } = await mediaService.deleteAsset(req.tenantId, asset, {
+          force,
+          soft,
+          userId: req.currentUser.id
+        });
+
+        if (result === 'in_use') {
+          return res.status(409).json({
+            success: false,
+            message: `Image is used in ${usages.length} places`,
+            code: 'MEDIA_IN_USE',
+            data: { usages }
+          });
+        }
+        deleted = true;
+      } else {
+        // Uploaded before the media library, only the references tell whether it is in use
+        const usages = await req.models.MediaAsset.findUsages(imageId);
+
+        if (usages.length > 0 && !force) {
+          return res.status(409).json({
+            success: false,
+            message: `Image is used in ${usages.length} places`,
+            code: 'MEDIA_IN_USE',
+            data: { usages }
+          });
+        }
+
+        deleted = await uploadService.deleteImage(
+          req.tenantId,
+          imageId,
+          uploadType
+        );
+      }
 
       if (deleted) {
         logger.info(`Image deleted: ${imageId} by ${req.currentUser.email}`);
@@ -203,7 +265,7 @@ router.delete('/image/:type/:imageId',
  */
 router.get('/storage/usage',
   requireAuth,
-  requirePermission('content', 'read'),
+  requirePermission('media', 'read'),
   async (req, res) => {
     try {
       const usage = await uploadService.getTenantStorageUsage(req.tenantId);
@@ -223,12 +285,38 @@ router.get('/storage/usage',
   }
 );
 
+/**
+ * Rebuild the tracked storage usage from the storage listing
+ */
+router.post('/storage/recalculate',
+  requireAuth,
+  requirePermission('media', 'force_delete'),
+  async (req, res) => {
+    try {
+      const usage = await uploadService.recalculateStorageUsage(req.tenantId);
+
+      res.json({
+        success: true,
+        message: 'Storage usage recalculated',
+        data: usage
+      });
+
+    } catch (error) {
+      logger.error('Storage recalculation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to recalculate storage usage'
+      });
+    }
+  }
+);
+
 /**
  * Cleanup temporary files
  */
 router.post('/cleanup/temp',
   requireAuth,
-  requirePermission('content', 'delete'),
+  requirePermission('media', 'delete'),
   async (req, res) => {
     try {
       const { older_than_hours = 24 } = req.body;
@@ -5,7 +5,7 @@ const router = express.Router();
 
 // Import controllers and middleware
 const userController = require('../controllers/userController');
-const { requireAuth, requireRole, requirePermission } = require('../middleware/auth');
+const { requireAuth, requirePermission, rejectApiKey } = require('../middleware/auth');
 const { apiRateLimit } = require('../middleware/security');
 const { checkTenantLimits } = require('../middleware/tenant');
 
@@ -28,7 +28,7 @@ const createUserValidation = [
     .isLength({ min: 1, max: 50 })
     .withMessage('Last name is required (1-50 characters)'),
   body('role')
-    .isIn(['super_admin', 'admin', 'editor', 'contributor'])
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
     .withMessage('Invalid role')
 ];
 
@@ -50,7 +50,7 @@ const updateUserValidation = [
     .withMessage('Last name must be 1-50 characters'),
   body('role')
     .optional()
-    .isIn(['super_admin', 'admin', 'editor', 'contributor'])
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
     .withMessage('Invalid role'),
   body('status')
     .optional()
@@ -75,7 +75,7 @@ const queryValidation = [
     .withMessage('Limit must be between 1-100'),
   query('role')
     .optional()
-    .isIn(['super_admin', 'admin', 'editor', 'contributor'])
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
     .withMessage('Invalid role filter'),
   query('status')
     .optional()
@@ -93,6 +93,15 @@ const statusValidation = [
     .withMessage('Valid status is required')
 ];
 
+const categoriesValidation = [
+  body('category_ids')
+    .isArray({ max: 100 })
+    .withMessage('Category IDs must be a list of at most 100 categories'),
+  body('category_ids.*')
+    .isUUID()
+    .withMessage('Category IDs must be valid IDs')
+];
+
 // Protected routes (authentication required)
 /**
  * @route   GET /api/users
@@ -101,7 +110,7 @@ const statusValidation = [
  */
 router.get('/',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('users', 'read'),
   queryValidation,
   userController.getAllUsers
 );
@@ -113,7 +122,7 @@ router.get('/',
  */
 router.get('/stats',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('users', 'read'),
   userController.getUserStats
 );
 
@@ -124,10 +133,48 @@ router.get('/stats',
  */
 router.get('/:id',
   requireAuth,
+  rejectApiKey,
   idValidation,
   userController.getUserById
 );
 
+/**
+ * @route   GET /api/users/:id/permissions
+ * @desc    Get role and effective permissions of a user
+ * @access  Private (users:read or self)
+ */
+router.get('/:id/permissions',
+  requireAuth,
+  rejectApiKey,
+  idValidation,
+  userController.getUserPermissions
+);
+
+/**
+ * @route   GET /api/users/:id/categories
+ * @desc    Get sections (categories) a user is limited to
+ * @access  Private (users:read or self)
+ */
+router.get('/:id/categories',
+  requireAuth,
+  rejectApiKey,
+  idValidation,
+  userController.getUserCategories
+);
+
+/**
+ * @route   PUT /api/users/:id/categories
+ * @desc    Limit a user to sections (categories) and their subcategories, empty list for all
+ * @access  Private (users:update)
+ */
+router.put('/:id/categories',
+  requireAuth,
+  requirePermission('users', 'update'),
+  idValidation,
+  categoriesValidation,
+  userController.setUserCategories
+);
+
 /**
  * @route   POST /api/users
  * @desc    Create new user
@@ -135,7 +182,7 @@ router.get('/:id',
  */
 router.post('/',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('users', 'create'),
   checkTenantLimits('users'),
   createUserValidation,
   userController.createUser
@@ -148,6 +195,7 @@ router.post('/',
  */
 router.put('/:id',
   requireAuth,
+  rejectApiKey,
   idValidation,
   updateUserValidation,
   userController.updateUser
@@ -160,7 +208,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('users', 'delete'),
   idValidation,
   userController.deleteUser
 );
@@ -172,12 +220,24 @@ router.delete('/:id',
  */
 router.post('/:id/status',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('users', 'update'),
   idValidation,
   statusValidation,
   userController.changeUserStatus
 );
 
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock account locked after failed logins (Admin only)
+ * @access  Private (Admin+)
+ */
+router.post('/:id/unlock',
+  requireAuth,
+  requirePermission('users', 'update'),
+  idValidation,
+  userController.unlockUser
+);
+
 /**
  * @route   POST /api/users/:id/reset-password
  * @desc    Reset user password (Admin only)
@@ -185,7 +245,7 @@ router.post('/:id/status',
  */
 router.post('/:id/reset-password',
   requireAuth,
-  requireRole(['super_admin', 'admin']),
+  requirePermission('users', 'update'),
   idValidation,
   userController.resetUserPassword
 );
@@ -69,6 +69,7 @@ const initializeDatabase = async () => {
     
     MasterAdmin = models.MasterAdmin;
     Tenant = models.Tenant;
+    require('./services/auditService').setMasterModel(models.AuditLog);
     
     dbInitialized = true;
     console.log('✅ Database initialization complete');
@@ -129,10 +130,10 @@ const loadTenantDB = async (req, res, next) => {
   if (!req.tenantId) return next();
 
   try {
-    const { getTenantDB, initializeTenantModels } = require('./config/database');
+    const { getTenantDB, getTenantModels } = require('./config/database');
     
     const tenantDB = await getTenantDB(req.tenantId);
-    const models = await initializeTenantModels(tenantDB);
+    const models = await getTenantModels(req.tenantId);
 
     req.db = tenantDB;
     req.models = models;
@@ -270,25 +271,55 @@ app.post('/api/master/login', async (req, res) => {
       });
     }
     
+    const loginProtectionService = require('./services/loginProtectionService');
+    const attempt = { scope: 'master', ip: req.ip, email };
+    
+    const ipBlock = loginProtectionService.checkIp('master', req.ip);
+    if (ipBlock) {
+      res.set('Retry-After', String(ipBlock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this address',
+        code: 'IP_LOCKED',
+        data: { locked_until: ipBlock.until, retry_after: ipBlock.retryAfter }
+      });
+    }
+    
     const admin = await MasterAdmin.findOne({
       where: { email: email.toLowerCase().trim() }
     });
     
     if (!admin || admin.status !== 'active') {
+      await loginProtectionService.recordFailure(null, attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    const accountLock = loginProtectionService.checkAccount(admin);
+    if (accountLock) {
+      loginProtectionService.recordIpFailure('master', req.ip);
+      require('./utils/logger').security('Login attempt on locked master admin account', attempt);
+      res.set('Retry-After', String(accountLock.retryAfter));
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked after too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        data: { locked_until: accountLock.until, retry_after: accountLock.retryAfter }
+      });
+    }
+    
     const isValid = await admin.comparePassword(password);
     if (!isValid) {
+      await loginProtectionService.recordFailure(admin, attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    await loginProtectionService.resetAccount(admin);
     await admin.update({
       last_login: new Date(),
       last_login_ip: req.ip,
@@ -556,13 +587,12 @@ app.post('/api/tenant-management', authenticateMasterAdmin, async (req, res) =>
 
     try {
       // Create tenant database
-      const { createTenantDB, getTenantDB, initializeTenantModels } = require('./config/database');
+      const { createTenantDB, getTenantModels } = require('./config/database');
       
       await createTenantDB(tenant.id);
       console.log(`✅ Tenant database created`);
       
-      const tenantDB = await getTenantDB(tenant.id);
-      const models = await initializeTenantModels(tenantDB);
+      const models = await getTenantModels(tenant.id);
       console.log(`✅ Tenant models initialized`);
       
       // Generate random password
@@ -586,6 +616,13 @@ app.post('/api/tenant-management', authenticateMasterAdmin, async (req, res) =>
       
       // Update tenant status to active
       await tenant.update({ status: 'active' });
+
+      await require('./services/auditService').recordMaster(req, 'tenant.create', {
+        targetType: 'tenant',
+        target: tenant,
+        tenantId: tenant.id,
+        metadata: { domain: tenant.domain, plan: tenant.plan, admin_email: contact_email }
+      });
       
       res.status(201).json({
         success: true,
@@ -680,8 +717,18 @@ app.put('/api/tenant-management/:id', authenticateMasterAdmin, async (req, res)
     if (status !== undefined) updateData.status = status;
     if (plan !== undefined) updateData.plan = plan;
 
+    const before = tenant.get({ plain: true });
     await tenant.update(updateData);
 
+    await require('./services/auditService').recordMaster(req, 'tenant.update', {
+      targetType: 'tenant',
+      target: tenant,
+      tenantId: tenant.id,
+      before,
+      after: tenant,
+      fields: Object.keys(updateData)
+    });
+
     res.json({
       success: true,
       message: 'Tenant updated successfully',
@@ -726,6 +773,13 @@ app.delete('/api/tenant-management/:id', authenticateMasterAdmin, async (req, re
 
     await tenant.destroy();
 
+    await require('./services/auditService').recordMaster(req, 'tenant.delete', {
+      targetType: 'tenant',
+      target: tenantInfo,
+      tenantId: tenantInfo.id,
+      metadata: { domain: tenantInfo.domain, plan: tenant.plan }
+    });
+
     res.json({
       success: true,
       message: 'Tenant deleted successfully',
@@ -761,9 +815,8 @@ app.get('/api/tenant-management/:id/analytics', authenticateMasterAdmin, async (
     };
 
     try {
-      const { getTenantDB, initializeTenantModels } = require('./config/database');
-      const tenantDB = await getTenantDB(tenant.id);
-      const models = await initializeTenantModels(tenantDB);
+      const { getTenantModels } = require('./config/database');
+      const models = await getTenantModels(tenant.id);
 
       const [userCount, articleCount, categoryCount, tagCount, publishedArticles, draftArticles, totalViews] = await Promise.all([
         models.User.count().catch(() => 0),
@@ -817,9 +870,8 @@ app.post('/api/tenant-management/:id/seed', authenticateMasterAdmin, async (req,
       });
     }
 
-    const { getTenantDB, initializeTenantModels } = require('./config/database');
-    const tenantDB = await getTenantDB(tenant.id);
-    const models = await initializeTenantModels(tenantDB);
+    const { getTenantModels } = require('./config/database');
+    const models = await getTenantModels(tenant.id);
 
     // Create sample categories
     const techCategory = await models.Category.create({
@@ -874,6 +926,12 @@ app.post('/api/tenant-management/:id/seed', authenticateMasterAdmin, async (req,
       await article2.setTags([tags[1]]);
     }
 
+    await require('./services/auditService').recordMaster(req, 'tenant.seed', {
+      targetType: 'tenant',
+      target: tenant,
+      tenantId: tenant.id
+    });
+
     res.json({
       success: true,
       message: 'Test data created successfully',
@@ -894,6 +952,28 @@ app.post('/api/tenant-management/:id/seed', authenticateMasterAdmin, async (req,
   }
 });
 
+// Master audit log: actions of master admins on tenants
+const useMasterAuditLog = (req, res, next) => {
+  req.auditLogModel = require('./services/auditService').masterModel;
+  if (!req.auditLogModel) {
+    return res.status(503).json({
+      success: false,
+      message: 'Master database not available'
+    });
+  }
+  next();
+};
+
+const auditLogValidation = require('./routes/auditLogs');
+
+app.get('/api/master/audit-logs', authenticateMasterAdmin, useMasterAuditLog, auditLogValidation.queryValidation, (req, res) => {
+  require('./controllers/auditLogController').getAuditLogs(req, res);
+});
+
+app.get('/api/master/audit-logs/export', authenticateMasterAdmin, useMasterAuditLog, auditLogValidation.filterValidation, (req, res) => {
+  require('./controllers/auditLogController').exportAuditLogs(req, res);
+});
+
 app.get('/api/tenant-management/:id/status', authenticateMasterAdmin, async (req, res) => {
   console.log('🔍 Get tenant status endpoint hit');
   try {
@@ -942,259 +1022,6 @@ app.get('/api/tenant-management/:id/status', authenticateMasterAdmin, async (req
 
 console.log('✅ Tenant management routes added directly');
 
-// Add basic tenant endpoints (requires tenant context)
-app.post('/api/auth/login', async (req, res) => {
-  console.log('🔑 Tenant login endpoint hit');
-  if (!req.tenant) {
-    return res.status(400).json({
-      success: false,
-      message: 'Tenant context required. Please check your Host header.',
-      code: 'NO_TENANT_CONTEXT',
-      help: 'Use Host header like: Host: yourdomain.localhost'
-    });
-  }
-
-  try {
-    const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
-
-    const user = await req.models.User.findOne({
-      where: { email: email.toLowerCase().trim() }
-    });
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
-      });
-    }
-
-    if (user.status !== 'active') {
-      return res.status(403).json({
-        success: false,
-        message: 'User account is not active',
-        code: 'USER_INACTIVE'
-      });
-    }
-
-    const isValidPassword = await user.comparePassword(password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
-      });
-    }
-
-    // Generate JWT token
-    const jwt = require('jsonwebtoken');
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        tenantId: req.tenantId
-      },
-      process.env.JWT_SECRET || 'bulletproof-secret-key-2024',
-      { expiresIn: '24h' }
-    );
-
-    // Update login info
-    user.last_login = new Date();
-    user.last_login_ip = req.ip;
-    user.login_count += 1;
-    await user.save();
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        token,
-        token_type: 'Bearer',
-        expires_in: '24h',
-        tenant: {
-          id: req.tenant.id,
-          name: req.tenant.name,
-          domain: req.tenant.domain
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Tenant login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed'
-    });
-  }
-});
-
-app.get('/api/auth/profile', async (req, res) => {
-  console.log('👤 Tenant profile endpoint hit');
-  if (!req.tenant) {
-    return res.status(400).json({
-      success: false,
-      message: 'Tenant context required'
-    });
-  }
-
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authorization token required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'bulletproof-secret-key-2024');
-    
-    if (decoded.tenantId !== req.tenantId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Token tenant mismatch'
-      });
-    }
-
-    const user = await req.models.User.findByPk(decoded.userId);
-    
-    if (!user || user.status !== 'active') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or inactive user account'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: {
-        user: user.toJSON(),
-        tenant: {
-          id: req.tenant.id,
-          name: req.tenant.name,
-          domain: req.tenant.domain,
-          plan: req.tenant.plan
-        }
-      }
-    });
-  } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get profile'
-    });
-  }
-});
-
-app.get('/api/news', async (req, res) => {
-  console.log('📰 Get news endpoint hit');
-  if (!req.tenant) {
-    return res.status(400).json({
-      success: false,
-      message: 'Tenant context required',
-      code: 'NO_TENANT_CONTEXT'
-    });
-  }
-
-  try {
-    const { page = 1, limit = 10, status, search } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    const pageLimit = Math.min(parseInt(limit), 50);
-
-    const where = {};
-    if (status) where.status = status;
-    if (search) {
-      where[req.models.News.sequelize.Sequelize.Op.or] = [
-        { title: { [req.models.News.sequelize.Sequelize.Op.like]: `%${search}%` } },
-        { content: { [req.models.News.sequelize.Sequelize.Op.like]: `%${search}%` } }
-      ];
-    }
-
-    const { count, rows: articles } = await req.models.News.findAndCountAll({
-      where,
-      include: [
-        {
-          model: req.models.User,
-          as: 'author',
-          attributes: ['id', 'first_name', 'last_name', 'email']
-        },
-        {
-          model: req.models.Category,
-          as: 'category',
-          attributes: ['id', 'name', 'slug', 'color']
-        }
-      ],
-      order: [['created_at', 'DESC']],
-      limit: pageLimit,
-      offset
-    });
-
-    const totalPages = Math.ceil(count / pageLimit);
-
-    res.json({
-      success: true,
-      data: {
-        articles,
-        pagination: {
-          current_page: parseInt(page),
-          total_pages: totalPages,
-          total_items: count,
-          items_per_page: pageLimit
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Get news error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch articles'
-    });
-  }
-});
-
-app.get('/api/categories', async (req, res) => {
-  console.log('📂 Get categories endpoint hit');
-  if (!req.tenant) {
-    return res.status(400).json({
-      success: false,
-      message: 'Tenant context required',
-      code: 'NO_TENANT_CONTEXT'
-    });
-  }
-
-  try {
-    const categories = await req.models.Category.findAll({
-      order: [['name', 'ASC']]
-    });
-
-    res.json({
-      success: true,
-      data: { categories }
-    });
-
-  } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch categories'
-    });
-  }
-});
-
-console.log('✅ Basic tenant API routes added directly');
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -1211,6 +1038,33 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public feeds (tenant resolved by identifyTenant/loadTenantDB above)
+try {
+  const feedRoutes = require('./routes/feeds');
+  app.use('/feeds', feedRoutes);
+  console.log('✅ Feed routes mounted on /feeds');
+} catch (error) {
+  console.warn('⚠️  Feed routes not available:', error.message);
+}
+
+// Public sitemaps
+try {
+  const sitemapRoutes = require('./routes/sitemaps');
+  app.use('/', sitemapRoutes);
+  console.log('✅ Sitemap routes mounted on /sitemap.xml');
+} catch (error) {
+  console.warn('⚠️  Sitemap routes not available:', error.message);
+}
+
+// API routes, mounted here so they come before the error and 404 handlers below
+try {
+  const apiRoutes = require('./routes/index');
+  app.use('/api', apiRoutes);
+  console.log('✅ API routes loaded from routes/index.js');
+} catch (error) {
+  console.warn('⚠️  API routes not available:', error.message);
+}
+
 // Import and use route modules
 const setupRoutes = () => {
   try {
@@ -1579,13 +1433,12 @@ const setupRoutes = () => {
 
           try {
             // Create tenant database
-            const { createTenantDB, getTenantDB, initializeTenantModels } = require('./config/database');
+            const { createTenantDB, getTenantModels } = require('./config/database');
             
             await createTenantDB(tenant.id);
             console.log(`✅ Tenant database created`);
             
-            const tenantDB = await getTenantDB(tenant.id);
-            const models = await initializeTenantModels(tenantDB);
+            const models = await getTenantModels(tenant.id);
             console.log(`✅ Tenant models initialized`);
             
             // Generate random password
@@ -1784,9 +1637,8 @@ const setupRoutes = () => {
           };
 
           try {
-            const { getTenantDB, initializeTenantModels } = require('./config/database');
-            const tenantDB = await getTenantDB(tenant.id);
-            const models = await initializeTenantModels(tenantDB);
+            const { getTenantModels } = require('./config/database');
+            const models = await getTenantModels(tenant.id);
 
             const [userCount, articleCount, categoryCount, tagCount, publishedArticles, draftArticles, totalViews] = await Promise.all([
               models.User.count().catch(() => 0),
@@ -1840,9 +1692,8 @@ const setupRoutes = () => {
             });
           }
 
-          const { getTenantDB, initializeTenantModels } = require('./config/database');
-          const tenantDB = await getTenantDB(tenant.id);
-          const models = await initializeTenantModels(tenantDB);
+          const { getTenantModels } = require('./config/database');
+          const models = await getTenantModels(tenant.id);
 
           // Create sample categories
           const techCategory = await models.Category.create({
@@ -2089,19 +1940,30 @@ app.use('*', (req, res) => {
 const startServer = async () => {
   try {
     console.log('🔧 Starting optimized News CMS SaaS server...');
+
+    require('./config/signing').assertConfigured();
     
     await initializeDatabase();
     
     // Comment out setupRoutes untuk sementara
     // setupRoutes();
     
-    // Load existing API routes if available
-    try {
-      const apiRoutes = require('./routes/index');
-      app.use('/api', apiRoutes);
-      console.log('✅ API routes loaded from routes/index.js');
-    } catch (error) {
-      console.warn('⚠️  API routes not available:', error.message);
+    // Start background workers
+    if (dbInitialized) {
+      const schedulerService = require('./services/schedulerService');
+      schedulerService.start();
+      
+      const viewTrackingService = require('./services/viewTrackingService');
+      viewTrackingService.start();
+      
+      const mailerService = require('./services/mailerService');
+      mailerService.start();
+
+      const auditService = require('./services/auditService');
+      auditService.start();
+
+      const mediaService = require('./services/mediaService');
+      mediaService.start();
     }
     
     const server = app.listen(PORT, () => {
@@ -2117,6 +1979,24 @@ const startServer = async () => {
       console.log('✨ Master admin endpoints loaded directly');
     });
     
+    // Stop background workers and flush buffered view counts before exiting
+    ['SIGTERM', 'SIGINT'].forEach((signal) => {
+      process.once(signal, async () => {
+        console.log(`🛑 ${signal} received, shutting down...`);
+        try {
+          require('./services/schedulerService').stop();
+          await require('./services/viewTrackingService').stop();
+          await require('./services/mailerService').stop();
+          require('./services/auditService').stop();
+          require('./services/mediaService').stop();
+          await require('./config/cache').close();
+        } catch (error) {
+          console.error('❌ Error stopping background workers:', error);
+        }
+        server.close(() => process.exit(0));
+      });
+    });
+    
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
         console.error(`❌ Port ${PORT} is already in use`);
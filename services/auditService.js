@@ -0,0 +1,200 @@
+// services/auditService.js
+const { getTenantModels } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Days audit entries are kept per plan, limits.audit_retention_days overrides it per tenant
+const RETENTION_DAYS = {
+  trial: 30,
+  basic: 90,
+  professional: 365,
+  enterprise: 730
+};
+
+/**
+ * Persistent audit trail of admin actions. Entries are written to the
+ * tenant's audit_logs table (master admin actions to the master one) and
+ * mirrored to the winston audit log. Recording never fails the request.
+ */
+class AuditService {
+  constructor() {
+    this.masterModel = null;
+    this.retentionDays = RETENTION_DAYS;
+    this.pruneInterval = parseInt(process.env.AUDIT_PRUNE_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+    this.masterRetentionDays = parseInt(process.env.AUDIT_MASTER_RETENTION_DAYS) || 730;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * AuditLog model of the master database, set once the master models are initialized
+   */
+  setMasterModel(model) {
+    this.masterModel = model;
+  }
+
+  /**
+   * Record an action of the current user (or API key) of a tenant request
+   * @param {Object} req - Request with models, currentUser and optionally apiKey
+   * @param {string} action - e.g. "news.delete"
+   * @param {Object} options - targetType, target (record or { id, label }), before,
+   *   after, fields (to compare), changes (precomputed), metadata
+   */
+  async record(req, action, options = {}) {
+    if (!req.models || !req.models.AuditLog) return null;
+
+    const entry = this.buildEntry(req, action, options);
+    const user = req.currentUser;
+
+    if (req.apiKey) {
+      entry.actor_type = 'api_key';
+      entry.api_key_prefix = req.apiKey.prefix;
+    }
+    if (user) {
+      entry.actor_id = user.id;
+      entry.actor_email = user.email;
+    }
+
+    return await this.write(req.models.AuditLog, entry, { tenant_id: req.tenantId });
+  }
+
+  /**
+   * Record an action of a master admin
+   * @param {Object} req - Request authenticated by authenticateMasterAdmin
+   * @param {string} action - e.g. "tenant.delete"
+   * @param {Object} options - Same as record, plus tenantId
+   */
+  async recordMaster(req, action, options = {}) {
+    const entry = this.buildEntry(req, action, options);
+    const admin = req.masterAdmin;
+
+    entry.actor_type = 'master_admin';
+    entry.tenant_id = options.tenantId || null;
+    if (admin) {
+      entry.actor_id = admin.id;
+      entry.actor_email = admin.email;
+    }
+
+    if (!this.masterModel) {
+      logger.audit(action, entry);
+      return null;
+    }
+
+    return await this.write(this.masterModel, entry, {});
+  }
+
+  buildEntry(req, action, { targetType = null, target = null, before, after, fields = null, changes, metadata = null }) {
+    const Model = (req.models && req.models.AuditLog) || this.masterModel;
+
+    let computedChanges = changes === undefined ? null : changes;
+    if (changes === undefined && (before !== undefined || after !== undefined) && Model) {
+      computedChanges = Model.diff(before, after, fields);
+    }
+
+    const userAgent = req.get && req.get('User-Agent');
+
+    return {
+      actor_type: 'user',
+      action,
+      target_type: targetType,
+      target_id: target && target.id ? String(target.id) : null,
+      target_label: this.getLabel(target),
+      changes: computedChanges,
+      metadata,
+      ip_address: req.ip || null,
+      user_agent: userAgent ? userAgent.substring(0, 500) : null
+    };
+  }
+
+  /**
+   * Human readable name of a record: title, name, email or slug
+   */
+  getLabel(target) {
+    if (!target) return null;
+
+    const label = target.label || target.title || target.name || target.email || target.slug;
+    if (!label && (target.first_name || target.last_name)) {
+      return [target.first_name, target.last_name].filter(Boolean).join(' ');
+    }
+    return label ? String(label).substring(0, 255) : null;
+  }
+
+  async write(Model, entry, logMeta) {
+    logger.audit(entry.action, { ...logMeta, ...entry });
+
+    try {
+      return await Model.create(entry);
+    } catch (error) {
+      // The action already happened, losing its entry must not turn it into an error
+      logger.error(`Failed to store audit entry ${entry.action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Days entries of a tenant are kept
+   * @param {Object} tenant - Tenant with plan and limits
+   */
+  getRetentionDays(tenant) {
+    const override = tenant && tenant.limits && parseInt(tenant.limits.audit_retention_days);
+    if (override > 0) return override;
+
+    return this.retentionDays[tenant && tenant.plan] || this.retentionDays.trial;
+  }
+
+  start() {
+    if (this.timer || process.env.AUDIT_PRUNE_ENABLED === 'false') return;
+
+    this.timer = setInterval(() => this.prune(), this.pruneInterval);
+    this.timer.unref();
+
+    logger.info(`Audit log retention worker started (every ${this.pruneInterval / 3600000}h)`);
+    this.prune();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Audit log retention worker stopped');
+    }
+  }
+
+  /**
+   * Delete the entries of every tenant (and the master log) past their retention period
+   */
+  async prune() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const Tenant = require('../models/Tenant');
+      const tenants = await Tenant.findAll({
+        where: { status: 'active' },
+        attributes: ['id', 'name', 'plan', 'limits']
+      });
+
+      for (const tenant of tenants) {
+        try {
+          const { AuditLog } = await getTenantModels(tenant.id);
+          const deleted = await AuditLog.pruneOlderThan(this.getRetentionDays(tenant));
+
+          if (deleted > 0) {
+            logger.info(`Pruned ${deleted} audit entries of tenant ${tenant.name}`);
+          }
+        } catch (error) {
+          logger.error(`Audit log pruning failed for tenant ${tenant.name}:`, error);
+        }
+      }
+
+      if (this.masterModel) {
+        await this.masterModel.pruneOlderThan(this.masterRetentionDays);
+      }
+    } catch (error) {
+      logger.error('Audit log retention worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AuditService();
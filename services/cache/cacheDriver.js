@@ -0,0 +1,93 @@
+// services/cache/cacheDriver.js
+
+/**
+ * Base class for cache drivers.
+ *
+ * Drivers store JSON-serializable values under fully qualified keys
+ * (tenant isolation and key naming are handled by the cache service).
+ * Patterns are globs where `*` matches any sequence and `?` one character.
+ * Entries can carry tags (e.g. "tenant:<id>:article:<id>") so everything
+ * built from one record can be dropped without knowing the keys.
+ */
+class CacheDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @returns {*} Stored value, null on a miss
+   */
+  async get(key) {
+    throw new Error(`Cache driver ${this.name} does not implement get()`);
+  }
+
+  /**
+   * @param {number} ttl - Seconds to keep the value, 0 keeps it until evicted
+   * @param {Array} tags - Tags to invalidate the entry by
+   */
+  async set(key, value, ttl, tags = []) {
+    throw new Error(`Cache driver ${this.name} does not implement set()`);
+  }
+
+  async del(key) {
+    throw new Error(`Cache driver ${this.name} does not implement del()`);
+  }
+
+  /**
+   * Delete every key matching the pattern
+   * @returns {number} Number of deleted keys
+   */
+  async delPattern(pattern) {
+    throw new Error(`Cache driver ${this.name} does not implement delPattern()`);
+  }
+
+  /**
+   * Delete every entry carrying at least one of the tags
+   * @returns {number} Number of deleted keys
+   */
+  async invalidateTags(tags) {
+    throw new Error(`Cache driver ${this.name} does not implement invalidateTags()`);
+  }
+
+  async clear() {
+    return await this.delPattern('*');
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async getStats() {
+    return { driver: this.name };
+  }
+
+  async close() {
+    return true;
+  }
+
+  /**
+   * Convert a glob pattern into an anchored regular expression
+   */
+  static globToRegExp(pattern) {
+    const source = pattern
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    return new RegExp(`^${source}$`, 's');
+  }
+
+  /**
+   * Literal part of a pattern before its first wildcard
+   */
+  static getStaticPrefix(pattern) {
+    const wildcard = pattern.search(/[*?]/);
+    return wildcard === -1 ? pattern : pattern.slice(0, wildcard);
+  }
+}
+
+module.exports = CacheDriver;
@@ -0,0 +1,52 @@
+// services/cache/invalidationBus.js
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Broadcasts cache invalidations to the other processes over Redis pub/sub,
+ * so process-local caches don't keep serving entries another process replaced.
+ * Every process ignores its own messages.
+ */
+class InvalidationBus {
+  /**
+   * @param {Object} options - { publisher, subscriber, channel } where publisher and
+   *   subscriber are two RedisClient (or FakeRedisClient) instances
+   */
+  constructor({ publisher, subscriber, channel = 'cms:cache:invalidate' }) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.channel = channel;
+    this.origin = crypto.randomUUID();
+  }
+
+  /**
+   * Start receiving invalidations of other processes
+   * @param {Function} handler - Called with { op, key } or { op, pattern }
+   */
+  async start(handler) {
+    this.subscriber.on('message', async (channel, payload) => {
+      if (channel !== this.channel) return;
+
+      try {
+        const message = JSON.parse(payload);
+        if (message.origin === this.origin) return;
+
+        await handler(message);
+      } catch (error) {
+        logger.warn(`Ignoring cache invalidation message: ${error.message}`);
+      }
+    });
+
+    await this.subscriber.subscribe(this.channel);
+  }
+
+  async publish(message) {
+    await this.publisher.command(['PUBLISH', this.channel, JSON.stringify({ ...message, origin: this.origin })]);
+  }
+
+  async close() {
+    await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+module.exports = InvalidationBus;
@@ -0,0 +1,165 @@
+// services/cache/lruCacheDriver.js
+const CacheDriver = require('./cacheDriver');
+
+/**
+ * In-process cache with a fixed number of entries.
+ *
+ * Map iteration order is insertion order, so re-inserting an entry on every
+ * read keeps the least recently used entry first in line for eviction.
+ * Expired entries are dropped lazily instead of with a timer per key.
+ *
+ * Keys are grouped by their first three segments ("tenant:<id>:articles"),
+ * so deleting a pattern only scans the groups it can match.
+ */
+class LruCacheDriver extends CacheDriver {
+  constructor({ maxEntries = 10000 } = {}) {
+    super('lru');
+    this.maxEntries = maxEntries;
+
+    // key -> { value, expiresAt, tags }
+    this.entries = new Map();
+    // group -> Set(key)
+    this.groups = new Map();
+    // tag -> Set(key)
+    this.tagIndex = new Map();
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      this.misses++;
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl = 0, tags = []) {
+    this.remove(key);
+
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+      tags
+    });
+
+    this.addToIndex(this.groups, this.getGroup(key), key);
+    tags.forEach(tag => this.addToIndex(this.tagIndex, tag, key));
+
+    while (this.entries.size > this.maxEntries) {
+      this.remove(this.entries.keys().next().value);
+      this.evictions++;
+    }
+
+    return true;
+  }
+
+  async del(key) {
+    this.remove(key);
+    return true;
+  }
+
+  async delPattern(pattern) {
+    const regex = CacheDriver.globToRegExp(pattern);
+    const prefix = CacheDriver.getStaticPrefix(pattern);
+    let deleted = 0;
+
+    for (const [group, keys] of [...this.groups]) {
+      // Skip groups that can't contain a key starting with the prefix
+      if (!group.startsWith(prefix) && !prefix.startsWith(group)) continue;
+
+      for (const key of [...keys]) {
+        if (regex.test(key)) {
+          this.remove(key);
+          deleted++;
+        }
+      }
+    }
+
+    return deleted;
+  }
+
+  async invalidateTags(tags) {
+    let deleted = 0;
+
+    for (const tag of tags) {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) continue;
+
+      for (const key of [...keys]) {
+        this.remove(key);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  async clear() {
+    const size = this.entries.size;
+    this.entries.clear();
+    this.groups.clear();
+    this.tagIndex.clear();
+    return size;
+  }
+
+  async getStats() {
+    return {
+      driver: this.name,
+      keys: this.entries.size,
+      max_entries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      tags: this.tagIndex.size
+    };
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.removeFromIndex(this.groups, this.getGroup(key), key);
+    entry.tags.forEach(tag => this.removeFromIndex(this.tagIndex, tag, key));
+  }
+
+  addToIndex(index, name, key) {
+    if (!index.has(name)) {
+      index.set(name, new Set());
+    }
+    index.get(name).add(key);
+  }
+
+  removeFromIndex(index, name, key) {
+    const keys = index.get(name);
+    if (!keys) return;
+
+    keys.delete(key);
+    if (keys.size === 0) {
+      index.delete(name);
+    }
+  }
+
+  getGroup(key) {
+    return key.split(':', 3).join(':');
+  }
+}
+
+module.exports = LruCacheDriver;
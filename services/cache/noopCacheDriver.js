@@ -0,0 +1,33 @@
+// services/cache/noopCacheDriver.js
+const CacheDriver = require('./cacheDriver');
+
+/**
+ * Driver that stores nothing, every read is a miss
+ */
+class NoopCacheDriver extends CacheDriver {
+  constructor() {
+    super('none');
+  }
+
+  async get(key) {
+    return null;
+  }
+
+  async set(key, value, ttl, tags = []) {
+    return true;
+  }
+
+  async del(key) {
+    return true;
+  }
+
+  async delPattern(pattern) {
+    return 0;
+  }
+
+  async invalidateTags(tags) {
+    return 0;
+  }
+}
+
+module.exports = NoopCacheDriver;
@@ -0,0 +1,124 @@
+// services/cache/redisCacheDriver.js
+const CacheDriver = require('./cacheDriver');
+
+/**
+ * Cache shared by every process through a Redis (or protocol compatible) server.
+ * Values are stored as JSON; all keys get a prefix so the cache can share a
+ * database with other applications. Each tag is a set of the keys carrying it.
+ */
+class RedisCacheDriver extends CacheDriver {
+  /**
+   * @param {Object} options - { client: RedisClient or FakeRedisClient, keyPrefix }
+   */
+  constructor({ client, keyPrefix = 'cms:' }) {
+    super('redis');
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.scanCount = 500;
+    // Tag sets outlive their entries so an invalidation can't miss a key
+    this.tagTtl = 24 * 60 * 60;
+
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async get(key) {
+    const raw = await this.client.command(['GET', this.keyPrefix + key]);
+
+    if (raw === null) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    return JSON.parse(raw);
+  }
+
+  async set(key, value, ttl = 0, tags = []) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+    if (ttl > 0) {
+      args.push('EX', Math.ceil(ttl));
+    }
+
+    // Sent together, the client pipelines them on one connection
+    await Promise.all([
+      this.client.command(args),
+      ...tags.flatMap((tag) => {
+        const tagKey = this.getTagKey(tag);
+        return [
+          this.client.command(['SADD', tagKey, this.keyPrefix + key]),
+          ttl > 0
+            ? this.client.command(['EXPIRE', tagKey, Math.max(Math.ceil(ttl), this.tagTtl)])
+            : this.client.command(['PERSIST', tagKey])
+        ];
+      })
+    ]);
+
+    return true;
+  }
+
+  async del(key) {
+    await this.client.command(['DEL', this.keyPrefix + key]);
+    return true;
+  }
+
+  /**
+   * SCAN instead of KEYS so large databases aren't blocked while matching
+   */
+  async delPattern(pattern) {
+    const match = this.keyPrefix + pattern;
+    let cursor = '0';
+    let deleted = 0;
+
+    do {
+      const [nextCursor, keys] = await this.client.command(['SCAN', cursor, 'MATCH', match, 'COUNT', this.scanCount]);
+      cursor = nextCursor;
+
+      if (keys.length > 0) {
+        deleted += await this.client.command(['UNLINK', ...keys]);
+      }
+    } while (cursor !== '0');
+
+    return deleted;
+  }
+
+  async invalidateTags(tags) {
+    let deleted = 0;
+
+    for (const tag of tags) {
+      const tagKey = this.getTagKey(tag);
+      const keys = await this.client.command(['SMEMBERS', tagKey]);
+
+      if (keys.length > 0) {
+        deleted += await this.client.command(['UNLINK', ...keys]);
+      }
+      await this.client.command(['UNLINK', tagKey]);
+    }
+
+    return deleted;
+  }
+
+  getTagKey(tag) {
+    return `${this.keyPrefix}tags:${tag}`;
+  }
+
+  async ping() {
+    return await this.client.command(['PING']) === 'PONG';
+  }
+
+  async getStats() {
+    return {
+      driver: this.name,
+      key_prefix: this.keyPrefix,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  async close() {
+    await this.client.quit();
+    return true;
+  }
+}
+
+module.exports = RedisCacheDriver;
@@ -0,0 +1,263 @@
+// services/cache/redisClient.js
+const net = require('net');
+const { EventEmitter } = require('events');
+const logger = require('../../utils/logger');
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * Minimal Redis client speaking RESP2 over a single connection.
+ *
+ * Commands are pipelined: replies arrive in the order the commands were
+ * written, so each reply resolves the oldest pending command. A client that
+ * subscribed to a channel only receives messages (emitted as 'message'),
+ * so publishing has to go through a second client.
+ */
+class RedisClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.host = options.host || '127.0.0.1';
+    this.port = parseInt(options.port) || 6379;
+    this.password = options.password || null;
+    this.db = parseInt(options.db) || 0;
+    this.connectTimeout = options.connectTimeout || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+
+    this.subscriptions = new Set();
+    this.reconnectDelay = 0;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Run a command, connecting first if needed
+   * @param {Array} args - Command and arguments, e.g. ['SET', 'key', 'value', 'EX', 60]
+   */
+  async command(args) {
+    await this.connect();
+    return await this.send(args);
+  }
+
+  async subscribe(channel) {
+    this.subscriptions.add(channel);
+    await this.connect();
+    return await this.send(['SUBSCRIBE', channel]);
+  }
+
+  async connect() {
+    if (this.closed) {
+      throw new Error('Redis client is closed');
+    }
+    if (this.socket) return;
+
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return await this.connecting;
+  }
+
+  async open() {
+    const socket = await new Promise((resolve, reject) => {
+      const connection = net.createConnection({ host: this.host, port: this.port });
+
+      const timer = setTimeout(() => {
+        connection.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`));
+      }, this.connectTimeout);
+
+      connection.once('connect', () => {
+        clearTimeout(timer);
+        resolve(connection);
+      });
+
+      connection.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('close', () => this.onClose(socket));
+    socket.on('error', (error) => {
+      logger.warn(`Redis connection error (${this.host}:${this.port}): ${error.message}`);
+    });
+
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    try {
+      if (this.password) {
+        await this.send(['AUTH', this.password]);
+      }
+      if (this.db) {
+        await this.send(['SELECT', this.db]);
+      }
+      for (const channel of this.subscriptions) {
+        await this.send(['SUBSCRIBE', channel]);
+      }
+    } catch (error) {
+      // Don't hand out a connection that isn't authenticated or on the right database
+      this.socket = null;
+      socket.destroy();
+      throw error;
+    }
+
+    this.reconnectDelay = 0;
+  }
+
+  send(args) {
+    if (!this.socket) {
+      return Promise.reject(new Error('Redis connection is not open'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async quit() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.socket) {
+      const socket = this.socket;
+      await this.send(['QUIT']).catch(() => null);
+      socket.destroy();
+    }
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    try {
+      let reply;
+      while ((reply = parseReply(this.buffer, 0)) !== null) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        this.onReply(reply.value);
+      }
+    } catch (error) {
+      // The stream can't be resynchronized after a protocol error
+      logger.error(`Redis protocol error: ${error.message}`);
+      this.socket.destroy();
+    }
+  }
+
+  onReply(value) {
+    // Messages of subscribed channels are pushed without a pending command
+    if (Array.isArray(value) && value[0] === 'message' && this.subscriptions.size > 0) {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+
+    const command = this.pending.shift();
+    if (!command) return;
+
+    if (value instanceof RedisError) {
+      command.reject(value);
+    } else {
+      command.resolve(value);
+    }
+  }
+
+  onClose(socket) {
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(command => command.reject(new Error('Redis connection closed')));
+
+    // Subscribers have no commands that would reconnect them, so reconnect here
+    if (!this.closed && this.subscriptions.size > 0) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    this.reconnectDelay = Math.min((this.reconnectDelay || 500) * 2, 30000);
+    this.reconnectTimer = setTimeout(() => {
+      this.connect().catch((error) => {
+        logger.warn(`Redis reconnect failed: ${error.message}`);
+        if (!this.closed) this.scheduleReconnect();
+      });
+    }, this.reconnectDelay);
+    this.reconnectTimer.unref();
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+const encodeCommand = (args) => {
+  let payload = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    payload += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return payload;
+};
+
+/**
+ * Parse one RESP reply starting at offset
+ * @returns {Object|null} { value, offset } or null while the reply is incomplete
+ */
+const parseReply = (buffer, offset) => {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+};
+
+RedisClient.RedisError = RedisError;
+
+module.exports = RedisClient;
@@ -0,0 +1,155 @@
+// services/feedService.js
+const crypto = require('crypto');
+
+class FeedService {
+  constructor() {
+    this.contentTypes = {
+      rss: 'application/rss+xml; charset=utf-8',
+      atom: 'application/atom+xml; charset=utf-8',
+      json: 'application/feed+json; charset=utf-8'
+    };
+  }
+
+  /**
+   * Render a feed
+   * @param {string} format - rss, atom or json
+   * @param {Object} channel - { title, description, siteUrl, feedUrl, language, updated }
+   * @param {Array} items - Normalized items from toFeedItem()
+   * @returns {Object} { body, contentType, etag, lastModified }
+   */
+  render(format, channel, items) {
+    let body;
+    switch (format) {
+      case 'atom':
+        body = this.buildAtom(channel, items);
+        break;
+      case 'json':
+        body = this.buildJsonFeed(channel, items);
+        break;
+      default:
+        body = this.buildRss(channel, items);
+    }
+
+    return {
+      body,
+      contentType: this.contentTypes[format] || this.contentTypes.rss,
+      etag: `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: channel.updated.toUTCString()
+    };
+  }
+
+  /**
+   * Normalize an article instance into a feed item
+   */
+  toFeedItem(article, siteUrl) {
+    return {
+      id: article.id,
+      title: article.title,
+      url: `${siteUrl}${article.getUrl()}`,
+      summary: article.excerpt || '',
+      content: article.content || '',
+      image: article.getFeaturedImageUrl('large'),
+      published: new Date(article.published_at),
+      updated: new Date(article.updated_at || article.published_at),
+      author: article.author ? `${article.author.first_name} ${article.author.last_name}` : null,
+      category: article.category ? article.category.name : null,
+      tags: (article.tags || []).map(tag => tag.name)
+    };
+  }
+
+  buildRss(channel, items) {
+    const entries = items.map(item => `    <item>
+      <title>${this.escapeXml(item.title)}</title>
+      <link>${this.escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${this.escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>${item.author ? `
+      <dc:creator>${this.escapeXml(item.author)}</dc:creator>` : ''}${item.category ? `
+      <category>${this.escapeXml(item.category)}</category>` : ''}${item.tags.map(tag => `
+      <category>${this.escapeXml(tag)}</category>`).join('')}
+      <description>${this.escapeXml(item.summary)}</description>
+      <content:encoded>${this.cdata(item.content)}</content:encoded>${item.image ? `
+      <enclosure url="${this.escapeXml(item.image)}" type="image/webp" length="0"/>` : ''}
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${this.escapeXml(channel.title)}</title>
+    <link>${this.escapeXml(channel.siteUrl)}</link>
+    <description>${this.escapeXml(channel.description)}</description>
+    <language>${this.escapeXml(channel.language)}</language>
+    <lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${this.escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`;
+  }
+
+  buildAtom(channel, items) {
+    const entries = items.map(item => `  <entry>
+    <title>${this.escapeXml(item.title)}</title>
+    <link href="${this.escapeXml(item.url)}"/>
+    <id>urn:uuid:${this.escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>${item.author ? `
+    <author><name>${this.escapeXml(item.author)}</name></author>` : ''}${[item.category, ...item.tags].filter(Boolean).map(term => `
+    <category term="${this.escapeXml(term)}"/>`).join('')}
+    <summary>${this.escapeXml(item.summary)}</summary>
+    <content type="html">${this.escapeXml(item.content)}</content>${item.image ? `
+    <link rel="enclosure" href="${this.escapeXml(item.image)}" type="image/webp"/>` : ''}
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${this.escapeXml(channel.language)}">
+  <title>${this.escapeXml(channel.title)}</title>
+  <subtitle>${this.escapeXml(channel.description)}</subtitle>
+  <link href="${this.escapeXml(channel.siteUrl)}"/>
+  <link href="${this.escapeXml(channel.feedUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${this.escapeXml(channel.feedUrl)}</id>
+  <updated>${channel.updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+  }
+
+  buildJsonFeed(channel, items) {
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: channel.title,
+      description: channel.description,
+      home_page_url: channel.siteUrl,
+      feed_url: channel.feedUrl,
+      language: channel.language,
+      items: items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary || undefined,
+        content_html: item.content,
+        image: item.image || undefined,
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+        authors: item.author ? [{ name: item.author }] : undefined,
+        tags: [item.category, ...item.tags].filter(Boolean)
+      }))
+    }, null, 2);
+  }
+
+  escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+
+  cdata(value) {
+    return `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+  }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,357 @@
+// services/imageTransformService.js
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { getSigningSecret } = require('../config/signing');
+const uploadService = require('./uploadService');
+
+const FITS = ['cover', 'contain', 'inside', 'outside', 'fill'];
+const FORMATS = ['auto', 'avif', 'webp', 'jpeg', 'png'];
+const MAX_DIMENSION = 4000;
+const MAX_PRESETS = 30;
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// Presets every tenant has, settings.media.transform_presets adds to or overrides them
+const DEFAULT_PRESETS = {
+  hero: { w: 1600, h: 900, fit: 'cover' },
+  square: { w: 1080, h: 1080, fit: 'cover' },
+  og: { w: 1200, h: 630, fit: 'cover', format: 'jpeg' }
+};
+
+/**
+ * Derives images of other sizes, crops and formats than the ones generated
+ * at upload. Anyone can request the tenant's named presets of a public
+ * asset; arbitrary parameters (and anything of a private asset) need a URL
+ * signed by getSignedUrl(). Derived images are cached on local disk.
+ */
+class ImageTransformService {
+  constructor() {
+    this.cacheRoot = process.env.MEDIA_TRANSFORM_CACHE_PATH || path.join(process.cwd(), 'storage', 'transform-cache');
+    this.cacheMaxAgeDays = parseInt(process.env.MEDIA_TRANSFORM_CACHE_DAYS) || 30;
+    this.signingSecret = getSigningSecret();
+    this.defaultQuality = 80;
+
+    // Cache path -> transform in progress, so concurrent requests render once
+    this.pending = new Map();
+  }
+
+  /**
+   * Presets of a tenant, built-in ones included
+   */
+  getPresets(tenant) {
+    const media = (tenant && tenant.settings && tenant.settings.media) || {};
+    return { ...DEFAULT_PRESETS, ...(media.transform_presets || {}) };
+  }
+
+  /**
+   * Check and fill in transform parameters
+   * @param {Object} params - w, h, fit, format, q
+   * @returns {Object} { params, error } with error set when they are invalid
+   */
+  normalizeParams({ w, h, fit, format, q } = {}) {
+    const width = w !== undefined && w !== null && w !== '' ? parseInt(w) : null;
+    const height = h !== undefined && h !== null && h !== '' ? parseInt(h) : null;
+    const quality = q !== undefined && q !== null && q !== '' ? parseInt(q) : this.defaultQuality;
+
+    if (!width && !height) return { error: 'Width or height is required' };
+    if ([width, height].some(value => value !== null && !(value >= 1 && value <= MAX_DIMENSION))) {
+      return { error: `Width and height must be between 1-${MAX_DIMENSION}` };
+    }
+    if (!(quality >= 1 && quality <= 100)) return { error: 'Quality must be between 1-100' };
+    if (fit && !FITS.includes(fit)) return { error: `Fit must be one of: ${FITS.join(', ')}` };
+    if (format && !FORMATS.includes(format)) return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+
+    return {
+      params: {
+        w: width,
+        h: height,
+        fit: fit || 'cover',
+        format: format || 'auto',
+        q: quality
+      }
+    };
+  }
+
+  /**
+   * Check presets before they are saved to the tenant settings
+   * @returns {Object} { presets, errors }
+   */
+  validatePresets(presets) {
+    const errors = [];
+    const normalized = {};
+
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+      return { errors: ['Presets must be an object keyed by preset name'] };
+    }
+    if (Object.keys(presets).length > MAX_PRESETS) {
+      return { errors: [`At most ${MAX_PRESETS} presets are allowed`] };
+    }
+
+    for (const [name, preset] of Object.entries(presets)) {
+      if (!/^[a-z0-9_-]{1,40}$/.test(name)) {
+        errors.push(`Preset name "${name}" may only contain lowercase letters, digits, "-" and "_"`);
+        continue;
+      }
+
+      const { params, error } = this.normalizeParams(preset || {});
+      if (error) {
+        errors.push(`Preset "${name}": ${error}`);
+        continue;
+      }
+      normalized[name] = params;
+    }
+
+    return { presets: normalized, errors };
+  }
+
+  /**
+   * Output format of a request; "auto" picks the best one the client accepts
+   */
+  negotiateFormat(format, accept = '') {
+    if (format !== 'auto') return format;
+    if (/image\/avif/.test(accept)) return 'avif';
+    if (/image\/webp/.test(accept)) return 'webp';
+    return 'jpeg';
+  }
+
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * Canonical form of the signed values, the same whatever order they came in
+   */
+  canonicalize(assetId, params, expires = null) {
+    return [assetId, params.w || '', params.h || '', params.fit, params.format, params.q, expires || ''].join(':');
+  }
+
+  sign(assetId, params, expires = null) {
+    return crypto.createHmac('sha256', this.signingSecret)
+      .update(this.canonicalize(assetId, params, expires))
+      .digest('hex');
+  }
+
+  /**
+   * Check the signature (and expiry, when the URL has one) of transform parameters
+   */
+  verifySignature(assetId, params, signature, expires = null) {
+    if (expires && (!/^\d+$/.test(String(expires)) || parseInt(expires) < Math.floor(Date.now() / 1000))) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(assetId, params, expires));
+    const given = Buffer.from(String(signature || ''));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  /**
+   * Transform URL of an asset with signed parameters
+   * @param {Object} options - expiresIn (seconds, required for private assets), baseUrl,
+   *   preset (name the params come from, so its crop box applies)
+   */
+  getSignedUrl(assetId, params, { expiresIn = null, baseUrl = null, preset = null } = {}) {
+    const expires = expiresIn ? Math.floor(Date.now() / 1000) + expiresIn : null;
+    const query = new URLSearchParams();
+
+    if (preset) {
+      query.set('preset', preset);
+    } else {
+      for (const name of ['w', 'h', 'fit', 'format', 'q']) {
+        if (params[name]) query.set(name, params[name]);
+      }
+    }
+    if (expires) query.set('expires', expires);
+    query.set('signature', this.sign(assetId, params, expires));
+
+    const domain = baseUrl || process.env.BASE_URL || 'http://localhost:3000';
+    return `${domain}/api/media/${assetId}/transform?${query.toString()}`;
+  }
+
+  /**
+   * Transform URL of a named preset of an asset
+   */
+  getPresetUrl(assetId, preset, baseUrl = null) {
+    const domain = baseUrl || process.env.BASE_URL || 'http://localhost:3000';
+    return `${domain}/api/media/${assetId}/transform?preset=${encodeURIComponent(preset)}`;
+  }
+
+  getCacheDirectory(tenantId, fileId) {
+    return path.join(this.cacheRoot, tenantId, fileId);
+  }
+
+  getCachePath(tenantId, asset, params, format, crop = null) {
+    // The version changes when the sizes are regenerated, which retires old entries
+    const hash = crypto.createHash('sha1')
+      .update([
+        asset.version || '',
+        JSON.stringify(asset.focal_point || null),
+        JSON.stringify(crop),
+        params.w || '',
+        params.h || '',
+        params.fit,
+        params.q
+      ].join(':'))
+      .digest('hex');
+
+    return path.join(this.getCacheDirectory(tenantId, asset.file_id), `${hash}.${format}`);
+  }
+
+  /**
+   * Uncropped source of an asset, else its largest stored size
+   */
+  getSourceImage(asset) {
+    if (asset.source) return asset.source;
+
+    const sizes = Object.values(asset.sizes || {});
+    if (sizes.length === 0) return null;
+
+    return sizes.reduce((largest, image) => ((image.width || 0) > (largest.width || 0) ? image : largest));
+  }
+
+  /**
+   * Derived image of an asset, from the cache or rendered and cached
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} asset - MediaAsset
+   * @param {Object} params - Normalized parameters
+   * @param {string} format - Negotiated output format
+   * @param {string} preset - Preset requested, whose crop box of the asset applies
+   * @returns {Object|null} { buffer, format, cached }, null if the source file is missing
+   */
+  async transform(tenantId, asset, params, format, preset = null) {
+    const crop = (preset && asset.crops && asset.crops[preset]) || null;
+    const cachePath = this.getCachePath(tenantId, asset, params, format, crop);
+
+    try {
+      return { buffer: await fs.readFile(cachePath), format, cached: true };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.pending.has(cachePath)) {
+      const rendering = this.render(tenantId, asset, params, format, crop, cachePath)
+        .finally(() => this.pending.delete(cachePath));
+      this.pending.set(cachePath, rendering);
+    }
+
+    const buffer = await this.pending.get(cachePath);
+    return buffer ? { buffer, format, cached: false } : null;
+  }
+
+  async render(tenantId, asset, params, format, crop, cachePath) {
+    const source = this.getSourceImage(asset);
+    if (!source) return null;
+
+    const key = source.key || uploadService.getTenantKey(tenantId, asset.upload_type, source.filename);
+    const original = await uploadService.readFile(key);
+    if (!original) return null;
+
+    let pipeline = sharp(original);
+
+    // Cover crops are cut around the focal point instead of the center
+    const metadata = await pipeline.metadata();
+    const region = uploadService.getCropRegion(metadata.width, metadata.height, {
+      crop,
+      focalPoint: asset.focal_point,
+      aspect: params.fit === 'cover' && params.w && params.h ? params.w / params.h : null
+    });
+    if (region) pipeline = pipeline.extract(region);
+
+    pipeline = pipeline
+      .resize(params.w || null, params.h || null, {
+        fit: params.fit,
+        withoutEnlargement: true,
+        kernel: sharp.kernel.lanczos3
+      });
+
+    switch (format) {
+      case 'avif':
+        pipeline = pipeline.avif({ quality: params.q, effort: 4 });
+        break;
+      case 'webp':
+        pipeline = pipeline.webp({ quality: params.q, effort: 4, smartSubsample: true });
+        break;
+      case 'png':
+        pipeline = pipeline.png({ compressionLevel: 9 });
+        break;
+      default:
+        pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: params.q, mozjpeg: true });
+    }
+
+    const buffer = await pipeline.toBuffer();
+
+    try {
+      // Written under a temporary name so readers never see half a file
+      const temporaryPath = `${cachePath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(cachePath), { recursive: true });
+      await fs.writeFile(temporaryPath, buffer);
+      await fs.rename(temporaryPath, cachePath);
+    } catch (error) {
+      logger.warn(`Failed to cache derived image ${cachePath}:`, error);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Drop the derived images of an asset (deleted or regenerated)
+   */
+  async purge(tenantId, fileId) {
+    try {
+      await fs.rm(this.getCacheDirectory(tenantId, fileId), { recursive: true, force: true });
+    } catch (error) {
+      logger.warn(`Failed to purge derived images of ${fileId}:`, error);
+    }
+  }
+
+  /**
+   * Delete cached derived images nobody requested for a while
+   * @returns {number} Files deleted
+   */
+  async pruneCache(maxAgeDays = this.cacheMaxAgeDays) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let deletedCount = 0;
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+          continue;
+        }
+
+        const stats = await fs.stat(entryPath);
+        if (stats.atimeMs < cutoff && stats.mtimeMs < cutoff) {
+          await fs.unlink(entryPath);
+          deletedCount++;
+        }
+      }
+    };
+
+    await walk(this.cacheRoot);
+
+    if (deletedCount > 0) {
+      logger.info(`Pruned ${deletedCount} cached derived images`);
+    }
+    return deletedCount;
+  }
+}
+
+module.exports = new ImageTransformService();
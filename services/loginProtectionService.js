@@ -0,0 +1,196 @@
+// services/loginProtectionService.js
+const logger = require('../utils/logger');
+
+/**
+ * Brute-force protection for logins.
+ *
+ * Accounts: consecutive failures are stored on the account record
+ * (failed_login_attempts, locked_until), every `maxAccountFailures` failures
+ * lock it, each lockout twice as long as the previous one.
+ *
+ * IPs: failures are counted in memory over a sliding window; failed responses
+ * get slower with every failure and the IP is blocked once it reaches
+ * `maxIpFailures`, which stops credential stuffing across many accounts.
+ */
+class LoginProtectionService {
+  constructor() {
+    this.maxAccountFailures = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    this.lockoutDuration = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+    this.maxLockoutDuration = 24 * 60 * 60 * 1000;
+
+    this.maxIpFailures = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 20;
+    this.ipWindow = (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+    this.baseDelay = 500;
+    this.maxDelay = 8000;
+    this.maxTrackedIps = 10000;
+
+    // "scope|ip" -> { failures, firstFailureAt, blockedUntil }
+    this.ipFailures = new Map();
+  }
+
+  /**
+   * Whether an IP is currently blocked
+   * @param {string} scope - Tenant ID, or "master" for the master admin login
+   * @returns {Object|null} { until, retryAfter } when blocked
+   */
+  checkIp(scope, ip) {
+    const entry = this.getIpEntry(scope, ip);
+    if (!entry || !entry.blockedUntil || entry.blockedUntil <= Date.now()) {
+      return null;
+    }
+
+    return {
+      until: new Date(entry.blockedUntil),
+      retryAfter: Math.ceil((entry.blockedUntil - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Count a failed attempt of an IP
+   * @returns {number} Milliseconds to hold back the failed response
+   */
+  recordIpFailure(scope, ip) {
+    const now = Date.now();
+    const key = `${scope}|${ip}`;
+    let entry = this.getIpEntry(scope, ip);
+
+    if (!entry) {
+      this.pruneIps(now);
+      entry = { failures: 0, firstFailureAt: now, blockedUntil: null };
+      this.ipFailures.set(key, entry);
+    }
+
+    entry.failures++;
+
+    if (entry.failures >= this.maxIpFailures && !entry.blockedUntil) {
+      entry.blockedUntil = now + this.ipWindow;
+
+      logger.security('Login blocked for IP after repeated failures', {
+        scope,
+        ip,
+        failures: entry.failures,
+        blocked_until: new Date(entry.blockedUntil).toISOString()
+      });
+    }
+
+    return this.getDelay(entry.failures);
+  }
+
+  getIpEntry(scope, ip) {
+    const key = `${scope}|${ip}`;
+    const entry = this.ipFailures.get(key);
+    if (!entry) return null;
+
+    const now = Date.now();
+    const windowOver = now - entry.firstFailureAt > this.ipWindow;
+    const blockOver = !entry.blockedUntil || entry.blockedUntil <= now;
+
+    if (windowOver && blockOver) {
+      this.ipFailures.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop expired entries, and the oldest ones if too many IPs are tracked
+   */
+  pruneIps(now) {
+    if (this.ipFailures.size < this.maxTrackedIps) return;
+
+    for (const [key, entry] of this.ipFailures) {
+      if (now - entry.firstFailureAt > this.ipWindow && (!entry.blockedUntil || entry.blockedUntil <= now)) {
+        this.ipFailures.delete(key);
+      }
+    }
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const key of this.ipFailures.keys()) {
+      if (this.ipFailures.size < this.maxTrackedIps) break;
+      this.ipFailures.delete(key);
+    }
+  }
+
+  /**
+   * Lock of an account
+   * @param {Object} account - User or MasterAdmin record
+   * @returns {Object|null} { until, retryAfter } when locked
+   */
+  checkAccount(account) {
+    if (!account.locked_until || new Date(account.locked_until) <= new Date()) {
+      return null;
+    }
+
+    const until = new Date(account.locked_until);
+    return { until, retryAfter: Math.ceil((until.getTime() - Date.now()) / 1000) };
+  }
+
+  /**
+   * Count a failed attempt of an account, locking it every maxAccountFailures failures
+   * @returns {number} Milliseconds to hold back the failed response
+   */
+  async recordAccountFailure(account, { scope, ip }) {
+    const attempts = (account.failed_login_attempts || 0) + 1;
+    const updateData = { failed_login_attempts: attempts };
+
+    if (attempts % this.maxAccountFailures === 0) {
+      const lockouts = attempts / this.maxAccountFailures;
+      const duration = Math.min(this.lockoutDuration * 2 ** (lockouts - 1), this.maxLockoutDuration);
+      updateData.locked_until = new Date(Date.now() + duration);
+
+      logger.security('Account locked after repeated login failures', {
+        scope,
+        ip,
+        email: account.email,
+        failed_attempts: attempts,
+        locked_until: updateData.locked_until.toISOString()
+      });
+    } else {
+      logger.security('Failed login attempt', { scope, ip, email: account.email, failed_attempts: attempts });
+    }
+
+    await account.update(updateData, { silent: true });
+
+    return this.getDelay(attempts);
+  }
+
+  /**
+   * Clear the failures of an account after a successful login or an admin unlock
+   */
+  async resetAccount(account) {
+    if (!account.failed_login_attempts && !account.locked_until) return;
+
+    await account.update({ failed_login_attempts: 0, locked_until: null }, { silent: true });
+  }
+
+  /**
+   * Delay of the nth failure, doubling from the second failure on
+   */
+  getDelay(failures) {
+    if (failures < 2) return 0;
+    return Math.min(this.baseDelay * 2 ** (failures - 2), this.maxDelay);
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Record a failure of an account (if known) and the IP, then hold back the response
+   * @param {Object|null} account - User or MasterAdmin record, null for unknown emails
+   */
+  async recordFailure(account, { scope, ip, email }) {
+    const ipDelay = this.recordIpFailure(scope, ip);
+    const accountDelay = account ? await this.recordAccountFailure(account, { scope, ip }) : 0;
+
+    if (!account) {
+      logger.security('Failed login attempt for unknown account', { scope, ip, email });
+    }
+
+    await this.wait(Math.max(ipDelay, accountDelay));
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,161 @@
+// services/mail/mailTemplates.js
+
+const DEFAULT_ACCENT_COLOR = '#1a73e8';
+
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Branding of a tenant's emails, from `settings.email` with fallbacks
+ */
+const getBranding = (tenant) => {
+  const settings = (tenant && tenant.settings && tenant.settings.email) || {};
+
+  return {
+    name: settings.from_name || (tenant && tenant.name) || 'News CMS',
+    logo_url: /^https:\/\//.test(settings.logo_url || '') ? settings.logo_url : null,
+    accent_color: /^#[0-9a-f]{6}$/i.test(settings.accent_color || '') ? settings.accent_color : DEFAULT_ACCENT_COLOR,
+    footer: settings.footer || null,
+    support_email: settings.reply_to || (tenant && tenant.contact_email) || null
+  };
+};
+
+/**
+ * Wrap the content blocks of a template in the shared layout
+ * @param {Array} blocks - { paragraph } or { button: { label, url } } or { code }
+ */
+const renderHtml = (branding, heading, blocks) => {
+  const accent = branding.accent_color;
+  const header = branding.logo_url
+    ? `<img src="${escapeHtml(branding.logo_url)}" alt="${escapeHtml(branding.name)}" style="max-height:48px;border:0;">`
+    : `<span style="font-size:20px;font-weight:bold;color:${accent};">${escapeHtml(branding.name)}</span>`;
+
+  const content = blocks.map((block) => {
+    if (block.button) {
+      return `<p style="margin:24px 0;"><a href="${escapeHtml(block.button.url)}" style="background:${accent};color:#ffffff;padding:12px 24px;border-radius:4px;text-decoration:none;display:inline-block;">${escapeHtml(block.button.label)}</a></p>`;
+    }
+    if (block.code) {
+      return `<p style="margin:24px 0;font-family:monospace;font-size:18px;letter-spacing:1px;background:#f1f3f4;padding:12px;">${escapeHtml(block.code)}</p>`;
+    }
+    return `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(block.paragraph)}</p>`;
+  }).join('\n');
+
+  const footer = [
+    branding.footer ? escapeHtml(branding.footer) : null,
+    branding.support_email ? `Questions? Contact <a href="mailto:${escapeHtml(branding.support_email)}" style="color:${accent};">${escapeHtml(branding.support_email)}</a>` : null
+  ].filter(Boolean).join('<br>');
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(heading)}</title></head>
+<body style="margin:0;padding:0;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#202124;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-top:4px solid ${accent};">
+<tr><td style="padding:24px 32px 0;">${header}</td></tr>
+<tr><td style="padding:24px 32px;">
+<h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+${content}
+</td></tr>
+${footer ? `<tr><td style="padding:16px 32px;font-size:12px;color:#5f6368;border-top:1px solid #e8eaed;">${footer}</td></tr>` : ''}
+</table>
+</td></tr></table>
+</body>
+</html>`;
+};
+
+const renderText = (branding, heading, blocks) => {
+  const content = blocks.map((block) => {
+    if (block.button) return `${block.button.label}: ${block.button.url}`;
+    if (block.code) return `    ${block.code}`;
+    return block.paragraph;
+  });
+
+  const footer = [
+    branding.footer,
+    branding.support_email ? `Questions? Contact ${branding.support_email}` : null
+  ].filter(Boolean);
+
+  return [heading, '', ...content.flatMap(line => [line, '']), '--', branding.name, ...footer].join('\n');
+};
+
+/**
+ * Templates get { branding, user, ...data } and return { subject, heading, blocks }
+ */
+const TEMPLATES = {
+  password_reset: ({ branding, user, reset_url, expires_minutes }) => ({
+    subject: `Reset your ${branding.name} password`,
+    heading: 'Reset your password',
+    blocks: [
+      { paragraph: `Hi ${user.first_name},` },
+      { paragraph: `We received a request to reset the password of your ${branding.name} account.` },
+      { button: { label: 'Choose a new password', url: reset_url } },
+      { paragraph: `The link expires in ${expires_minutes} minutes. If you didn't request a reset, you can ignore this email; your password stays unchanged.` }
+    ]
+  }),
+
+  email_verification: ({ branding, user, verification_url }) => ({
+    subject: `Confirm your email address for ${branding.name}`,
+    heading: 'Confirm your email address',
+    blocks: [
+      { paragraph: `Hi ${user.first_name},` },
+      { paragraph: `Please confirm that ${user.email} is your email address to finish setting up your ${branding.name} account.` },
+      { button: { label: 'Confirm email address', url: verification_url } },
+      { paragraph: 'If you didn\'t create an account, you can ignore this email.' }
+    ]
+  }),
+
+  welcome: ({ branding, user, login_url }) => ({
+    subject: `Welcome to ${branding.name}`,
+    heading: `Welcome to ${branding.name}`,
+    blocks: [
+      { paragraph: `Hi ${user.first_name},` },
+      { paragraph: `Your account (${user.email}) is ready to use.` },
+      { button: { label: 'Sign in', url: login_url } }
+    ]
+  }),
+
+  temporary_password: ({ branding, user, temp_password, login_url }) => ({
+    subject: `Your ${branding.name} password was reset`,
+    heading: 'Your password was reset',
+    blocks: [
+      { paragraph: `Hi ${user.first_name},` },
+      { paragraph: `An administrator reset the password of your ${branding.name} account. Sign in with this temporary password:` },
+      { code: temp_password },
+      { button: { label: 'Sign in', url: login_url } },
+      { paragraph: 'Please change it right after signing in.' }
+    ]
+  })
+};
+
+/**
+ * Render a template for a tenant
+ * @param {string} name - Key of TEMPLATES
+ * @param {Object} context - { tenant, user, ...template data }
+ * @returns {Object} { subject, text, html }
+ */
+const render = (name, { tenant, ...data }) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const branding = getBranding(tenant);
+  const { subject, heading, blocks } = template({ branding, ...data });
+
+  return {
+    subject,
+    text: renderText(branding, heading, blocks),
+    html: renderHtml(branding, heading, blocks)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  render,
+  getBranding,
+  escapeHtml
+};
@@ -0,0 +1,124 @@
+// services/mail/mailTransport.js
+const crypto = require('crypto');
+
+/**
+ * Base class for mail transports.
+ *
+ * Transports deliver messages of the form
+ * { from, to, replyTo, subject, text, html, headers, messageId }
+ * where from/to/replyTo are addresses or { name, address } objects.
+ * Failures that retrying can't fix are thrown with `permanent: true`.
+ */
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @returns {Object} { messageId, ... } details of the delivery
+   */
+  async send(message) {
+    throw new Error(`Mail transport ${this.name} does not implement send()`);
+  }
+
+  /**
+   * Check the transport can deliver (connection, credentials)
+   */
+  async verify() {
+    return true;
+  }
+
+  async close() {
+    return true;
+  }
+
+  /**
+   * Bare address of "Name <address>", { name, address } or "address"
+   */
+  static getAddress(value) {
+    if (value && typeof value === 'object') return value.address;
+
+    const match = /<([^>]+)>/.exec(String(value || ''));
+    return (match ? match[1] : String(value || '')).trim();
+  }
+
+  static formatAddress(value) {
+    if (!value || typeof value !== 'object') return String(value || '');
+    if (!value.name) return value.address;
+
+    const name = /^[\w .-]*$/.test(value.name) && /^[\x20-\x7e]*$/.test(value.name)
+      ? `"${value.name}"`
+      : MailTransport.encodeHeader(value.name);
+
+    return `${name} <${value.address}>`;
+  }
+
+  /**
+   * RFC 2047 encoded word for header values outside of printable ASCII
+   */
+  static encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+    return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+  }
+
+  /**
+   * Build the RFC 5322 source of a message, with text and HTML alternatives
+   * @returns {string} Message with CRLF line endings
+   */
+  static buildMessage(message) {
+    const domain = MailTransport.getAddress(message.from).split('@')[1] || 'localhost';
+    const messageId = message.messageId || `<${crypto.randomUUID()}@${domain}>`;
+    const recipients = [].concat(message.to);
+
+    const headers = {
+      'From': MailTransport.formatAddress(message.from),
+      'To': recipients.map(MailTransport.formatAddress).join(', '),
+      'Subject': MailTransport.encodeHeader(message.subject || ''),
+      'Date': (message.date || new Date()).toUTCString().replace('GMT', '+0000'),
+      'Message-ID': messageId,
+      'MIME-Version': '1.0'
+    };
+
+    if (message.replyTo) {
+      headers['Reply-To'] = MailTransport.formatAddress(message.replyTo);
+    }
+
+    Object.entries(message.headers || {}).forEach(([name, value]) => {
+      headers[name] = MailTransport.encodeHeader(value);
+    });
+
+    const encodePart = content => Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    let body;
+
+    if (message.html && message.text) {
+      const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+      headers['Content-Type'] = `multipart/alternative; boundary="${boundary}"`;
+
+      body = [
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodePart(message.text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodePart(message.html),
+        `--${boundary}--`
+      ].join('\r\n');
+    } else {
+      headers['Content-Type'] = `text/${message.html ? 'html' : 'plain'}; charset=utf-8`;
+      headers['Content-Transfer-Encoding'] = 'base64';
+      body = encodePart(message.html || message.text || '');
+    }
+
+    const head = Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\r\n');
+
+    return { messageId, source: `${head}\r\n\r\n${body}\r\n` };
+  }
+}
+
+module.exports = MailTransport;
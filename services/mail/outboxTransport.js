@@ -0,0 +1,61 @@
+// services/mail/outboxTransport.js
+const fs = require('fs').promises;
+const path = require('path');
+const MailTransport = require('./mailTransport');
+
+/**
+ * Keeps messages instead of delivering them, for development and tests.
+ * Every message is written as an .eml file (unless `directory` is null) and
+ * the latest ones are kept in `messages` for inspection.
+ */
+class OutboxTransport extends MailTransport {
+  /**
+   * @param {Object} options - { directory, maxMessages }
+   */
+  constructor({ directory = path.join(process.cwd(), 'storage', 'outbox'), maxMessages = 100 } = {}) {
+    super('outbox');
+    this.directory = directory;
+    this.maxMessages = maxMessages;
+    this.messages = [];
+  }
+
+  async send(message) {
+    const { messageId, source } = MailTransport.buildMessage(message);
+    let file = null;
+
+    if (this.directory) {
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.replace(/[^\w.-]/g, '')}.eml`;
+      file = path.join(this.directory, name);
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(file, source);
+    }
+
+    this.messages.push({ ...message, messageId, file, sent_at: new Date() });
+    if (this.messages.length > this.maxMessages) {
+      this.messages.shift();
+    }
+
+    return { messageId, file };
+  }
+
+  /**
+   * Latest message sent to an address
+   */
+  findLast(address) {
+    const target = String(address).toLowerCase();
+
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      const recipients = [].concat(this.messages[i].to).map(to => MailTransport.getAddress(to).toLowerCase());
+      if (recipients.includes(target)) return this.messages[i];
+    }
+
+    return null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = OutboxTransport;
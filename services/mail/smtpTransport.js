@@ -0,0 +1,263 @@
+// services/mail/smtpTransport.js
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const MailTransport = require('./mailTransport');
+
+class SmtpError extends Error {
+  constructor(message, responseCode = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.responseCode = responseCode;
+    // 5xx replies won't change on a retry, 4xx and network errors may
+    this.permanent = responseCode !== null && responseCode >= 500;
+  }
+}
+
+/**
+ * One SMTP session: reads replies line by line and sends commands
+ */
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    if (this.socket) {
+      this.socket.setTimeout(0);
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('close');
+    }
+
+    this.socket = socket;
+    this.buffer = '';
+
+    socket.setTimeout(this.timeout, () => socket.destroy(new SmtpError('SMTP connection timed out')));
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new SmtpError('SMTP connection closed')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let lineEnd;
+    while ((lineEnd = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, lineEnd);
+      this.buffer = this.buffer.slice(lineEnd + 2);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        this.replies.push(reply);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.dispatch();
+  }
+
+  dispatch() {
+    if (!this.waiting) return;
+
+    if (this.replies.length > 0) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  readReply() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Send a command and check the reply code
+   * @param {string|null} line - Command, null only reads the next reply
+   * @param {Array} expected - Accepted reply codes
+   * @param {string} label - Name of the command in errors, keeps credentials and data out of them
+   */
+  async command(line, expected, label = line) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const reply = await this.readReply();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+
+    return reply;
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Delivers through an SMTP server (relay or provider), one connection per message.
+ * Uses implicit TLS when `secure` is set, otherwise upgrades with STARTTLS when offered.
+ */
+class SmtpTransport extends MailTransport {
+  /**
+   * @param {Object} options - { host, port, secure, user, pass, requireTls, timeout, clientName }
+   */
+  constructor({ host, port, secure = false, user = null, pass = null, requireTls = false, timeout = 30000, clientName = os.hostname() }) {
+    super('smtp');
+    this.host = host;
+    this.port = parseInt(port) || (secure ? 465 : 587);
+    this.secure = secure;
+    this.user = user;
+    this.pass = pass;
+    this.requireTls = requireTls;
+    this.timeout = timeout;
+    this.clientName = clientName;
+  }
+
+  async send(message) {
+    const { messageId, source } = MailTransport.buildMessage(message);
+    const sender = MailTransport.getAddress(message.from);
+    const recipients = [].concat(message.to).map(MailTransport.getAddress);
+
+    const connection = await this.open();
+
+    try {
+      await connection.command(`MAIL FROM:<${sender}>`, [250]);
+      for (const recipient of recipients) {
+        await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+
+      await connection.command('DATA', [354]);
+      // Lines starting with a dot are escaped so they don't end the data
+      const data = source.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      const reply = await connection.command(`${data.replace(/\r\n$/, '')}\r\n.`, [250], 'message data');
+
+      await connection.command('QUIT', [221]).catch(() => null);
+
+      return { messageId, response: reply.lines.join(' ') };
+    } finally {
+      connection.close();
+    }
+  }
+
+  async verify() {
+    const connection = await this.open();
+
+    try {
+      await connection.command('QUIT', [221]).catch(() => null);
+      return true;
+    } finally {
+      connection.close();
+    }
+  }
+
+  /**
+   * Connect, greet, secure and authenticate a new session
+   */
+  async open() {
+    const socket = await this.connect();
+    const connection = new SmtpConnection(socket, this.timeout);
+
+    try {
+      await connection.command(null, [220]);
+      let extensions = await this.hello(connection);
+
+      if (!this.secure) {
+        if (extensions.has('STARTTLS')) {
+          await connection.command('STARTTLS', [220]);
+          connection.attach(await this.upgrade(socket));
+          extensions = await this.hello(connection);
+        } else if (this.requireTls) {
+          throw new SmtpError('SMTP server does not support STARTTLS');
+        }
+      }
+
+      if (this.user) {
+        await this.authenticate(connection, extensions.get('AUTH') || '');
+      }
+
+      return connection;
+    } catch (error) {
+      connection.close();
+      throw error;
+    }
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new SmtpError(`SMTP connection to ${this.host}:${this.port} timed out`));
+      }, this.timeout);
+
+      socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        resolve(socket);
+      });
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  upgrade(socket) {
+    return new Promise((resolve, reject) => {
+      const secureSocket = tls.connect({ socket, servername: this.host }, () => resolve(secureSocket));
+      secureSocket.once('error', reject);
+    });
+  }
+
+  /**
+   * @returns {Map} Extensions the server announced, e.g. "AUTH" -> "PLAIN LOGIN"
+   */
+  async hello(connection) {
+    const reply = await connection.command(`EHLO ${this.clientName}`, [250]);
+
+    return new Map(reply.lines.slice(1).map((line) => {
+      const [keyword, ...params] = line.split(' ');
+      return [keyword.toUpperCase(), params.join(' ').toUpperCase()];
+    }));
+  }
+
+  async authenticate(connection, mechanisms) {
+    const encode = value => Buffer.from(value, 'utf8').toString('base64');
+
+    if (mechanisms.split(' ').includes('LOGIN') && !mechanisms.split(' ').includes('PLAIN')) {
+      await connection.command('AUTH LOGIN', [334]);
+      await connection.command(encode(this.user), [334], 'AUTH LOGIN username');
+      await connection.command(encode(this.pass || ''), [235], 'AUTH LOGIN password');
+      return;
+    }
+
+    await connection.command(`AUTH PLAIN ${encode(`\0${this.user}\0${this.pass || ''}`)}`, [235], 'AUTH PLAIN');
+  }
+}
+
+SmtpTransport.SmtpError = SmtpError;
+
+module.exports = SmtpTransport;
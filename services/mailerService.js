@@ -0,0 +1,232 @@
+// services/mailerService.js
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const SmtpTransport = require('./mail/smtpTransport');
+const OutboxTransport = require('./mail/outboxTransport');
+const mailTemplates = require('./mail/mailTemplates');
+
+/**
+ * Transactional email: renders tenant-branded templates and delivers them
+ * through the configured transport (smtp or outbox) from an in-memory queue.
+ * Failed deliveries are retried with exponential backoff; requests never wait for SMTP.
+ */
+class MailerService {
+  constructor() {
+    this.transportFactories = {
+      smtp: () => new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null,
+        requireTls: process.env.SMTP_REQUIRE_TLS === 'true'
+      }),
+      outbox: () => new OutboxTransport({
+        directory: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'storage', 'outbox')
+      })
+    };
+
+    // Without an SMTP server messages end up in the outbox
+    let transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+    if (!this.transportFactories[transportName]) {
+      logger.warn(`Unknown mail transport "${transportName}", using outbox`);
+      transportName = 'outbox';
+    }
+
+    this.transport = this.transportFactories[transportName]();
+    this.fromAddress = process.env.MAIL_FROM_ADDRESS || 'no-reply@localhost';
+
+    this.maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+    this.retryDelay = parseInt(process.env.MAIL_RETRY_DELAY_MS) || 30 * 1000;
+    this.maxRetryDelay = 60 * 60 * 1000;
+    this.pollInterval = parseInt(process.env.MAIL_QUEUE_INTERVAL_MS) || 5 * 1000;
+    this.maxQueueSize = 1000;
+
+    this.queue = [];
+    this.timer = null;
+    this.processing = null;
+    this.stats = { queued: 0, sent: 0, retried: 0, failed: 0 };
+  }
+
+  /**
+   * Replace the transport, e.g. with an OutboxTransport without directory in tests
+   * @param {MailTransport} transport - Instance of a MailTransport subclass
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.process(), this.pollInterval);
+    this.timer.unref();
+
+    logger.info(`Mailer started (${this.transport.name} transport)`);
+
+    if (!this.deliversMail() && process.env.NODE_ENV === 'production') {
+      logger.warn('Mail is written to the outbox instead of being delivered; set SMTP_HOST (or MAIL_TRANSPORT=smtp) to send it');
+    }
+  }
+
+  /**
+   * Whether messages actually reach their recipients, the outbox only keeps them
+   */
+  deliversMail() {
+    return this.transport.name !== 'outbox';
+  }
+
+  /**
+   * Stop the worker and make a last delivery attempt for queued messages
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.flush();
+    await this.transport.close();
+  }
+
+  /**
+   * Render a template for a tenant and queue it
+   * @param {Object} tenant - Tenant of the request (name, domain, settings)
+   * @param {string} template - Name of a template in services/mail/mailTemplates
+   * @param {Object} user - Recipient with email, first_name and last_name
+   * @param {Object} data - Values of the template
+   * @returns {string} ID of the queued message
+   */
+  sendTemplate(tenant, template, user, data = {}) {
+    const { subject, text, html } = mailTemplates.render(template, { tenant, user, ...data });
+    const branding = mailTemplates.getBranding(tenant);
+
+    return this.enqueue({
+      from: { name: branding.name, address: this.fromAddress },
+      to: { name: [user.first_name, user.last_name].filter(Boolean).join(' '), address: user.email },
+      replyTo: branding.support_email,
+      subject,
+      text,
+      html
+    }, { tenantId: tenant && tenant.id, template });
+  }
+
+  /**
+   * Queue a message; delivery starts right away without being awaited
+   * @returns {string} ID of the queued message
+   */
+  enqueue(message, { tenantId = null, template = null } = {}) {
+    if (this.queue.length >= this.maxQueueSize) {
+      // Drop the oldest message rather than growing without bound while the transport is down
+      const dropped = this.queue.shift();
+      this.stats.failed++;
+      logger.error(`Mail queue full, dropped ${dropped.template || 'message'} to ${dropped.recipient}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      tenantId,
+      template,
+      recipient: [].concat(message.to).map(to => (to && to.address) || to).join(', '),
+      message,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null
+    };
+
+    this.queue.push(job);
+    this.stats.queued++;
+
+    this.process();
+    return job.id;
+  }
+
+  /**
+   * Deliver due messages; runs one pass at a time
+   */
+  process() {
+    if (!this.processing) {
+      this.processing = this.deliverDue()
+        .catch(error => logger.error('Mail queue error:', error))
+        .finally(() => {
+          this.processing = null;
+        });
+    }
+
+    return this.processing;
+  }
+
+  /**
+   * Deliver every queued message now, regardless of its retry delay
+   */
+  async flush() {
+    await this.processing;
+    this.queue.forEach((job) => {
+      job.nextAttemptAt = 0;
+    });
+    await this.process();
+  }
+
+  async deliverDue() {
+    // Messages queued during the pass are picked up too, each is tried once per pass
+    const attempted = new Set();
+    let job;
+
+    while ((job = this.queue.find(queued => queued.nextAttemptAt <= Date.now() && !attempted.has(queued)))) {
+      attempted.add(job);
+      await this.deliver(job);
+    }
+  }
+
+  async deliver(job) {
+    job.attempts++;
+
+    try {
+      const result = await this.transport.send(job.message);
+
+      this.remove(job);
+      this.stats.sent++;
+      logger.info(`Mail sent: ${job.template || 'message'} to ${job.recipient} (${result.messageId})`);
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (error.permanent || job.attempts >= this.maxAttempts) {
+        this.remove(job);
+        this.stats.failed++;
+        logger.error(`Mail delivery failed: ${job.template || 'message'} to ${job.recipient} after ${job.attempts} attempt(s): ${error.message}`);
+        return;
+      }
+
+      job.nextAttemptAt = Date.now() + Math.min(this.retryDelay * 2 ** (job.attempts - 1), this.maxRetryDelay);
+      this.stats.retried++;
+      logger.warn(`Mail delivery to ${job.recipient} failed (attempt ${job.attempts}), retrying: ${error.message}`);
+    }
+  }
+
+  remove(job) {
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  /**
+   * Base URL of the tenant's site, used for links in emails
+   */
+  getAppUrl(tenant) {
+    const settingsUrl = tenant && tenant.settings && tenant.settings.app_url;
+    const url = settingsUrl || process.env.APP_URL || (tenant && tenant.domain ? `https://${tenant.domain}` : 'http://localhost:3000');
+    return url.replace(/\/+$/, '');
+  }
+
+  getStats() {
+    return {
+      transport: this.transport.name,
+      pending: this.queue.length,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MailerService();
@@ -0,0 +1,239 @@
+// services/mediaService.js
+const { Op } = require('sequelize');
+const { getTenantModels } = require('../config/database');
+const uploadService = require('./uploadService');
+const imageTransformService = require('./imageTransformService');
+const logger = require('../utils/logger');
+
+// What the scheduled sweep does per tenant, settings.media.orphan_sweep overrides it
+const SWEEP_MODES = ['off', 'report', 'clean'];
+
+/**
+ * Deletes media without breaking the records that show it, and sweeps
+ * files on disk that nothing points at any more (and library entries
+ * whose files are gone).
+ */
+class MediaService {
+  constructor() {
+    this.sweepInterval = parseInt(process.env.MEDIA_SWEEP_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+    this.defaultSweepMode = SWEEP_MODES.includes(process.env.MEDIA_ORPHAN_SWEEP) ? process.env.MEDIA_ORPHAN_SWEEP : 'report';
+    // Files this recent may belong to an upload that isn't saved yet
+    this.orphanMinAge = (parseInt(process.env.MEDIA_ORPHAN_MIN_AGE_HOURS) || 24) * 60 * 60 * 1000;
+    this.trashRetentionDays = parseInt(process.env.MEDIA_TRASH_RETENTION_DAYS) || 30;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Delete a library asset
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} asset - MediaAsset
+   * @param {Object} options - force (delete even if in use), soft (move to the trash if in use), userId
+   * @returns {Object} { result: 'deleted'|'trashed'|'in_use', usages }
+   */
+  async deleteAsset(tenantId, asset, { force = false, soft = false, userId = null } = {}) {
+    const usages = await asset.findUsages();
+
+    if (usages.length > 0 && !force) {
+      if (!soft) {
+        return { result: 'in_use', usages };
+      }
+
+      await asset.update({ deleted_by: userId, usage_count: usages.length, usage_checked_at: new Date() });
+      await asset.destroy();
+      return { result: 'trashed', usages };
+    }
+
+    await this.purgeAsset(tenantId, asset);
+    return { result: 'deleted', usages };
+  }
+
+  /**
+   * Delete the files of an asset and its library entry for good
+   */
+  async purgeAsset(tenantId, asset) {
+    await uploadService.deleteImage(tenantId, asset.file_id, asset.upload_type);
+    await imageTransformService.purge(tenantId, asset.file_id);
+    await asset.destroy({ force: true });
+  }
+
+  /**
+   * Set the focal point and crops of an asset and regenerate its sizes,
+   * updating the copies of the image data articles keep
+   * @param {Object} options - focalPoint ({ x, y } or null), crops (boxes keyed by size or preset name)
+   */
+  async setCrop(models, tenantId, asset, { focalPoint = null, crops = {} } = {}) {
+    const imageData = await uploadService.regenerateImage(
+      tenantId,
+      { ...asset.toImageData(), tenant_id: tenantId },
+      { focalPoint, crops }
+    );
+
+    await asset.update({
+      sizes: imageData.images,
+      source: imageData.source,
+      focal_point: focalPoint,
+      crops,
+      version: imageData.version,
+      file_size: imageData.metadata.compressed_size
+    });
+
+    // Articles show the image from their own copy of the image data
+    const [articleCount] = await models.News.update(
+      { featured_image_data: asset.toImageData() },
+      { where: { featured_image: asset.file_id }, hooks: false, silent: true }
+    );
+
+    await imageTransformService.purge(tenantId, asset.file_id);
+
+    return { articles_updated: articleCount };
+  }
+
+  /**
+   * Delete an image a record stopped pointing at, unless something else still uses it
+   * @returns {boolean} Whether the files were deleted
+   */
+  async releaseFile(models, tenantId, fileId, uploadType = 'articles') {
+    const usages = await models.MediaAsset.findUsages(fileId);
+    if (usages.length > 0) return false;
+
+    const asset = await models.MediaAsset.findOne({ where: { file_id: fileId }, paranoid: false });
+    if (asset) {
+      await this.purgeAsset(tenantId, asset);
+    } else {
+      await uploadService.deleteImage(tenantId, fileId, uploadType);
+    }
+    return true;
+  }
+
+  /**
+   * Compare the files of a tenant with the library and the records referencing images
+   * @param {Object} options - clean (delete what is found instead of only reporting it)
+   * @returns {Object} Report of orphan files, expired trash and missing files
+   */
+  async sweepTenant(models, tenantId, { clean = false } = {}) {
+    const { MediaAsset, News } = models;
+
+    const [files, referencedIds, assets] = await Promise.all([
+      uploadService.listTenantFiles(tenantId),
+      MediaAsset.collectReferencedFileIds(),
+      MediaAsset.findAll({ paranoid: false })
+    ]);
+
+    const catalog = new Map(assets.map(asset => [asset.file_id.toLowerCase(), asset]));
+    const orphanBefore = Date.now() - this.orphanMinAge;
+    const trashBefore = new Date(Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000);
+
+    // Files nothing references and that aren't library entries
+    const orphanFiles = [];
+    for (const [fileId, image] of files) {
+      if (referencedIds.has(fileId) || catalog.has(fileId) || image.modified_at > orphanBefore) continue;
+      orphanFiles.push({ file_id: fileId, upload_type: image.upload_type, files: image.files.length, size: image.size });
+    }
+
+    // Trashed assets past retention that nothing references any more
+    const expiredTrash = assets.filter(asset =>
+      asset.deleted_at && asset.deleted_at < trashBefore && !referencedIds.has(asset.file_id.toLowerCase())
+    );
+
+    // Library entries and featured images whose files are gone
+    const missingAssets = assets.filter(asset => !asset.deleted_at && !files.has(asset.file_id.toLowerCase()));
+    const articles = await News.findAll({
+      where: { featured_image: { [Op.ne]: null } },
+      attributes: ['id', 'title', 'featured_image'],
+      raw: true
+    });
+    const brokenReferences = articles
+      .filter(article => !files.has(article.featured_image.toLowerCase()))
+      .map(article => ({ type: 'news', id: article.id, title: article.title, field: 'featured_image', file_id: article.featured_image }));
+
+    if (clean) {
+      for (const orphan of orphanFiles) {
+        await uploadService.deleteImage(tenantId, orphan.file_id, orphan.upload_type);
+      }
+      for (const asset of [...expiredTrash, ...missingAssets]) {
+        await this.purgeAsset(tenantId, asset);
+      }
+    }
+
+    return {
+      cleaned: clean,
+      orphan_files: orphanFiles,
+      orphan_size: orphanFiles.reduce((total, orphan) => total + orphan.size, 0),
+      expired_trash: expiredTrash.map(asset => ({ id: asset.id, file_id: asset.file_id, deleted_at: asset.deleted_at })),
+      missing_files: missingAssets.map(asset => ({ id: asset.id, file_id: asset.file_id, original_name: asset.original_name })),
+      // Articles are left for editors to fix, removing their image silently would hide the problem
+      broken_references: brokenReferences,
+      checked_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Sweep mode of a tenant: off, report or clean
+   */
+  getSweepMode(tenant) {
+    const mode = tenant && tenant.settings && tenant.settings.media && tenant.settings.media.orphan_sweep;
+    return SWEEP_MODES.includes(mode) ? mode : this.defaultSweepMode;
+  }
+
+  start() {
+    if (this.timer || process.env.MEDIA_SWEEP_ENABLED === 'false') return;
+
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.timer.unref();
+
+    logger.info(`Media orphan sweep worker started (every ${this.sweepInterval / 3600000}h)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Media orphan sweep worker stopped');
+    }
+  }
+
+  /**
+   * Sweep every active tenant in the mode it is configured for
+   */
+  async sweep() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const Tenant = require('../models/Tenant');
+      const tenants = await Tenant.findAll({
+        where: { status: 'active' },
+        attributes: ['id', 'name', 'settings']
+      });
+
+      for (const tenant of tenants) {
+        const mode = this.getSweepMode(tenant);
+        if (mode === 'off') continue;
+
+        try {
+          const models = await getTenantModels(tenant.id);
+          const report = await this.sweepTenant(models, tenant.id, { clean: mode === 'clean' });
+          const found = report.orphan_files.length + report.expired_trash.length +
+            report.missing_files.length + report.broken_references.length;
+
+          if (found > 0) {
+            logger.info(`Media sweep of tenant ${tenant.name} (${mode}): ${report.orphan_files.length} orphan files ` +
+              `(${uploadService.formatBytes(report.orphan_size)}), ${report.expired_trash.length} expired in trash, ` +
+              `${report.missing_files.length} missing files, ${report.broken_references.length} broken references`);
+          }
+        } catch (error) {
+          logger.error(`Media sweep failed for tenant ${tenant.name}:`, error);
+        }
+      }
+
+      await imageTransformService.pruneCache();
+    } catch (error) {
+      logger.error('Media sweep worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new MediaService();
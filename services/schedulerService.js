@@ -0,0 +1,178 @@
+// services/schedulerService.js
+const { Op } = require('sequelize');
+const { getTenantModels } = require('../config/database');
+const cacheService = require('../config/cache');
+const workflowService = require('./workflowService');
+const sitemapService = require('./sitemapService');
+const logger = require('../utils/logger');
+
+class SchedulerService {
+  constructor() {
+    this.interval = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+    this.maxAttempts = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 5;
+    this.batchSize = 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for due articles
+   */
+  start() {
+    if (this.timer || process.env.SCHEDULER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => this.run(), this.interval);
+    this.timer.unref();
+
+    logger.info(`Scheduled publishing worker started (every ${this.interval / 1000}s)`);
+
+    // Catch up on anything that became due while the server was down
+    this.run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Scheduled publishing worker stopped');
+    }
+  }
+
+  /**
+   * Scan all active tenants and publish due articles
+   */
+  async run() {
+    // Skip the tick if the previous scan is still in progress
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const Tenant = require('../models/Tenant');
+      const tenants = await Tenant.findAll({
+        where: { status: 'active' },
+        attributes: ['id', 'name']
+      });
+
+      for (const tenant of tenants) {
+        try {
+          await this.publishDueArticles(tenant.id);
+        } catch (error) {
+          logger.error(`Scheduled publishing failed for tenant ${tenant.name}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Scheduled publishing worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Publish every article of a tenant whose scheduled time has passed
+   * @param {string} tenantId - Tenant identifier
+   * @returns {number} Number of articles published
+   */
+  async publishDueArticles(tenantId) {
+    const models = await getTenantModels(tenantId);
+    const { News } = models;
+
+    const dueArticles = await News.findAll({
+      where: {
+        status: { [Op.in]: ['draft', 'review'] },
+        scheduled_at: { [Op.lte]: new Date() },
+        publish_attempts: { [Op.lt]: this.maxAttempts }
+      },
+      attributes: ['id', 'title', 'status', 'visibility', 'scheduled_at', 'publish_attempts'],
+      order: [['scheduled_at', 'ASC']],
+      limit: this.batchSize
+    });
+
+    let published = 0;
+
+    for (const article of dueArticles) {
+      if (await this.publishArticle(models, tenantId, article)) {
+        published++;
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * Publish a single article.
+   * The conditional update doubles as the lock: only the process whose update
+   * still matches a draft/review row publishes it, every other process sees 0 rows.
+   */
+  async publishArticle(models, tenantId, article) {
+    const { News } = models;
+
+    try {
+      const publishedAt = new Date();
+      const [affectedRows] = await News.update({
+        status: 'published',
+        published_at: publishedAt,
+        publish_error: null
+      }, {
+        where: {
+          id: article.id,
+          status: { [Op.in]: ['draft', 'review'] },
+          scheduled_at: article.scheduled_at
+        }
+      });
+
+      if (affectedRows === 0) {
+        // Already published, rescheduled or edited by someone else
+        return false;
+      }
+
+      try {
+        await workflowService.log(models, {
+          newsId: article.id,
+          action: 'scheduled_publish',
+          fromStatus: article.status,
+          toStatus: 'published'
+        });
+      } catch (logError) {
+        // The article is live already, a missing log entry must not trigger a retry
+        logger.error(`Failed to log scheduled publishing of article ${article.id}:`, logError);
+      }
+
+      await cacheService.invalidateArticleCache(tenantId, article.id);
+      await sitemapService.invalidateArticle(tenantId, {
+        id: article.id,
+        status: 'published',
+        visibility: article.visibility,
+        published_at: publishedAt
+      }, { wasListed: false });
+
+      logger.info(`Scheduled article published: ${article.title} (tenant ${tenantId})`);
+      return true;
+
+    } catch (error) {
+      const attempts = article.publish_attempts + 1;
+
+      logger.error(`Scheduled publishing of article ${article.id} failed (attempt ${attempts}/${this.maxAttempts}):`, error);
+
+      try {
+        await News.update({
+          publish_attempts: attempts,
+          publish_error: error.message.substring(0, 500)
+        }, {
+          where: { id: article.id }
+        });
+      } catch (updateError) {
+        logger.error(`Failed to record publishing failure for article ${article.id}:`, updateError);
+      }
+
+      if (attempts >= this.maxAttempts) {
+        logger.error(`Giving up on scheduled article ${article.id} after ${attempts} attempts`);
+      }
+
+      return false;
+    }
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,76 @@
+// services/search/mysqlFulltextBackend.js
+const { Op } = require('sequelize');
+const SearchBackend = require('./searchBackend');
+
+/**
+ * Search backed by the news_fulltext index (title, excerpt, content).
+ * The index is part of the News model, so it is created when the tenant
+ * models are synced and MySQL keeps it up to date on every write.
+ */
+class MysqlFulltextBackend extends SearchBackend {
+  constructor() {
+    super('mysql');
+  }
+
+  async search(models, { query, mode = 'boolean', filters = {}, limit = 10, offset = 0 }) {
+    const { News } = models;
+    const sequelize = News.sequelize;
+
+    const searchMode = mode === 'natural' ? 'IN NATURAL LANGUAGE MODE' : 'IN BOOLEAN MODE';
+    const match = `MATCH(\`News\`.\`title\`, \`News\`.\`excerpt\`, \`News\`.\`content\`) AGAINST(${sequelize.escape(query)} ${searchMode})`;
+
+    const where = {
+      status: 'published',
+      visibility: 'public',
+      published_at: { [Op.lte]: new Date() },
+      [Op.and]: [sequelize.literal(match)]
+    };
+
+    if (filters.category_id) {
+      where.category_id = Array.isArray(filters.category_id)
+        ? { [Op.in]: filters.category_id }
+        : filters.category_id;
+    }
+
+    if (filters.author_id) where.author_id = filters.author_id;
+    if (filters.is_featured) where.is_featured = true;
+    if (filters.is_breaking) where.is_breaking = true;
+
+    if (filters.date_from) {
+      where.published_at[Op.gte] = new Date(filters.date_from);
+    }
+
+    // Never widen past now, scheduled articles must stay hidden
+    if (filters.date_to && new Date(filters.date_to) < where.published_at[Op.lte]) {
+      where.published_at[Op.lte] = new Date(filters.date_to);
+    }
+
+    if (filters.tag_id) {
+      where[Op.and].push(sequelize.literal(
+        `\`News\`.\`id\` IN (SELECT \`news_id\` FROM \`news_tags\` WHERE \`tag_id\` = ${sequelize.escape(filters.tag_id)})`
+      ));
+    }
+
+    const { count, rows } = await News.findAndCountAll({
+      where,
+      attributes: ['id', [sequelize.literal(match), 'relevance']],
+      order: [
+        [sequelize.literal('relevance'), 'DESC'],
+        ['published_at', 'DESC']
+      ],
+      limit,
+      offset,
+      raw: true
+    });
+
+    return {
+      total: count,
+      hits: rows.map(row => ({
+        id: row.id,
+        relevance: parseFloat(row.relevance) || 0
+      }))
+    };
+  }
+}
+
+module.exports = MysqlFulltextBackend;
@@ -0,0 +1,43 @@
+// services/search/searchBackend.js
+
+/**
+ * Base class for article search backends.
+ *
+ * A backend only has to find and rank matching article IDs; loading the
+ * articles and building highlights is done by the search service.
+ */
+class SearchBackend {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Find published articles matching the query
+   * @param {Object} models - Tenant models
+   * @param {Object} params - { query, mode, filters, limit, offset }
+   *   mode is 'boolean' (+required -excluded "exact phrase" prefix*) or 'natural'
+   *   filters may contain category_id, tag_id, author_id, is_featured, is_breaking,
+   *   date_from and date_to
+   * @returns {Object} { total, hits: [{ id, relevance }] } ordered by relevance
+   */
+  async search(models, params) {
+    throw new Error(`Search backend ${this.name} does not implement search()`);
+  }
+
+  /**
+   * Add or refresh an article in the index.
+   * Backends that read straight from the database can leave this as is.
+   */
+  async index(tenantId, article) {
+    return true;
+  }
+
+  /**
+   * Remove an article from the index
+   */
+  async remove(tenantId, articleId) {
+    return true;
+  }
+}
+
+module.exports = SearchBackend;
@@ -0,0 +1,223 @@
+// services/searchService.js
+const MysqlFulltextBackend = require('./search/mysqlFulltextBackend');
+const logger = require('../utils/logger');
+
+const MAX_QUERY_LENGTH = 200;
+
+class SearchService {
+  constructor() {
+    this.backends = new Map();
+    this.registerBackend(new MysqlFulltextBackend());
+
+    this.activeBackend = process.env.SEARCH_BACKEND || 'mysql';
+    if (!this.backends.has(this.activeBackend)) {
+      logger.warn(`Unknown search backend "${this.activeBackend}", falling back to mysql`);
+      this.activeBackend = 'mysql';
+    }
+  }
+
+  /**
+   * Make a backend available under its name
+   * @param {SearchBackend} backend - Instance of a SearchBackend subclass
+   */
+  registerBackend(backend) {
+    this.backends.set(backend.name, backend);
+  }
+
+  setBackend(name) {
+    if (!this.backends.has(name)) {
+      throw new Error(`Search backend not registered: ${name}`);
+    }
+    this.activeBackend = name;
+  }
+
+  getBackend() {
+    return this.backends.get(this.activeBackend);
+  }
+
+  /**
+   * Search published articles
+   * @param {Object} models - Tenant models
+   * @param {Object} params - { query, mode, filters, page, limit }
+   * @returns {Object} { total, hits: [{ id, relevance }], terms }
+   */
+  async search(models, { query, mode = 'boolean', filters = {}, page = 1, limit = 10 }) {
+    const normalizedQuery = this.normalizeQuery(query, mode);
+
+    if (!normalizedQuery) {
+      return { total: 0, hits: [], terms: [] };
+    }
+
+    const result = await this.getBackend().search(models, {
+      query: normalizedQuery,
+      mode,
+      filters,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      ...result,
+      terms: this.extractTerms(normalizedQuery)
+    };
+  }
+
+  /**
+   * Forward article changes to backends that keep their own index
+   */
+  async indexArticle(tenantId, article) {
+    try {
+      await this.getBackend().index(tenantId, article);
+    } catch (error) {
+      logger.error(`Search indexing failed for article ${article.id}:`, error);
+    }
+  }
+
+  async removeArticle(tenantId, articleId) {
+    try {
+      await this.getBackend().remove(tenantId, articleId);
+    } catch (error) {
+      logger.error(`Search index removal failed for article ${articleId}:`, error);
+    }
+  }
+
+  /**
+   * Trim the query and drop operators the boolean syntax doesn't support for users
+   */
+  normalizeQuery(query, mode = 'boolean') {
+    if (!query || typeof query !== 'string') return '';
+
+    let normalized = query.trim().substring(0, MAX_QUERY_LENGTH);
+
+    if (mode === 'natural') {
+      return normalized.replace(/["+\-*<>()~@]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // Keep + - " and trailing *, remove the rest of the boolean operators
+    normalized = normalized.replace(/[<>()~@]/g, ' ');
+
+    // An unbalanced quote would turn the rest of the query into a phrase
+    if ((normalized.match(/"/g) || []).length % 2 !== 0) {
+      const lastQuote = normalized.lastIndexOf('"');
+      normalized = normalized.slice(0, lastQuote) + normalized.slice(lastQuote + 1);
+    }
+
+    // Operators must be attached to a word
+    normalized = normalized.replace(/(^|\s)[+\-]+(?=\s|$)/g, ' ').replace(/\s+/g, ' ').trim();
+
+    return normalized;
+  }
+
+  /**
+   * Words and phrases to highlight, excluded (-) terms are skipped
+   */
+  extractTerms(query) {
+    const terms = [];
+    const pattern = /([+\-]?)"([^"]+)"|([+\-]?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const operator = match[1] || match[3];
+      const term = (match[2] || match[4] || '').replace(/^[+\-]+/, '').trim().toLowerCase();
+
+      if (operator === '-' || !term) continue;
+      if (!terms.includes(term)) terms.push(term);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Build highlighted title and content snippet for a search hit.
+   * Output is HTML-escaped with matches wrapped in <mark>.
+   */
+  highlight(article, terms, snippetLength = 200) {
+    const text = this.stripHtml(`${article.excerpt || ''} ${article.content || ''}`);
+
+    return {
+      title: this.markTerms(article.title || '', terms),
+      snippet: this.markTerms(this.buildSnippet(text, terms, snippetLength), terms)
+    };
+  }
+
+  buildSnippet(text, terms, length) {
+    if (text.length <= length) return text;
+
+    const lowerText = text.toLowerCase();
+    const positions = terms
+      .map(term => lowerText.indexOf(term.replace(/\*$/, '')))
+      .filter(position => position >= 0);
+
+    // Start a little before the first match so it has some context
+    let start = positions.length > 0 ? Math.max(0, Math.min(...positions) - Math.floor(length / 4)) : 0;
+    if (start > 0) {
+      const nextSpace = text.indexOf(' ', start);
+      start = nextSpace >= 0 && nextSpace < start + 20 ? nextSpace + 1 : start;
+    }
+
+    let snippet = text.substring(start, start + length);
+    const lastSpace = snippet.lastIndexOf(' ');
+    if (start + length < text.length && lastSpace > length / 2) {
+      snippet = snippet.substring(0, lastSpace);
+    }
+
+    return `${start > 0 ? '…' : ''}${snippet}${start + snippet.length < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Escape plain text and wrap term matches in <mark>. Matching runs on the
+   * raw text so terms can't hit the inside of an escaped entity.
+   */
+  markTerms(text, terms) {
+    if (!terms || terms.length === 0) return this.escapeHtml(text);
+
+    const patterns = terms.map(term => {
+      const isPrefix = term.endsWith('*');
+      const escaped = term.replace(/\*$/, '')
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\s+/g, '\\s+');
+      return isPrefix ? `${escaped}[\\w-]*` : escaped;
+    });
+
+    const regex = new RegExp(patterns.join('|'), 'gi');
+    let result = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      result += this.escapeHtml(text.slice(lastIndex, match.index));
+      result += `<mark>${this.escapeHtml(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+
+    return result + this.escapeHtml(text.slice(lastIndex));
+  }
+
+  stripHtml(html) {
+    return html
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,406 @@
+// services/seoService.js
+const slugify = require('slugify');
+const searchService = require('./searchService');
+
+// Flesch Reading Ease and its per-language adaptations:
+// score = base - sentenceWeight * (words / sentences) - syllableWeight * (syllables / words)
+const READABILITY_FORMULAS = {
+  en: { name: 'Flesch Reading Ease', base: 206.835, sentenceWeight: 1.015, syllableWeight: 84.6 },
+  de: { name: 'Flesch-Amstad', base: 180, sentenceWeight: 1, syllableWeight: 58.5 },
+  es: { name: 'Fernández Huerta', base: 206.84, sentenceWeight: 1.02, syllableWeight: 60 },
+  fr: { name: 'Kandel-Moles', base: 207, sentenceWeight: 1.015, syllableWeight: 73.6 },
+  it: { name: 'Flesch-Vacca', base: 217, sentenceWeight: 1.3, syllableWeight: 60 },
+  nl: { name: 'Flesch-Douma', base: 206.835, sentenceWeight: 0.93, syllableWeight: 77 },
+  pt: { name: 'Flesch-Martins', base: 248.835, sentenceWeight: 1.015, syllableWeight: 84.6 }
+};
+
+// Weight of each status when turning findings into a 0-100 score
+const STATUS_FACTORS = {
+  good: 1,
+  improve: 0.5,
+  problem: 0
+};
+
+const VOWEL_GROUPS = /[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœ]+/gi;
+const BLOCK_TAGS = /<\/?(p|div|h[1-6]|li|ul|ol|blockquote|br|tr|td|th|figcaption|pre)\b[^>]*>/gi;
+
+class SeoService {
+  constructor() {
+    this.minWords = 300;
+    this.longSentenceWords = 20;
+    this.longParagraphWords = 150;
+  }
+
+  /**
+   * Analyze an article
+   * @param {Object} article - Article instance or plain object with its fields
+   * @param {Object} options - { language: tenant language, hosts: host names counted as internal }
+   * @returns {Object} { seo: { score, keyword, checks }, readability: { score, language, formula, calibrated, statistics, checks } }
+   */
+  analyze(article, options = {}) {
+    return {
+      seo: this.analyzeSeo(article, options),
+      readability: this.analyzeReadability(article.content || '', options.language)
+    };
+  }
+
+  /**
+   * Scores to store on the article
+   */
+  getScores(article, options = {}) {
+    const { seo, readability } = this.analyze(article, options);
+    return {
+      seo_score: seo.score,
+      readability_score: readability.score
+    };
+  }
+
+  analyzeSeo(article, options = {}) {
+    const content = article.content || '';
+    const keyword = this.getFocusKeyword(article.meta_keywords);
+    const wordCount = this.getWords(this.toText(content)).length;
+
+    const checks = [
+      this.checkLength('title_length', 'Title', this.toText(article.title || ''), { good: [30, 65], improve: [15, 90] }, 2),
+      this.checkLength('meta_title_length', 'Meta title', this.toText(article.meta_title || article.title || ''), { good: [30, 60], improve: [15, 70] }),
+      this.checkLength('meta_description_length', 'Meta description', this.toText(article.meta_description || ''), { good: [120, 160], improve: [50, 200] }, 2),
+      this.checkFocusKeyword(keyword),
+      this.checkKeywordIn('keyword_in_title', 'title', keyword, [article.meta_title, article.title], 2),
+      this.checkKeywordIn('keyword_in_excerpt', 'excerpt or meta description', keyword, [article.excerpt, article.meta_description]),
+      this.checkKeywordInHeadings(keyword, content),
+      this.checkImageAlt(article, content),
+      this.checkInternalLinks(content, options.hosts || []),
+      this.checkSlug(article.slug, keyword),
+      this.checkContentLength(wordCount)
+    ];
+
+    return {
+      score: this.toScore(checks),
+      keyword,
+      checks
+    };
+  }
+
+  analyzeReadability(html, language = 'en') {
+    const baseLanguage = String(language || 'en').toLowerCase().split(/[-_]/)[0];
+    const calibrated = Boolean(READABILITY_FORMULAS[baseLanguage]);
+    const formula = READABILITY_FORMULAS[baseLanguage] || READABILITY_FORMULAS.en;
+
+    const text = this.toText(html, { keepBlocks: true });
+    const sentences = this.getSentences(text);
+    const words = this.getWords(text);
+    const syllables = words.reduce((sum, word) => sum + this.countSyllables(word, baseLanguage), 0);
+
+    const statistics = {
+      words: words.length,
+      sentences: sentences.length,
+      syllables,
+      average_sentence_length: sentences.length > 0 ? this.round(words.length / sentences.length) : 0,
+      average_syllables_per_word: words.length > 0 ? this.round(syllables / words.length) : 0
+    };
+
+    let score = 0;
+    if (words.length > 0 && sentences.length > 0) {
+      const raw = formula.base -
+        formula.sentenceWeight * (words.length / sentences.length) -
+        formula.syllableWeight * (syllables / words.length);
+      score = Math.round(Math.min(100, Math.max(0, raw)));
+    }
+
+    const longSentences = sentences.filter(sentence => this.getWords(sentence).length > this.longSentenceWords).length;
+    const longSentenceShare = sentences.length > 0 ? longSentences / sentences.length : 0;
+    const longParagraphs = this.getParagraphs(html).filter(paragraph => this.getWords(paragraph).length > this.longParagraphWords).length;
+
+    const checks = [
+      {
+        id: 'reading_ease',
+        status: words.length < 50 ? 'improve' : score >= 60 ? 'good' : score >= 30 ? 'improve' : 'problem',
+        message: words.length < 50
+          ? 'Not enough text for a reliable readability score'
+          : `Reading ease is ${score} (${formula.name}); 60 or higher reads easily`
+      },
+      {
+        id: 'long_sentences',
+        status: longSentenceShare <= 0.25 ? 'good' : longSentenceShare <= 0.4 ? 'improve' : 'problem',
+        message: `${Math.round(longSentenceShare * 100)}% of sentences have more than ${this.longSentenceWords} words; keep it at 25% or less`,
+        count: longSentences
+      },
+      {
+        id: 'long_paragraphs',
+        status: longParagraphs === 0 ? 'good' : 'improve',
+        message: longParagraphs === 0
+          ? 'Paragraphs have a comfortable length'
+          : `${longParagraphs} paragraph(s) have more than ${this.longParagraphWords} words; split them up`,
+        count: longParagraphs
+      }
+    ];
+
+    return {
+      score,
+      language: baseLanguage,
+      formula: formula.name,
+      calibrated,
+      statistics,
+      checks
+    };
+  }
+
+  // SEO checks
+  checkLength(id, label, text, ranges, weight = 1) {
+    const length = text.length;
+    let status = 'problem';
+    let message;
+
+    if (length === 0) {
+      message = `${label} is missing`;
+    } else if (length >= ranges.good[0] && length <= ranges.good[1]) {
+      status = 'good';
+      message = `${label} length is good (${length} characters)`;
+    } else {
+      status = length >= ranges.improve[0] && length <= ranges.improve[1] ? 'improve' : 'problem';
+      message = `${label} has ${length} characters; aim for ${ranges.good[0]}-${ranges.good[1]}`;
+    }
+
+    return { id, status, weight, message, value: length };
+  }
+
+  checkFocusKeyword(keyword) {
+    return {
+      id: 'focus_keyword',
+      status: keyword ? 'good' : 'problem',
+      weight: 1,
+      message: keyword
+        ? `Focus keyword: "${keyword}"`
+        : 'No focus keyword; the first meta keyword is used as focus keyword'
+    };
+  }
+
+  checkKeywordIn(id, label, keyword, values, weight = 1) {
+    if (!keyword) {
+      return { id, status: 'problem', weight, message: `Set a focus keyword to check the ${label}` };
+    }
+
+    const found = values.some(value => this.containsKeyword(this.toText(value || ''), keyword));
+
+    return {
+      id,
+      status: found ? 'good' : 'problem',
+      weight,
+      message: found
+        ? `Focus keyword appears in the ${label}`
+        : `Use the focus keyword in the ${label}`
+    };
+  }
+
+  checkKeywordInHeadings(keyword, content) {
+    const headings = [...content.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)].map(match => this.toText(match[2]));
+
+    if (headings.length === 0) {
+      return {
+        id: 'keyword_in_headings',
+        status: 'improve',
+        weight: 1,
+        message: 'Add subheadings to structure the article'
+      };
+    }
+
+    if (!keyword) {
+      return {
+        id: 'keyword_in_headings',
+        status: 'problem',
+        weight: 1,
+        message: 'Set a focus keyword to check the subheadings'
+      };
+    }
+
+    const found = headings.some(heading => this.containsKeyword(heading, keyword));
+
+    return {
+      id: 'keyword_in_headings',
+      status: found ? 'good' : 'improve',
+      weight: 1,
+      message: found
+        ? 'Focus keyword appears in a subheading'
+        : 'Use the focus keyword in at least one subheading'
+    };
+  }
+
+  checkImageAlt(article, content) {
+    const images = content.match(/<img\b[^>]*>/gi) || [];
+    const missingAlt = images.filter(image => !/\balt\s*=\s*(["'])\s*[^"'\s][^"']*\1/i.test(image)).length;
+    const hasFeaturedImage = Boolean(article.featured_image || article.featured_image_data);
+
+    let status = 'good';
+    const issues = [];
+
+    if (!hasFeaturedImage) {
+      status = 'improve';
+      issues.push('add a featured image');
+    } else if (!article.featured_image_alt || !article.featured_image_alt.trim()) {
+      status = 'problem';
+      issues.push('describe the featured image in its alt text');
+    }
+
+    if (missingAlt > 0) {
+      if (status === 'good') status = 'improve';
+      issues.push(`add alt text to ${missingAlt} image(s) in the content`);
+    }
+
+    return {
+      id: 'image_alt',
+      status,
+      weight: 1,
+      message: issues.length === 0
+        ? 'Images have alt text'
+        : `${issues[0].charAt(0).toUpperCase()}${issues.join(' and ').slice(1)}`,
+      images_missing_alt: missingAlt
+    };
+  }
+
+  checkInternalLinks(content, hosts) {
+    const links = [...content.matchAll(/<a\b[^>]*\bhref\s*=\s*(["'])(.*?)\1/gi)].map(match => match[2].trim());
+    const internalHosts = hosts.filter(Boolean).map(host => host.toLowerCase().split(':')[0]);
+
+    let internal = 0;
+    let external = 0;
+
+    links.forEach(href => {
+      if (href.startsWith('/') && !href.startsWith('//')) {
+        internal++;
+        return;
+      }
+
+      const match = href.match(/^(?:https?:)?\/\/([^/:?#]+)/i);
+      if (!match) return;
+
+      if (internalHosts.includes(match[1].toLowerCase())) {
+        internal++;
+      } else {
+        external++;
+      }
+    });
+
+    return {
+      id: 'internal_links',
+      status: internal > 0 ? 'good' : 'improve',
+      weight: 1,
+      message: internal > 0
+        ? `${internal} internal link(s) to other pages of the site`
+        : 'Link to related articles on the site',
+      internal,
+      external
+    };
+  }
+
+  checkSlug(slug, keyword) {
+    if (!slug) {
+      return { id: 'slug_quality', status: 'problem', weight: 1, message: 'Slug is missing' };
+    }
+
+    const issues = [];
+    const words = slug.split('-').filter(Boolean);
+
+    if (slug.length > 75) issues.push(`shorten it to 75 characters or less (${slug.length})`);
+    if (words.length > 8) issues.push(`use 8 words or fewer (${words.length})`);
+    if (/-\d+$/.test(slug)) issues.push('avoid the numeric suffix of a duplicate title');
+    if (keyword && !slug.includes(this.slugifyKeyword(keyword))) issues.push('include the focus keyword');
+
+    return {
+      id: 'slug_quality',
+      status: issues.length === 0 ? 'good' : 'improve',
+      weight: 1,
+      message: issues.length === 0 ? 'Slug is short and descriptive' : `Slug: ${issues.join(', ')}`
+    };
+  }
+
+  checkContentLength(wordCount) {
+    return {
+      id: 'content_length',
+      status: wordCount >= this.minWords ? 'good' : wordCount >= this.minWords / 2 ? 'improve' : 'problem',
+      weight: 1,
+      message: wordCount >= this.minWords
+        ? `Content has ${wordCount} words`
+        : `Content has ${wordCount} words; aim for at least ${this.minWords}`,
+      value: wordCount
+    };
+  }
+
+  // Helper methods
+  toScore(checks) {
+    const totalWeight = checks.reduce((sum, check) => sum + check.weight, 0);
+    const earned = checks.reduce((sum, check) => sum + check.weight * STATUS_FACTORS[check.status], 0);
+    return totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0;
+  }
+
+  getFocusKeyword(metaKeywords) {
+    if (!metaKeywords) return null;
+    const keyword = String(metaKeywords).split(',')[0].trim().toLowerCase();
+    return keyword || null;
+  }
+
+  containsKeyword(text, keyword) {
+    return this.normalize(text).includes(this.normalize(keyword));
+  }
+
+  slugifyKeyword(keyword) {
+    return slugify(keyword, { lower: true, strict: true });
+  }
+
+  normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Plain text of HTML; with keepBlocks, block elements end a sentence
+   */
+  toText(html, { keepBlocks = false } = {}) {
+    const withBreaks = keepBlocks ? String(html).replace(BLOCK_TAGS, '\n') : String(html);
+    if (!keepBlocks) return searchService.stripHtml(withBreaks);
+
+    return withBreaks
+      .split('\n')
+      .map(line => searchService.stripHtml(line))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  getWords(text) {
+    return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).filter(word => /\p{L}/u.test(word));
+  }
+
+  getSentences(text) {
+    return text
+      .split(/(?<=[.!?…])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => this.getWords(sentence).length > 0);
+  }
+
+  getParagraphs(html) {
+    const paragraphs = [...String(html).matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)].map(match => match[1]);
+    return paragraphs.length > 0
+      ? paragraphs.map(paragraph => searchService.stripHtml(paragraph))
+      : String(html).split(/\n\s*\n/).map(paragraph => searchService.stripHtml(paragraph));
+  }
+
+  /**
+   * Syllables estimated from vowel groups, with English silent endings removed
+   */
+  countSyllables(word, language) {
+    let normalized = word.toLowerCase().replace(/['’]/g, '');
+
+    if (language === 'en' && normalized.length > 3) {
+      normalized = normalized
+        .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, match => match.charAt(0))
+        .replace(/^y/, '');
+    }
+
+    const groups = normalized.match(VOWEL_GROUPS);
+    return Math.max(1, groups ? groups.length : 0);
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+module.exports = new SeoService();
@@ -0,0 +1,352 @@
+// services/sitemapService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const cacheService = require('../config/cache');
+const feedService = require('./feedService');
+
+const SITEMAP_XMLNS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_XMLNS = 'http://www.google.com/schemas/sitemap-image/1.1';
+const NEWS_XMLNS = 'http://www.google.com/schemas/sitemap-news/0.9';
+
+// Cache tags: every article page carries `sitemap:articles` and the tags of the
+// articles it lists, the other files follow every change of a listed article
+const ARTICLE_PAGES_TAG = 'sitemap:articles';
+const LISTING_TAG = 'sitemap:listing';
+
+class SitemapService {
+  constructor() {
+    // The protocol allows 50,000 URLs per file
+    this.pageSize = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 1000, 50000);
+    // Safety net for changes made outside the API
+    this.ttl = parseInt(process.env.SITEMAP_TTL_MS) || 60 * 60 * 1000;
+    this.newsWindow = 48 * 60 * 60 * 1000;
+    this.newsLimit = 1000;
+  }
+
+  /**
+   * Sitemap index listing every sitemap of the tenant
+   * @param {Object} context - { tenantId, tenant, models, siteUrl }
+   */
+  async getIndex(context) {
+    return await this.getFile(context, 'index', async () => {
+      const pageCount = await this.getPageCount(context);
+      const sitemaps = [];
+
+      for (let page = 1; page <= pageCount; page++) {
+        const articlePage = await this.getArticlePage(context, page);
+        if (!articlePage) break;
+
+        sitemaps.push({
+          loc: `${context.siteUrl}/sitemap-articles-${page}.xml`,
+          lastmod: articlePage.lastModifiedAt
+        });
+      }
+
+      const files = {
+        news: await this.getNewsSitemap(context),
+        categories: await this.getCategorySitemap(context),
+        tags: await this.getTagSitemap(context)
+      };
+
+      for (const [name, file] of Object.entries(files)) {
+        sitemaps.push({
+          loc: `${context.siteUrl}/sitemap-${name}.xml`,
+          lastmod: file.lastModifiedAt
+        });
+      }
+
+      const lastModifiedAt = this.latest(sitemaps.map(sitemap => sitemap.lastmod));
+
+      logger.info(`Sitemap index rebuilt for tenant ${context.tenantId} (${pageCount} article pages)`);
+
+      return this.render(this.buildIndex(sitemaps), lastModifiedAt);
+    });
+  }
+
+  /**
+   * One page of the article sitemap, oldest first so new articles only touch the last page
+   * @returns {Object|null} Rendered sitemap, null if the page doesn't exist
+   */
+  async getArticlePage(context, page) {
+    const cacheKey = this.getCacheKey(context, `articles-${page}`);
+    const cached = await cacheService.get(context.tenantId, cacheKey);
+    if (cached) return cached;
+
+    const articles = await context.models.News.findPublished({
+      attributes: ['id', 'title', 'slug', 'published_at', 'updated_at', 'featured_image_data'],
+      order: [['published_at', 'ASC'], ['id', 'ASC']],
+      offset: (page - 1) * this.pageSize,
+      limit: this.pageSize
+    });
+
+    // An empty first page is still a valid sitemap for a new site
+    if (articles.length === 0 && page > 1) return null;
+
+    const urls = articles.map(article => {
+      const image = article.getFeaturedImageUrl('large');
+      return {
+        loc: `${context.siteUrl}${article.getUrl()}`,
+        lastmod: article.updated_at || article.published_at,
+        images: image ? [image] : []
+      };
+    });
+
+    const sitemap = this.render(
+      this.buildUrlset(urls, { image: IMAGE_XMLNS }),
+      this.latest(urls.map(url => url.lastmod))
+    );
+
+    // Editing an article drops the page listing it
+    const tags = [ARTICLE_PAGES_TAG, ...articles.map(article => `article:${article.id}`)];
+    await cacheService.set(context.tenantId, cacheKey, sitemap, this.getTtlSeconds(), tags);
+    return sitemap;
+  }
+
+  /**
+   * Google News sitemap with the articles published in the last 48 hours
+   */
+  async getNewsSitemap(context) {
+    return await this.getFile(context, 'news', async () => {
+      const settings = context.tenant.settings || {};
+
+      const articles = await context.models.News.findPublished({
+        where: {
+          published_at: {
+            [Op.gte]: new Date(Date.now() - this.newsWindow),
+            [Op.lte]: new Date()
+          }
+        },
+        attributes: ['id', 'title', 'slug', 'published_at', 'updated_at'],
+        limit: this.newsLimit
+      });
+
+      const urls = articles.map(article => ({
+        loc: `${context.siteUrl}${article.getUrl()}`,
+        lastmod: article.updated_at || article.published_at,
+        news: {
+          name: context.tenant.name,
+          language: settings.language || 'en',
+          publishedAt: article.published_at,
+          title: article.title
+        }
+      }));
+
+      return this.render(
+        this.buildUrlset(urls, { news: NEWS_XMLNS }),
+        this.latest(urls.map(url => url.lastmod))
+      );
+    });
+  }
+
+  /**
+   * Active categories, last modified when their newest article changed
+   */
+  async getCategorySitemap(context) {
+    return await this.getFile(context, 'categories', async () => {
+      const { Category, News } = context.models;
+
+      const [categories, activity] = await Promise.all([
+        Category.findAll({
+          where: { is_active: true },
+          attributes: ['id', 'slug', 'created_at'],
+          order: [['name', 'ASC']]
+        }),
+        News.findPublished({
+          attributes: [
+            'category_id',
+            [News.sequelize.fn('MAX', News.sequelize.col('updated_at')), 'lastmod']
+          ],
+          group: ['category_id'],
+          order: [],
+          raw: true
+        })
+      ]);
+
+      const lastmodByCategory = new Map(activity.map(row => [row.category_id, row.lastmod]));
+
+      const urls = categories.map(category => ({
+        loc: `${context.siteUrl}${category.getUrl()}`,
+        lastmod: lastmodByCategory.get(category.id) || category.created_at
+      }));
+
+      return this.render(this.buildUrlset(urls), this.latest(urls.map(url => url.lastmod)));
+    });
+  }
+
+  /**
+   * Active tags that have at least one published article
+   */
+  async getTagSitemap(context) {
+    return await this.getFile(context, 'tags', async () => {
+      const { sequelize } = context.models.News;
+
+      const tags = await sequelize.query(`
+        SELECT t.id, t.slug, MAX(n.updated_at) AS lastmod
+        FROM tags t
+        INNER JOIN news_tags nt ON nt.tag_id = t.id
+        INNER JOIN news n ON n.id = nt.news_id
+        WHERE t.is_active = true
+          AND n.status = 'published'
+          AND n.visibility = 'public'
+          AND n.published_at <= :now
+        GROUP BY t.id, t.slug
+        ORDER BY t.slug ASC
+        LIMIT :limit
+      `, {
+        replacements: { now: new Date(), limit: 50000 },
+        model: context.models.Tag,
+        mapToModel: true
+      });
+
+      const urls = tags.map(tag => ({
+        loc: `${context.siteUrl}${tag.getUrl()}`,
+        lastmod: tag.get('lastmod')
+      }));
+
+      return this.render(this.buildUrlset(urls), this.latest(urls.map(url => url.lastmod)));
+    });
+  }
+
+  /**
+   * Whether the article appears in the public sitemaps
+   */
+  isListed(article) {
+    return Boolean(article &&
+      article.status === 'published' &&
+      article.visibility === 'public' &&
+      article.published_at &&
+      new Date(article.published_at) <= new Date());
+  }
+
+  /**
+   * Drop the sitemaps an article change affects in every process; they're rebuilt
+   * on the next request. Editing a listed article only drops the page listing it,
+   * while publishing, unpublishing, moving or deleting it shifts the later pages
+   * as well, so all article pages go.
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} article - Article after the change
+   * @param {Object} options - { wasListed: listed before the change, removed: article was deleted,
+   *   previousPublishedAt: publish date before the change, when it may have changed }
+   */
+  async invalidateArticle(tenantId, article, { wasListed = true, removed = false, previousPublishedAt } = {}) {
+    const listed = !removed && this.isListed(article);
+    if (!listed && !wasListed) return;
+
+    const moved = previousPublishedAt !== undefined &&
+      new Date(previousPublishedAt).getTime() !== new Date(article.published_at).getTime();
+
+    const pagesTag = listed && wasListed && !moved ? `article:${article.id}` : ARTICLE_PAGES_TAG;
+    await cacheService.invalidateTags(tenantId, [pagesTag, LISTING_TAG]);
+  }
+
+  /**
+   * Drop a single sitemap (e.g. 'categories' or 'tags') along with the index
+   */
+  async invalidate(tenantId, name) {
+    await cacheService.invalidateTags(tenantId, [`sitemap:${name}`, 'sitemap:index']);
+  }
+
+  /**
+   * Drop every sitemap of a tenant, e.g. after bulk operations
+   */
+  async invalidateTenant(tenantId) {
+    await cacheService.invalidateTags(tenantId, [ARTICLE_PAGES_TAG, LISTING_TAG]);
+  }
+
+  // Helper methods
+  /**
+   * URLs are absolute, a tenant reached on another host gets its own build
+   */
+  getCacheKey(context, name) {
+    return `sitemaps:${context.siteUrl}:${name}`;
+  }
+
+  getTtlSeconds() {
+    return Math.ceil(this.ttl / 1000);
+  }
+
+  async getFile(context, name, build) {
+    const cacheKey = this.getCacheKey(context, name);
+    const cached = await cacheService.get(context.tenantId, cacheKey);
+    if (cached) return cached;
+
+    const sitemap = await build();
+    await cacheService.set(context.tenantId, cacheKey, sitemap, this.getTtlSeconds(), [`sitemap:${name}`, LISTING_TAG]);
+    return sitemap;
+  }
+
+  async getPageCount(context) {
+    const total = await context.models.News.countPublished();
+    return Math.max(1, Math.ceil(total / this.pageSize));
+  }
+
+  latest(dates) {
+    const times = dates.filter(Boolean).map(date => new Date(date).getTime()).filter(time => !isNaN(time));
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * @returns {Object} { body, contentType, etag, lastModified, lastModifiedAt, builtAt }
+   */
+  render(body, lastModifiedAt) {
+    const lastModified = new Date(lastModifiedAt || Date.now());
+    lastModified.setMilliseconds(0);
+
+    return {
+      body,
+      contentType: 'application/xml; charset=utf-8',
+      etag: `W/"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: lastModified.toUTCString(),
+      lastModifiedAt: lastModifiedAt ? new Date(lastModifiedAt) : null,
+      builtAt: Date.now()
+    };
+  }
+
+  buildUrlset(urls, extensions = {}) {
+    const namespaces = Object.entries(extensions)
+      .map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`)
+      .join('');
+
+    const entries = urls.map(url => `  <url>
+    <loc>${this.escapeXml(url.loc)}</loc>${url.lastmod ? `
+    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : ''}${(url.images || []).map(image => `
+    <image:image>
+      <image:loc>${this.escapeXml(image)}</image:loc>
+    </image:image>`).join('')}${url.news ? `
+    <news:news>
+      <news:publication>
+        <news:name>${this.escapeXml(url.news.name)}</news:name>
+        <news:language>${this.escapeXml(url.news.language)}</news:language>
+      </news:publication>
+      <news:publication_date>${new Date(url.news.publishedAt).toISOString()}</news:publication_date>
+      <news:title>${this.escapeXml(url.news.title)}</news:title>
+    </news:news>` : ''}
+  </url>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="${SITEMAP_XMLNS}"${namespaces}>
+${entries.join('\n')}
+</urlset>
+`;
+  }
+
+  buildIndex(sitemaps) {
+    const entries = sitemaps.map(sitemap => `  <sitemap>
+    <loc>${this.escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `
+    <lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : ''}
+  </sitemap>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="${SITEMAP_XMLNS}">
+${entries.join('\n')}
+</sitemapindex>
+`;
+  }
+
+  escapeXml(value) {
+    return feedService.escapeXml(value);
+  }
+}
+
+module.exports = new SitemapService();
@@ -0,0 +1,152 @@
+// services/storage/localStorageDriver.js
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const StorageDriver = require('./storageDriver');
+
+/**
+ * Stores uploads on the local filesystem. Public files live under the web
+ * root the uploads are served from, private ones in a separate directory
+ * and are streamed by the signed file route after checking the signature.
+ */
+class LocalStorageDriver extends StorageDriver {
+  constructor({ root, privateRoot, baseUrl, urlPrefix = '/uploads', signedPath = '/api/media/files', signingSecret }) {
+    super('local');
+    this.roots = { public: root, private: privateRoot };
+    this.baseUrl = baseUrl;
+    this.urlPrefix = urlPrefix;
+    this.signedPath = signedPath;
+    this.signingSecret = signingSecret;
+  }
+
+  resolve(key, visibility = 'public') {
+    return path.join(this.roots[visibility], ...StorageDriver.normalizeKey(key).split('/'));
+  }
+
+  async put(key, body, { visibility = 'public' } = {}) {
+    const filepath = this.resolve(key, visibility);
+
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, body);
+
+    // A stale copy with the other visibility would stay reachable
+    await this.unlink(this.resolve(key, visibility === 'public' ? 'private' : 'public'));
+
+    return { key: StorageDriver.normalizeKey(key), size: body.length };
+  }
+
+  async get(key) {
+    for (const visibility of ['public', 'private']) {
+      try {
+        return await fs.readFile(this.resolve(key, visibility));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
+
+  async delete(key) {
+    const deletedPublic = await this.unlink(this.resolve(key, 'public'));
+    const deletedPrivate = await this.unlink(this.resolve(key, 'private'));
+    return deletedPublic || deletedPrivate;
+  }
+
+  async list(prefix) {
+    const normalized = StorageDriver.normalizeKey(prefix);
+    // "tenants/x/" lists a directory, "tenants/x/articles/<id>" files starting with the ID
+    const directory = normalized.endsWith('/') ? normalized.slice(0, -1) : path.posix.dirname(normalized);
+    const objects = [];
+
+    for (const visibility of ['public', 'private']) {
+      await this.walk(path.join(this.roots[visibility], ...directory.split('/')), directory, async (key, filepath) => {
+        if (!key.startsWith(normalized)) return;
+
+        const stats = await fs.stat(filepath);
+        objects.push({ key, size: stats.size, modified_at: stats.mtimeMs, visibility });
+      });
+    }
+
+    return objects;
+  }
+
+  async setVisibility(key, visibility) {
+    const target = this.resolve(key, visibility);
+    const source = this.resolve(key, visibility === 'public' ? 'private' : 'public');
+
+    try {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(source, target);
+    } catch (error) {
+      // Already where it belongs
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getUrl(key, baseUrl = null) {
+    return `${baseUrl || this.baseUrl}${this.urlPrefix}/${StorageDriver.normalizeKey(key)}`;
+  }
+
+  getSignedUrl(key, { expiresIn = 3600, baseUrl = null } = {}) {
+    const normalized = StorageDriver.normalizeKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+    return `${baseUrl || this.baseUrl}${this.signedPath}/${normalized}` +
+      `?expires=${expires}&signature=${this.sign(normalized, expires)}`;
+  }
+
+  /**
+   * Check the signature and expiry of a signed URL
+   */
+  verifySignedUrl(key, expires, signature) {
+    if (!/^\d+$/.test(String(expires)) || parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.sign(StorageDriver.normalizeKey(key), parseInt(expires)));
+    const given = Buffer.from(String(signature || ''));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async unlink(filepath) {
+    try {
+      await fs.unlink(filepath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async walk(directory, keyPrefix, onFile) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const key = keyPrefix && keyPrefix !== '.' ? `${keyPrefix}/${entry.name}` : entry.name;
+      const filepath = path.join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        await this.walk(filepath, key, onFile);
+      } else {
+        await onFile(key, filepath);
+      }
+    }
+  }
+
+  async ping() {
+    await fs.mkdir(this.roots.public, { recursive: true });
+    await fs.mkdir(this.roots.private, { recursive: true });
+    return true;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,280 @@
+// services/storage/s3StorageDriver.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const StorageDriver = require('./storageDriver');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const LIST_PAGE_SIZE = 1000;
+
+class S3Error extends Error {
+  constructor(message, statusCode = null, code = null) {
+    super(message);
+    this.name = 'S3Error';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * RFC 3986 encoding AWS expects, "/" kept in object paths
+ */
+const encodeRfc3986 = value => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodePath = value => value.split('/').map(encodeRfc3986).join('/');
+
+const canonicalQuery = query => Object.keys(query)
+  .sort()
+  .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+  .join('&');
+
+const xmlValue = (xml, tag) => {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+};
+
+const decodeXml = value => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * AWS Signature Version 4 of a request
+ * @param {Object} request - method, path (encoded), query, headers (lowercase names), payloadHash
+ * @param {Object} credentials - accessKeyId, secretAccessKey, region, date ("YYYYMMDDTHHMMSSZ")
+ * @returns {Object} { signature, credentialScope, signedHeaders }
+ */
+const signRequest = ({ method, path, query = {}, headers, payloadHash }, { secretAccessKey, region, date }) => {
+  const signedHeaders = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const canonicalHeaders = signedHeaders
+    .map(name => `${name}:${String(headers[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    canonicalHeaders,
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const day = date.slice(0, 8);
+  const credentialScope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', date, credentialScope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+  );
+
+  return {
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+    credentialScope,
+    signedHeaders: signedHeaders.join(';')
+  };
+};
+
+const amzDate = (date = new Date()) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Stores uploads in an S3-compatible bucket (AWS S3, MinIO, R2, Spaces...)
+ * over the REST API with Signature Version 4. Public objects get the
+ * public-read ACL unless the bucket policy decides (publicAcl: false);
+ * private objects are read through presigned URLs.
+ */
+class S3StorageDriver extends StorageDriver {
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, publicUrl = null, publicAcl = true, timeout = 30000 }) {
+    super('s3');
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+    this.publicAcl = publicAcl;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Host and encoded path of an object (or of the bucket without key)
+   */
+  locate(key = null) {
+    const objectPath = key ? `/${encodePath(StorageDriver.normalizeKey(key))}` : '/';
+
+    if (this.forcePathStyle) {
+      return {
+        host: this.endpoint.host,
+        path: `/${encodeRfc3986(this.bucket)}${key ? objectPath : '/'}`
+      };
+    }
+
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: objectPath };
+  }
+
+  async request(method, key, { query = {}, body = null, headers = {} } = {}) {
+    const { host, path } = this.locate(key);
+    const date = amzDate();
+    const payload = body || Buffer.alloc(0);
+
+    const signedHeaders = {
+      host,
+      'x-amz-content-sha256': sha256(payload),
+      'x-amz-date': date,
+      ...headers
+    };
+
+    const { signature, credentialScope, signedHeaders: signedNames } = signRequest(
+      { method, path, query, headers: signedHeaders, payloadHash: signedHeaders['x-amz-content-sha256'] },
+      { secretAccessKey: this.secretAccessKey, region: this.region, date }
+    );
+
+    const search = canonicalQuery(query);
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return await new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port || undefined,
+        method,
+        path: search ? `${path}?${search}` : path,
+        headers: {
+          ...signedHeaders,
+          'content-length': payload.length,
+          authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${credentialScope}, ` +
+            `SignedHeaders=${signedNames}, Signature=${signature}`
+        },
+        timeout: this.timeout
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new S3Error(`S3 request timed out: ${method} ${path}`)));
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  /**
+   * Throw for error responses, with the S3 error code when the body has one
+   */
+  check(response, action) {
+    if (response.statusCode >= 200 && response.statusCode < 300) return response;
+
+    const xml = response.body.toString('utf8');
+    const code = xmlValue(xml, 'Code');
+    throw new S3Error(`S3 ${action} failed: ${xmlValue(xml, 'Message') || code || response.statusCode}`, response.statusCode, code);
+  }
+
+  cannedAcl(visibility) {
+    return visibility === 'private' ? 'private' : 'public-read';
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', visibility = 'public' } = {}) {
+    const headers = { 'content-type': contentType };
+    if (this.publicAcl) headers['x-amz-acl'] = this.cannedAcl(visibility);
+
+    this.check(await this.request('PUT', key, { body, headers }), 'put');
+    return { key: StorageDriver.normalizeKey(key), size: body.length };
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.statusCode === 404) return null;
+
+    return this.check(response, 'get').body;
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (response.statusCode === 404) return false;
+
+    this.check(response, 'delete');
+    return true;
+  }
+
+  async list(prefix) {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': 2, prefix: StorageDriver.normalizeKey(prefix), 'max-keys': LIST_PAGE_SIZE };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const xml = this.check(await this.request('GET', null, { query }), 'list').body.toString('utf8');
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: xmlValue(contents, 'Key'),
+          size: parseInt(xmlValue(contents, 'Size')) || 0,
+          modified_at: new Date(xmlValue(contents, 'LastModified')).getTime()
+        });
+      }
+
+      continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async setVisibility(key, visibility) {
+    // Buckets governed by a policy have no per-object ACLs to change
+    if (!this.publicAcl) return;
+
+    this.check(await this.request('PUT', key, {
+      query: { acl: '' },
+      headers: { 'x-amz-acl': this.cannedAcl(visibility) }
+    }), 'set ACL');
+  }
+
+  getUrl(key, baseUrl = null) {
+    const normalized = encodePath(StorageDriver.normalizeKey(key));
+    if (baseUrl || this.publicUrl) return `${baseUrl || this.publicUrl}/${normalized}`;
+
+    const { host, path } = this.locate(key);
+    return `${this.endpoint.protocol}//${host}${path}`;
+  }
+
+  /**
+   * Presigned GET URL, valid for at most 7 days as S3 allows
+   */
+  getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    const { host, path } = this.locate(key);
+    const date = amzDate();
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${date.slice(0, 8)}/${this.region}/s3/aws4_request`,
+      'X-Amz-Date': date,
+      'X-Amz-Expires': Math.min(expiresIn, 7 * 24 * 60 * 60),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const { signature } = signRequest(
+      { method: 'GET', path, query, headers: { host }, payloadHash: UNSIGNED_PAYLOAD },
+      { secretAccessKey: this.secretAccessKey, region: this.region, date }
+    );
+
+    return `${this.endpoint.protocol}//${host}${path}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  async ping() {
+    this.check(await this.request('HEAD', null), 'bucket check');
+    return true;
+  }
+}
+
+S3StorageDriver.S3Error = S3Error;
+S3StorageDriver.signRequest = signRequest;
+S3StorageDriver.canonicalQuery = canonicalQuery;
+S3StorageDriver.UNSIGNED_PAYLOAD = UNSIGNED_PAYLOAD;
+
+module.exports = S3StorageDriver;
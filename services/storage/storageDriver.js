@@ -0,0 +1,89 @@
+// services/storage/storageDriver.js
+
+/**
+ * Base class for upload storage drivers.
+ *
+ * Objects are stored under relative keys such as
+ * "tenants/<tenantId>/articles/<imageId>_large.webp" (tenant layout is
+ * handled by the upload service). Public objects are served from getUrl(),
+ * private ones are only reachable through a signed URL that expires.
+ */
+class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {Buffer} body - File contents
+   * @param {Object} options - contentType, visibility ('public' or 'private')
+   * @returns {Object} { key, size }
+   */
+  async put(key, body, options = {}) {
+    throw new Error(`Storage driver ${this.name} does not implement put()`);
+  }
+
+  /**
+   * @returns {Buffer|null} File contents, null if the object doesn't exist
+   */
+  async get(key) {
+    throw new Error(`Storage driver ${this.name} does not implement get()`);
+  }
+
+  /**
+   * @returns {boolean} Whether an object was deleted
+   */
+  async delete(key) {
+    throw new Error(`Storage driver ${this.name} does not implement delete()`);
+  }
+
+  /**
+   * Objects whose key starts with the prefix
+   * @returns {Array} { key, size, modified_at } with modified_at in milliseconds
+   */
+  async list(prefix) {
+    throw new Error(`Storage driver ${this.name} does not implement list()`);
+  }
+
+  /**
+   * Make an object public or private
+   */
+  async setVisibility(key, visibility) {
+    throw new Error(`Storage driver ${this.name} does not implement setVisibility()`);
+  }
+
+  /**
+   * Public URL of an object
+   */
+  getUrl(key, baseUrl = null) {
+    throw new Error(`Storage driver ${this.name} does not implement getUrl()`);
+  }
+
+  /**
+   * URL granting read access to an object until it expires
+   * @param {Object} options - expiresIn (seconds), baseUrl
+   */
+  getSignedUrl(key, options = {}) {
+    throw new Error(`Storage driver ${this.name} does not implement getSignedUrl()`);
+  }
+
+  /**
+   * Check the storage is reachable (connection, credentials)
+   */
+  async ping() {
+    return true;
+  }
+
+  /**
+   * Reject keys that could escape the storage root
+   */
+  static normalizeKey(key) {
+    const normalized = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+
+    if (!normalized || normalized.split('/').some(segment => segment === '..' || segment === '.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return normalized;
+  }
+}
+
+module.exports = StorageDriver;
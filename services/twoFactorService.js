@@ -0,0 +1,226 @@
+// services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP (RFC 6238) two-factor authentication: secrets, codes, recovery codes
+ * and the short-lived challenge tokens of the two-step login.
+ *
+ * Secrets are stored encrypted (AES-256-GCM), recovery codes only as hashes.
+ */
+class TwoFactorService {
+  constructor() {
+    this.digits = 6;
+    this.period = 30;
+    // Accept the previous and next code for clock drift
+    this.window = 1;
+    this.recoveryCodeCount = 10;
+    this.challengeTtl = 5 * 60;
+  }
+
+  /**
+   * Create a new random secret
+   * @returns {string} Base32 encoded secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * URI for authenticator apps (usually shown as a QR code)
+   */
+  getOtpauthUri(secret, { issuer, account }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Code of a time step
+   */
+  generateCode(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Check a code against the current time steps
+   * @param {number|null} lastStep - Step of the last accepted code, codes can't be reused
+   * @returns {number|null} Matching time step, null if the code is invalid
+   */
+  verifyCode(secret, code, lastStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = this.getStep();
+
+    for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+      if (lastStep !== null && step <= lastStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / this.period);
+  }
+
+  /**
+   * Create recovery codes
+   * @returns {Object} { codes, hashes }, the codes are only shown to the user once
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const code = this.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Find a recovery code among the stored hashes
+   * @returns {Array|null} Remaining hashes with the code removed, null if it doesn't match
+   */
+  useRecoveryCode(hashes, code) {
+    const hash = this.hashRecoveryCode(code);
+    const index = (hashes || []).indexOf(hash);
+    if (index === -1) return null;
+
+    return hashes.filter((_, i) => i !== index);
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+  }
+
+  decryptSecret(value) {
+    const [version, iv, tag, encrypted] = String(value || '').split(':');
+    if (version !== 'v1') {
+      throw new Error('Unsupported two-factor secret format');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  getEncryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(`two-factor:${source}`).digest();
+  }
+
+  /**
+   * Token proving the password step of a login succeeded
+   */
+  createChallengeToken(user, tenantId) {
+    return jwt.sign(
+      { userId: user.id, tenantId, purpose: 'two_factor_login' },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeTtl }
+    );
+  }
+
+  /**
+   * @returns {Object|null} Decoded challenge, null if invalid or expired
+   */
+  verifyChallengeToken(token, tenantId) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose !== 'two_factor_login' || decoded.tenantId !== tenantId) {
+        return null;
+      }
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether the tenant makes two-factor authentication mandatory
+   */
+  isRequired(tenant) {
+    const security = (tenant && tenant.settings && tenant.settings.security) || {};
+    return security.require_two_factor === true;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = new TwoFactorService();
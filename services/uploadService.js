@@ -2,14 +2,44 @@
 const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
-const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const mime = require('mime-types');
 const logger = require('../utils/logger');
+const { getTenantDB } = require('../config/database');
+const { getSigningSecret } = require('../config/signing');
+const LocalStorageDriver = require('./storage/localStorageDriver');
+const S3StorageDriver = require('./storage/s3StorageDriver');
 
 class UploadService {
   constructor() {
-    this.baseUploadPath = process.env.UPLOAD_PATH || path.join(process.cwd(), 'public', 'uploads');
+    this.driverFactories = {
+      local: () => new LocalStorageDriver({
+        root: process.env.UPLOAD_PATH || path.join(process.cwd(), 'public', 'uploads'),
+        privateRoot: process.env.UPLOAD_PRIVATE_PATH || path.join(process.cwd(), 'storage', 'private-uploads'),
+        baseUrl: process.env.CDN_URL || process.env.BASE_URL || 'http://localhost:3000',
+        signingSecret: getSigningSecret()
+      }),
+      s3: () => new S3StorageDriver({
+        endpoint: process.env.S3_ENDPOINT || null,
+        region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: process.env.S3_PUBLIC_URL || process.env.CDN_URL || null,
+        publicAcl: process.env.S3_PUBLIC_ACL !== 'false'
+      })
+    };
+
+    let driverName = process.env.STORAGE_DRIVER || 'local';
+    if (!this.driverFactories[driverName]) {
+      logger.warn(`Unknown storage driver "${driverName}", using local`);
+      driverName = 'local';
+    }
+
+    this.driver = this.driverFactories[driverName]();
+    this.signedUrlTtl = parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 60 * 60; // seconds
+
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
     this.allowedMimeTypes = [
       'image/jpeg',
@@ -27,50 +57,32 @@ class UploadService {
       png: 9 // compression level 0-9
     };
 
+    // Sizes with crop are cut to their aspect ratio around the focal point
     this.imageSizes = {
-      thumbnail: { width: 150, height: 150, quality: 85 },
-      small: { width: 400, height: 300, quality: 90 },
-      medium: { width: 800, height: 600, quality: 90 },
+      thumbnail: { width: 150, height: 150, quality: 85, crop: true },
+      small: { width: 400, height: 300, quality: 90, crop: true },
+      medium: { width: 800, height: 600, quality: 90, crop: true },
       large: { width: 1200, height: 900, quality: 90 },
       xl: { width: 1920, height: 1440, quality: 85 }
     };
-
-    this.ensureDirectoriesExist();
   }
 
-  async ensureDirectoriesExist() {
-    try {
-      await fs.access(this.baseUploadPath);
-    } catch {
-      await fs.mkdir(this.baseUploadPath, { recursive: true });
-      logger.info(`Created upload directory: ${this.baseUploadPath}`);
-    }
+  /**
+   * Replace the storage driver, e.g. with an S3StorageDriver on a FakeS3Server in tests
+   * @param {StorageDriver} driver - Instance of a StorageDriver subclass
+   */
+  setDriver(driver) {
+    this.driver = driver;
   }
 
-  // Get tenant-specific upload path
-  getTenantUploadPath(tenantId) {
-    return path.join(this.baseUploadPath, 'tenants', tenantId);
+  // Storage key prefix of all files of a tenant
+  getTenantPrefix(tenantId) {
+    return `tenants/${tenantId}/`;
   }
 
-  // Ensure tenant upload directory exists
-  async ensureTenantDirectory(tenantId) {
-    const tenantPath = this.getTenantUploadPath(tenantId);
-    
-    try {
-      await fs.access(tenantPath);
-    } catch {
-      await fs.mkdir(tenantPath, { recursive: true });
-      
-      // Create subdirectories
-      const subdirs = ['articles', 'avatars', 'categories', 'temp', 'logos'];
-      for (const subdir of subdirs) {
-        await fs.mkdir(path.join(tenantPath, subdir), { recursive: true });
-      }
-      
-      logger.info(`Created tenant upload directories for: ${tenantId}`);
-    }
-    
-    return tenantPath;
+  // Storage key of a tenant file
+  getTenantKey(tenantId, uploadType, filename = '') {
+    return `${this.getTenantPrefix(tenantId)}${uploadType}/${filename}`;
   }
 
   // Validate file security
@@ -152,14 +164,8 @@ class UploadService {
       // Validate file
       await this.validateFile(buffer, 'image/*');
       
-      await this.ensureTenantDirectory(tenantId);
-      
       const imageId = uuidv4();
-      const tenantPath = this.getTenantUploadPath(tenantId);
-      const typePath = path.join(tenantPath, uploadType);
-      
-      // Ensure type directory exists
-      await fs.mkdir(typePath, { recursive: true });
+      const visibility = options.visibility || 'public';
       
       // Get image metadata
       const metadata = await sharp(buffer).metadata();
@@ -172,47 +178,16 @@ class UploadService {
       if (generateSizes) {
         // Generate multiple sizes with optimized WebP
         for (const [sizeName, dimensions] of Object.entries(this.imageSizes)) {
-          const shouldResize = metadata.width > dimensions.width || metadata.height > dimensions.height;
-          
-          let sharpInstance = sharp(buffer);
-          
-          if (shouldResize) {
-            sharpInstance = sharpInstance.resize(dimensions.width, dimensions.height, {
-              fit: 'inside',
-              withoutEnlargement: true,
-              kernel: sharp.kernel.lanczos3 // High quality resampling
-            });
-          }
+          const processedBuffer = await this.renderSize(buffer, metadata, dimensions, {
+            focalPoint: options.focalPoint,
+            crop: options.crops && options.crops[sizeName]
+          });
 
-          // Convert to WebP with optimized settings
-          const processedBuffer = await sharpInstance
-            .webp({ 
-              quality: dimensions.quality || this.imageQuality.webp,
-              effort: 6, // Better compression (0-6)
-              smartSubsample: true,
-              preset: 'photo',
-              nearLossless: false
-            })
-            .toBuffer();
-
-          const filename = `${imageId}_${sizeName}.webp`;
-          const filepath = path.join(typePath, filename);
-          
-          await fs.writeFile(filepath, processedBuffer);
-          
-          const fileStats = await fs.stat(filepath);
-          const finalMetadata = await sharp(processedBuffer).metadata();
-          
-          processedImages[sizeName] = {
-            filename,
-            path: `/uploads/tenants/${tenantId}/${uploadType}/${filename}`,
-            size: fileStats.size,
-            width: finalMetadata.width,
-            height: finalMetadata.height,
-            format: 'webp'
-          };
-
-          totalCompressedSize += fileStats.size;
+          processedImages[sizeName] = await this.storeImage(
+            tenantId, uploadType, `${imageId}_${sizeName}.webp`, processedBuffer, visibility
+          );
+
+          totalCompressedSize += processedImages[sizeName].size;
         }
       } else {
         // Single image processing with original dimensions
@@ -225,26 +200,15 @@ class UploadService {
           })
           .toBuffer();
 
-        const filename = `${imageId}.webp`;
-        const filepath = path.join(typePath, filename);
-        
-        await fs.writeFile(filepath, processedBuffer);
-        
-        const fileStats = await fs.stat(filepath);
-        const finalMetadata = await sharp(processedBuffer).metadata();
-        
-        processedImages.original = {
-          filename,
-          path: `/uploads/tenants/${tenantId}/${uploadType}/${filename}`,
-          size: fileStats.size,
-          width: finalMetadata.width,
-          height: finalMetadata.height,
-          format: 'webp'
-        };
-
-        totalCompressedSize = fileStats.size;
+        processedImages.original = await this.storeImage(
+          tenantId, uploadType, `${imageId}.webp`, processedBuffer, visibility
+        );
+
+        totalCompressedSize = processedImages.original.size;
       }
 
+      await this.trackUsage(tenantId, uploadType, totalCompressedSize, Object.keys(processedImages).length);
+
       const compressionRatio = ((originalSize - totalCompressedSize) / originalSize * 100).toFixed(2);
       
       logger.info(`Image processed successfully: ${imageId}, compression: ${compressionRatio}%`);
@@ -265,6 +229,9 @@ class UploadService {
         },
         upload_type: uploadType,
         tenant_id: tenantId,
+        private: visibility === 'private',
+        focal_point: options.focalPoint || null,
+        crops: options.crops || {},
         created_at: new Date().toISOString()
       };
       
@@ -274,6 +241,158 @@ class UploadService {
     }
   }
 
+  /**
+   * Pixel region to cut from a source image before resizing
+   * @param {Object} options - crop (box with x, y, width, height as 0-1 fractions),
+   *   focalPoint ({ x, y } as 0-1 fractions, center if unset), aspect (width / height to cut to)
+   * @returns {Object|null} { left, top, width, height }, null to keep the whole image
+   */
+  getCropRegion(sourceWidth, sourceHeight, { crop = null, focalPoint = null, aspect = null } = {}) {
+    if (crop) {
+      const left = Math.min(Math.round(crop.x * sourceWidth), sourceWidth - 1);
+      const top = Math.min(Math.round(crop.y * sourceHeight), sourceHeight - 1);
+
+      return {
+        left,
+        top,
+        width: Math.max(Math.min(Math.round(crop.width * sourceWidth), sourceWidth - left), 1),
+        height: Math.max(Math.min(Math.round(crop.height * sourceHeight), sourceHeight - top), 1)
+      };
+    }
+
+    if (!aspect) return null;
+
+    // Largest region of the aspect ratio, centered on the focal point as far as the edges allow
+    const width = sourceWidth / sourceHeight > aspect ? Math.round(sourceHeight * aspect) : sourceWidth;
+    const height = sourceWidth / sourceHeight > aspect ? sourceHeight : Math.round(sourceWidth / aspect);
+    const focal = focalPoint || { x: 0.5, y: 0.5 };
+
+    return {
+      left: Math.min(Math.max(Math.round(focal.x * sourceWidth - width / 2), 0), sourceWidth - width),
+      top: Math.min(Math.max(Math.round(focal.y * sourceHeight - height / 2), 0), sourceHeight - height),
+      width,
+      height
+    };
+  }
+
+  // Render one size of an image as optimized WebP, cropped by box or focal point first
+  async renderSize(buffer, metadata, dimensions, { focalPoint = null, crop = null } = {}) {
+    const region = this.getCropRegion(metadata.width, metadata.height, {
+      crop,
+      focalPoint,
+      aspect: dimensions.crop ? dimensions.width / dimensions.height : null
+    });
+
+    let sharpInstance = sharp(buffer);
+    const width = region ? region.width : metadata.width;
+    const height = region ? region.height : metadata.height;
+
+    if (region) {
+      sharpInstance = sharpInstance.extract(region);
+    }
+
+    if (width > dimensions.width || height > dimensions.height) {
+      sharpInstance = sharpInstance.resize(dimensions.width, dimensions.height, {
+        fit: 'inside',
+        withoutEnlargement: true,
+        kernel: sharp.kernel.lanczos3 // High quality resampling
+      });
+    }
+
+    // Convert to WebP with optimized settings
+    return await sharpInstance
+      .webp({ 
+        quality: dimensions.quality || this.imageQuality.webp,
+        effort: 6, // Better compression (0-6)
+        smartSubsample: true,
+        preset: 'photo',
+        nearLossless: false
+      })
+      .toBuffer();
+  }
+
+  /**
+   * Render the sizes of a stored image again, e.g. after its focal point or
+   * crops changed. Files keep their keys so links to them stay valid, the new
+   * version in the image data makes getImageUrls return fresh URLs.
+   * @param {Object} imageData - Image data as returned by processAndSaveImage
+   * @param {Object} options - focalPoint, crops (boxes keyed by size name)
+   * @returns {Object} Image data with the new sizes, source and version
+   */
+  async regenerateImage(tenantId, imageData, { focalPoint = null, crops = {} } = {}) {
+    const uploadType = imageData.upload_type;
+    const visibility = imageData.private ? 'private' : 'public';
+    const keyOf = image => image.key || this.getTenantKey(tenantId, uploadType, image.filename);
+
+    let source = imageData.source || null;
+    let buffer = source ? await this.readFile(keyOf(source)) : null;
+
+    if (!buffer) {
+      // The largest size is kept as the source before it is overwritten, so
+      // later crops start from the full image again
+      const largest = Object.values(imageData.images || {})
+        .reduce((current, image) => (!current || (image.width || 0) > (current.width || 0) ? image : current), null);
+
+      buffer = largest ? await this.readFile(keyOf(largest)) : null;
+      if (!buffer) {
+        throw new Error('Source image file not found');
+      }
+
+      source = await this.storeImage(tenantId, uploadType, `${imageData.id}_source.webp`, buffer, visibility);
+      await this.trackUsage(tenantId, uploadType, source.size, 1);
+    }
+
+    const metadata = await sharp(buffer).metadata();
+    const images = {};
+    let totalCompressedSize = 0;
+    let sizeChange = 0;
+
+    for (const [sizeName, previous] of Object.entries(imageData.images)) {
+      // "original" (and sizes no longer configured) keep the source dimensions
+      const dimensions = this.imageSizes[sizeName] || { width: metadata.width, height: metadata.height };
+      const processedBuffer = await this.renderSize(buffer, metadata, dimensions, {
+        focalPoint,
+        crop: crops[sizeName]
+      });
+
+      images[sizeName] = await this.storeImage(tenantId, uploadType, previous.filename, processedBuffer, visibility);
+      totalCompressedSize += images[sizeName].size;
+      sizeChange += images[sizeName].size - (previous.size || 0);
+    }
+
+    await this.trackUsage(tenantId, uploadType, sizeChange, 0);
+
+    return {
+      ...imageData,
+      images,
+      source,
+      focal_point: focalPoint,
+      crops,
+      version: Date.now().toString(36),
+      metadata: {
+        ...imageData.metadata,
+        compressed_size: totalCompressedSize
+      }
+    };
+  }
+
+  // Write one processed size through the storage driver
+  async storeImage(tenantId, uploadType, filename, processedBuffer, visibility = 'public') {
+    const key = this.getTenantKey(tenantId, uploadType, filename);
+    const { size } = await this.driver.put(key, processedBuffer, { contentType: 'image/webp', visibility });
+    const finalMetadata = await sharp(processedBuffer).metadata();
+
+    return {
+      filename,
+      key,
+      path: `/uploads/${key}`,
+      size,
+      width: finalMetadata.width,
+      height: finalMetadata.height,
+      format: 'webp'
+    };
+  }
+
   // Process multiple images
   async processMultipleImages(files, tenantId, uploadType = 'articles') {
     const results = [];
@@ -307,23 +426,25 @@ class UploadService {
   // Delete image files
   async deleteImage(tenantId, imageId, uploadType = 'articles') {
     try {
-      const tenantPath = this.getTenantUploadPath(tenantId);
-      const typePath = path.join(tenantPath, uploadType);
-      
-      // Get all files with this imageId
-      const files = await fs.readdir(typePath);
-      const imageFiles = files.filter(file => file.startsWith(imageId));
+      // Every stored size starts with the image ID
+      const objects = await this.driver.list(this.getTenantKey(tenantId, uploadType, imageId));
       
       let deletedCount = 0;
-      for (const file of imageFiles) {
-        const filepath = path.join(typePath, file);
+      let deletedSize = 0;
+      for (const object of objects) {
         try {
-          await fs.unlink(filepath);
-          deletedCount++;
+          if (await this.driver.delete(object.key)) {
+            deletedCount++;
+            deletedSize += object.size;
+          }
         } catch (error) {
-          logger.warn(`Failed to delete file: ${filepath}`, error);
+          logger.warn(`Failed to delete file: ${object.key}`, error);
         }
       }
+
+      if (deletedCount > 0) {
+        await this.trackUsage(tenantId, uploadType, -deletedSize, -deletedCount);
+      }
       
       logger.info(`Deleted ${deletedCount} image files for: ${imageId}`);
       return deletedCount > 0;
@@ -333,19 +454,44 @@ class UploadService {
     }
   }
 
+  // Make every size of an image public or private
+  async setImageVisibility(imageData, visibility) {
+    for (const image of Object.values(imageData.images || {})) {
+      const key = image.key || this.getTenantKey(imageData.tenant_id, imageData.upload_type, image.filename);
+      await this.driver.setVisibility(key, visibility);
+    }
+  }
+
+  // Read a stored file, null if it doesn't exist
+  async readFile(key) {
+    return await this.driver.get(key);
+  }
+
   // Get image URL helper
   getImageUrl(tenantId, uploadType, filename, baseUrl = null) {
-    const domain = baseUrl || process.env.CDN_URL || process.env.BASE_URL || 'http://localhost:3000';
-    return `${domain}/uploads/tenants/${tenantId}/${uploadType}/${filename}`;
+    return this.driver.getUrl(this.getTenantKey(tenantId, uploadType, filename), baseUrl);
   }
 
-  // Get all image URLs for a processed image
+  // Public URL of a storage key, or a signed one that expires for private files
+  // (the version of regenerated images busts caches of public URLs)
+  getStorageUrl(key, { signed = false, baseUrl = null, version = null } = {}) {
+    if (signed) {
+      return this.driver.getSignedUrl(key, { expiresIn: this.signedUrlTtl, baseUrl });
+    }
+
+    const url = this.driver.getUrl(key, baseUrl);
+    return version ? `${url}?v=${version}` : url;
+  }
+
+  // Get all image URLs for a processed image (signed ones for private images)
   getImageUrls(tenantId, uploadType, imageData, baseUrl = null) {
     if (!imageData || !imageData.images) return null;
 
     const urls = {};
     for (const [size, img] of Object.entries(imageData.images)) {
-      urls[size] = this.getImageUrl(tenantId, uploadType, img.filename, baseUrl);
+      // Images stored before storage drivers only have a filename
+      const key = img.key || this.getTenantKey(tenantId, uploadType, img.filename);
+      urls[size] = this.getStorageUrl(key, { signed: Boolean(imageData.private), baseUrl, version: imageData.version });
     }
     return urls;
   }
@@ -353,24 +499,12 @@ class UploadService {
   // Clean up temporary files
   async cleanupTempFiles(tenantId, olderThan = 24 * 60 * 60 * 1000) { // 24 hours
     try {
-      const tempPath = path.join(this.getTenantUploadPath(tenantId), 'temp');
-      
-      try {
-        await fs.access(tempPath);
-      } catch {
-        return 0; // Directory doesn't exist
-      }
-
-      const files = await fs.readdir(tempPath);
+      const objects = await this.driver.list(this.getTenantKey(tenantId, 'temp'));
       const now = Date.now();
       
       let deletedCount = 0;
-      for (const file of files) {
-        const filepath = path.join(tempPath, file);
-        const stats = await fs.stat(filepath);
-        
-        if (now - stats.ctimeMs > olderThan) {
-          await fs.unlink(filepath);
+      for (const object of objects) {
+        if (now - object.modified_at > olderThan && await this.driver.delete(object.key)) {
           deletedCount++;
         }
       }
@@ -386,37 +520,42 @@ class UploadService {
     }
   }
 
+  // StorageUsage model of a tenant, once its models are initialized
+  async getUsageModel(tenantId) {
+    const tenantDB = await getTenantDB(tenantId);
+    return tenantDB.models.StorageUsage || null;
+  }
+
+  // Add written (or subtract deleted) bytes and files to the tenant's usage
+  async trackUsage(tenantId, uploadType, bytes, files) {
+    try {
+      const StorageUsage = await this.getUsageModel(tenantId);
+      if (!StorageUsage) {
+        logger.warn(`Storage usage of tenant ${tenantId} not tracked, models not initialized`);
+        return;
+      }
+
+      await StorageUsage.record(uploadType, bytes, files);
+    } catch (error) {
+      // The file operation already happened, a recalculation corrects the drift
+      logger.error('Storage usage tracking error:', error);
+    }
+  }
+
   // Get storage usage for tenant
   async getTenantStorageUsage(tenantId) {
     try {
-      const tenantPath = this.getTenantUploadPath(tenantId);
-      
-      const calculateDirSize = async (dirPath) => {
-        let totalSize = 0;
-        try {
-          const files = await fs.readdir(dirPath, { withFileTypes: true });
-          
-          for (const file of files) {
-            const filePath = path.join(dirPath, file.name);
-            if (file.isDirectory()) {
-              totalSize += await calculateDirSize(filePath);
-            } else {
-              const stats = await fs.stat(filePath);
-              totalSize += stats.size;
-            }
-          }
-        } catch (error) {
-          // Directory might not exist
-        }
-        return totalSize;
-      };
-
-      const totalSize = await calculateDirSize(tenantPath);
+      const StorageUsage = await this.getUsageModel(tenantId);
+      const totals = await StorageUsage.getTotals();
       
       return {
-        total_size: totalSize,
-        formatted_size: this.formatBytes(totalSize),
+        total_size: totals.total_size,
+        formatted_size: this.formatBytes(totals.total_size),
+        total_files: totals.total_files,
+        by_type: totals.by_type,
+        driver: this.driver.name,
         tenant_id: tenantId,
+        recalculated_at: totals.recalculated_at,
         checked_at: new Date().toISOString()
       };
     } catch (error) {
@@ -430,6 +569,51 @@ class UploadService {
     }
   }
 
+  // Rebuild the tracked usage of a tenant from the storage listing
+  async recalculateStorageUsage(tenantId) {
+    const prefix = this.getTenantPrefix(tenantId);
+    const objects = await this.driver.list(prefix);
+    const counted = {};
+
+    for (const object of objects) {
+      const uploadType = object.key.slice(prefix.length).split('/')[0];
+      if (uploadType === 'temp') continue;
+
+      counted[uploadType] = counted[uploadType] || { size: 0, files: 0 };
+      counted[uploadType].size += object.size;
+      counted[uploadType].files++;
+    }
+
+    const StorageUsage = await this.getUsageModel(tenantId);
+    await StorageUsage.replaceTotals(counted);
+
+    return await this.getTenantStorageUsage(tenantId);
+  }
+
+  // List image files of a tenant grouped by image ID (temp files are left to cleanupTempFiles)
+  async listTenantFiles(tenantId) {
+    const prefix = this.getTenantPrefix(tenantId);
+    const images = new Map();
+
+    for (const object of await this.driver.list(prefix)) {
+      const [uploadType, file] = object.key.slice(prefix.length).split('/');
+      if (!file || uploadType === 'temp') continue;
+
+      const match = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i.exec(file);
+      if (!match) continue;
+
+      const imageId = match[1].toLowerCase();
+      const image = images.get(imageId) || { upload_type: uploadType, files: [], size: 0, modified_at: 0 };
+
+      image.files.push(file);
+      image.size += object.size;
+      image.modified_at = Math.max(image.modified_at, object.modified_at);
+      images.set(imageId, image);
+    }
+
+    return images;
+  }
+
   // Format bytes to human readable
   formatBytes(bytes, decimals = 2) {
     if (bytes === 0) return '0 B';
@@ -0,0 +1,164 @@
+// services/viewTrackingService.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+class ViewTrackingService {
+  constructor() {
+    this.dedupWindow = parseInt(process.env.VIEW_DEDUP_WINDOW_MS) || 30 * 60 * 1000;
+    this.flushInterval = parseInt(process.env.VIEW_FLUSH_INTERVAL_MS) || 10 * 1000;
+    this.maxBufferSize = 1000;
+    this.maxRecentViews = parseInt(process.env.VIEW_DEDUP_MAX_ENTRIES) || 100000;
+
+    // fingerprint key -> last counted timestamp, oldest first (like the LRU cache
+    // driver, entries are re-inserted so Map order is the eviction order)
+    this.recentViews = new Map();
+
+    // tenantId -> { models, counts: Map("newsId|date" -> views) }
+    this.buffer = new Map();
+    this.bufferSize = 0;
+
+    this.timer = null;
+    this.flushing = false;
+    this.retryAfter = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+    this.timer.unref();
+
+    logger.info(`View tracking started (flush every ${this.flushInterval / 1000}s)`);
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Fingerprint of the visitor: the user ID when logged in, otherwise IP and browser
+   */
+  getFingerprint(req) {
+    const identity = req.currentUser
+      ? `user:${req.currentUser.id}`
+      : `anon:${req.ip}|${req.get('User-Agent') || ''}|${req.get('Accept-Language') || ''}`;
+
+    return crypto.createHash('sha256').update(identity).digest('hex');
+  }
+
+  /**
+   * Record an article view unless the visitor was already counted within the window
+   * @returns {boolean} Whether the view was counted
+   */
+  recordView(req, newsId) {
+    const now = Date.now();
+    const key = `${req.tenantId}:${newsId}:${this.getFingerprint(req)}`;
+    const lastSeen = this.recentViews.get(key);
+
+    if (lastSeen && now - lastSeen < this.dedupWindow) {
+      return false;
+    }
+
+    this.recentViews.delete(key);
+    this.recentViews.set(key, now);
+
+    // Visitors varying their headers mustn't grow the map without bound:
+    // past the cap the oldest fingerprints are forgotten early
+    while (this.recentViews.size > this.maxRecentViews) {
+      this.recentViews.delete(this.recentViews.keys().next().value);
+    }
+
+    if (!this.buffer.has(req.tenantId)) {
+      this.buffer.set(req.tenantId, { models: req.models, counts: new Map() });
+    }
+
+    const tenantBuffer = this.buffer.get(req.tenantId);
+    tenantBuffer.models = req.models;
+
+    const viewDate = new Date(now).toISOString().split('T')[0];
+    const bucket = `${newsId}|${viewDate}`;
+    tenantBuffer.counts.set(bucket, (tenantBuffer.counts.get(bucket) || 0) + 1);
+    this.bufferSize++;
+
+    // Early flush for busy sites; after a failed flush wait for the timer instead
+    if (this.bufferSize >= this.maxBufferSize && !this.flushing && now >= this.retryAfter) {
+      this.flush();
+    }
+
+    return true;
+  }
+
+  /**
+   * Write buffered views to the daily rollups of each tenant
+   */
+  async flush() {
+    if (this.flushing || this.buffer.size === 0) {
+      this.pruneRecentViews();
+      return;
+    }
+
+    this.flushing = true;
+
+    // Swap the buffer first so views recorded during the flush aren't lost
+    const pending = this.buffer;
+    this.buffer = new Map();
+    this.bufferSize = 0;
+
+    try {
+      for (const [tenantId, { models, counts }] of pending) {
+        const rows = [...counts.entries()].map(([bucket, views]) => {
+          const [newsId, viewDate] = bucket.split('|');
+          return { news_id: newsId, view_date: viewDate, views };
+        });
+
+        try {
+          await models.NewsDailyView.addViews(rows);
+        } catch (error) {
+          logger.error(`Failed to flush ${rows.length} view buckets for tenant ${tenantId}:`, error);
+          this.retryAfter = Date.now() + this.flushInterval;
+          this.requeue(tenantId, models, counts);
+        }
+      }
+    } finally {
+      this.flushing = false;
+      this.pruneRecentViews();
+    }
+  }
+
+  /**
+   * Put counts of a failed flush back so the next flush retries them
+   */
+  requeue(tenantId, models, counts) {
+    // Don't grow without bound while the database is unavailable
+    if (this.bufferSize >= this.maxBufferSize * 10) {
+      logger.warn(`View buffer full, dropping ${counts.size} view buckets for tenant ${tenantId}`);
+      return;
+    }
+
+    if (!this.buffer.has(tenantId)) {
+      this.buffer.set(tenantId, { models, counts: new Map() });
+    }
+
+    const tenantBuffer = this.buffer.get(tenantId);
+    for (const [bucket, views] of counts) {
+      tenantBuffer.counts.set(bucket, (tenantBuffer.counts.get(bucket) || 0) + views);
+      this.bufferSize += views;
+    }
+  }
+
+  pruneRecentViews() {
+    const cutoff = Date.now() - this.dedupWindow;
+
+    // Oldest first, so stop at the first one still inside the window
+    for (const [key, timestamp] of this.recentViews) {
+      if (timestamp >= cutoff) break;
+      this.recentViews.delete(key);
+    }
+  }
+}
+
+module.exports = new ViewTrackingService();
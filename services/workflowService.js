@@ -0,0 +1,175 @@
+// services/workflowService.js
+const logger = require('../utils/logger');
+
+const isEditorial = (user) => user.hasPermission('news', 'publish');
+const isAuthorOrEditorial = (user, article) => article.author_id === user.id || isEditorial(user);
+
+/**
+ * Allowed editorial transitions. When several actions lead to the same
+ * status, the first one the user is allowed to perform wins.
+ */
+const TRANSITIONS = {
+  submit: {
+    from: ['draft'],
+    to: 'review',
+    allow: isAuthorOrEditorial
+  },
+  withdraw: {
+    from: ['review'],
+    to: 'draft',
+    allow: (user, article) => article.author_id === user.id
+  },
+  approve: {
+    from: ['review'],
+    to: 'published',
+    allow: isEditorial
+  },
+  reject: {
+    from: ['review'],
+    to: 'archived',
+    allow: isEditorial,
+    requiresNotes: true
+  },
+  send_back: {
+    from: ['review', 'published'],
+    to: 'draft',
+    allow: isEditorial
+  },
+  publish: {
+    from: ['draft'],
+    to: 'published',
+    allow: isEditorial
+  },
+  unpublish: {
+    from: ['published'],
+    to: 'draft',
+    allow: isEditorial
+  },
+  archive: {
+    from: ['draft', 'published'],
+    to: 'archived',
+    allow: isEditorial
+  },
+  reopen: {
+    from: ['archived'],
+    to: 'draft',
+    allow: isEditorial
+  }
+};
+
+class WorkflowService {
+  getActions() {
+    return Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Actions the user may perform on the article in its current status
+   */
+  getAvailableActions(user, article) {
+    return Object.keys(TRANSITIONS).filter(action => {
+      const transition = TRANSITIONS[action];
+      return transition.from.includes(article.status) && transition.allow(user, article);
+    });
+  }
+
+  /**
+   * Find the action that moves the article to the requested status.
+   * Prefers an action the user is allowed to perform.
+   */
+  findAction(user, article, toStatus) {
+    const candidates = Object.keys(TRANSITIONS).filter(action => {
+      const transition = TRANSITIONS[action];
+      return transition.to === toStatus && transition.from.includes(article.status);
+    });
+
+    return candidates.find(action => TRANSITIONS[action].allow(user, article)) || candidates[0] || null;
+  }
+
+  /**
+   * Check whether the user may perform the action
+   * @returns {Object} { allowed, to } or { allowed: false, statusCode, code, message }
+   */
+  check(user, article, action, notes = null) {
+    const transition = TRANSITIONS[action];
+
+    if (!transition) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        code: 'INVALID_ACTION',
+        message: `Unknown workflow action: ${action}`
+      };
+    }
+
+    if (!transition.from.includes(article.status)) {
+      return {
+        allowed: false,
+        statusCode: 409,
+        code: 'INVALID_TRANSITION',
+        message: `Cannot ${action.replace('_', ' ')} an article in ${article.status} status`
+      };
+    }
+
+    if (!transition.allow(user, article)) {
+      return {
+        allowed: false,
+        statusCode: 403,
+        code: 'INSUFFICIENT_PERMISSIONS',
+        message: `You do not have permission to ${action.replace('_', ' ')} this article`
+      };
+    }
+
+    if (transition.requiresNotes && !(notes && notes.trim())) {
+      return {
+        allowed: false,
+        statusCode: 400,
+        code: 'NOTES_REQUIRED',
+        message: 'A comment is required for this action'
+      };
+    }
+
+    return { allowed: true, to: transition.to };
+  }
+
+  /**
+   * Move the article to the action's target status and log the transition.
+   * Call check() first; this method assumes the action is allowed.
+   */
+  async apply(models, article, action, user, notes = null) {
+    const fromStatus = article.status;
+    const toStatus = TRANSITIONS[action].to;
+
+    return await models.News.sequelize.transaction(async (transaction) => {
+      await article.update({ status: toStatus }, { transaction });
+
+      const transition = await models.NewsTransition.create({
+        news_id: article.id,
+        action,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor_id: user ? user.id : null,
+        notes: notes ? notes.trim() : null
+      }, { transaction });
+
+      logger.info(`Article ${article.id} ${fromStatus} -> ${toStatus} (${action}) by ${user ? user.email : 'system'}`);
+
+      return transition;
+    });
+  }
+
+  /**
+   * Record a transition that happened outside apply(), e.g. scheduled publishing
+   */
+  async log(models, { newsId, action, fromStatus, toStatus, actorId = null, notes = null }) {
+    return await models.NewsTransition.create({
+      news_id: newsId,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor_id: actorId,
+      notes
+    });
+  }
+}
+
+module.exports = new WorkflowService();
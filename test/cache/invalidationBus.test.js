@@ -0,0 +1,73 @@
+// test/cache/invalidationBus.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const InvalidationBus = require('../../services/cache/invalidationBus');
+const { FakeRedisServer, FakeRedisClient } = require('../support/fakeRedis');
+
+const buses = [];
+
+// One bus per simulated process, all on the same server
+const createBus = (server, channel) => {
+  const bus = new InvalidationBus({
+    publisher: new FakeRedisClient(server),
+    subscriber: new FakeRedisClient(server),
+    channel
+  });
+  buses.push(bus);
+  return bus;
+};
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(async () => {
+  await Promise.all(buses.splice(0).map(bus => bus.close()));
+});
+
+test('delivers invalidations to the other processes only', async () => {
+  const server = new FakeRedisServer();
+  const first = createBus(server);
+  const second = createBus(server);
+  const received = { first: [], second: [] };
+
+  await first.start(message => received.first.push(message));
+  await second.start(message => received.second.push(message));
+
+  await first.publish({ op: 'del', key: 'tenant:1:article:1' });
+  await nextTick();
+
+  assert.deepEqual(received.first, []);
+  assert.equal(received.second.length, 1);
+  assert.equal(received.second[0].op, 'del');
+  assert.equal(received.second[0].key, 'tenant:1:article:1');
+  assert.equal(received.second[0].origin, first.origin);
+});
+
+test('ignores other channels and malformed messages', async () => {
+  const server = new FakeRedisServer();
+  const bus = createBus(server, 'cms:cache:invalidate');
+  const received = [];
+  await bus.start(message => received.push(message));
+
+  const other = new FakeRedisClient(server);
+  await other.command(['PUBLISH', 'cms:cache:invalidate', 'not json']);
+  await other.command(['PUBLISH', 'another:channel', JSON.stringify({ op: 'clear' })]);
+  await other.command(['PUBLISH', 'cms:cache:invalidate', JSON.stringify({ op: 'pattern', pattern: 'tenant:1:*' })]);
+  await nextTick();
+
+  assert.deepEqual(received, [{ op: 'pattern', pattern: 'tenant:1:*' }]);
+  await other.quit();
+});
+
+test('stops receiving once closed', async () => {
+  const server = new FakeRedisServer();
+  const publisher = createBus(server);
+  const subscriber = createBus(server);
+  const received = [];
+  await subscriber.start(message => received.push(message));
+
+  await subscriber.close();
+  await publisher.publish({ op: 'clear' });
+  await nextTick();
+
+  assert.deepEqual(received, []);
+});
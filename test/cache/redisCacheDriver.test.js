@@ -0,0 +1,83 @@
+// test/cache/redisCacheDriver.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisCacheDriver = require('../../services/cache/redisCacheDriver');
+const { FakeRedisServer, FakeRedisClient } = require('../support/fakeRedis');
+
+let server;
+let driver;
+
+beforeEach(() => {
+  server = new FakeRedisServer();
+  driver = new RedisCacheDriver({ client: new FakeRedisClient(server), keyPrefix: 'test:' });
+});
+
+test('stores JSON values under the key prefix', async () => {
+  await driver.set('tenant:1:article:1', { title: 'Hello', tags: ['a'] });
+
+  assert.deepEqual(await driver.get('tenant:1:article:1'), { title: 'Hello', tags: ['a'] });
+  assert.ok(server.data.has('test:tenant:1:article:1'));
+  assert.equal(await driver.get('tenant:1:article:2'), null);
+
+  const stats = await driver.getStats();
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+});
+
+test('expires entries after their ttl', async () => {
+  await driver.set('short', 1, 60);
+  assert.equal(await driver.get('short'), 1);
+
+  server.data.get('test:short').expiresAt = Date.now() - 1;
+  assert.equal(await driver.get('short'), null);
+});
+
+test('shares entries between clients of one server', async () => {
+  const other = new RedisCacheDriver({ client: new FakeRedisClient(server), keyPrefix: 'test:' });
+
+  await driver.set('shared', 'value');
+  assert.equal(await other.get('shared'), 'value');
+
+  await other.del('shared');
+  assert.equal(await driver.get('shared'), null);
+});
+
+test('deletes keys matching a pattern only', async () => {
+  await driver.set('tenant:1:news:list:1', []);
+  await driver.set('tenant:1:news:list:2', []);
+  await driver.set('tenant:1:categories', []);
+  await driver.set('tenant:2:news:list:1', []);
+
+  assert.equal(await driver.delPattern('tenant:1:news:*'), 2);
+  assert.equal(await driver.get('tenant:1:news:list:1'), null);
+  assert.deepEqual(await driver.get('tenant:1:categories'), []);
+  assert.deepEqual(await driver.get('tenant:2:news:list:1'), []);
+});
+
+test('invalidates every entry carrying a tag', async () => {
+  await driver.set('article', 1, 60, ['tenant:1:article:1']);
+  await driver.set('list', 2, 0, ['tenant:1:article:1', 'tenant:1:list']);
+  await driver.set('other', 3, 60, ['tenant:1:article:2']);
+
+  assert.equal(await driver.invalidateTags(['tenant:1:article:1']), 2);
+  assert.equal(await driver.get('article'), null);
+  assert.equal(await driver.get('list'), null);
+  assert.equal(await driver.get('other'), 3);
+  assert.equal(server.data.has(driver.getTagKey('tenant:1:article:1')), false);
+});
+
+test('keeps tag sets at least as long as their entries', async () => {
+  await driver.set('long', 1, 2 * 24 * 60 * 60, ['tag']);
+  const tagEntry = server.data.get(driver.getTagKey('tag'));
+  assert.ok(tagEntry.expiresAt >= Date.now() + 2 * 24 * 60 * 60 * 1000 - 1000);
+
+  await driver.set('forever', 2, 0, ['tag']);
+  assert.equal(server.data.get(driver.getTagKey('tag')).expiresAt, null);
+});
+
+test('pings and closes the client', async () => {
+  assert.equal(await driver.ping(), true);
+
+  await driver.close();
+  await assert.rejects(driver.get('key'), /closed/);
+});
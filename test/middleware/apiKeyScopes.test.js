@@ -0,0 +1,118 @@
+// test/middleware/apiKeyScopes.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { Sequelize } = require('sequelize');
+const defineApiKey = require('../../models/ApiKey');
+
+const ARTICLE_ID = '5f0c8a52-7b7e-4d8c-9a43-2b6f3c1d9e10';
+const USER_ID = '0b9f4c27-1d3e-4a5b-8c6d-7e8f9a0b1c2d';
+
+// Models are defined on a connection that is never opened, the routes under test
+// answer before any query except the lookups stubbed here
+const sequelize = new Sequelize('mysql://localhost/test', { logging: false });
+const ApiKey = defineApiKey(sequelize);
+
+const owner = {
+  id: USER_ID,
+  email: 'admin@example.com',
+  role: 'admin',
+  isActive: () => true,
+  loadPermissions: async () => {},
+  hasPermission: () => true
+};
+
+const keys = {
+  'nck_read': ['news:read'],
+  'nck_write': ['news:read', 'news:write']
+};
+
+const models = {
+  ApiKey,
+  User: { findByPk: async () => owner },
+  News: { findOne: async () => null, findByPk: async () => null }
+};
+
+ApiKey.findByKey = async (rawKey) => {
+  if (!keys[rawKey]) return null;
+
+  const apiKey = ApiKey.build({ prefix: rawKey, key_hash: '0'.repeat(64), scopes: keys[rawKey], created_by: USER_ID });
+  apiKey.recordUsage = async () => {};
+  return apiKey;
+};
+
+let server;
+let baseUrl;
+
+const request = (method, path, apiKey) => new Promise((resolve, reject) => {
+  const req = http.request(`${baseUrl}${path}`, {
+    method,
+    headers: { 'x-api-key': apiKey, 'content-type': 'application/json' }
+  }, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString() || '{}') }));
+  });
+  req.on('error', reject);
+  req.end(method === 'GET' ? undefined : '{}');
+});
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.tenantId = 'tenant-1';
+    req.tenant = { id: 'tenant-1', settings: {} };
+    req.models = models;
+    next();
+  });
+  app.use('/api/auth', require('../../routes/auth'));
+  app.use('/api/news', require('../../routes/news'));
+  app.use('/api/users', require('../../routes/users'));
+
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('read-only keys cannot change articles', async () => {
+  for (const [method, path] of [
+    ['PUT', `/api/news/${ARTICLE_ID}`],
+    ['POST', `/api/news/${ARTICLE_ID}/submit`],
+    ['POST', `/api/news/${ARTICLE_ID}/revisions/2/restore`]
+  ]) {
+    const response = await request(method, path, 'nck_read');
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(response.body.code, 'INSUFFICIENT_SCOPE', `${method} ${path}`);
+  }
+});
+
+test('keys cannot use the account routes of their owner', async () => {
+  for (const [method, path] of [
+    ['POST', `/api/news/${ARTICLE_ID}/like`],
+    ['GET', '/api/news/liked'],
+    ['PUT', `/api/users/${USER_ID}`],
+    ['GET', '/api/auth/profile'],
+    ['PUT', '/api/auth/change-password'],
+    ['POST', '/api/auth/logout-all'],
+    ['POST', '/api/auth/2fa/setup'],
+    ['POST', '/api/auth/2fa/disable']
+  ]) {
+    const response = await request(method, path, 'nck_write');
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.equal(response.body.code, 'API_KEY_NOT_ALLOWED', `${method} ${path}`);
+  }
+});
+
+test('keys with the scope reach the controller', async () => {
+  const read = await request('GET', `/api/news/${ARTICLE_ID}/revisions`, 'nck_read');
+  assert.equal(read.body.code, 'ARTICLE_NOT_FOUND');
+
+  const write = await request('PUT', `/api/news/${ARTICLE_ID}`, 'nck_write');
+  assert.notEqual(write.body.code, 'INSUFFICIENT_SCOPE');
+});
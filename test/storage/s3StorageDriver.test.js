@@ -0,0 +1,105 @@
+// test/storage/s3StorageDriver.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const S3StorageDriver = require('../../services/storage/s3StorageDriver');
+const { FakeS3Server } = require('../support/fakeS3');
+
+const credentials = { accessKeyId: 'test', secretAccessKey: 'secret' };
+
+let server;
+let endpoint;
+let driver;
+
+const fetchUrl = url => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks) }));
+  }).on('error', reject);
+});
+
+before(async () => {
+  server = new FakeS3Server(credentials);
+  endpoint = await server.start();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+beforeEach(() => {
+  server.buckets.clear();
+  server.createBucket('uploads');
+  driver = new S3StorageDriver({ endpoint, bucket: 'uploads', ...credentials });
+});
+
+test('puts, gets and deletes objects', async () => {
+  const result = await driver.put('tenant-1/news/photo one.jpg', Buffer.from('image'), { contentType: 'image/jpeg' });
+  assert.deepEqual(result, { key: 'tenant-1/news/photo one.jpg', size: 5 });
+
+  assert.equal((await driver.get('tenant-1/news/photo one.jpg')).toString(), 'image');
+  assert.equal(server.buckets.get('uploads').get('tenant-1/news/photo one.jpg').contentType, 'image/jpeg');
+
+  assert.equal(await driver.delete('tenant-1/news/photo one.jpg'), true);
+  assert.equal(await driver.get('tenant-1/news/photo one.jpg'), null);
+});
+
+test('lists objects under a prefix across pages', async () => {
+  const bucket = server.buckets.get('uploads');
+  for (let i = 0; i < 1005; i++) {
+    bucket.set(`tenant-1/news/${String(i).padStart(4, '0')}.jpg`, { body: Buffer.from('x'), contentType: 'image/jpeg', acl: 'private', modifiedAt: new Date() });
+  }
+  await driver.put('tenant-2/news/other.jpg', Buffer.from('other'));
+
+  const objects = await driver.list('tenant-1/');
+  assert.equal(objects.length, 1005);
+  assert.equal(objects[0].key, 'tenant-1/news/0000.jpg');
+  assert.equal(objects[0].size, 1);
+  assert.ok(objects[0].modified_at > 0);
+});
+
+test('serves public objects anonymously and private ones through presigned URLs', async () => {
+  await driver.put('tenant-1/public.jpg', Buffer.from('public'));
+  await driver.put('tenant-1/private.jpg', Buffer.from('private'), { visibility: 'private' });
+
+  assert.equal((await fetchUrl(driver.getUrl('tenant-1/public.jpg'))).statusCode, 200);
+  assert.equal((await fetchUrl(driver.getUrl('tenant-1/private.jpg'))).statusCode, 403);
+
+  const signed = await fetchUrl(driver.getSignedUrl('tenant-1/private.jpg', { expiresIn: 60 }));
+  assert.equal(signed.statusCode, 200);
+  assert.equal(signed.body.toString(), 'private');
+});
+
+test('rejects tampered and expired presigned URLs', async () => {
+  await driver.put('tenant-1/private.jpg', Buffer.from('private'), { visibility: 'private' });
+
+  const url = driver.getSignedUrl('tenant-1/private.jpg', { expiresIn: 60 });
+  assert.equal((await fetchUrl(url.replace('private.jpg', 'public.jpg'))).statusCode, 403);
+
+  const expired = driver.getSignedUrl('tenant-1/private.jpg', { expiresIn: 0 });
+  assert.equal((await fetchUrl(expired)).statusCode, 403);
+});
+
+test('changes the visibility of an object', async () => {
+  await driver.put('tenant-1/photo.jpg', Buffer.from('image'), { visibility: 'private' });
+  assert.equal((await fetchUrl(driver.getUrl('tenant-1/photo.jpg'))).statusCode, 403);
+
+  await driver.setVisibility('tenant-1/photo.jpg', 'public');
+  assert.equal((await fetchUrl(driver.getUrl('tenant-1/photo.jpg'))).statusCode, 200);
+});
+
+test('fails with the S3 error of rejected requests', async () => {
+  const wrongSecret = new S3StorageDriver({ endpoint, bucket: 'uploads', accessKeyId: 'test', secretAccessKey: 'wrong' });
+  await assert.rejects(wrongSecret.put('key', Buffer.from('x')), (error) => {
+    assert.ok(error instanceof S3StorageDriver.S3Error);
+    assert.equal(error.statusCode, 403);
+    assert.equal(error.code, 'SignatureDoesNotMatch');
+    return true;
+  });
+
+  const missingBucket = new S3StorageDriver({ endpoint, bucket: 'missing', ...credentials });
+  // HEAD responses have no body to read the error code from
+  await assert.rejects(missingBucket.ping(), { statusCode: 404 });
+  assert.equal(await driver.ping(), true);
+});
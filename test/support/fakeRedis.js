@@ -0,0 +1,164 @@
+// test/support/fakeRedis.js
+const { EventEmitter } = require('events');
+const CacheDriver = require('../../services/cache/cacheDriver');
+
+/**
+ * In-process stand-in for a Redis server for the tests of the cache drivers.
+ *
+ * Clients created on the same server share data and pub/sub channels the way
+ * separate processes connected to one Redis would:
+ *
+ *   const server = new FakeRedisServer();
+ *   const driver = new RedisCacheDriver({ client: new FakeRedisClient(server) });
+ *   const bus = new InvalidationBus({
+ *     publisher: new FakeRedisClient(server),
+ *     subscriber: new FakeRedisClient(server)
+ *   });
+ */
+class FakeRedisServer {
+  constructor() {
+    // key -> { value, expiresAt }
+    this.data = new Map();
+    // channel -> Set(client)
+    this.channels = new Map();
+  }
+
+  execute(client, [name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return 'PONG';
+
+      case 'GET': {
+        const entry = this.read(args[0]);
+        return entry ? entry.value : null;
+      }
+
+      case 'SET': {
+        const ttlIndex = args.findIndex(arg => arg.toUpperCase() === 'EX');
+        const expiresAt = ttlIndex !== -1 ? Date.now() + parseInt(args[ttlIndex + 1]) * 1000 : null;
+        this.data.set(args[0], { value: args[1], expiresAt });
+        return 'OK';
+      }
+
+      case 'DEL':
+      case 'UNLINK':
+        return args.filter(key => this.read(key) && this.data.delete(key)).length;
+
+      case 'SADD': {
+        const entry = this.read(args[0]) || { value: new Set(), expiresAt: null };
+        const before = entry.value.size;
+        args.slice(1).forEach(member => entry.value.add(member));
+        this.data.set(args[0], entry);
+        return entry.value.size - before;
+      }
+
+      case 'SMEMBERS': {
+        const entry = this.read(args[0]);
+        return entry ? [...entry.value] : [];
+      }
+
+      case 'EXPIRE': {
+        const entry = this.read(args[0]);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + parseInt(args[1]) * 1000;
+        return 1;
+      }
+
+      case 'PERSIST': {
+        const entry = this.read(args[0]);
+        if (!entry || entry.expiresAt === null) return 0;
+        entry.expiresAt = null;
+        return 1;
+      }
+
+      case 'EXISTS':
+        return args.filter(key => this.read(key)).length;
+
+      case 'SCAN': {
+        // The whole keyspace fits in one page
+        const matchIndex = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const regex = CacheDriver.globToRegExp(matchIndex !== -1 ? args[matchIndex + 1] : '*');
+        const keys = [...this.data.keys()].filter(key => this.read(key) && regex.test(key));
+        return ['0', keys];
+      }
+
+      case 'DBSIZE':
+        return [...this.data.keys()].filter(key => this.read(key)).length;
+
+      case 'FLUSHDB':
+        this.data.clear();
+        return 'OK';
+
+      case 'PUBLISH': {
+        const subscribers = [...(this.channels.get(args[0]) || [])];
+        // Delivered asynchronously, like a message coming over the network
+        subscribers.forEach(subscriber => setImmediate(() => subscriber.emit('message', args[0], args[1])));
+        return subscribers.length;
+      }
+
+      case 'QUIT':
+        return 'OK';
+
+      default:
+        throw new Error(`ERR unknown command '${name}' in FakeRedisServer`);
+    }
+  }
+
+  subscribe(client, channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(client);
+    return ['subscribe', channel, 1];
+  }
+
+  disconnect(client) {
+    this.channels.forEach(subscribers => subscribers.delete(client));
+  }
+
+  read(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+}
+
+/**
+ * Client with the interface of RedisClient, backed by a FakeRedisServer
+ */
+class FakeRedisClient extends EventEmitter {
+  constructor(server = new FakeRedisServer()) {
+    super();
+    this.server = server;
+    this.subscriptions = new Set();
+    this.closed = false;
+  }
+
+  async command(args) {
+    if (this.closed) {
+      throw new Error('Redis client is closed');
+    }
+    return this.server.execute(this, args.map(String));
+  }
+
+  async subscribe(channel) {
+    this.subscriptions.add(channel);
+    return this.server.subscribe(this, channel);
+  }
+
+  async quit() {
+    this.closed = true;
+    this.server.disconnect(this);
+  }
+}
+
+module.exports = {
+  FakeRedisServer,
+  FakeRedisClient
+};
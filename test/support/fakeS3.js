@@ -0,0 +1,188 @@
+// test/support/fakeS3.js
+const crypto = require('crypto');
+const http = require('http');
+const S3StorageDriver = require('../../services/storage/s3StorageDriver');
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Local stand-in for an S3-compatible server (the MinIO subset the S3 driver
+ * uses) for tests. Checks Signature Version 4 of signed and presigned
+ * requests, keeps objects in memory and serves public-read objects anonymously:
+ *
+ *   const server = new FakeS3Server({ accessKeyId: 'test', secretAccessKey: 'secret' });
+ *   const endpoint = await server.start();
+ *   server.createBucket('uploads');
+ *   uploadService.setDriver(new S3StorageDriver({
+ *     endpoint, bucket: 'uploads', accessKeyId: 'test', secretAccessKey: 'secret'
+ *   }));
+ */
+class FakeS3Server {
+  constructor({ accessKeyId = 'test', secretAccessKey = 'test', region = 'us-east-1' } = {}) {
+    this.credentials = { accessKeyId, secretAccessKey, region };
+    // bucket -> Map(key -> { body, contentType, acl, modifiedAt })
+    this.buckets = new Map();
+    this.server = null;
+  }
+
+  createBucket(name) {
+    if (!this.buckets.has(name)) this.buckets.set(name, new Map());
+  }
+
+  /**
+   * @returns {string} Endpoint URL to give the driver
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => this.handle(req, res, Buffer.concat(chunks)));
+    });
+
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucketName, ...keyParts] = url.pathname.split('/');
+    const bucket = this.buckets.get(decodeURIComponent(bucketName || ''));
+    const key = keyParts.map(decodeURIComponent).join('/');
+    const query = Object.fromEntries(url.searchParams);
+
+    const object = bucket && key ? bucket.get(key) : null;
+    const anonymousRead = req.method === 'GET' && object && object.acl === 'public-read' && !req.headers.authorization;
+
+    if (!anonymousRead && !this.verify(req, url, query, body)) {
+      return this.error(res, 403, 'SignatureDoesNotMatch', 'The request signature does not match');
+    }
+    if (!bucket) {
+      return this.error(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    if (!key) {
+      if (req.method === 'HEAD') return this.send(res, 200);
+      if (req.method === 'GET') return this.listObjects(res, bucket, query);
+      return this.error(res, 405, 'MethodNotAllowed', 'Unsupported bucket operation');
+    }
+
+    switch (req.method) {
+      case 'PUT':
+        if (query.acl !== undefined) {
+          if (!object) return this.error(res, 404, 'NoSuchKey', 'The specified key does not exist');
+          object.acl = req.headers['x-amz-acl'] || 'private';
+          return this.send(res, 200);
+        }
+
+        bucket.set(key, {
+          body,
+          contentType: req.headers['content-type'] || 'application/octet-stream',
+          acl: req.headers['x-amz-acl'] || 'private',
+          modifiedAt: new Date()
+        });
+        return this.send(res, 200, null, { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+
+      case 'GET':
+      case 'HEAD':
+        if (!object) return this.error(res, 404, 'NoSuchKey', 'The specified key does not exist');
+        return this.send(res, 200, req.method === 'GET' ? object.body : null, {
+          'content-type': object.contentType,
+          'content-length': object.body.length,
+          'last-modified': object.modifiedAt.toUTCString()
+        });
+
+      case 'DELETE':
+        bucket.delete(key);
+        return this.send(res, 204);
+
+      default:
+        return this.error(res, 405, 'MethodNotAllowed', 'Unsupported object operation');
+    }
+  }
+
+  listObjects(res, bucket, query) {
+    const prefix = query.prefix || '';
+    const maxKeys = parseInt(query['max-keys']) || 1000;
+    const keys = [...bucket.keys()].filter(key => key.startsWith(prefix)).sort();
+    const start = query['continuation-token'] ? keys.findIndex(key => key > query['continuation-token']) : 0;
+    const page = start === -1 ? [] : keys.slice(start, start + maxKeys);
+    const truncated = start !== -1 && start + maxKeys < keys.length;
+
+    const contents = page.map(key => {
+      const object = bucket.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.modifiedAt.toISOString()}</LastModified>` +
+        `<Size>${object.body.length}</Size></Contents>`;
+    }).join('');
+
+    this.send(res, 200, Buffer.from(
+      '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+      `<Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+      (truncated ? `<NextContinuationToken>${escapeXml(page[page.length - 1])}</NextContinuationToken>` : '') +
+      `${contents}</ListBucketResult>`
+    ), { 'content-type': 'application/xml' });
+  }
+
+  /**
+   * Recompute the signature of a header-signed or presigned request
+   */
+  verify(req, url, query, body) {
+    const { accessKeyId, secretAccessKey, region } = this.credentials;
+    const path = url.pathname;
+
+    if (query['X-Amz-Signature']) {
+      const { 'X-Amz-Signature': given, ...signedQuery } = query;
+      const date = signedQuery['X-Amz-Date'] || '';
+      const expiresAt = Date.parse(date.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')) +
+        parseInt(signedQuery['X-Amz-Expires']) * 1000;
+
+      if (!signedQuery['X-Amz-Credential'] || !signedQuery['X-Amz-Credential'].startsWith(`${accessKeyId}/`)) return false;
+      if (!(expiresAt > Date.now())) return false;
+
+      const { signature } = S3StorageDriver.signRequest(
+        { method: req.method, path, query: signedQuery, headers: { host: req.headers.host }, payloadHash: S3StorageDriver.UNSIGNED_PAYLOAD },
+        { secretAccessKey, region, date }
+      );
+      return signature === given;
+    }
+
+    const match = /Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]+)/.exec(req.headers.authorization || '');
+    if (!match || match[1] !== accessKeyId) return false;
+
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    if (payloadHash !== crypto.createHash('sha256').update(body).digest('hex')) return false;
+
+    const headers = {};
+    match[2].split(';').forEach(name => { headers[name] = req.headers[name]; });
+
+    const { signature } = S3StorageDriver.signRequest(
+      { method: req.method, path, query, headers, payloadHash },
+      { secretAccessKey, region, date: req.headers['x-amz-date'] }
+    );
+    return signature === match[3];
+  }
+
+  send(res, statusCode, body = null, headers = {}) {
+    res.writeHead(statusCode, headers);
+    res.end(body);
+  }
+
+  error(res, statusCode, code, message) {
+    this.send(res, statusCode, Buffer.from(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`
+    ), { 'content-type': 'application/xml' });
+  }
+}
+
+module.exports = {
+  FakeS3Server
+};